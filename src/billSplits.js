@@ -0,0 +1,254 @@
+/**
+ * Bill Splits Module
+ *
+ * Splits what is left to pay on a tab into sub-bills - evenly between N
+ * guests, by seat, or by handing out specific lines. Each order's discount,
+ * tax and service charge follow its lines onto the sub-bills, and cents are
+ * shared out so the sub-bills always add up to the tab exactly.
+ */
+
+const { roundMoney, allocateCents, resolveName } = require('./pricing');
+const { isPaidOnline, isBillable, recordTabPayment } = require('./tabs');
+
+const SPLIT_METHODS = ['even', 'seat', 'items'];
+
+// Price fields shared out between the sub-bills. includedTax is the part of `tax`
+// already in the prices of orders priced with tax included.
+const SPLIT_COMPONENTS = ['subtotal', 'discount', 'tax', 'includedTax', 'serviceCharge', 'deliveryFee'];
+
+function getComponentAmount(order, component) {
+  if (component === 'includedTax') {
+    return order.pricesIncludeTax ? Number(order.tax) || 0 : 0;
+  }
+  return Number(order[component]) || 0;
+}
+
+const MAX_SPLIT_WAYS = 20;
+
+// Orders still to be paid at the table - cancelled orders and those paid (or being
+// paid) online are not split
+function getSplittableOrders(tabOrders) {
+  return (tabOrders || []).filter(order => isBillable(order) && !isPaidOnline(order));
+}
+
+// Every line of the given orders with its price, referenced by order id and line index
+function getBillLines(splittableOrders) {
+  const lines = [];
+  splittableOrders.forEach(order => {
+    (order.items || []).forEach((line, lineIndex) => {
+      const qty = parseInt(line.qty || line.quantity || 1);
+      lines.push({
+        orderId: order.id,
+        lineIndex,
+        name: resolveName(line.name),
+        qty,
+        seat: line.seat || null,
+        amount: line.lineTotal !== undefined && line.lineTotal !== null
+          ? Number(line.lineTotal)
+          : roundMoney((parseFloat(line.price) || 0) * qty)
+      });
+    });
+  });
+  return lines;
+}
+
+// Which share of which line goes on each sub-bill. Returns { bills } or { error }.
+function planSplit(method, input, billLines) {
+  const data = input || {};
+
+  if (method === 'even') {
+    const ways = parseInt(data.ways);
+    if (isNaN(ways) || ways < 2 || ways > MAX_SPLIT_WAYS) {
+      return { error: `Split evenly between 2 and ${MAX_SPLIT_WAYS} guests` };
+    }
+    return {
+      bills: Array.from({ length: ways }, (_, index) => ({
+        label: `Guest ${index + 1}`,
+        shares: billLines.map(line => ({ line, fraction: 1 / ways }))
+      }))
+    };
+  }
+
+  if (method === 'seat') {
+    const seats = [...new Set(billLines.filter(line => line.seat).map(line => line.seat))].sort((a, b) => a - b);
+    if (seats.length < 2) {
+      return { error: 'Splitting by seat needs items on at least two seats' };
+    }
+    // Lines without a seat (shared starters, a bottle of wine) are split between every seat
+    const shared = billLines.filter(line => !line.seat);
+    return {
+      bills: seats.map(seat => ({
+        label: `Seat ${seat}`,
+        shares: [
+          ...billLines.filter(line => line.seat === seat).map(line => ({ line, fraction: 1 })),
+          ...shared.map(line => ({ line, fraction: 1 / seats.length }))
+        ]
+      }))
+    };
+  }
+
+  if (method === 'items') {
+    const groups = Array.isArray(data.bills) ? data.bills : [];
+    if (groups.length < 2) {
+      return { error: 'Splitting by item needs at least two bills' };
+    }
+
+    const assigned = new Map();
+    for (let index = 0; index < groups.length; index++) {
+      const refs = Array.isArray(groups[index]) ? groups[index] : [];
+      if (refs.length === 0) {
+        return { error: `Bill ${index + 1} has no items` };
+      }
+      for (const ref of refs) {
+        const line = billLines.find(candidate =>
+          candidate.orderId === parseInt(ref && ref.orderId) && candidate.lineIndex === parseInt(ref && ref.lineIndex)
+        );
+        if (!line) {
+          return { error: `Order ${ref && ref.orderId} line ${ref && ref.lineIndex} is not on this bill` };
+        }
+        if (assigned.has(line)) {
+          return { error: `${line.name} (order ${line.orderId}) is on more than one bill` };
+        }
+        assigned.set(line, index);
+      }
+    }
+
+    const missing = billLines.find(line => !assigned.has(line));
+    if (missing) {
+      return { error: `${missing.name} (order ${missing.orderId}) is not on any bill` };
+    }
+
+    return {
+      bills: groups.map((_, index) => ({
+        label: `Bill ${index + 1}`,
+        shares: billLines.filter(line => assigned.get(line) === index).map(line => ({ line, fraction: 1 }))
+      }))
+    };
+  }
+
+  return { error: `Split method must be one of ${SPLIT_METHODS.join(', ')}` };
+}
+
+// Split the unpaid part of a tab into priced sub-bills. Returns { split } or { error }.
+function buildSplit(method, input, tabOrders, actor, now = new Date()) {
+  const splittableOrders = getSplittableOrders(tabOrders);
+  const billLines = getBillLines(splittableOrders);
+  if (billLines.length === 0) {
+    return { error: 'There is nothing left to split on this tab' };
+  }
+
+  const plan = planSplit(method, input, billLines);
+  if (plan.error) {
+    return plan;
+  }
+
+  // How much of each order's line total lands on each sub-bill
+  const orderLineTotals = {};
+  billLines.forEach(line => {
+    orderLineTotals[line.orderId] = (orderLineTotals[line.orderId] || 0) + line.amount;
+  });
+  const orderWeights = plan.bills.map(bill => {
+    const weights = {};
+    bill.shares.forEach(({ line, fraction }) => {
+      const lineTotal = orderLineTotals[line.orderId];
+      // Orders of free items have no line totals to go by, so count lines instead
+      const weight = lineTotal > 0 ? (line.amount * fraction) / lineTotal
+        : fraction / billLines.filter(candidate => candidate.orderId === line.orderId).length;
+      weights[line.orderId] = (weights[line.orderId] || 0) + weight;
+    });
+    return weights;
+  });
+
+  const amounts = {};
+  SPLIT_COMPONENTS.forEach(component => {
+    const target = roundMoney(splittableOrders.reduce((sum, order) => sum + getComponentAmount(order, component), 0));
+    const weights = orderWeights.map(weights => splittableOrders.reduce(
+      (sum, order) => sum + getComponentAmount(order, component) * (weights[order.id] || 0), 0
+    ));
+    amounts[component] = allocateCents(target, weights);
+  });
+
+  const bills = plan.bills.map((bill, index) => {
+    const billAmounts = {};
+    SPLIT_COMPONENTS.forEach(component => {
+      billAmounts[component] = amounts[component][index];
+    });
+
+    return {
+      id: index + 1,
+      label: bill.label,
+      lines: bill.shares.map(({ line, fraction }) => ({
+        orderId: line.orderId,
+        lineIndex: line.lineIndex,
+        name: line.name,
+        qty: line.qty,
+        seat: line.seat,
+        share: fraction,
+        amount: roundMoney(line.amount * fraction)
+      })),
+      ...billAmounts,
+      total: roundMoney(billAmounts.subtotal - billAmounts.discount + billAmounts.tax - billAmounts.includedTax +
+        billAmounts.serviceCharge + billAmounts.deliveryFee),
+      paymentStatus: 'unpaid',
+      paymentMethod: null,
+      paidAt: null,
+      paidBy: null
+    };
+  });
+
+  return {
+    split: {
+      method,
+      orderIds: splittableOrders.map(order => order.id),
+      bills,
+      createdAt: now,
+      createdBy: actor
+    }
+  };
+}
+
+// Whether a split still matches the tab - a new round or an edited order makes it stale
+function isSplitCurrent(split, tabOrders) {
+  if (!split) return false;
+  const splittableOrders = getSplittableOrders(tabOrders);
+  const orderIds = splittableOrders.map(order => order.id).sort((a, b) => a - b);
+  const splitOrderIds = split.orderIds.slice().sort((a, b) => a - b);
+  const ordersTotal = roundMoney(splittableOrders.reduce((sum, order) => sum + (Number(order.total) || 0), 0));
+  const billsTotal = roundMoney(split.bills.reduce((sum, bill) => sum + bill.total, 0));
+
+  return orderIds.join(',') === splitOrderIds.join(',') && ordersTotal === billsTotal;
+}
+
+// Pay one sub-bill in full as a tab payment ({ method, tip }). Returns { bill, payment, settled } or { error }.
+function paySplitBill(tab, summary, billId, input, actor, now = new Date()) {
+  const bill = tab.split && tab.split.bills.find(candidate => candidate.id === parseInt(billId));
+  if (!bill) {
+    return { error: `Bill ${billId} not found` };
+  }
+  if (bill.paymentStatus === 'paid') {
+    return { error: `${bill.label} is already paid` };
+  }
+
+  const result = recordTabPayment(tab, summary, { ...input, amount: bill.total }, actor, now);
+  if (result.error) {
+    return result;
+  }
+
+  result.payment.billId = bill.id;
+  bill.paymentStatus = 'paid';
+  bill.paymentMethod = result.payment.method;
+  bill.paidAt = now;
+  bill.paidBy = actor;
+
+  return { bill, payment: result.payment, settled: result.settled };
+}
+
+module.exports = {
+  SPLIT_METHODS,
+  getSplittableOrders,
+  getBillLines,
+  allocateCents,
+  buildSplit,
+  isSplitCurrent,
+  paySplitBill
+};
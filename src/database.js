@@ -26,6 +26,24 @@ const menuItemSchema = new mongoose.Schema({
   nutrition: mongoose.Schema.Types.Mixed,
   allergies: mongoose.Schema.Types.Mixed,
   prepTime: mongoose.Schema.Types.Mixed,
+  modifierGroups: [{
+    id: String,
+    name: mongoose.Schema.Types.Mixed,
+    minSelect: { type: Number, default: 0 },
+    maxSelect: { type: Number, default: 1 },
+    options: [{
+      id: String,
+      name: mongoose.Schema.Types.Mixed,
+      priceDelta: { type: Number, default: 0 },
+      active: { type: Boolean, default: true }
+    }]
+  }],
+  taxClass: { type: String, default: null }, // Overrides the category's tax class
+  recipe: [{ // Ingredients used to make one, see inventory.js
+    _id: false,
+    ingredientId: Number,
+    quantity: Number
+  }],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -35,6 +53,8 @@ const categorySchema = new mongoose.Schema({
   name: mongoose.Schema.Types.Mixed,
   icon: String,
   sort_order: Number,
+  station: { type: String, default: null }, // Kitchen station its items are routed to
+  taxClass: { type: String, default: null }, // Tax class of its items, null for the default class
   active: { type: Boolean, default: true },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -45,19 +65,122 @@ const orderSchema = new mongoose.Schema({
   items: [{
     id: Number,
     name: mongoose.Schema.Types.Mixed,
+    basePrice: Number,
     price: Number,
+    qty: Number,
     quantity: Number,
-    category_id: Number
+    category_id: Number,
+    modifiers: [{
+      groupId: String,
+      groupName: String,
+      optionId: String,
+      name: String,
+      priceDelta: Number
+    }],
+    note: String,
+    seat: Number,
+    lineTotal: Number,
+    station: String, // Kitchen station the line was routed to
+    taxClass: String, // Tax class and rate at the time the order was placed
+    taxRate: Number,
+    net: Number, // Line total after discount, without tax
+    tax: Number,
+    bumpedAt: Date,
+    bumpedBy: String
   }],
   customerName: String,
   customerEmail: String,
-  orderType: String,
+  customerPhone: String, // Required for delivery
+  orderType: String, // dine-in, takeaway or delivery
+  deliveryAddress: {
+    street: String,
+    city: String,
+    postcode: String,
+    notes: String, // e.g. floor, door code
+    lat: Number, // Optional position, for zones drawn as an area
+    lng: Number
+  },
+  delivery: {
+    status: { type: String, enum: ['unassigned', 'assigned', 'out-for-delivery', 'delivered'] },
+    driver: String,
+    zoneId: Number,
+    zoneName: String,
+    history: [{
+      _id: false,
+      status: String,
+      driver: String,
+      actor: String,
+      at: Date
+    }]
+  },
   tableNumber: String,
+  partySize: Number, // Guests at the table, used by the service charge rules
   notes: String, // Special instructions for kitchen
   marketingConsent: Boolean,
-  total: Number,
+  subtotal: Number,
   discount: Number,
-  status: String,
+  promoCode: String, // Promo code the customer entered
+  promotions: mongoose.Schema.Types.Mixed, // Promotions applied: [{ id, name, code, type, amount }]
+  loyalty: {
+    pointsRedeemed: Number,
+    discount: Number // Part of the order's discount paid with points
+  },
+  taxRate: Number, // null when lines are taxed at different rates
+  tax: Number,
+  pricesIncludeTax: { type: Boolean, default: false }, // Tax was already in the prices, not added on top
+  taxBreakdown: mongoose.Schema.Types.Mixed, // [{ taxClass, rate, net, tax, gross }]
+  serviceChargeRate: Number,
+  serviceCharge: Number,
+  deliveryFee: Number,
+  total: Number,
+  tip: { type: Number, default: 0 }, // Left at checkout, charged on top of the total and not counted as revenue
+  submittedTotal: Number, // Total sent by the client, kept for auditing
+  totalMismatch: { type: Boolean, default: false },
+  paymentMethod: { type: String, enum: ['card', 'cash', 'gift-card'], default: 'cash' }, // gift-card when a gift card paid it all
+  giftCard: {
+    id: Number,
+    code: String,
+    amount: Number // Paid by the gift card; card or cash paid the rest
+  },
+  paymentStatus: { type: String, enum: ['unpaid', 'pending', 'paid', 'failed', 'refunded', 'partially_refunded'], default: 'unpaid' },
+  paymentIntentId: String,
+  paymentIdempotencyKey: String, // Sent to Stripe when creating the PaymentIntent
+  tabId: Number, // Open tab the order was added to (dine-in orders with a table)
+  refunds: [{
+    id: String,
+    type: { type: String, enum: ['full', 'lines'] },
+    amount: Number,
+    reason: String,
+    actor: String,
+    lines: [{
+      lineIndex: Number,
+      id: Number,
+      name: mongoose.Schema.Types.Mixed,
+      qty: Number,
+      amount: Number
+    }],
+    provider: String, // 'stripe' when refunded online, 'manual' otherwise
+    providerRefundId: String,
+    idempotencyKey: String, // Sent to Stripe when refunding online
+    giftCardAmount: Number, // Part of the refund put back on the order's gift card
+    createdAt: { type: Date, default: Date.now }
+  }],
+  refundedAmount: { type: Number, default: 0 },
+  status: { type: String, enum: ['pending', 'confirmed', 'preparing', 'ready', 'served', 'completed', 'cancelled'], default: 'pending' },
+  statusHistory: [{
+    from: String,
+    to: String,
+    actor: String,
+    note: String,
+    at: { type: Date, default: Date.now }
+  }],
+  stockDeductedAt: Date, // When confirming the order took its ingredients out of stock
+  pickupTime: Date, // Takeaway ordered ahead for this pickup slot
+  prepMinutes: Number,
+  startCookingAt: Date, // The kitchen sees an order ordered ahead from this time
+  quotedWaitMinutes: Number, // The wait quoted to the customer, longer while the kitchen is full
+  trackingToken: String, // Random token for the customer's tracking page
+  notifications: mongoose.Schema.Types.Mixed, // Status emails sent: { confirmed: { state, at, messageId }, ... }
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -71,6 +194,20 @@ const clientSchema = new mongoose.Schema({
   totalOrders: { type: Number, default: 0 },
   totalSpent: { type: Number, default: 0 },
   totalReservations: { type: Number, default: 0 },
+  loyaltyPoints: { type: Number, default: 0 },
+  lifetimePoints: { type: Number, default: 0 }, // Earned points, which set the tier
+  loyaltyLedger: [{
+    _id: false,
+    id: Number,
+    type: { type: String, enum: ['earn', 'redeem', 'refund', 'adjust'] },
+    points: Number,
+    balance: Number,
+    orderId: Number,
+    note: String,
+    actor: String,
+    createdAt: Date
+  }],
+  redeemCode: { hash: String, expiresAt: Date, attempts: Number }, // Emailed one-time code for redeeming points
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -92,6 +229,41 @@ const reservationSchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+const tableSchema = new mongoose.Schema({
+  id: Number,
+  number: { type: Number, required: true, unique: true },
+  area: { type: String, default: 'Main' },
+  seats: { type: Number, default: 4 },
+  shape: { type: String, enum: ['square', 'round', 'rectangle', 'booth'], default: 'square' },
+  x: Number, // Floor plan column
+  y: Number, // Floor plan row
+  active: { type: Boolean, default: true },
+  seatedAt: Date, // Guests seated without an order yet
+  cleanedAt: Date, // Last time the table was cleared and cleaned
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const tabSchema = new mongoose.Schema({
+  id: Number,
+  tableNumber: String,
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+  orderIds: [Number],
+  payments: [{
+    amount: Number,
+    tip: { type: Number, default: 0 }, // On top of the amount, not part of the bill
+    method: { type: String, enum: ['cash', 'card'] },
+    actor: String,
+    billId: Number, // Sub-bill paid, when the tab is split
+    at: { type: Date, default: Date.now }
+  }],
+  split: mongoose.Schema.Types.Mixed, // Sub-bills (see billSplits.js), null when not split
+  openedAt: { type: Date, default: Date.now },
+  closedAt: Date,
+  closedBy: String,
+  updatedAt: { type: Date, default: Date.now }
+});
+
 const availabilitySchema = new mongoose.Schema({
   date: Date,
   isAvailable: { type: Boolean, default: true },
@@ -103,12 +275,122 @@ const availabilitySchema = new mongoose.Schema({
   updatedAt: { type: Date, default: Date.now }
 });
 
+// Promo codes (code set) and automatic promotions (no code), see promotions.js
+const promotionSchema = new mongoose.Schema({
+  id: { type: Number, unique: true },
+  name: String,
+  code: { type: String, default: null },
+  type: { type: String, enum: ['percentage', 'fixed', 'free-item', 'buy-x-get-y'] },
+  value: Number, // Rate for percentage, amount for fixed
+  itemId: Number, // The free item
+  buyQuantity: Number,
+  getQuantity: Number,
+  itemIds: [Number], // Items and categories the promotion is limited to
+  categoryIds: [Number],
+  minSpend: { type: Number, default: 0 },
+  schedule: mongoose.Schema.Types.Mixed, // Happy hour: { days: [String], start: '17:00', end: '19:00' }
+  validFrom: Date,
+  validTo: Date,
+  maxUses: Number,
+  maxUsesPerCustomer: Number,
+  active: { type: Boolean, default: true },
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Gift cards and store credit, see giftCards.js
+const giftCardSchema = new mongoose.Schema({
+  id: { type: Number, unique: true },
+  code: { type: String, unique: true },
+  initialAmount: Number,
+  balance: { type: Number, default: 0 },
+  status: { type: String, enum: ['pending', 'active', 'void'], default: 'active' }, // pending until paid for online
+  source: { type: String, enum: ['admin', 'purchase'] },
+  purchaserName: String,
+  purchaserEmail: String,
+  recipientName: String,
+  recipientEmail: String,
+  message: String,
+  note: String,
+  expiresAt: Date, // null for store credit that never expires
+  paymentIntentId: String,
+  paymentIdempotencyKey: String,
+  transactions: [{
+    _id: false,
+    id: Number,
+    type: { type: String, enum: ['issue', 'debit', 'credit', 'void'] },
+    amount: Number, // Positive for credits, negative for debits
+    balance: Number,
+    orderId: Number,
+    note: String,
+    actor: String,
+    createdAt: Date
+  }],
+  voidedAt: Date,
+  createdBy: String,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Ingredients and their stock levels, see inventory.js
+const ingredientSchema = new mongoose.Schema({
+  id: { type: Number, unique: true },
+  name: String,
+  unit: { type: String, enum: ['pcs', 'g', 'kg', 'ml', 'l'], default: 'pcs' },
+  stock: { type: Number, default: 0 },
+  lowStockThreshold: { type: Number, default: 0 }, // Shown as low stock at or below this level
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Restaurant settings - a single document (key 'restaurant'), see settings.js
+const settingsSchema = new mongoose.Schema({
+  key: { type: String, default: 'restaurant', unique: true },
+  restaurantName: String,
+  address: String,
+  phone: String,
+  currency: String,
+  taxClasses: [{
+    _id: false,
+    id: String,
+    name: String,
+    rate: Number
+  }],
+  defaultTaxClass: String,
+  pricesIncludeTax: Boolean,
+  serviceCharge: Number,
+  serviceChargeRules: {
+    orderTypes: [String],
+    minPartySize: Number
+  },
+  deliveryFee: Number,
+  deliveryZones: mongoose.Schema.Types.Mixed, // [{ id, name, postcodes, polygon, fee, minOrder, active }]
+  loyalty: mongoose.Schema.Types.Mixed, // { enabled, pointsPerEuro, pointValue, minRedeemPoints, tiers }
+  openingHours: mongoose.Schema.Types.Mixed, // { monday: { open: '11:00', close: '22:00', closed: false }, ... }
+  pickup: mongoose.Schema.Types.Mixed, // { enabled, maxOrdersPerSlot, maxItemsPerSlot, minLeadMinutes, daysAhead }
+  kitchenCapacity: mongoose.Schema.Types.Mixed, // { maxOpenTickets, maxItemsPerStation, whenFull, busyExtraMinutes }
+  onlineOrdering: mongoose.Schema.Types.Mixed, // { paused, pausedAt, pausedBy }
+  notifications: mongoose.Schema.Types.Mixed, // Status emails turned on: { confirmed, ready, cancelled }
+  emailFrom: String,
+  emailFromName: String,
+  frontendUrl: String,
+  updatedAt: { type: Date, default: Date.now },
+  updatedBy: String
+});
+
 const MenuItem = mongoose.model('MenuItem', menuItemSchema);
 const Category = mongoose.model('Category', categorySchema);
 const Order = mongoose.model('Order', orderSchema);
 const Client = mongoose.model('Client', clientSchema);
 const Reservation = mongoose.model('Reservation', reservationSchema);
 const Availability = mongoose.model('Availability', availabilitySchema);
+const Table = mongoose.model('Table', tableSchema);
+const Tab = mongoose.model('Tab', tabSchema);
+const Settings = mongoose.model('Settings', settingsSchema);
+const Promotion = mongoose.model('Promotion', promotionSchema);
+const GiftCard = mongoose.model('GiftCard', giftCardSchema);
+const Ingredient = mongoose.model('Ingredient', ingredientSchema);
 
 // Helper function to generate multilingual translations
 function generateMultilingualTranslations(text, type = 'item') {
@@ -432,5 +714,11 @@ module.exports = {
   Order,
   Client,
   Reservation,
-  Availability
+  Availability,
+  Table,
+  Tab,
+  Settings,
+  Promotion,
+  GiftCard,
+  Ingredient
 };
@@ -0,0 +1,245 @@
+/**
+ * Delivery Module
+ *
+ * Delivery orders: the customer's address and phone, the delivery zones
+ * (a postcode list or a map polygon, each with its own fee and minimum
+ * order) and the delivery track a dispatcher moves each order along -
+ * assigned to a driver, out for delivery, delivered.
+ */
+
+const { roundMoney } = require('./pricing');
+
+const ORDER_TYPES = ['dine-in', 'takeaway', 'delivery'];
+
+const ORDER_TYPE_LABELS = {
+  'dine-in': 'Dine In',
+  takeaway: 'Takeaway',
+  delivery: 'Delivery'
+};
+
+const DELIVERY_STATUSES = ['unassigned', 'assigned', 'out-for-delivery', 'delivered'];
+
+const DELIVERY_STATUS_LABELS = {
+  unassigned: 'Waiting for a driver',
+  assigned: 'Driver assigned',
+  'out-for-delivery': 'Out for delivery',
+  delivered: 'Delivered'
+};
+
+// Allowed moves on the delivery track. Assigning again hands the order to another driver.
+const DELIVERY_STATUS_TRANSITIONS = {
+  unassigned: ['assigned'],
+  assigned: ['assigned', 'unassigned', 'out-for-delivery'],
+  'out-for-delivery': ['delivered'],
+  delivered: []
+};
+
+const PHONE_PATTERN = /^\+?[\d\s\-().]{6,20}$/;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Postcodes are compared without spaces and case, e.g. "sw1a 1aa" matches "SW1A1AA"
+function normalizePostcode(postcode) {
+  return String(postcode || '').toUpperCase().replace(/\s+/g, '');
+}
+
+function normalizePolygon(input, label, errors) {
+  if (isBlank(input)) return null;
+  const points = Array.isArray(input) ? input.map(point => (Array.isArray(point) ? point.map(Number) : [])) : [];
+  const valid = points.length >= 3 && points.every(point =>
+    point.length === 2 && !point.some(isNaN) && Math.abs(point[0]) <= 90 && Math.abs(point[1]) <= 180);
+  if (!valid) {
+    errors.push(`${label}: area must be at least 3 [latitude, longitude] points`);
+  }
+  return points;
+}
+
+// Validate the delivery zones from the settings page. Returns { zones, errors }.
+function normalizeDeliveryZones(input) {
+  const errors = [];
+  if (!Array.isArray(input)) {
+    return { zones: [], errors: ['Delivery zones must be a list'] };
+  }
+
+  const usedIds = input.map(zone => Number(zone && zone.id)).filter(id => Number.isInteger(id) && id > 0);
+  let nextId = Math.max(0, ...usedIds) + 1;
+
+  const zones = input.map((value, index) => {
+    const data = value || {};
+    const zone = {
+      id: Number.isInteger(Number(data.id)) && Number(data.id) > 0 ? Number(data.id) : nextId++,
+      name: String(data.name || '').trim(),
+      postcodes: [...new Set((Array.isArray(data.postcodes) ? data.postcodes : String(data.postcodes || '').split(','))
+        .map(normalizePostcode)
+        .filter(Boolean))],
+      polygon: null,
+      fee: roundMoney(data.fee),
+      minOrder: roundMoney(data.minOrder),
+      active: data.active !== false && data.active !== 'false'
+    };
+    const label = zone.name || `Zone ${index + 1}`;
+
+    if (!zone.name) {
+      errors.push(`Zone ${index + 1}: name is required`);
+    }
+    zone.polygon = normalizePolygon(data.polygon, label, errors);
+    if (zone.postcodes.length === 0 && !zone.polygon) {
+      errors.push(`${label}: add postcodes or an area`);
+    }
+    if (isBlank(data.fee) || isNaN(Number(data.fee)) || zone.fee < 0) {
+      errors.push(`${label}: fee must be zero or more`);
+    }
+    if (!isBlank(data.minOrder) && (isNaN(Number(data.minOrder)) || zone.minOrder < 0)) {
+      errors.push(`${label}: minimum order must be zero or more`);
+    }
+    return zone;
+  });
+
+  if (new Set(zones.map(zone => zone.id)).size !== zones.length) {
+    errors.push('Two delivery zones have the same id');
+  }
+  return { zones, errors };
+}
+
+// Ray casting: whether [lat, lng] lies inside the polygon
+function isInPolygon(point, polygon) {
+  const [y, x] = point;
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [yi, xi] = polygon[i];
+    const [yj, xj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// A zone postcode ending in * matches every postcode starting with the rest, e.g. "1010*"
+function matchesPostcode(zone, postcode) {
+  return zone.postcodes.some(pattern => (pattern.endsWith('*') ? postcode.startsWith(pattern.slice(0, -1)) : postcode === pattern));
+}
+
+// The first active zone covering the address, by postcode or by its map position
+function findDeliveryZone(zones, address) {
+  const postcode = normalizePostcode(address && address.postcode);
+  const hasPosition = address && typeof address.lat === 'number' && typeof address.lng === 'number';
+  return (zones || []).find(zone => zone.active !== false && (
+    (postcode && matchesPostcode(zone, postcode)) ||
+    (hasPosition && zone.polygon && isInPolygon([address.lat, address.lng], zone.polygon))
+  )) || null;
+}
+
+// Validate the address and phone sent with a delivery order. The position is optional
+// and only needed for zones drawn as an area. Returns { address, phone, errors }.
+function normalizeDeliveryDetails(input, phone) {
+  const errors = [];
+  const data = input || {};
+  const address = {
+    street: String(data.street || '').trim(),
+    city: String(data.city || '').trim(),
+    postcode: String(data.postcode || '').trim().toUpperCase(),
+    notes: String(data.notes || '').trim().slice(0, 200),
+    lat: isBlank(data.lat) ? null : Number(data.lat),
+    lng: isBlank(data.lng) ? null : Number(data.lng)
+  };
+
+  if (!address.street) errors.push('Delivery street address is required');
+  if (!address.postcode) errors.push('Delivery postcode is required');
+  if ((address.lat === null) !== (address.lng === null) || isNaN(address.lat) || isNaN(address.lng) ||
+    Math.abs(address.lat) > 90 || Math.abs(address.lng) > 180) {
+    errors.push('Delivery position must be a latitude and longitude');
+  }
+
+  const normalizedPhone = String(phone || '').trim();
+  if (!PHONE_PATTERN.test(normalizedPhone)) {
+    errors.push('A phone number is required for delivery');
+  }
+  return { address, phone: normalizedPhone, errors };
+}
+
+// The zone and fee for delivering an order worth `subtotal` to the address. Without
+// zones the flat delivery fee applies everywhere. Returns { zone, fee } or { error }.
+function getDeliveryQuote(settings, address, subtotal) {
+  const zones = (settings && settings.deliveryZones) || [];
+  if (zones.length === 0) {
+    return { zone: null, fee: roundMoney(settings && settings.deliveryFee) };
+  }
+
+  const zone = findDeliveryZone(zones, address);
+  if (!zone) {
+    return { error: 'Sorry, we do not deliver to this address' };
+  }
+  if (subtotal < zone.minOrder) {
+    return { error: `The minimum order for delivery to ${zone.name} is ${zone.minOrder.toFixed(2)}` };
+  }
+  return { zone, fee: zone.fee };
+}
+
+// The delivery track a new delivery order starts on
+function createDelivery(zone) {
+  return {
+    status: 'unassigned',
+    driver: null,
+    zoneId: zone ? zone.id : null,
+    zoneName: zone ? zone.name : null,
+    history: []
+  };
+}
+
+// Move a delivery order along its track and record who did it.
+// Returns { changed, error }.
+function transitionDeliveryStatus(order, nextStatus, { driver, actor } = {}, now = new Date()) {
+  const delivery = order.delivery;
+  if (order.orderType !== 'delivery' || !delivery) {
+    return { changed: false, error: 'Not a delivery order' };
+  }
+  if (order.status === 'cancelled') {
+    return { changed: false, error: 'The order was cancelled' };
+  }
+  if (!DELIVERY_STATUSES.includes(nextStatus)) {
+    return { changed: false, error: `Delivery status must be one of ${DELIVERY_STATUSES.join(', ')}` };
+  }
+  if (!(DELIVERY_STATUS_TRANSITIONS[delivery.status] || []).includes(nextStatus)) {
+    return { changed: false, error: `Cannot move a delivery from ${delivery.status} to ${nextStatus}` };
+  }
+
+  const driverName = String(driver || '').trim();
+  if (nextStatus === 'assigned' && !driverName) {
+    return { changed: false, error: 'A driver is required' };
+  }
+  if (nextStatus === 'assigned' && delivery.status === 'assigned' && driverName === delivery.driver) {
+    return { changed: false, error: null };
+  }
+  if (nextStatus === 'out-for-delivery' && order.status !== 'ready') {
+    return { changed: false, error: 'The order has to be ready before it goes out' };
+  }
+
+  if (nextStatus === 'assigned') delivery.driver = driverName;
+  if (nextStatus === 'unassigned') delivery.driver = null;
+  delivery.status = nextStatus;
+  delivery.history = [...(delivery.history || []), {
+    status: nextStatus,
+    driver: delivery.driver,
+    actor: actor || null,
+    at: now.toISOString()
+  }];
+  return { changed: true, error: null };
+}
+
+module.exports = {
+  ORDER_TYPES,
+  ORDER_TYPE_LABELS,
+  DELIVERY_STATUSES,
+  DELIVERY_STATUS_LABELS,
+  normalizePostcode,
+  normalizeDeliveryZones,
+  isInPolygon,
+  findDeliveryZone,
+  normalizeDeliveryDetails,
+  getDeliveryQuote,
+  createDelivery,
+  transitionDeliveryStatus
+};
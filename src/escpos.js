@@ -0,0 +1,58 @@
+/**
+ * ESC/POS Module
+ *
+ * Encodes laid-out receipt rows (see receipts.js) as ESC/POS bytes for
+ * thermal receipt printers.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const COMMANDS = {
+  initialize: [ESC, 0x40],
+  alignLeft: [ESC, 0x61, 0],
+  alignCenter: [ESC, 0x61, 1],
+  boldOn: [ESC, 0x45, 1],
+  boldOff: [ESC, 0x45, 0],
+  sizeNormal: [GS, 0x21, 0x00],
+  sizeLarge: [GS, 0x21, 0x11], // double width and height
+  feedLines: lines => [ESC, 0x64, lines],
+  partialCut: [GS, 0x56, 0x42, 0x00] // feed to the cutter, then cut
+};
+
+// Printers run in their default ASCII code page; accents are dropped
+// and currency symbols are spelled out so nothing prints as garbage.
+function toPrinterText(text) {
+  return String(text)
+    .replace(/€/g, 'EUR ')
+    .replace(/£/g, 'GBP ')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+}
+
+// Encode receipt rows as a printable ESC/POS byte buffer ending with a paper cut
+function encodeEscPos(rows) {
+  const bytes = [...COMMANDS.initialize];
+
+  rows.forEach(row => {
+    bytes.push(...(row.align === 'center' ? COMMANDS.alignCenter : COMMANDS.alignLeft));
+    bytes.push(...(row.large ? COMMANDS.sizeLarge : COMMANDS.sizeNormal));
+    bytes.push(...(row.bold ? COMMANDS.boldOn : COMMANDS.boldOff));
+
+    // The printer centres for us, so drop the padding used for plain text
+    const text = row.align === 'center' ? row.text.trim() : row.text;
+    bytes.push(...Buffer.from(toPrinterText(text), 'ascii'), LF);
+  });
+
+  bytes.push(...COMMANDS.alignLeft, ...COMMANDS.sizeNormal, ...COMMANDS.boldOff);
+  bytes.push(...COMMANDS.feedLines(4), ...COMMANDS.partialCut);
+  return Buffer.from(bytes);
+}
+
+module.exports = {
+  COMMANDS,
+  toPrinterText,
+  encodeEscPos
+};
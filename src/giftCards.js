@@ -0,0 +1,247 @@
+/**
+ * Gift Cards Module
+ *
+ * Gift cards and store credit - issued by staff or bought online - with a
+ * unique code, a balance and a ledger of every debit and credit. A card pays
+ * for as much of an order as its balance covers; card or cash pays the rest.
+ */
+
+const crypto = require('crypto');
+const { roundMoney } = require('./pricing');
+const { getChargedAmount, getRefundedCharge } = require('./refunds');
+
+const GIFT_CARD_STATUSES = ['pending', 'active', 'void'];
+
+const GIFT_CARD_TRANSACTION_TYPES = ['issue', 'debit', 'credit', 'void'];
+
+// Bought cards must be between these amounts; staff can issue any positive amount
+const GIFT_CARD_MIN_PURCHASE = 5;
+const GIFT_CARD_MAX_PURCHASE = 500;
+
+// Cards expire this many months after they are issued unless staff set a date
+const GIFT_CARD_VALIDITY_MONTHS = 12;
+
+// No 0/O or 1/I so codes can be read out and typed without mistakes
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_GROUPS = 3;
+const CODE_GROUP_LENGTH = 4;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Codes are shown as XXXX-XXXX-XXXX; customers may type them in any case, with or without dashes
+function normalizeGiftCardCode(code) {
+  const characters = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return (characters.match(new RegExp(`.{1,${CODE_GROUP_LENGTH}}`, 'g')) || []).join('-');
+}
+
+// A random code not used by any existing card
+function generateGiftCardCode(existingCards = [], randomInt = crypto.randomInt) {
+  let code;
+  do {
+    let characters = '';
+    for (let i = 0; i < CODE_GROUPS * CODE_GROUP_LENGTH; i++) {
+      characters += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+    }
+    code = normalizeGiftCardCode(characters);
+  } while (existingCards.some(card => card.code === code));
+  return code;
+}
+
+function findGiftCardByCode(giftCards, code) {
+  const wanted = normalizeGiftCardCode(code);
+  return (giftCards || []).find(card => wanted && card.code === wanted) || null;
+}
+
+function addMonths(date, months) {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+}
+
+// Validate a new card from the gift cards page (source 'admin') or an online purchase
+// (source 'purchase'). Returns { giftCard, errors } - the card has no id, code or
+// ledger yet.
+function normalizeGiftCard(input, source, now = new Date()) {
+  const errors = [];
+  const data = input || {};
+
+  const amount = roundMoney(data.amount);
+  if (data.amount === '' || data.amount === null || isNaN(Number(data.amount)) || amount <= 0) {
+    errors.push('Amount must be more than zero');
+  } else if (source === 'purchase' && (amount < GIFT_CARD_MIN_PURCHASE || amount > GIFT_CARD_MAX_PURCHASE)) {
+    errors.push(`Gift cards can be bought for ${GIFT_CARD_MIN_PURCHASE} to ${GIFT_CARD_MAX_PURCHASE}`);
+  }
+
+  const giftCard = {
+    initialAmount: amount,
+    balance: 0,
+    status: source === 'purchase' ? 'pending' : 'active',
+    source,
+    purchaserName: String(data.purchaserName || '').trim() || null,
+    purchaserEmail: String(data.purchaserEmail || '').trim() || null,
+    recipientName: String(data.recipientName || '').trim() || null,
+    recipientEmail: String(data.recipientEmail || '').trim() || null,
+    message: String(data.message || '').trim().slice(0, 500),
+    note: String(data.note || '').trim(),
+    expiresAt: addMonths(now, GIFT_CARD_VALIDITY_MONTHS).toISOString()
+  };
+
+  if (source === 'purchase') {
+    if (!giftCard.purchaserName || !giftCard.purchaserEmail) {
+      errors.push('Your name and email are required');
+    }
+  }
+  ['purchaserEmail', 'recipientEmail'].forEach(field => {
+    if (giftCard[field] && !EMAIL_PATTERN.test(giftCard[field])) {
+      errors.push(`${field === 'purchaserEmail' ? 'Your' : 'Recipient'} email must be a valid email address`);
+    }
+  });
+
+  // Staff may set their own expiry date, or none for store credit that never expires
+  if (source === 'admin' && data.expiresAt !== undefined) {
+    if (data.expiresAt === null || data.expiresAt === '') {
+      giftCard.expiresAt = null;
+    } else {
+      const expiresAt = new Date(data.expiresAt);
+      if (isNaN(expiresAt.getTime())) {
+        errors.push('Expiry must be a date');
+      } else if (expiresAt <= now) {
+        errors.push('Expiry must be in the future');
+      } else {
+        giftCard.expiresAt = expiresAt.toISOString();
+      }
+    }
+  }
+
+  return { giftCard, errors };
+}
+
+function isExpired(giftCard, now = new Date()) {
+  return Boolean(giftCard.expiresAt) && new Date(giftCard.expiresAt) <= now;
+}
+
+// Status shown to staff and customers: pending, active, expired, void or used (no balance left)
+function getGiftCardStatus(giftCard, now = new Date()) {
+  if (giftCard.status !== 'active') return giftCard.status;
+  if (isExpired(giftCard, now)) return 'expired';
+  return giftCard.balance > 0 ? 'active' : 'used';
+}
+
+// Why a card can't pay for an order right now, or null when it can
+function getUnusableReason(giftCard, now = new Date()) {
+  if (!giftCard) return 'Gift card not found';
+  switch (getGiftCardStatus(giftCard, now)) {
+    case 'pending':
+      return 'Gift card has not been paid for yet';
+    case 'void':
+      return 'Gift card is no longer valid';
+    case 'expired':
+      return 'Gift card has expired';
+    case 'used':
+      return 'Gift card has no balance left';
+    default:
+      return null;
+  }
+}
+
+// Record money added to (positive) or taken from (negative) a card and update its balance
+function addGiftCardTransaction(giftCard, { type, amount, orderId, note, actor }, now = new Date()) {
+  if (!giftCard.transactions) giftCard.transactions = [];
+  giftCard.balance = roundMoney((giftCard.balance || 0) + amount);
+
+  const transaction = {
+    id: giftCard.transactions.length + 1,
+    type,
+    amount: roundMoney(amount),
+    balance: giftCard.balance,
+    orderId: orderId || null,
+    note: note || '',
+    actor: actor || null,
+    createdAt: now.toISOString()
+  };
+  giftCard.transactions.push(transaction);
+  return transaction;
+}
+
+// Put the card's amount on it once it has been issued or paid for
+function activateGiftCard(giftCard, actor, now = new Date()) {
+  giftCard.status = 'active';
+  return addGiftCardTransaction(giftCard, {
+    type: 'issue',
+    amount: giftCard.initialAmount,
+    note: giftCard.source === 'purchase' ? 'Bought online' : (giftCard.note || 'Issued by staff'),
+    actor
+  }, now);
+}
+
+function voidGiftCard(giftCard, reason, actor, now = new Date()) {
+  giftCard.status = 'void';
+  giftCard.voidedAt = now.toISOString();
+  return addGiftCardTransaction(giftCard, { type: 'void', amount: 0, note: reason, actor }, now);
+}
+
+// How much of an amount due a card pays
+function getGiftCardPayment(giftCard, amountDue) {
+  return roundMoney(Math.min(Math.max(0, giftCard.balance), Math.max(0, amountDue)));
+}
+
+// What a card has paid for an order, less what already went back onto it
+function getGiftCardAmountOnOrder(giftCard, orderId) {
+  return roundMoney((giftCard.transactions || [])
+    .filter(transaction => transaction.orderId === orderId && ['debit', 'credit'].includes(transaction.type))
+    .reduce((sum, transaction) => sum - transaction.amount, 0));
+}
+
+// Split a refund between the order's other payment (card or cash) and its gift card.
+// The other payment is refunded first; the gift card gets back the rest.
+// Returns { other, giftCard } or { error }.
+function splitRefund(order, giftCard, amount) {
+  const other = roundMoney(Math.min(amount, Math.max(0, getChargedAmount(order) - getRefundedCharge(order))));
+  const rest = roundMoney(amount - other);
+  const onGiftCard = giftCard ? getGiftCardAmountOnOrder(giftCard, order.id) : 0;
+  if (rest > onGiftCard + 0.005) {
+    return { error: `At most ${roundMoney(other + onGiftCard).toFixed(2)} can be refunded, the rest is already back on the gift card` };
+  }
+  return { other, giftCard: rest };
+}
+
+// Put what a cancelled order took from a card (less any refunds to it) back on it.
+// Returns the transaction, or null when there was nothing left to give back.
+function creditCancelledOrder(order, giftCard, actor) {
+  if (!giftCard || order.status !== 'cancelled') return null;
+  const amount = getGiftCardAmountOnOrder(giftCard, order.id);
+  if (amount <= 0) return null;
+  return addGiftCardTransaction(giftCard, { type: 'credit', amount, orderId: order.id, note: `Order #${order.id} cancelled`, actor });
+}
+
+// What customers see when they check a balance - no ledger or purchaser details
+function getPublicGiftCard(giftCard, now = new Date()) {
+  return {
+    code: giftCard.code,
+    balance: giftCard.balance,
+    status: getGiftCardStatus(giftCard, now),
+    expiresAt: giftCard.expiresAt
+  };
+}
+
+module.exports = {
+  GIFT_CARD_STATUSES,
+  GIFT_CARD_TRANSACTION_TYPES,
+  GIFT_CARD_MIN_PURCHASE,
+  GIFT_CARD_MAX_PURCHASE,
+  GIFT_CARD_VALIDITY_MONTHS,
+  normalizeGiftCardCode,
+  generateGiftCardCode,
+  findGiftCardByCode,
+  normalizeGiftCard,
+  getGiftCardStatus,
+  getUnusableReason,
+  addGiftCardTransaction,
+  activateGiftCard,
+  voidGiftCard,
+  getGiftCardPayment,
+  getGiftCardAmountOnOrder,
+  splitRefund,
+  creditCancelledOrder,
+  getPublicGiftCard
+};
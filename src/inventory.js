@@ -0,0 +1,157 @@
+/**
+ * Inventory Module
+ *
+ * Ingredients with stock levels and the recipes linking menu items to them.
+ * Confirming an order takes its ingredients out of stock, and items whose
+ * recipe can't be made from what is left are taken off the menu (86'd)
+ * until the stock is topped up.
+ */
+
+const INGREDIENT_UNITS = ['pcs', 'g', 'kg', 'ml', 'l'];
+
+// Stock is kept to 3 decimals so 0.1 kg steps don't drift
+function roundQuantity(value) {
+  return Math.round((Number(value) || 0) * 1000) / 1000;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Validate an ingredient from the inventory page. `existing` are the current
+// ingredients and `currentId` the one being edited, to keep names unique.
+// Returns { ingredient, errors }.
+function normalizeIngredient(input, existing = [], currentId = null) {
+  const errors = [];
+  const data = input || {};
+
+  const ingredient = {
+    name: String(data.name || '').trim(),
+    unit: data.unit || 'pcs',
+    stock: roundQuantity(data.stock),
+    lowStockThreshold: roundQuantity(data.lowStockThreshold)
+  };
+
+  if (!ingredient.name) {
+    errors.push('Name is required');
+  } else if (existing.some(other => other.id !== currentId && other.name.toLowerCase() === ingredient.name.toLowerCase())) {
+    errors.push(`There is already an ingredient called ${ingredient.name}`);
+  }
+  if (!INGREDIENT_UNITS.includes(ingredient.unit)) {
+    errors.push(`Unit must be one of ${INGREDIENT_UNITS.join(', ')}`);
+  }
+  if (isBlank(data.stock) || isNaN(Number(data.stock)) || ingredient.stock < 0) {
+    errors.push('Stock must be zero or more');
+  }
+  if (!isBlank(data.lowStockThreshold) && (isNaN(Number(data.lowStockThreshold)) || ingredient.lowStockThreshold < 0)) {
+    errors.push('Low stock level must be zero or more');
+  }
+
+  return { ingredient, errors };
+}
+
+// Validate a menu item's recipe: [{ ingredientId, quantity }] per item made.
+// Returns { recipe, errors }.
+function normalizeRecipe(input, ingredients) {
+  const errors = [];
+  if (isBlank(input)) return { recipe: [], errors };
+  if (!Array.isArray(input)) return { recipe: [], errors: ['Recipe must be a list of ingredients'] };
+
+  const recipe = input.map((value, index) => {
+    const data = value || {};
+    const entry = { ingredientId: Number(data.ingredientId), quantity: roundQuantity(data.quantity) };
+    const ingredient = (ingredients || []).find(candidate => candidate.id === entry.ingredientId);
+
+    if (!ingredient) {
+      errors.push(`Recipe line ${index + 1}: unknown ingredient`);
+    }
+    if (isBlank(data.quantity) || isNaN(Number(data.quantity)) || entry.quantity <= 0) {
+      errors.push(`Recipe line ${index + 1}: quantity must be more than zero`);
+    }
+    return entry;
+  });
+
+  if (new Set(recipe.map(entry => entry.ingredientId)).size !== recipe.length) {
+    errors.push('Each ingredient can only be in a recipe once');
+  }
+  return { recipe, errors };
+}
+
+// Ingredient quantities needed for order lines, as a Map of ingredientId -> quantity
+function getIngredientUsage(lines, items) {
+  const usage = new Map();
+  (lines || []).forEach(line => {
+    const item = (items || []).find(candidate => candidate.id === line.id);
+    const qty = parseInt(line.qty || line.quantity || 1);
+    ((item && item.recipe) || []).forEach(entry => {
+      usage.set(entry.ingredientId, roundQuantity((usage.get(entry.ingredientId) || 0) + entry.quantity * qty));
+    });
+  });
+  return usage;
+}
+
+// Whether there is enough stock to make one of an item. Items without a recipe
+// aren't tracked and can always be made.
+function canMakeItem(item, ingredients) {
+  return ((item && item.recipe) || []).every(entry => {
+    const ingredient = (ingredients || []).find(candidate => candidate.id === entry.ingredientId);
+    return !ingredient || ingredient.stock >= entry.quantity;
+  });
+}
+
+// Menu items as customers see them: items that can't be made are 86'd
+function applyStockAvailability(items, ingredients) {
+  return (items || []).map(item => {
+    if (item.active === false || canMakeItem(item, ingredients)) return item;
+    const plainItem = typeof item.toObject === 'function' ? item.toObject() : item;
+    return { ...plainItem, active: false, soldOut: true };
+  });
+}
+
+// Check there is enough stock for the whole order, ingredients shared between
+// lines included. Returns one error per line that can't be made.
+function checkStock(lines, items, ingredients) {
+  const usage = getIngredientUsage(lines, items);
+  const short = (ingredients || []).filter(ingredient => usage.has(ingredient.id) && usage.get(ingredient.id) > ingredient.stock);
+
+  return (lines || [])
+    .filter(line => {
+      const item = (items || []).find(candidate => candidate.id === line.id);
+      return ((item && item.recipe) || []).some(entry => short.some(ingredient => ingredient.id === entry.ingredientId));
+    })
+    .map(line => `Item ${line.id}: not enough in stock for ${line.qty || line.quantity || 1}`);
+}
+
+// Take a confirmed order's ingredients out of stock, once per order.
+// Returns the ingredients that changed.
+function deductOrderStock(order, items, ingredients, now = new Date()) {
+  if (order.stockDeductedAt) return [];
+
+  const usage = getIngredientUsage(order.items, items);
+  const changed = (ingredients || []).filter(ingredient => usage.has(ingredient.id));
+  changed.forEach(ingredient => {
+    ingredient.stock = Math.max(0, roundQuantity(ingredient.stock - usage.get(ingredient.id)));
+  });
+  order.stockDeductedAt = now.toISOString();
+  return changed;
+}
+
+// Ingredients at or below their low stock level, lowest stock first
+function getLowStockIngredients(ingredients) {
+  return (ingredients || [])
+    .filter(ingredient => ingredient.stock <= (ingredient.lowStockThreshold || 0))
+    .sort((a, b) => a.stock - b.stock);
+}
+
+module.exports = {
+  INGREDIENT_UNITS,
+  roundQuantity,
+  normalizeIngredient,
+  normalizeRecipe,
+  getIngredientUsage,
+  canMakeItem,
+  applyStockAvailability,
+  checkStock,
+  deductOrderStock,
+  getLowStockIngredients
+};
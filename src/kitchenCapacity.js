@@ -0,0 +1,73 @@
+/**
+ * Kitchen Capacity Module
+ *
+ * How busy the kitchen is - open tickets and the items still to make at
+ * each station - against the limits in settings.kitchenCapacity. When a new
+ * online order would go over a limit the order is either quoted a longer
+ * wait or turned away until the kitchen catches up.
+ */
+
+const { KITCHEN_STATIONS, getLineStation, isLineBumped } = require('./kitchenStations');
+const { KITCHEN_HIDDEN_PAYMENT_STATUSES, isAwaitingCardPayment } = require('./payments');
+const { DEFAULT_PREP_MINUTES } = require('./ticketTimes');
+const { isDueInKitchen } = require('./pickupSlots');
+
+// Orders the kitchen still has to make
+const OPEN_TICKET_STATUSES = ['pending', 'confirmed', 'preparing'];
+
+// Items per station of order lines not bumped yet, as { grill: 3, ... }
+function countStationItems(lines, categories, counts = {}) {
+  (lines || []).filter(line => !isLineBumped(line)).forEach(line => {
+    const station = getLineStation(line, categories);
+    counts[station] = (counts[station] || 0) + parseInt(line.qty || line.quantity || 1);
+  });
+  return counts;
+}
+
+// The kitchen's current load: open tickets on the screens and the items left at each station.
+// With `includeAwaitingPayment`, card orders still being paid count too - they reach the
+// kitchen once paid, so they count when deciding whether to take another order.
+function getKitchenLoad(orders, categories, now = new Date(), { includeAwaitingPayment = false } = {}) {
+  const openOrders = (orders || []).filter(order =>
+    OPEN_TICKET_STATUSES.includes(order.status || 'pending') &&
+    (!KITCHEN_HIDDEN_PAYMENT_STATUSES.includes(order.paymentStatus) ||
+      (includeAwaitingPayment && isAwaitingCardPayment(order, now))) &&
+    isDueInKitchen(order, now));
+
+  const stationItems = {};
+  KITCHEN_STATIONS.forEach(station => {
+    stationItems[station.id] = 0;
+  });
+  openOrders.forEach(order => countStationItems(order.items, categories, stationItems));
+  return { openTickets: openOrders.length, stationItems };
+}
+
+// Whether taking an order with these lines would go over a capacity limit. Only the
+// stations the order needs count; without lines, every station must have room for one
+// more item. Returns { full, reasons }.
+function checkKitchenCapacity(capacity, load, lines, categories) {
+  const reasons = [];
+  if (capacity.maxOpenTickets && load.openTickets + 1 > capacity.maxOpenTickets) {
+    reasons.push(`${load.openTickets} open tickets`);
+  }
+  if (capacity.maxItemsPerStation) {
+    const adding = lines ? countStationItems(lines, categories) : {};
+    KITCHEN_STATIONS
+      .filter(station => !lines || adding[station.id])
+      .filter(station => (load.stationItems[station.id] || 0) + (adding[station.id] || 1) > capacity.maxItemsPerStation)
+      .forEach(station => reasons.push(`${station.name} has ${load.stationItems[station.id] || 0} items to make`));
+  }
+  return { full: reasons.length > 0, reasons };
+}
+
+// Minutes to quote a customer: the order's prep time, plus the busy surcharge when full
+function quoteWaitMinutes(prepMinutes, capacity, full) {
+  return (prepMinutes || DEFAULT_PREP_MINUTES) + (full ? capacity.busyExtraMinutes : 0);
+}
+
+module.exports = {
+  OPEN_TICKET_STATUSES,
+  getKitchenLoad,
+  checkKitchenCapacity,
+  quoteWaitMinutes
+};
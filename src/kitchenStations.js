@@ -0,0 +1,107 @@
+/**
+ * Kitchen Stations Module
+ *
+ * Routes order lines to kitchen stations (grill, fryer, bar, desserts)
+ * based on the item's category, and tracks which lines each station has
+ * bumped as done.
+ */
+
+const KITCHEN_STATIONS = [
+  { id: 'grill', name: 'Grill', icon: '🔥' },
+  { id: 'fryer', name: 'Fryer', icon: '🍟' },
+  { id: 'bar', name: 'Bar', icon: '🍹' },
+  { id: 'desserts', name: 'Desserts', icon: '🍰' }
+];
+
+// Lines whose category has no station go to the first station so nothing is left off a ticket
+const DEFAULT_KITCHEN_STATION = KITCHEN_STATIONS[0].id;
+
+// Items can only be bumped once the order is in the kitchen's hands
+const BUMPABLE_ORDER_STATUSES = ['confirmed', 'preparing'];
+
+function isKitchenStation(stationId) {
+  return KITCHEN_STATIONS.some(station => station.id === stationId);
+}
+
+function getKitchenStation(stationId) {
+  return KITCHEN_STATIONS.find(station => station.id === stationId) || null;
+}
+
+// Station for a menu category, falling back to the default station
+function getStationForCategory(categories, categoryId) {
+  const category = (categories || []).find(cat => cat.id === categoryId);
+  if (category && isKitchenStation(category.station)) {
+    return category.station;
+  }
+  return DEFAULT_KITCHEN_STATION;
+}
+
+// Station of an order line. Lines are stamped when the order is placed;
+// older orders are routed by their category instead.
+function getLineStation(line, categories) {
+  if (line && isKitchenStation(line.station)) {
+    return line.station;
+  }
+  return getStationForCategory(categories, line && line.category_id);
+}
+
+// Stamp each line with its station so later category changes don't move live tickets
+function assignStations(lines, categories) {
+  lines.forEach(line => {
+    line.station = getStationForCategory(categories, line.category_id);
+  });
+  return lines;
+}
+
+// Lines of an order that belong to one station, with their index in order.items
+function getStationLines(order, stationId, categories) {
+  return ((order && order.items) || [])
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => getLineStation(line, categories) === stationId);
+}
+
+function isLineBumped(line) {
+  return Boolean(line && line.bumpedAt);
+}
+
+function allLinesBumped(order) {
+  const items = (order && order.items) || [];
+  return items.length > 0 && items.every(isLineBumped);
+}
+
+// Mark one line as done (or take it back with bumped = false).
+// Returns { changed, error } - bumping a line twice is a no-op.
+function bumpOrderLine(order, lineIndex, actor, bumped = true) {
+  const status = (order && order.status) || 'pending';
+  if (!BUMPABLE_ORDER_STATUSES.includes(status)) {
+    return { changed: false, error: `Order is ${status}, items cannot be bumped` };
+  }
+
+  const line = order.items && order.items[lineIndex];
+  if (!Number.isInteger(lineIndex) || !line) {
+    return { changed: false, error: `Order has no line ${lineIndex}` };
+  }
+
+  if (isLineBumped(line) === bumped) {
+    return { changed: false, error: null };
+  }
+
+  line.bumpedAt = bumped ? new Date() : null;
+  line.bumpedBy = bumped ? (actor || 'system') : null;
+  return { changed: true, error: null };
+}
+
+module.exports = {
+  KITCHEN_STATIONS,
+  DEFAULT_KITCHEN_STATION,
+  BUMPABLE_ORDER_STATUSES,
+  isKitchenStation,
+  getKitchenStation,
+  getStationForCategory,
+  getLineStation,
+  assignStations,
+  getStationLines,
+  isLineBumped,
+  allLinesBumped,
+  bumpOrderLine
+};
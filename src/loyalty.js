@@ -0,0 +1,307 @@
+/**
+ * Loyalty Module
+ *
+ * Points for customers on the client list. Completed orders earn points per
+ * euro spent, boosted by the customer's tier; points can be redeemed as a
+ * discount on a new order, with a one-time code emailed to the customer so
+ * knowing their email isn't enough. Every earn and burn is kept in the
+ * client's ledger along with the balance it left.
+ */
+
+const crypto = require('crypto');
+const { roundMoney } = require('./pricing');
+const { getRefundedAmount } = require('./refunds');
+
+const LOYALTY_ENTRY_TYPES = ['earn', 'redeem', 'refund', 'adjust'];
+
+// Redeem codes: 6 digits, good for 15 minutes and a few wrong tries
+const REDEEM_CODE_DIGITS = 6;
+const REDEEM_CODE_MINUTES = 15;
+const REDEEM_CODE_MAX_ATTEMPTS = 5;
+
+// Tiers are reached by lifetime points earned, so redeeming never drops a tier
+const DEFAULT_LOYALTY_TIERS = [
+  { name: 'Bronze', minPoints: 0, multiplier: 1 },
+  { name: 'Silver', minPoints: 500, multiplier: 1.25 },
+  { name: 'Gold', minPoints: 1500, multiplier: 1.5 }
+];
+
+function createDefaultLoyaltySettings() {
+  return {
+    enabled: true,
+    pointsPerEuro: 1,
+    pointValue: 0.05, // Euro per point when redeemed, so 100 points take 5.00 off
+    minRedeemPoints: 100,
+    tiers: DEFAULT_LOYALTY_TIERS.map(tier => ({ ...tier }))
+  };
+}
+
+function isWholeNumber(value, min) {
+  return Number.isInteger(value) && value >= min;
+}
+
+function normalizeTiers(input, errors) {
+  if (!Array.isArray(input) || input.length === 0) {
+    errors.push('At least one loyalty tier is required');
+    return [];
+  }
+
+  const tiers = input.map((value, index) => {
+    const data = value || {};
+    const tier = {
+      name: String(data.name || '').trim(),
+      minPoints: Number(data.minPoints),
+      multiplier: Number(data.multiplier)
+    };
+    const label = tier.name || `Tier ${index + 1}`;
+
+    if (!tier.name) {
+      errors.push(`Tier ${index + 1}: name is required`);
+    }
+    if (data.minPoints === '' || data.minPoints === null || !isWholeNumber(tier.minPoints, 0)) {
+      errors.push(`${label}: points needed must be a whole number, zero or more`);
+    }
+    if (data.multiplier === '' || data.multiplier === null || isNaN(tier.multiplier) || tier.multiplier <= 0) {
+      errors.push(`${label}: multiplier must be more than zero`);
+    } else {
+      tier.multiplier = Math.round(tier.multiplier * 100) / 100;
+    }
+    return tier;
+  }).sort((a, b) => a.minPoints - b.minPoints);
+
+  if (tiers.some((tier, index) => index > 0 && tier.minPoints === tiers[index - 1].minPoints)) {
+    errors.push('Two loyalty tiers need the same number of points');
+  }
+  if (tiers[0].minPoints !== 0) {
+    errors.push('The first loyalty tier must start at 0 points');
+  }
+  return tiers;
+}
+
+// Validate the loyalty settings and merge them onto the current ones.
+// Returns { loyalty, errors }.
+function normalizeLoyaltySettings(input, current) {
+  const errors = [];
+  const data = input || {};
+  const loyalty = { ...createDefaultLoyaltySettings(), ...current };
+  const has = field => data[field] !== undefined;
+
+  if (has('enabled')) loyalty.enabled = data.enabled === true || data.enabled === 'true';
+
+  if (has('pointsPerEuro')) {
+    loyalty.pointsPerEuro = Number(data.pointsPerEuro);
+    if (data.pointsPerEuro === '' || data.pointsPerEuro === null || isNaN(loyalty.pointsPerEuro) || loyalty.pointsPerEuro < 0) {
+      errors.push('Points per euro must be zero or more');
+    }
+  }
+  if (has('pointValue')) {
+    loyalty.pointValue = Number(data.pointValue);
+    if (data.pointValue === '' || data.pointValue === null || isNaN(loyalty.pointValue) || loyalty.pointValue <= 0) {
+      errors.push('Point value must be more than zero');
+    } else {
+      loyalty.pointValue = Math.round(loyalty.pointValue * 10000) / 10000;
+    }
+  }
+  if (has('minRedeemPoints')) {
+    loyalty.minRedeemPoints = Number(data.minRedeemPoints);
+    if (!isWholeNumber(loyalty.minRedeemPoints, 1)) {
+      errors.push('Minimum points to redeem must be a positive whole number');
+    }
+  }
+  if (has('tiers')) {
+    loyalty.tiers = normalizeTiers(data.tiers, errors);
+  }
+
+  return { loyalty, errors };
+}
+
+// Client list entries are matched on email regardless of case
+function findClientByEmail(clients, email) {
+  const wanted = String(email || '').trim().toLowerCase();
+  if (!wanted) return null;
+  return (clients || []).find(client => String(client.email || '').toLowerCase() === wanted) || null;
+}
+
+function getLoyaltyTier(loyalty, lifetimePoints) {
+  const tiers = (loyalty && loyalty.tiers) || [];
+  return tiers.filter(tier => tier.minPoints <= (lifetimePoints || 0)).pop() || tiers[0] || null;
+}
+
+// A client's balance, tier and how far the next tier is
+function getLoyaltySummary(client, loyalty) {
+  const points = (client && client.loyaltyPoints) || 0;
+  const lifetimePoints = (client && client.lifetimePoints) || 0;
+  const tier = getLoyaltyTier(loyalty, lifetimePoints);
+  const nextTier = ((loyalty && loyalty.tiers) || []).find(other => other.minPoints > lifetimePoints) || null;
+
+  return {
+    points,
+    lifetimePoints,
+    value: roundMoney(points * ((loyalty && loyalty.pointValue) || 0)),
+    tier: tier ? tier.name : null,
+    multiplier: tier ? tier.multiplier : 1,
+    nextTier: nextTier ? nextTier.name : null,
+    pointsToNextTier: nextTier ? nextTier.minPoints - lifetimePoints : null
+  };
+}
+
+// Points for spending an amount, at the client's current tier. Part points are dropped.
+function calculatePointsEarned(amount, client, loyalty) {
+  const tier = getLoyaltyTier(loyalty, client && client.lifetimePoints);
+  const points = Math.max(0, Number(amount) || 0) * loyalty.pointsPerEuro * (tier ? tier.multiplier : 1);
+  return Math.floor(Math.round(points * 100) / 100);
+}
+
+// Check a request to redeem points on an order that has maxDiscount left to take off.
+// Returns { points, discount } or { error }.
+function calculateRedemption(client, requested, maxDiscount, loyalty) {
+  if (requested === undefined || requested === null || requested === '' || Number(requested) === 0) {
+    return { points: 0, discount: 0 };
+  }
+
+  const points = Number(requested);
+  if (!isWholeNumber(points, 1)) {
+    return { error: 'Points to redeem must be a positive whole number' };
+  }
+  if (!loyalty || !loyalty.enabled) {
+    return { error: 'Loyalty points can not be redeemed at the moment' };
+  }
+  if (!client || !client.loyaltyPoints) {
+    return { error: 'There are no loyalty points for this email address' };
+  }
+  if (points > client.loyaltyPoints) {
+    return { error: `Only ${client.loyaltyPoints} points are available` };
+  }
+  if (points < loyalty.minRedeemPoints) {
+    return { error: `Redeem at least ${loyalty.minRedeemPoints} points` };
+  }
+
+  const discount = roundMoney(points * loyalty.pointValue);
+  if (discount > maxDiscount + 0.005) {
+    return { error: `At most ${Math.floor(roundMoney(maxDiscount) / loyalty.pointValue)} points can be redeemed on this order` };
+  }
+  return { points, discount };
+}
+
+function hashRedeemCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim()).digest('hex');
+}
+
+// Give the client a new redeem code in place of any earlier one and return it.
+// Only its hash is kept on the client.
+function createRedeemCode(client, now = new Date(), randomInt = crypto.randomInt) {
+  const code = String(randomInt(10 ** REDEEM_CODE_DIGITS)).padStart(REDEEM_CODE_DIGITS, '0');
+  client.redeemCode = {
+    hash: hashRedeemCode(code),
+    expiresAt: new Date(now.getTime() + REDEEM_CODE_MINUTES * 60000).toISOString(),
+    attempts: 0
+  };
+  return code;
+}
+
+// Check the code sent to redeem points. A wrong code counts as a try, and the code
+// stops working after too many. The error is the same whether or not the email has
+// points, so it can't be used to find out. Returns {} or { error }.
+function checkRedeemCode(client, code, now = new Date()) {
+  if (!code || !String(code).trim()) {
+    return { error: 'Enter the code we emailed you to redeem points' };
+  }
+  const stored = client && client.redeemCode;
+  const usable = stored && new Date(stored.expiresAt) > now && stored.attempts < REDEEM_CODE_MAX_ATTEMPTS;
+  if (!usable || !crypto.timingSafeEqual(Buffer.from(hashRedeemCode(code)), Buffer.from(stored.hash))) {
+    if (usable) {
+      client.redeemCode = { ...stored, attempts: stored.attempts + 1 };
+    }
+    return { error: 'The code is wrong or has expired, ask for a new one' };
+  }
+  return {};
+}
+
+// The code is used up once points are redeemed with it
+function clearRedeemCode(client) {
+  client.redeemCode = null;
+}
+
+// The email with a redeem code
+function buildRedeemCodeEmail(code, { restaurantName } = {}) {
+  return {
+    subject: `Your code to redeem points - ${restaurantName}`,
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #333;">${restaurantName}</h2>
+          <p style="color: #666; font-size: 16px;">Use this code to redeem your loyalty points on your order:</p>
+          <p style="font-size: 32px; font-weight: bold; letter-spacing: 6px; color: #ff6b35;">${code}</p>
+          <p style="color: #666; font-size: 14px;">It works for ${REDEEM_CODE_MINUTES} minutes. If you didn't ask for it, you can ignore this email.</p>
+        </div>
+      `
+  };
+}
+
+// Record points added (positive) or taken (negative) and update the balance.
+// Earned points also count towards the client's tier.
+function addLedgerEntry(client, { type, points, orderId, note, actor }, now = new Date()) {
+  if (!client.loyaltyLedger) client.loyaltyLedger = [];
+  client.loyaltyPoints = (client.loyaltyPoints || 0) + points;
+  if (type === 'earn') {
+    client.lifetimePoints = (client.lifetimePoints || 0) + points;
+  }
+
+  const entry = {
+    id: client.loyaltyLedger.length + 1,
+    type,
+    points,
+    balance: client.loyaltyPoints,
+    orderId: orderId || null,
+    note: note || '',
+    actor: actor || null,
+    createdAt: now.toISOString()
+  };
+  client.loyaltyLedger.push(entry);
+  return entry;
+}
+
+function findOrderEntries(client, orderId, type) {
+  return (client.loyaltyLedger || []).filter(entry => entry.orderId === orderId && entry.type === type);
+}
+
+// Points an order's status change is worth: completed orders earn on what was paid
+// (after refunds), cancelled orders give back the points redeemed on them. Each
+// happens once per order. Returns the ledger entry, or null when nothing changed.
+function settleOrderPoints(order, client, loyalty, actor) {
+  if (!client) return null;
+
+  if (order.status === 'completed') {
+    if (!loyalty || !loyalty.enabled || findOrderEntries(client, order.id, 'earn').length > 0) return null;
+    const points = calculatePointsEarned(roundMoney((Number(order.total) || 0) - getRefundedAmount(order)), client, loyalty);
+    if (points <= 0) return null;
+    return addLedgerEntry(client, { type: 'earn', points, orderId: order.id, note: `Order #${order.id}`, actor });
+  }
+
+  if (order.status === 'cancelled') {
+    const redeemed = findOrderEntries(client, order.id, 'redeem').reduce((sum, entry) => sum - entry.points, 0);
+    if (redeemed <= 0 || findOrderEntries(client, order.id, 'refund').length > 0) return null;
+    return addLedgerEntry(client, { type: 'refund', points: redeemed, orderId: order.id, note: `Order #${order.id} cancelled`, actor });
+  }
+
+  return null;
+}
+
+module.exports = {
+  LOYALTY_ENTRY_TYPES,
+  REDEEM_CODE_MINUTES,
+  REDEEM_CODE_MAX_ATTEMPTS,
+  DEFAULT_LOYALTY_TIERS,
+  createDefaultLoyaltySettings,
+  normalizeLoyaltySettings,
+  findClientByEmail,
+  getLoyaltyTier,
+  getLoyaltySummary,
+  calculatePointsEarned,
+  calculateRedemption,
+  createRedeemCode,
+  checkRedeemCode,
+  clearRedeemCode,
+  buildRedeemCodeEmail,
+  addLedgerEntry,
+  settleOrderPoints
+};
@@ -0,0 +1,195 @@
+/**
+ * Modifiers Module
+ *
+ * Modifier groups on menu items (size, doneness, extras, removals) with
+ * min/max selection rules and price deltas, and validation of the
+ * selections a customer sends with an order line
+ */
+
+// Round a price delta to cents
+function roundDelta(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+// Resolve a multilingual name to a plain string. Lives here rather than in pricing.js,
+// which requires this module; everything else imports it from pricing.js.
+function resolveName(name, fallback = '') {
+  if (!name) return fallback;
+  if (typeof name === 'string') return name;
+  return name.en || Object.values(name)[0] || fallback;
+}
+
+// Build an id from a name when the admin didn't provide one
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Validate and clean modifier groups sent from the admin menu editor.
+// Returns { groups, errors } - any error means the item must not be saved.
+function normalizeModifierGroups(groups) {
+  const errors = [];
+
+  if (groups === undefined || groups === null) {
+    return { groups: [], errors };
+  }
+
+  if (!Array.isArray(groups)) {
+    return { groups: [], errors: ['modifierGroups must be an array'] };
+  }
+
+  const groupIds = new Set();
+  const normalized = groups.map((group, groupIndex) => {
+    const label = `Modifier group ${groupIndex + 1}`;
+    if (!group || !group.name) {
+      errors.push(`${label}: a name is required`);
+      return null;
+    }
+
+    const id = String(group.id || slugify(resolveName(group.name, '')));
+    if (!id) {
+      errors.push(`${label}: a valid id is required`);
+      return null;
+    }
+    if (groupIds.has(id)) {
+      errors.push(`${label}: duplicate group id "${id}"`);
+      return null;
+    }
+    groupIds.add(id);
+
+    const minSelect = group.minSelect === undefined ? 0 : parseInt(group.minSelect);
+    const maxSelect = group.maxSelect === undefined ? 1 : parseInt(group.maxSelect);
+    if (isNaN(minSelect) || minSelect < 0) {
+      errors.push(`${label}: minSelect must be zero or more`);
+    }
+    if (isNaN(maxSelect) || maxSelect < 1 || maxSelect < minSelect) {
+      errors.push(`${label}: maxSelect must be at least 1 and not below minSelect`);
+    }
+
+    if (!Array.isArray(group.options) || group.options.length === 0) {
+      errors.push(`${label}: at least one option is required`);
+      return null;
+    }
+
+    const optionIds = new Set();
+    const options = group.options.map((option, optionIndex) => {
+      const optionLabel = `${label}, option ${optionIndex + 1}`;
+      if (!option || !option.name) {
+        errors.push(`${optionLabel}: a name is required`);
+        return null;
+      }
+
+      const optionId = String(option.id || slugify(resolveName(option.name, '')));
+      if (!optionId || optionIds.has(optionId)) {
+        errors.push(`${optionLabel}: a unique id is required`);
+        return null;
+      }
+      optionIds.add(optionId);
+
+      const priceDelta = option.priceDelta === undefined ? 0 : parseFloat(option.priceDelta);
+      if (isNaN(priceDelta)) {
+        errors.push(`${optionLabel}: priceDelta must be a number`);
+        return null;
+      }
+
+      return {
+        id: optionId,
+        name: option.name,
+        priceDelta: roundDelta(priceDelta),
+        active: option.active !== false
+      };
+    }).filter(Boolean);
+
+    if (minSelect > options.length) {
+      errors.push(`${label}: minSelect is larger than the number of options`);
+    }
+
+    return {
+      id,
+      name: group.name,
+      minSelect,
+      maxSelect,
+      options
+    };
+  }).filter(Boolean);
+
+  return { groups: normalized, errors };
+}
+
+// Validate the modifiers chosen for one order line against the menu item.
+// selections: [{ groupId, optionId }]
+// Returns { modifiers, priceDelta, errors } where priceDelta is per unit.
+function resolveModifierSelections(menuItem, selections) {
+  const errors = [];
+  const groups = (menuItem && menuItem.modifierGroups) || [];
+
+  if (selections !== undefined && selections !== null && !Array.isArray(selections)) {
+    return { modifiers: [], priceDelta: 0, errors: ['modifiers must be an array'] };
+  }
+
+  const modifiers = [];
+  const counts = {};
+  const seen = new Set();
+
+  (selections || []).forEach(selection => {
+    const groupId = String(selection && selection.groupId);
+    const optionId = String(selection && selection.optionId);
+    const group = groups.find(g => g.id === groupId);
+
+    if (!group) {
+      errors.push(`unknown modifier group "${groupId}"`);
+      return;
+    }
+
+    const option = (group.options || []).find(o => o.id === optionId);
+    if (!option) {
+      errors.push(`unknown option "${optionId}" in ${resolveName(group.name, groupId)}`);
+      return;
+    }
+
+    if (option.active === false) {
+      errors.push(`${resolveName(option.name, optionId)} is currently unavailable`);
+      return;
+    }
+
+    const key = `${groupId}:${optionId}`;
+    if (seen.has(key)) {
+      errors.push(`${resolveName(option.name, optionId)} was selected more than once`);
+      return;
+    }
+    seen.add(key);
+
+    counts[groupId] = (counts[groupId] || 0) + 1;
+    modifiers.push({
+      groupId,
+      groupName: resolveName(group.name, groupId),
+      optionId,
+      name: resolveName(option.name, optionId),
+      priceDelta: roundDelta(option.priceDelta)
+    });
+  });
+
+  groups.forEach(group => {
+    const count = counts[group.id] || 0;
+    const minSelect = group.minSelect || 0;
+    const maxSelect = group.maxSelect === undefined ? 1 : group.maxSelect;
+    const groupName = resolveName(group.name, group.id);
+
+    if (count < minSelect) {
+      errors.push(`choose at least ${minSelect} from ${groupName}`);
+    } else if (count > maxSelect) {
+      errors.push(`choose at most ${maxSelect} from ${groupName}`);
+    }
+  });
+
+  const priceDelta = roundDelta(modifiers.reduce((sum, modifier) => sum + modifier.priceDelta, 0));
+  return { modifiers, priceDelta, errors };
+}
+
+module.exports = {
+  resolveName,
+  normalizeModifierGroups,
+  resolveModifierSelections
+};
@@ -0,0 +1,88 @@
+/**
+ * Order Events Module
+ *
+ * Server-Sent Events for the kitchen and waiter screens. Routes publish
+ * order-created, order-status-changed and order-edited events and every
+ * connected screen receives them straight away instead of polling.
+ */
+
+const ORDER_EVENT_TYPES = ['order-created', 'order-status-changed', 'order-edited'];
+
+// Comment lines keep idle connections open through proxies
+const HEARTBEAT_INTERVAL = 25000;
+
+// Browsers reconnect after this many milliseconds when the stream drops
+const RECONNECT_DELAY = 3000;
+
+// Data sent with each event - screens fetch the rendered card themselves
+function summarizeOrder(order) {
+  return {
+    id: order.id,
+    status: order.status,
+    paymentStatus: order.paymentStatus,
+    tableNumber: order.tableNumber || null,
+    updatedAt: order.updatedAt || new Date().toISOString()
+  };
+}
+
+// Create an event hub. Each subscriber is one open EventSource connection;
+// an optional filter decides which orders that connection may hear about.
+function createOrderEvents(options = {}) {
+  const clients = new Set();
+  const heartbeatInterval = options.heartbeatInterval || HEARTBEAT_INTERVAL;
+
+  function subscribe(req, res, role, filter) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+
+    const client = { role, res, filter };
+    clients.add(client);
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, heartbeatInterval);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+
+    return client;
+  }
+
+  // Send an event to every matching subscriber; returns how many received it
+  function publish(type, order) {
+    if (!ORDER_EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown order event type "${type}"`);
+    }
+    if (!order) return 0;
+
+    const message = `event: ${type}\ndata: ${JSON.stringify(summarizeOrder(order))}\n\n`;
+    let delivered = 0;
+    clients.forEach(client => {
+      if (client.filter && !client.filter(order)) return;
+      client.res.write(message);
+      delivered++;
+    });
+
+    return delivered;
+  }
+
+  function clientCount(role) {
+    if (!role) return clients.size;
+    return Array.from(clients).filter(client => client.role === role).length;
+  }
+
+  return { subscribe, publish, clientCount };
+}
+
+module.exports = {
+  ORDER_EVENT_TYPES,
+  summarizeOrder,
+  createOrderEvents
+};
@@ -0,0 +1,127 @@
+/**
+ * Order Notifications Module
+ *
+ * Emails to the customer when their order is confirmed, ready for pickup or
+ * cancelled. Each is sent at most once per order: the order keeps a record
+ * per status in `notifications`, claimed before sending so a retried status
+ * change or a second screen can't send it twice. Admins turn each kind on or
+ * off in settings.notifications.
+ */
+
+const ORDER_NOTIFICATION_TYPES = ['confirmed', 'ready', 'cancelled'];
+
+const ORDER_NOTIFICATION_LABELS = {
+  confirmed: 'Order confirmed',
+  ready: 'Ready for pickup',
+  cancelled: 'Order cancelled'
+};
+
+// Ready emails only make sense when the customer comes to collect the order
+const READY_NOTIFICATION_ORDER_TYPES = ['takeaway'];
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, character => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[character]);
+}
+
+// Whether moving the order into `status` should email the customer: the kind is
+// turned on, the order has an email and it hasn't been sent (or claimed) before
+function shouldNotify(order, status, settings) {
+  if (!ORDER_NOTIFICATION_TYPES.includes(status)) return false;
+  if (!settings || !settings.notifications || !settings.notifications[status]) return false;
+  if (!order || !order.customerEmail) return false;
+  if (status === 'ready' && !READY_NOTIFICATION_ORDER_TYPES.includes(order.orderType)) return false;
+  return !(order.notifications && order.notifications[status]);
+}
+
+// Mark the email as being sent before it goes out. Returns false when it already was.
+// The notifications object is replaced rather than changed so mongoose notices.
+function claimNotification(order, status, now = new Date()) {
+  if (order.notifications && order.notifications[status]) return false;
+  order.notifications = { ...order.notifications, [status]: { state: 'sending', at: now.toISOString() } };
+  return true;
+}
+
+function markNotificationSent(order, status, messageId, now = new Date()) {
+  order.notifications = {
+    ...order.notifications,
+    [status]: { state: 'sent', at: now.toISOString(), messageId: messageId || null }
+  };
+}
+
+// Give up the claim after a failed send so a later retry can send it
+function releaseNotification(order, status) {
+  const { [status]: released, ...notifications } = order.notifications || {};
+  order.notifications = notifications;
+}
+
+function getReadyMessage(order) {
+  return order.pickupTime
+    ? `Your order is ready for pickup at your ${new Date(order.pickupTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })} slot. See you soon!`
+    : 'Your order is ready for pickup. See you soon!';
+}
+
+// The subject and body of a status email. `reason` is shown on cancellations.
+function buildStatusEmail(order, status, { restaurantName, trackingUrl, reason } = {}) {
+  const name = escapeHtml(order.customerName || 'there');
+  const messages = {
+    confirmed: {
+      subject: `Your order #${order.id} is confirmed - ${restaurantName}`,
+      heading: 'Order Confirmed',
+      text: order.quotedWaitMinutes
+        ? `We've confirmed your order and the kitchen is on it. It should be ready in about ${order.quotedWaitMinutes} minutes.`
+        : "We've confirmed your order and the kitchen is on it."
+    },
+    ready: {
+      subject: `Your order #${order.id} is ready for pickup - ${restaurantName}`,
+      heading: 'Ready for Pickup',
+      text: getReadyMessage(order)
+    },
+    cancelled: {
+      subject: `Your order #${order.id} was cancelled - ${restaurantName}`,
+      heading: 'Order Cancelled',
+      text: "We're sorry, your order was cancelled."
+    }
+  };
+  const message = messages[status];
+
+  return {
+    subject: message.subject,
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #ff6b35, #f7931e); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">🍔 ${restaurantName}</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px;">${message.heading}</p>
+          </div>
+
+          <div style="background: white; padding: 30px; border: 1px solid #e0e0e0; border-top: none;">
+            <h2 style="color: #333; margin-top: 0;">Hello ${name}!</h2>
+            <p style="color: #666; font-size: 16px;">${message.text}</p>
+            ${status === 'cancelled' && reason ? `<p style="color: #666; font-size: 16px;"><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+            <p style="color: #666; font-size: 14px;">Order #${order.id}</p>
+            ${trackingUrl && status !== 'cancelled' ? `
+            <div style="text-align: center; margin: 20px 0;">
+              <a href="${trackingUrl}" style="display: inline-block; background: #ff6b35; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Track your order</a>
+            </div>
+            ` : ''}
+          </div>
+
+          <div style="background: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 10px 10px; font-size: 14px;">
+            <p style="margin: 0;">© ${new Date().getFullYear()} ${restaurantName}. All rights reserved.</p>
+          </div>
+        </div>
+      `
+  };
+}
+
+module.exports = {
+  ORDER_NOTIFICATION_TYPES,
+  ORDER_NOTIFICATION_LABELS,
+  READY_NOTIFICATION_ORDER_TYPES,
+  shouldNotify,
+  claimNotification,
+  markNotificationSent,
+  releaseNotification,
+  buildStatusEmail
+};
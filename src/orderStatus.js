@@ -0,0 +1,93 @@
+/**
+ * Order Status Module
+ *
+ * The order lifecycle as a state machine. Every status change goes
+ * through transitionOrderStatus so the allowed moves live in one place
+ * and each change is recorded in the order's statusHistory.
+ */
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'served', 'completed', 'cancelled'];
+
+// Allowed moves from each status. Completed and cancelled are final.
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['preparing', 'cancelled'],
+  preparing: ['ready', 'cancelled'],
+  ready: ['served', 'cancelled'],
+  served: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+// Statuses the kitchen may move an order to; serving and completing is front of house
+const KITCHEN_ORDER_STATUSES = ['confirmed', 'preparing', 'ready', 'cancelled'];
+
+// Button labels for moving an order into each status
+const ORDER_STATUS_ACTIONS = {
+  confirmed: 'Confirm Order',
+  preparing: 'Start Preparing',
+  ready: 'Mark Ready',
+  served: 'Mark Served',
+  completed: 'Mark Complete',
+  cancelled: 'Cancel Order'
+};
+
+// Orders saved before the state machine may have no status
+function getOrderStatus(order) {
+  return (order && order.status) || 'pending';
+}
+
+// Statuses an order can move to next
+function getNextStatuses(status) {
+  return ORDER_STATUS_TRANSITIONS[status || 'pending'] || [];
+}
+
+function canTransition(fromStatus, toStatus) {
+  return getNextStatuses(fromStatus).includes(toStatus);
+}
+
+// Move an order to a new status and record who did it.
+// Works on plain objects and mongoose documents alike.
+// Returns { changed, error } - setting the current status again is a no-op.
+function transitionOrderStatus(order, nextStatus, actor, note) {
+  const currentStatus = getOrderStatus(order);
+
+  if (!ORDER_STATUSES.includes(nextStatus)) {
+    return { changed: false, error: `Unknown order status "${nextStatus}"` };
+  }
+
+  if (currentStatus === nextStatus) {
+    return { changed: false, error: null };
+  }
+
+  if (!canTransition(currentStatus, nextStatus)) {
+    return { changed: false, error: `Order is ${currentStatus}, cannot move to ${nextStatus}` };
+  }
+
+  const at = new Date();
+  if (!order.statusHistory) {
+    order.statusHistory = [];
+  }
+  order.statusHistory.push({
+    from: currentStatus,
+    to: nextStatus,
+    actor: actor || 'system',
+    note: note || '',
+    at: at
+  });
+  order.status = nextStatus;
+  order.updatedAt = at.toISOString();
+
+  return { changed: true, error: null };
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  KITCHEN_ORDER_STATUSES,
+  ORDER_STATUS_ACTIONS,
+  getOrderStatus,
+  getNextStatuses,
+  canTransition,
+  transitionOrderStatus
+};
@@ -0,0 +1,144 @@
+/**
+ * Order Tracking Module
+ *
+ * The customer's view of an order after checkout. Each order gets a random
+ * tracking token - unlike the sequential order id it can't be guessed - and
+ * the tracking page shows the order's progress, when it should be ready and
+ * what was ordered, without the customer's contact details.
+ */
+
+const crypto = require('crypto');
+const { ORDER_STATUSES, getOrderStatus } = require('./orderStatus');
+const { ORDER_TYPE_LABELS, DELIVERY_STATUS_LABELS } = require('./delivery');
+const { getStatusTime, getTicketTiming } = require('./ticketTimes');
+
+// 16 random bytes as 32 hex characters
+const TRACKING_TOKEN_BYTES = 16;
+
+const TRACKING_TOKEN_PATTERN = /^[0-9a-f]{32}$/;
+
+// The steps shown to the customer for each order type
+const TRACKING_STEPS = {
+  'dine-in': ['pending', 'confirmed', 'preparing', 'ready', 'served'],
+  takeaway: ['pending', 'confirmed', 'preparing', 'ready', 'completed'],
+  delivery: ['pending', 'confirmed', 'preparing', 'ready', 'served', 'completed']
+};
+
+const TRACKING_STATUS_LABELS = {
+  pending: 'Order received',
+  confirmed: 'Confirmed',
+  preparing: 'Being prepared',
+  ready: 'Ready',
+  served: 'Served',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+// Wording that depends on the order type - a delivery order is "served" when it leaves
+const ORDER_TYPE_STATUS_LABELS = {
+  takeaway: { ready: 'Ready for pickup', completed: 'Picked up' },
+  delivery: { served: DELIVERY_STATUS_LABELS['out-for-delivery'], completed: DELIVERY_STATUS_LABELS.delivered }
+};
+
+// Statuses where the kitchen is done with the order
+const READY_STATUSES = ['ready', 'served', 'completed'];
+
+function generateTrackingToken(randomBytes = crypto.randomBytes) {
+  return randomBytes(TRACKING_TOKEN_BYTES).toString('hex');
+}
+
+function isTrackingToken(token) {
+  return TRACKING_TOKEN_PATTERN.test(String(token || ''));
+}
+
+function findOrderByTrackingToken(orders, token) {
+  if (!isTrackingToken(token)) return null;
+  return (orders || []).find(order => order.trackingToken === token) || null;
+}
+
+function getTrackingStatusLabel(status, orderType) {
+  const labels = ORDER_TYPE_STATUS_LABELS[orderType] || {};
+  return labels[status] || TRACKING_STATUS_LABELS[status] || status;
+}
+
+// The order's steps with the ones passed marked done. Statuses that aren't a step of
+// the order type count as the last step before them, e.g. a dine-in order completed
+// after paying has passed all of its steps.
+function getTrackingSteps(order) {
+  const status = getOrderStatus(order);
+  const orderType = order.orderType || 'dine-in';
+  const steps = TRACKING_STEPS[orderType] || TRACKING_STEPS['dine-in'];
+  const position = ORDER_STATUSES.indexOf(status);
+  const reached = status === 'cancelled'
+    ? -1
+    : steps.filter(step => ORDER_STATUSES.indexOf(step) <= position).length - 1;
+
+  return steps.map((step, index) => ({
+    status: step,
+    label: getTrackingStatusLabel(step, orderType),
+    done: index <= reached,
+    current: index === reached
+  }));
+}
+
+// When the order should be ready: the pickup slot for orders ahead, otherwise the
+// kitchen's expected time, never earlier than the wait quoted at checkout. Orders
+// the kitchen is done with give the time they were ready; cancelled ones null.
+function getEstimatedReadyTime(order, menuItems, now = new Date()) {
+  const status = getOrderStatus(order);
+  if (status === 'cancelled') return null;
+  if (READY_STATUSES.includes(status)) return getStatusTime(order, 'ready');
+  if (order.pickupTime) return new Date(order.pickupTime);
+
+  const timing = getTicketTiming(order, menuItems, now);
+  const quotedAt = order.quotedWaitMinutes
+    ? new Date(new Date(order.createdAt).getTime() + order.quotedWaitMinutes * 60000)
+    : null;
+  if (!timing) return quotedAt;
+  return quotedAt && quotedAt > timing.expectedReadyAt ? quotedAt : timing.expectedReadyAt;
+}
+
+// What the tracking page and endpoint show about an order
+function buildTrackingView(order, menuItems, now = new Date()) {
+  const status = getOrderStatus(order);
+  const orderType = order.orderType || 'dine-in';
+  const estimatedReadyAt = getEstimatedReadyTime(order, menuItems, now);
+
+  return {
+    orderId: order.id,
+    status,
+    statusLabel: getTrackingStatusLabel(status, orderType),
+    orderType,
+    orderTypeLabel: ORDER_TYPE_LABELS[orderType] || orderType,
+    steps: getTrackingSteps(order),
+    ready: READY_STATUSES.includes(status),
+    estimatedReadyAt: estimatedReadyAt ? estimatedReadyAt.toISOString() : null,
+    pickupTime: order.pickupTime ? new Date(order.pickupTime).toISOString() : null,
+    tableNumber: order.tableNumber || null,
+    delivery: order.delivery
+      ? { status: order.delivery.status, label: DELIVERY_STATUS_LABELS[order.delivery.status] || order.delivery.status }
+      : null,
+    items: (order.items || []).map(line => ({
+      name: line.name || `Item ${line.id}`,
+      qty: parseInt(line.qty || line.quantity || 1),
+      modifiers: (line.modifiers || []).map(modifier => modifier.name),
+      note: line.note || ''
+    })),
+    total: order.total,
+    paymentStatus: order.paymentStatus || null,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt || order.createdAt
+  };
+}
+
+module.exports = {
+  TRACKING_STEPS,
+  TRACKING_STATUS_LABELS,
+  generateTrackingToken,
+  isTrackingToken,
+  findOrderByTrackingToken,
+  getTrackingStatusLabel,
+  getTrackingSteps,
+  getEstimatedReadyTime,
+  buildTrackingView
+};
@@ -0,0 +1,163 @@
+/**
+ * Payments Module
+ *
+ * Stripe PaymentIntents for online orders and webhook event handling.
+ * The Stripe API host can be overridden so the flow runs against a local stub.
+ */
+
+const crypto = require('crypto');
+const Stripe = require('stripe');
+
+// Payment states stored on orders
+const PAYMENT_STATUSES = ['unpaid', 'pending', 'paid', 'failed', 'refunded', 'partially_refunded'];
+
+// Orders in these payment states are kept out of the kitchen queue
+const KITCHEN_HIDDEN_PAYMENT_STATUSES = ['pending', 'failed'];
+
+// Card orders left unpaid this long after being placed are abandoned checkouts
+const UNPAID_CARD_HOLD_MINUTES = 30;
+
+// Create a Stripe client from environment-style config, or null when not configured
+function createStripeClient(config = {}) {
+  const secretKey = config.secretKey || process.env.STRIPE_SECRET_KEY || process.env.STRIPE_SECRET;
+  if (!secretKey) {
+    return null;
+  }
+
+  const options = {};
+  const host = config.host || process.env.STRIPE_API_HOST;
+  if (host) {
+    options.host = host;
+    options.port = config.port || process.env.STRIPE_API_PORT || 443;
+    options.protocol = config.protocol || process.env.STRIPE_API_PROTOCOL || 'https';
+  }
+
+  return Stripe(secretKey, options);
+}
+
+// A random idempotency key, stored with what it pays for. Order ids start over when
+// the data is reset and a resubmitted order gets a new id, so neither makes a safe key.
+function generateIdempotencyKey(randomBytes = crypto.randomBytes) {
+  return randomBytes(16).toString('hex');
+}
+
+// Convert a money amount to the smallest currency unit Stripe expects
+function toMinorUnits(amount) {
+  return Math.round((Number(amount) || 0) * 100);
+}
+
+// Create a PaymentIntent for an order, charging any tip on top of the total and
+// leaving out what a gift card paid. The order's paymentIdempotencyKey makes a
+// retried request for the same order return the same PaymentIntent.
+async function createPaymentIntent(stripe, order, currency) {
+  const giftCardAmount = order.giftCard ? Number(order.giftCard.amount) || 0 : 0;
+  return stripe.paymentIntents.create({
+    amount: toMinorUnits((Number(order.total) || 0) + (Number(order.tip) || 0) - giftCardAmount),
+    currency: String(currency || 'eur').toLowerCase(),
+    receipt_email: order.customerEmail || undefined,
+    description: `Order #${order.id}`,
+    metadata: { orderId: String(order.id) },
+    automatic_payment_methods: { enabled: true }
+  }, {
+    idempotencyKey: `order-payment-intent-${order.paymentIdempotencyKey}`
+  });
+}
+
+// Create a PaymentIntent for a gift card bought online; the card is activated by the webhook.
+// Keyed like orders, by the card's paymentIdempotencyKey.
+async function createGiftCardPaymentIntent(stripe, giftCard, currency) {
+  return stripe.paymentIntents.create({
+    amount: toMinorUnits(giftCard.initialAmount),
+    currency: String(currency || 'eur').toLowerCase(),
+    receipt_email: giftCard.purchaserEmail || undefined,
+    description: `Gift card ${giftCard.code}`,
+    metadata: { giftCardId: String(giftCard.id) },
+    automatic_payment_methods: { enabled: true }
+  }, {
+    idempotencyKey: `gift-card-payment-intent-${giftCard.paymentIdempotencyKey}`
+  });
+}
+
+// Refund part or all of an order's PaymentIntent. Keyed by the random idempotencyKey
+// stored on the refund record - not its id, which starts again with the order ids
+// after a data reset - so a retried request never refunds twice.
+async function createRefund(stripe, order, amount, refund) {
+  return stripe.refunds.create({
+    payment_intent: order.paymentIntentId,
+    amount: toMinorUnits(amount),
+    metadata: { orderId: String(order.id), refundId: String(refund.id) }
+  }, {
+    idempotencyKey: `order-refund-${refund.idempotencyKey}`
+  });
+}
+
+// Verify a webhook signature and return the parsed event (throws when invalid)
+function verifyWebhookEvent(stripe, rawBody, signature, webhookSecret) {
+  return stripe.webhooks.constructEvent(rawBody, signature, webhookSecret);
+}
+
+// Map a Stripe event to the payment status it implies, or null when irrelevant
+function paymentStatusFromEvent(event) {
+  const object = event && event.data && event.data.object;
+  if (!object) return null;
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      return 'paid';
+    case 'payment_intent.payment_failed':
+    case 'payment_intent.canceled':
+      return 'failed';
+    case 'charge.refunded':
+      return object.amount_refunded >= object.amount ? 'refunded' : 'partially_refunded';
+    default:
+      return null;
+  }
+}
+
+// Find the PaymentIntent id an event refers to
+function paymentIntentIdFromEvent(event) {
+  const object = event && event.data && event.data.object;
+  if (!object) return null;
+  if (object.object === 'payment_intent') return object.id;
+  return object.payment_intent || null;
+}
+
+// Decide whether a webhook may move an order from its current payment status.
+// Stripe can deliver events out of order, so a late "succeeded" must not undo a refund.
+function canApplyPaymentStatus(currentStatus, nextStatus) {
+  if (!PAYMENT_STATUSES.includes(nextStatus)) return false;
+  if (currentStatus === nextStatus) return false;
+  if (currentStatus === 'refunded') return false;
+  if (currentStatus === 'partially_refunded') return nextStatus === 'refunded';
+  if (currentStatus === 'paid') return nextStatus === 'refunded' || nextStatus === 'partially_refunded';
+  return true;
+}
+
+// Whether the kitchen should see an order given its payment status
+function isKitchenVisible(order) {
+  return !KITCHEN_HIDDEN_PAYMENT_STATUSES.includes(order && order.paymentStatus);
+}
+
+// Whether a card payment is still expected for the order: pending, and not abandoned yet
+function isAwaitingCardPayment(order, now = new Date()) {
+  return order.paymentStatus === 'pending' &&
+    now - new Date(order.createdAt) < UNPAID_CARD_HOLD_MINUTES * 60000;
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  KITCHEN_HIDDEN_PAYMENT_STATUSES,
+  UNPAID_CARD_HOLD_MINUTES,
+  createStripeClient,
+  generateIdempotencyKey,
+  toMinorUnits,
+  createPaymentIntent,
+  createGiftCardPaymentIntent,
+  createRefund,
+  verifyWebhookEvent,
+  paymentStatusFromEvent,
+  paymentIntentIdFromEvent,
+  canApplyPaymentStatus,
+  isKitchenVisible,
+  isAwaitingCardPayment
+};
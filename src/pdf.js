@@ -0,0 +1,80 @@
+/**
+ * PDF Module
+ *
+ * Writes laid-out receipt rows (see receipts.js) as a single-page PDF the
+ * width of an 80mm receipt, using the built-in Courier fonts so the
+ * fixed-width layout lines up exactly like it does on the thermal printer.
+ */
+
+const FONT_SIZE = 8;
+const LINE_HEIGHT = 10;
+const MARGIN = 12;
+const PAGE_WIDTH = 227; // 80mm in points
+
+// WinAnsiEncoding matches Latin-1 above 0xA0; the euro sign sits at 0x80
+function toPdfString(text) {
+  let encoded = '';
+  for (const char of String(text)) {
+    let code = char.charCodeAt(0);
+    if (char === '€') {
+      code = 0x80;
+    } else if (code > 0xff) {
+      const plain = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      code = plain.length === 1 && plain.charCodeAt(0) <= 0xff ? plain.charCodeAt(0) : 0x3f;
+    }
+
+    if (char === '(' || char === ')' || char === '\\') {
+      encoded += `\\${char}`;
+    } else if (code < 0x20 || code > 0x7e) {
+      encoded += `\\${code.toString(8).padStart(3, '0')}`;
+    } else {
+      encoded += String.fromCharCode(code);
+    }
+  }
+  return `(${encoded})`;
+}
+
+// Render receipt rows as a PDF document buffer
+function renderReceiptPdf(rows, options = {}) {
+  const title = options.title || 'Receipt';
+  const pageHeight = MARGIN * 2 + Math.max(rows.length, 1) * LINE_HEIGHT;
+
+  const content = rows.map((row, index) => {
+    const y = pageHeight - MARGIN - (index + 1) * LINE_HEIGHT + 2;
+    const font = row.bold ? 'F2' : 'F1';
+    return `BT /${font} ${FONT_SIZE} Tf ${MARGIN} ${y} Td ${toPdfString(row.text)} Tj ET`;
+  }).join('\n');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${pageHeight}] ` +
+      '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>',
+    `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+    `<< /Title ${toPdfString(title)} /Producer (AROMA Restaurant) >>`
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(offset => {
+    pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+  pdf += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = {
+  toPdfString,
+  renderReceiptPdf
+};
@@ -0,0 +1,103 @@
+/**
+ * Pickup Slots Module
+ *
+ * Takeaway ordered ahead for a later pickup. Pickup slots are the quarter
+ * hours the restaurant is open, each taking a limited number of orders or
+ * items. An order ordered ahead reaches the kitchen when it is time to
+ * start cooking it - its pickup time less its prep time (see ticketTimes.js).
+ */
+
+const { isOpenAt } = require('./settings');
+
+const PICKUP_SLOT_MINUTES = 15;
+
+const MINUTE = 60 * 1000;
+
+// Orders and items already booked for the slot starting at `slotTime`. Cancelled
+// orders and card checkouts that failed don't hold on to their slot.
+function getSlotUsage(orders, slotTime) {
+  const start = slotTime.getTime();
+  return (orders || [])
+    .filter(order => order.pickupTime && order.status !== 'cancelled' && order.paymentStatus !== 'failed')
+    .filter(order => {
+      const time = new Date(order.pickupTime).getTime();
+      return time >= start && time < start + PICKUP_SLOT_MINUTES * MINUTE;
+    })
+    .reduce((usage, order) => ({
+      orders: usage.orders + 1,
+      items: usage.items + (order.items || []).reduce((sum, line) => sum + parseInt(line.qty || line.quantity || 1), 0)
+    }), { orders: 0, items: 0 });
+}
+
+// Whether a slot still has room for an order of `itemCount` items
+function hasRoom(pickup, usage, itemCount) {
+  if (pickup.maxOrdersPerSlot && usage.orders + 1 > pickup.maxOrdersPerSlot) return false;
+  if (pickup.maxItemsPerSlot && usage.items + itemCount > pickup.maxItemsPerSlot) return false;
+  return true;
+}
+
+// The pickup slots of one day from its opening hours, leaving out the ones too
+// soon to order for. Returns [{ time, available }] with `time` as an ISO string.
+function buildPickupSlots(settings, orders, day, now = new Date(), itemCount = 1) {
+  const pickup = settings.pickup;
+  if (!pickup || !pickup.enabled) return [];
+
+  const earliest = now.getTime() + pickup.minLeadMinutes * MINUTE;
+  const latest = now.getTime() + pickup.daysAhead * 24 * 60 * MINUTE;
+  const slots = [];
+  for (let minutes = 0; minutes < 24 * 60; minutes += PICKUP_SLOT_MINUTES) {
+    const time = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes);
+    if (!isOpenAt(settings, time) || time.getTime() < earliest || time.getTime() > latest) continue;
+    slots.push({ time: time.toISOString(), available: hasRoom(pickup, getSlotUsage(orders, time), itemCount) });
+  }
+  return slots;
+}
+
+// Check a pickup time sent with an order of `itemCount` items.
+// Returns { pickupTime } as a Date or { error }.
+function checkPickupTime(settings, orders, value, itemCount, now = new Date()) {
+  const pickup = settings.pickup;
+  if (!pickup || !pickup.enabled) {
+    return { error: 'Ordering ahead is not available' };
+  }
+
+  const pickupTime = new Date(value);
+  if (isNaN(pickupTime.getTime())) {
+    return { error: 'Pickup time must be a date and time' };
+  }
+  if (pickupTime.getTime() < now.getTime() + pickup.minLeadMinutes * MINUTE) {
+    return { error: `Pickup time must be at least ${pickup.minLeadMinutes} minutes from now` };
+  }
+  if (pickupTime.getTime() > now.getTime() + pickup.daysAhead * 24 * 60 * MINUTE) {
+    return { error: `Pickup time can be at most ${pickup.daysAhead} days ahead` };
+  }
+  if (pickupTime.getMinutes() % PICKUP_SLOT_MINUTES !== 0 || pickupTime.getSeconds() !== 0 || pickupTime.getMilliseconds() !== 0) {
+    return { error: `Pickup time must be on a ${PICKUP_SLOT_MINUTES} minute slot` };
+  }
+  if (!isOpenAt(settings, pickupTime)) {
+    return { error: 'We are closed at that pickup time' };
+  }
+  if (!hasRoom(pickup, getSlotUsage(orders, pickupTime), itemCount)) {
+    return { error: 'That pickup slot is full, please choose another' };
+  }
+  return { pickupTime };
+}
+
+// When the kitchen has to start on an order to have it ready for pickup
+function getStartCookingTime(pickupTime, prepMinutes) {
+  return new Date(new Date(pickupTime).getTime() - prepMinutes * MINUTE);
+}
+
+// Whether the kitchen should see the order yet - orders not ordered ahead always
+function isDueInKitchen(order, now = new Date()) {
+  return !order || !order.startCookingAt || new Date(order.startCookingAt) <= now;
+}
+
+module.exports = {
+  PICKUP_SLOT_MINUTES,
+  getSlotUsage,
+  buildPickupSlots,
+  checkPickupTime,
+  getStartCookingTime,
+  isDueInKitchen
+};
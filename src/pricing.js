@@ -0,0 +1,299 @@
+/**
+ * Pricing Module
+ *
+ * Server-side order pricing: builds order lines from the menu and
+ * calculates subtotal, tax (per rate and per line), service charge,
+ * delivery fee and total
+ */
+
+const { resolveName, resolveModifierSelections } = require('./modifiers');
+
+// Totals closer than this are treated as equal (floating point noise)
+const TOTAL_TOLERANCE = 0.01;
+
+// Longest per-line note the kitchen will get
+const MAX_LINE_NOTE_LENGTH = 200;
+
+// Service charge applies to dine-in orders of any party size unless configured otherwise
+const DEFAULT_SERVICE_CHARGE_RULES = { orderTypes: ['dine-in'], minPartySize: null };
+
+// Round a money value to cents
+function roundMoney(value) {
+  return Math.round((Number(value) || 0) * 100) / 100;
+}
+
+// Build priced order lines from the requested items using menu prices only.
+// Returns { lines, errors } - any error means the order must be rejected.
+function buildOrderLines(requestedItems, menuItems) {
+  const lines = [];
+  const errors = [];
+
+  (requestedItems || []).forEach((requested, index) => {
+    const itemId = parseInt(requested && requested.id);
+    const qty = parseInt(requested && (requested.qty || requested.quantity || 1));
+
+    if (isNaN(itemId)) {
+      errors.push(`Item ${index + 1}: a valid item id is required`);
+      return;
+    }
+
+    if (isNaN(qty) || qty < 1) {
+      errors.push(`Item ${itemId}: quantity must be a positive whole number`);
+      return;
+    }
+
+    const menuItem = (menuItems || []).find(i => i.id === itemId);
+    if (!menuItem) {
+      errors.push(`Item ${itemId}: not found on the menu`);
+      return;
+    }
+
+    if (menuItem.active === false) {
+      errors.push(`Item ${itemId}: currently unavailable`);
+      return;
+    }
+
+    const note = typeof requested.note === 'string' ? requested.note.trim() : '';
+    if (note.length > MAX_LINE_NOTE_LENGTH) {
+      errors.push(`Item ${itemId}: note must be ${MAX_LINE_NOTE_LENGTH} characters or fewer`);
+      return;
+    }
+
+    // Seat is optional; when given it must be a positive whole number
+    let seat = null;
+    if (requested.seat !== undefined && requested.seat !== null && requested.seat !== '') {
+      seat = Number(requested.seat);
+      if (!Number.isInteger(seat) || seat < 1) {
+        errors.push(`Item ${itemId}: seat must be a positive whole number`);
+        return;
+      }
+    }
+
+    const selection = resolveModifierSelections(menuItem, requested.modifiers);
+    if (selection.errors.length > 0) {
+      errors.push(...selection.errors.map(error => `Item ${itemId}: ${error}`));
+      return;
+    }
+
+    // Unit price includes the modifier deltas; basePrice keeps the menu price
+    const basePrice = roundMoney(menuItem.price);
+    const price = Math.max(0, roundMoney(basePrice + selection.priceDelta));
+    lines.push({
+      id: menuItem.id,
+      name: resolveName(menuItem.name, 'Unknown Item'),
+      basePrice: basePrice,
+      price: price,
+      qty: qty,
+      quantity: qty, // Keep both for compatibility
+      category_id: menuItem.category_id,
+      modifiers: selection.modifiers,
+      note: note,
+      seat: seat,
+      lineTotal: roundMoney(price * qty)
+    });
+  });
+
+  return { lines, errors };
+}
+
+// A line's total (falls back to price × qty for old orders)
+function getLineAmount(line) {
+  if (line.lineTotal !== undefined && line.lineTotal !== null) {
+    return Number(line.lineTotal) || 0;
+  }
+  const qty = parseInt(line.qty || line.quantity || 1);
+  return (parseFloat(line.price) || 0) * qty;
+}
+
+// Sum the line totals of an order
+function calculateSubtotal(lines) {
+  return roundMoney((lines || []).reduce((sum, line) => sum + getLineAmount(line), 0));
+}
+
+// Share out `total` in whole cents in proportion to `weights` (largest remainder),
+// so the parts always add back up to the total
+function allocateCents(total, weights) {
+  const cents = Math.round(total * 100);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const exact = weights.map(weight => (weightSum > 0 ? (cents * weight) / weightSum : cents / weights.length));
+  const parts = exact.map(Math.floor);
+
+  let remaining = cents - parts.reduce((sum, part) => sum + part, 0);
+  exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        parts[index]++;
+        remaining--;
+      }
+    });
+
+  return parts.map(part => part / 100);
+}
+
+// Tax of every line and per rate. Each line takes its share of the discount, then tax
+// is worked out once per rate (as on a VAT invoice) and shared back over that rate's lines.
+// Lines carry their own taxRate and taxClass (see tax.js); lines without one use `defaultRate`.
+// With pricesIncludeTax the tax is the part of the price that is tax, otherwise it comes on top.
+// Returns { lineTaxes: [{ taxClass, taxRate, net, tax }], taxBreakdown: [{ taxClass, rate, net, tax, gross }] }.
+function calculateLineTaxes(lines, discount, defaultRate, pricesIncludeTax) {
+  const items = lines || [];
+  const amounts = items.map(getLineAmount);
+  const discounts = items.length > 0 ? allocateCents(discount, amounts) : [];
+  const taxable = amounts.map((amount, index) => roundMoney(amount - discounts[index]));
+
+  const groups = [];
+  items.forEach((line, index) => {
+    const rate = line.taxRate !== undefined && line.taxRate !== null ? Number(line.taxRate) : defaultRate;
+    const taxClass = line.taxClass || null;
+    let group = groups.find(candidate => candidate.rate === rate && candidate.taxClass === taxClass);
+    if (!group) {
+      group = { taxClass, rate, indexes: [] };
+      groups.push(group);
+    }
+    group.indexes.push(index);
+  });
+
+  const lineTaxes = items.map(() => null);
+  const taxBreakdown = groups.map(group => {
+    const amount = roundMoney(group.indexes.reduce((sum, index) => sum + taxable[index], 0));
+    const net = pricesIncludeTax ? roundMoney(amount / (1 + group.rate)) : amount;
+    const tax = pricesIncludeTax ? roundMoney(amount - net) : roundMoney(amount * group.rate);
+
+    const shares = allocateCents(tax, group.indexes.map(index => taxable[index]));
+    group.indexes.forEach((index, position) => {
+      lineTaxes[index] = {
+        taxClass: group.taxClass,
+        taxRate: group.rate,
+        net: pricesIncludeTax ? roundMoney(taxable[index] - shares[position]) : taxable[index],
+        tax: shares[position]
+      };
+    });
+
+    return { taxClass: group.taxClass, rate: group.rate, net, tax, gross: roundMoney(net + tax) };
+  });
+
+  return { lineTaxes, taxBreakdown: taxBreakdown.sort((a, b) => b.rate - a.rate) };
+}
+
+// Copy each line's tax from calculateLineTaxes onto the order lines
+function applyLineTaxes(lines, lineTaxes) {
+  (lines || []).forEach((line, index) => {
+    Object.assign(line, lineTaxes[index]);
+  });
+  return lines;
+}
+
+// The service charge rate for an order under the settings' service charge rules.
+// Rules: { orderTypes: [...] (empty for every type), minPartySize: N (null for any party) }.
+// Orders without a party size only get a party-size rule's charge when it's explicitly given.
+function getServiceChargeRate(settings, options = {}) {
+  const rate = Number(settings && settings.serviceCharge) || 0;
+  const rules = (settings && settings.serviceChargeRules) || DEFAULT_SERVICE_CHARGE_RULES;
+  const orderType = options.orderType || 'dine-in';
+
+  if (rules.orderTypes && rules.orderTypes.length > 0 && !rules.orderTypes.includes(orderType)) {
+    return 0;
+  }
+  if (rules.minPartySize && !(parseInt(options.partySize) >= rules.minPartySize)) {
+    return 0;
+  }
+  return rate;
+}
+
+// Calculate the full price breakdown of an order.
+// Tax and service charge are applied to the subtotal after discount; tax is only added
+// on top when prices exclude it (settings.pricesIncludeTax). Service charge follows the
+// service charge rules and the delivery fee (options.deliveryFee, e.g. the delivery
+// zone's fee, or the flat settings.deliveryFee) only applies to delivery.
+// taxRate is the order's single tax rate, or null when its lines have different rates.
+function calculateOrderTotals(lines, settings, options = {}) {
+  const orderType = options.orderType || 'dine-in';
+  const subtotal = calculateSubtotal(lines);
+  const discount = Math.min(subtotal, Math.max(0, roundMoney(options.discount)));
+  const taxableAmount = roundMoney(subtotal - discount);
+
+  const defaultRate = Number(settings && settings.taxRate) || 0;
+  const pricesIncludeTax = Boolean(settings && settings.pricesIncludeTax);
+  const serviceChargeRate = getServiceChargeRate(settings, { orderType, partySize: options.partySize });
+  const deliveryFee = orderType === 'delivery'
+    ? roundMoney(options.deliveryFee !== undefined ? options.deliveryFee : settings && settings.deliveryFee)
+    : 0;
+
+  const { lineTaxes, taxBreakdown } = calculateLineTaxes(lines, discount, defaultRate, pricesIncludeTax);
+  const rates = [...new Set(taxBreakdown.map(entry => entry.rate))];
+  const taxRate = rates.length === 0 ? defaultRate : (rates.length === 1 ? rates[0] : null);
+
+  const tax = roundMoney(taxBreakdown.reduce((sum, entry) => sum + entry.tax, 0));
+  const serviceCharge = roundMoney(taxableAmount * serviceChargeRate);
+  const total = roundMoney(taxableAmount + (pricesIncludeTax ? 0 : tax) + serviceCharge + deliveryFee);
+
+  return {
+    subtotal,
+    discount,
+    taxRate,
+    tax,
+    pricesIncludeTax,
+    taxBreakdown,
+    lineTaxes,
+    serviceChargeRate,
+    serviceCharge,
+    deliveryFee,
+    total
+  };
+}
+
+// Recalculate an order's breakdown in place after its discount changed.
+// Uses the rates stored on the order and its lines so later settings changes don't alter
+// old orders; orders created before server-side pricing have no rates and keep the old
+// "items minus discount" total.
+function repriceOrder(order) {
+  // The service charge rules were applied when the order was placed; keep the rate it got
+  const rates = {
+    taxRate: order.taxRate || 0,
+    pricesIncludeTax: Boolean(order.pricesIncludeTax),
+    serviceCharge: order.serviceChargeRate || 0,
+    serviceChargeRules: { orderTypes: [], minPartySize: null },
+    deliveryFee: order.deliveryFee || 0
+  };
+  const pricing = calculateOrderTotals(order.items, rates, {
+    orderType: order.orderType,
+    discount: order.discount
+  });
+
+  order.subtotal = pricing.subtotal;
+  order.discount = pricing.discount;
+  order.tax = pricing.tax;
+  order.taxBreakdown = pricing.taxBreakdown;
+  applyLineTaxes(order.items, pricing.lineTaxes);
+  order.serviceCharge = pricing.serviceCharge;
+  order.total = pricing.total;
+
+  return pricing;
+}
+
+// Check whether a client-submitted total agrees with the server total
+function totalsMatch(submittedTotal, computedTotal) {
+  const submitted = parseFloat(submittedTotal);
+  if (isNaN(submitted)) return false;
+  return Math.abs(submitted - computedTotal) < TOTAL_TOLERANCE;
+}
+
+module.exports = {
+  TOTAL_TOLERANCE,
+  MAX_LINE_NOTE_LENGTH,
+  DEFAULT_SERVICE_CHARGE_RULES,
+  roundMoney,
+  allocateCents,
+  resolveName,
+  getServiceChargeRate,
+  buildOrderLines,
+  getLineAmount,
+  calculateSubtotal,
+  calculateLineTaxes,
+  applyLineTaxes,
+  calculateOrderTotals,
+  repriceOrder,
+  totalsMatch
+};
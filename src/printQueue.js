@@ -0,0 +1,136 @@
+/**
+ * Print Queue Module
+ *
+ * Sends ESC/POS jobs to a network receipt printer over a raw TCP socket
+ * (the "JetDirect" port 9100 most thermal printers listen on). Jobs are
+ * printed one at a time in order and retried a few times before they are
+ * marked as failed.
+ */
+
+const net = require('net');
+
+const DEFAULT_PRINTER_PORT = 9100;
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY = 2000;
+
+// Finished jobs kept for the queue listing
+const JOB_HISTORY_LIMIT = 50;
+
+// Write one job to the printer socket; resolves once the printer accepted it
+function sendToPrinter(host, port, data, timeout) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    socket.setTimeout(timeout);
+
+    socket.on('connect', () => {
+      socket.end(data);
+    });
+    socket.on('timeout', () => {
+      socket.destroy(new Error(`Printer ${host}:${port} timed out`));
+    });
+    socket.on('error', reject);
+    socket.on('close', hadError => {
+      if (!hadError) resolve();
+    });
+  });
+}
+
+// Create a print queue from environment-style config, or null when no printer is configured
+function createPrintQueue(config = {}) {
+  const host = config.host || process.env.PRINTER_HOST;
+  if (!host) {
+    return null;
+  }
+
+  const port = parseInt(config.port || process.env.PRINTER_PORT) || DEFAULT_PRINTER_PORT;
+  const timeout = config.timeout || DEFAULT_TIMEOUT;
+  const maxAttempts = config.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  const retryDelay = config.retryDelay !== undefined ? config.retryDelay : DEFAULT_RETRY_DELAY;
+  const send = config.send || sendToPrinter;
+
+  const jobs = [];
+  let nextJobId = 1;
+  let printing = false;
+
+  function trimHistory() {
+    const finished = jobs.filter(job => job.status === 'printed' || job.status === 'failed');
+    finished.slice(0, Math.max(0, finished.length - JOB_HISTORY_LIMIT)).forEach(job => {
+      jobs.splice(jobs.indexOf(job), 1);
+    });
+  }
+
+  async function processQueue() {
+    if (printing) return;
+    printing = true;
+
+    let job;
+    while ((job = jobs.find(queued => queued.status === 'queued'))) {
+      job.status = 'printing';
+      job.attempts++;
+      try {
+        await send(host, port, job.data, timeout);
+        job.status = 'printed';
+        job.printedAt = new Date();
+        job.error = null;
+        console.log(`🖨️ Print job ${job.id} (${job.description}) printed`);
+      } catch (error) {
+        job.error = error.message;
+        job.status = job.attempts < maxAttempts ? 'queued' : 'failed';
+        console.error(`❌ Print job ${job.id} attempt ${job.attempts} failed:`, error.message);
+        if (job.status === 'queued') {
+          await new Promise(resolve => setTimeout(resolve, retryDelay));
+        }
+      }
+    }
+
+    trimHistory();
+    printing = false;
+  }
+
+  // Queue raw printer bytes; returns the job (without its data)
+  function enqueue(data, description) {
+    const job = {
+      id: nextJobId++,
+      description: description || 'Print job',
+      data,
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      createdAt: new Date(),
+      printedAt: null
+    };
+    jobs.push(job);
+    processQueue();
+    return summarizeJob(job);
+  }
+
+  function summarizeJob(job) {
+    const { data, ...summary } = job;
+    return { ...summary, bytes: data.length };
+  }
+
+  function list() {
+    return jobs.map(summarizeJob);
+  }
+
+  // Resolves once every queued job has been printed or has failed
+  async function drain() {
+    while (printing || jobs.some(job => job.status === 'queued')) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  }
+
+  return {
+    printer: `${host}:${port}`,
+    enqueue,
+    list,
+    drain
+  };
+}
+
+module.exports = {
+  DEFAULT_PRINTER_PORT,
+  sendToPrinter,
+  createPrintQueue
+};
@@ -0,0 +1,351 @@
+/**
+ * Promotions Module
+ *
+ * Promo codes and automatic promotions - percentage or fixed amount off,
+ * a free item, buy X get Y and happy-hour windows - with minimum spend,
+ * validity dates and usage limits. Promotions are checked and priced when an
+ * order is placed; the result becomes the order's discount.
+ */
+
+const { roundMoney, getLineAmount } = require('./pricing');
+const { WEEKDAYS } = require('./settings');
+const { isAwaitingCardPayment } = require('./payments');
+
+const PROMOTION_TYPES = ['percentage', 'fixed', 'free-item', 'buy-x-get-y'];
+
+const PROMOTION_TYPE_LABELS = {
+  percentage: 'Percentage off',
+  fixed: 'Fixed amount off',
+  'free-item': 'Free item',
+  'buy-x-get-y': 'Buy X get Y'
+};
+
+// Orders in these statuses don't use up a promotion
+const UNUSED_ORDER_STATUSES = ['cancelled'];
+
+const CODE_PATTERN = /^[A-Z0-9-]{3,30}$/;
+const TIME_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function normalizeIdList(value) {
+  return [...new Set((Array.isArray(value) ? value : []).map(id => parseInt(id)).filter(id => !isNaN(id)))];
+}
+
+// Optional positive whole number (a usage limit or quantity); null when left empty
+function normalizeCount(value, label, errors) {
+  if (value === undefined || value === null || value === '') return null;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    errors.push(`${label} must be a positive whole number`);
+  }
+  return count;
+}
+
+function normalizeDate(value, label, errors) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    errors.push(`${label} must be a date`);
+    return null;
+  }
+  return date;
+}
+
+// Validate and clean a promotion sent from the promotions page.
+// Returns { promotion, errors } - any error means the promotion must not be saved.
+function normalizePromotion(input, existingPromotions = [], currentId = null) {
+  const errors = [];
+  const data = input || {};
+
+  const name = String(data.name || '').trim();
+  if (!name) {
+    errors.push('Name is required');
+  }
+
+  // Promotions without a code apply automatically
+  const code = data.code ? String(data.code).trim().toUpperCase() : null;
+  if (code && !CODE_PATTERN.test(code)) {
+    errors.push('Code must be 3-30 letters, numbers or dashes');
+  } else if (code && existingPromotions.some(promotion => promotion.code === code && promotion.id !== currentId)) {
+    errors.push(`Code ${code} is already used by another promotion`);
+  }
+
+  const type = data.type;
+  if (!PROMOTION_TYPES.includes(type)) {
+    errors.push(`Type must be one of ${PROMOTION_TYPES.join(', ')}`);
+  }
+
+  // percentage: a rate between 0 and 1; fixed: an amount; unused by the other types
+  let value = null;
+  if (type === 'percentage' || type === 'fixed') {
+    value = Number(data.value);
+    if (data.value === '' || data.value === null || isNaN(value) || value <= 0 || (type === 'percentage' && value > 1)) {
+      errors.push(type === 'percentage' ? 'Percentage must be between 0% and 100%' : 'Amount off must be more than zero');
+    } else {
+      value = type === 'percentage' ? Math.round(value * 10000) / 10000 : roundMoney(value);
+    }
+  }
+
+  const itemId = type === 'free-item' ? parseInt(data.itemId) : null;
+  if (type === 'free-item' && isNaN(itemId)) {
+    errors.push('Choose the item that is free');
+  }
+
+  const buyQuantity = type === 'buy-x-get-y' ? normalizeCount(data.buyQuantity, 'Buy quantity', errors) : null;
+  const getQuantity = type === 'buy-x-get-y' ? normalizeCount(data.getQuantity, 'Free quantity', errors) : null;
+  if (type === 'buy-x-get-y' && (buyQuantity === null || getQuantity === null)) {
+    errors.push('Buy X get Y needs both quantities');
+  }
+
+  const minSpend = data.minSpend === undefined || data.minSpend === null || data.minSpend === '' ? 0 : Number(data.minSpend);
+  if (isNaN(minSpend) || minSpend < 0) {
+    errors.push('Minimum spend must be zero or more');
+  }
+
+  // Happy hour: only on these weekdays (all when empty) between start and end
+  let schedule = null;
+  if (data.schedule && (data.schedule.start || data.schedule.end || (data.schedule.days || []).length > 0)) {
+    const days = Array.isArray(data.schedule.days) ? data.schedule.days : [];
+    schedule = { days: [...new Set(days)], start: data.schedule.start || '00:00', end: data.schedule.end || '24:00' };
+    if (days.some(day => !WEEKDAYS.includes(day))) {
+      errors.push(`Happy hour days must be from ${WEEKDAYS.join(', ')}`);
+    }
+    if (!TIME_PATTERN.test(schedule.start) || !TIME_PATTERN.test(schedule.end)) {
+      errors.push('Happy hour times must be like 17:00');
+    } else if (toMinutes(schedule.end) <= toMinutes(schedule.start)) {
+      errors.push('Happy hour must end after it starts');
+    }
+  }
+
+  const validFrom = normalizeDate(data.validFrom, 'Valid from', errors);
+  const validTo = normalizeDate(data.validTo, 'Valid to', errors);
+  if (validFrom && validTo && validTo < validFrom) {
+    errors.push('Valid to must be after valid from');
+  }
+
+  return {
+    promotion: {
+      name,
+      code,
+      type,
+      value,
+      itemId,
+      buyQuantity,
+      getQuantity,
+      // Lines a percentage or buy X get Y promotion applies to; empty for every line
+      itemIds: normalizeIdList(data.itemIds),
+      categoryIds: normalizeIdList(data.categoryIds),
+      minSpend: roundMoney(minSpend),
+      schedule,
+      validFrom,
+      validTo,
+      maxUses: normalizeCount(data.maxUses, 'Usage limit', errors),
+      maxUsesPerCustomer: normalizeCount(data.maxUsesPerCustomer, 'Usage limit per customer', errors),
+      active: data.active !== false
+    },
+    errors
+  };
+}
+
+function findPromotionByCode(promotions, code) {
+  const normalized = String(code || '').trim().toUpperCase();
+  return (promotions || []).find(promotion => promotion.code && promotion.code === normalized) || null;
+}
+
+// Why a promotion can't be used at `now`, or null when it can
+function getUnavailableReason(promotion, now = new Date()) {
+  if (promotion.active === false) {
+    return `${promotion.name} is not active`;
+  }
+  if (promotion.validFrom && now < new Date(promotion.validFrom)) {
+    return `${promotion.name} has not started yet`;
+  }
+  if (promotion.validTo && now > new Date(promotion.validTo)) {
+    return `${promotion.name} has expired`;
+  }
+  if (promotion.schedule) {
+    const day = WEEKDAYS[(now.getDay() + 6) % 7];
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const { days, start, end } = promotion.schedule;
+    if ((days.length > 0 && !days.includes(day)) || minutes < toMinutes(start) || minutes >= toMinutes(end)) {
+      return `${promotion.name} is only available ${days.length > 0 ? `on ${days.join(', ')} ` : ''}from ${start} to ${end}`;
+    }
+  }
+  return null;
+}
+
+// Card orders hold their promotions while the payment is pending, but not when it
+// failed or was abandoned at checkout
+function usesPromotions(order, now) {
+  if (UNUSED_ORDER_STATUSES.includes(order.status)) return false;
+  if (order.paymentMethod !== 'card') return true;
+  if (order.paymentStatus === 'failed') return false;
+  return order.paymentStatus !== 'pending' || isAwaitingCardPayment(order, now);
+}
+
+// How often a promotion has been used, in total and by one customer
+function countPromotionUses(promotion, orders, customerEmail, now = new Date()) {
+  const email = String(customerEmail || '').trim().toLowerCase();
+  const uses = (orders || []).filter(order =>
+    usesPromotions(order, now) &&
+    (order.promotions || []).some(applied => applied.id === promotion.id)
+  );
+  return {
+    total: uses.length,
+    customer: email ? uses.filter(order => String(order.customerEmail || '').trim().toLowerCase() === email).length : 0
+  };
+}
+
+function getLimitReason(promotion, orders, customerEmail, now) {
+  const uses = countPromotionUses(promotion, orders, customerEmail, now);
+  if (promotion.maxUses && uses.total >= promotion.maxUses) {
+    return `${promotion.name} has been used up`;
+  }
+  if (promotion.maxUsesPerCustomer && uses.customer >= promotion.maxUsesPerCustomer) {
+    return `You have already used ${promotion.name}`;
+  }
+  return null;
+}
+
+function isLineInScope(promotion, line) {
+  const itemIds = promotion.itemIds || [];
+  const categoryIds = promotion.categoryIds || [];
+  if (itemIds.length === 0 && categoryIds.length === 0) return true;
+  return itemIds.includes(line.id) || categoryIds.includes(line.category_id);
+}
+
+function getUnitPrice(line) {
+  const qty = parseInt(line.qty || line.quantity || 1);
+  return getLineAmount(line) / qty;
+}
+
+// Discount a promotion gives on these lines. Returns { amount } or { error } when the
+// order doesn't qualify (below the minimum spend, free item missing, too few items).
+function calculatePromotionDiscount(promotion, lines) {
+  const subtotal = roundMoney((lines || []).reduce((sum, line) => sum + getLineAmount(line), 0));
+  if (promotion.minSpend > 0 && subtotal < promotion.minSpend) {
+    return { error: `Spend at least ${promotion.minSpend.toFixed(2)} to use ${promotion.name}` };
+  }
+
+  const scoped = (lines || []).filter(line => isLineInScope(promotion, line));
+
+  if (promotion.type === 'percentage') {
+    const amount = roundMoney(scoped.reduce((sum, line) => sum + getLineAmount(line), 0) * promotion.value);
+    return amount > 0 ? { amount } : { error: `${promotion.name} doesn't apply to any item on this order` };
+  }
+
+  if (promotion.type === 'fixed') {
+    return { amount: roundMoney(Math.min(promotion.value, subtotal)) };
+  }
+
+  if (promotion.type === 'free-item') {
+    const matching = (lines || []).filter(line => line.id === promotion.itemId);
+    if (matching.length === 0) {
+      return { error: `Add the free item to your order to use ${promotion.name}` };
+    }
+    return { amount: roundMoney(Math.min(...matching.map(getUnitPrice))) };
+  }
+
+  if (promotion.type === 'buy-x-get-y') {
+    // Every buyQuantity + getQuantity items in scope, the cheapest getQuantity are free
+    const units = scoped.reduce((sum, line) => sum + parseInt(line.qty || line.quantity || 1), 0);
+    let free = Math.floor(units / (promotion.buyQuantity + promotion.getQuantity)) * promotion.getQuantity;
+    if (free === 0) {
+      return { error: `Order ${promotion.buyQuantity + promotion.getQuantity} qualifying items to use ${promotion.name}` };
+    }
+    let amount = 0;
+    scoped.slice().sort((a, b) => getUnitPrice(a) - getUnitPrice(b)).forEach(line => {
+      const taken = Math.min(free, parseInt(line.qty || line.quantity || 1));
+      amount += getUnitPrice(line) * taken;
+      free -= taken;
+    });
+    return { amount: roundMoney(amount) };
+  }
+
+  return { error: `Unknown promotion type "${promotion.type}"` };
+}
+
+function toApplied(promotion, amount) {
+  return { id: promotion.id, name: promotion.name, code: promotion.code || null, type: promotion.type, amount };
+}
+
+// Promotions for a new order: the promo code the customer entered (if any) plus the best
+// automatic promotion the order qualifies for. Returns { discount, promotions } or { error }
+// when the code can't be used. The discount never exceeds the order's subtotal.
+// options.orders should include orders still being placed, so their uses count too.
+function applyPromotions(lines, promotions, options = {}) {
+  const now = options.now || new Date();
+  const applied = [];
+
+  if (options.code) {
+    const promotion = findPromotionByCode(promotions, options.code);
+    if (!promotion) {
+      return { error: `Promo code ${String(options.code).trim().toUpperCase()} is not valid` };
+    }
+    const reason = getUnavailableReason(promotion, now) || getLimitReason(promotion, options.orders, options.customerEmail, now);
+    if (reason) {
+      return { error: reason };
+    }
+    const result = calculatePromotionDiscount(promotion, lines);
+    if (result.error) {
+      return { error: result.error };
+    }
+    applied.push(toApplied(promotion, result.amount));
+  }
+
+  let best = null;
+  (promotions || [])
+    .filter(promotion => !promotion.code)
+    .filter(promotion => !getUnavailableReason(promotion, now) && !getLimitReason(promotion, options.orders, options.customerEmail, now))
+    .forEach(promotion => {
+      const result = calculatePromotionDiscount(promotion, lines);
+      if (!result.error && result.amount > 0 && (!best || result.amount > best.amount)) {
+        best = toApplied(promotion, result.amount);
+      }
+    });
+  if (best) {
+    applied.push(best);
+  }
+
+  // Later promotions give way when together they'd take more than the order is worth
+  const subtotal = roundMoney((lines || []).reduce((sum, line) => sum + getLineAmount(line), 0));
+  let remaining = subtotal;
+  applied.forEach(promotion => {
+    promotion.amount = roundMoney(Math.min(promotion.amount, remaining));
+    remaining = roundMoney(remaining - promotion.amount);
+  });
+
+  return {
+    discount: roundMoney(subtotal - remaining),
+    promotions: applied
+  };
+}
+
+// Uses and discount given per promotion over the given orders, most discount first
+function buildPromotionReport(orders) {
+  const rows = {};
+  (orders || []).forEach(order => {
+    (order.promotions || []).forEach(applied => {
+      rows[applied.id] = rows[applied.id] || { id: applied.id, name: applied.name, code: applied.code, uses: 0, discount: 0 };
+      rows[applied.id].uses++;
+      rows[applied.id].discount = roundMoney(rows[applied.id].discount + applied.amount);
+    });
+  });
+  return Object.values(rows).sort((a, b) => b.discount - a.discount || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  PROMOTION_TYPES,
+  PROMOTION_TYPE_LABELS,
+  normalizePromotion,
+  findPromotionByCode,
+  getUnavailableReason,
+  countPromotionUses,
+  calculatePromotionDiscount,
+  applyPromotions,
+  buildPromotionReport
+};
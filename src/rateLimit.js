@@ -0,0 +1,44 @@
+/**
+ * Rate Limit Module
+ *
+ * A small in-memory rate limiter for public endpoints that could be used to
+ * guess secrets, like gift card balance checks. Requests are counted per
+ * client IP in a fixed window; counts are lost on restart, which is fine for
+ * slowing down guessing.
+ */
+
+// Express middleware allowing `max` requests per IP every `windowMs`
+function createRateLimiter({ windowMs = 15 * 60 * 1000, max = 20, now = Date.now } = {}) {
+  const hits = new Map();
+
+  return function rateLimit(req, res, next) {
+    const key = req.ip || (req.connection && req.connection.remoteAddress) || 'unknown';
+    const time = now();
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= time) {
+      entry = { count: 0, resetAt: time + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    // Drop finished windows now and then so the map doesn't grow forever
+    if (hits.size > 10000) {
+      hits.forEach((value, ip) => {
+        if (value.resetAt <= time) hits.delete(ip);
+      });
+    }
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - time) / 1000)));
+      return res.status(429).json({ success: false, error: 'Too many requests, please try again later' });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
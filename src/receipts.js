@@ -0,0 +1,239 @@
+/**
+ * Receipts Module
+ *
+ * Builds customer receipts and kitchen tickets for an order and lays them
+ * out as fixed-width text lines. The same layout feeds the ESC/POS output
+ * for thermal printers and the PDF receipt, so every format shows the
+ * same items, modifiers, notes and totals.
+ */
+
+const { resolveName } = require('./pricing');
+const { getRefundedAmount } = require('./refunds');
+
+// Characters per line on an 80mm thermal printer (Font A)
+const RECEIPT_WIDTH = 42;
+
+const RECEIPT_KINDS = ['receipt', 'kitchen'];
+
+const CURRENCY_SYMBOLS = { EUR: '€', USD: '$', GBP: '£' };
+
+function formatMoney(amount, currency) {
+  const symbol = CURRENCY_SYMBOLS[currency] || `${currency || ''} `;
+  const value = Number(amount) || 0;
+  return `${value < 0 ? '-' : ''}${symbol}${Math.abs(value).toFixed(2)}`;
+}
+
+function formatRate(rate) {
+  return `${Math.round((Number(rate) || 0) * 10000) / 100}%`;
+}
+
+// Price rows under the items. Rows with nothing to show are left out.
+function buildTotalRows(order, currency) {
+  const rows = [{ label: 'Subtotal', amount: order.subtotal }];
+  if (order.discount > 0) {
+    // Promotions and redeemed points are listed apart unless staff changed the discount afterwards
+    const promotions = order.promotions || [];
+    const pointsDiscount = (order.loyalty && order.loyalty.discount) || 0;
+    const listedTotal = promotions.reduce((sum, promotion) => sum + promotion.amount, 0) + pointsDiscount;
+    if ((promotions.length > 0 || pointsDiscount > 0) && Math.abs(listedTotal - order.discount) < 0.005) {
+      promotions.forEach(promotion => {
+        rows.push({ label: promotion.code ? `${promotion.name} (${promotion.code})` : promotion.name, amount: -promotion.amount });
+      });
+      if (pointsDiscount > 0) {
+        rows.push({ label: `Points redeemed (${order.loyalty.pointsRedeemed})`, amount: -pointsDiscount });
+      }
+    } else {
+      rows.push({ label: 'Discount', amount: -order.discount });
+    }
+  }
+  // One tax row per rate; orders from before tax classes have a single rate
+  const taxRows = Array.isArray(order.taxBreakdown) && order.taxBreakdown.length > 0
+    ? order.taxBreakdown.filter(entry => entry.tax > 0 || entry.rate > 0).map(entry => ({ rate: entry.rate, amount: entry.tax }))
+    : (order.tax > 0 || order.taxRate > 0 ? [{ rate: order.taxRate, amount: order.tax || 0 }] : []);
+  if (!order.pricesIncludeTax) {
+    taxRows.forEach(row => rows.push({ label: `Tax (${formatRate(row.rate)})`, amount: row.amount }));
+  }
+  if (order.serviceCharge > 0) {
+    rows.push({ label: `Service charge (${formatRate(order.serviceChargeRate)})`, amount: order.serviceCharge });
+  }
+  if (order.deliveryFee > 0) {
+    rows.push({ label: 'Delivery fee', amount: order.deliveryFee });
+  }
+  rows.push({ label: 'TOTAL', amount: order.total, emphasis: true });
+  // Tax already in the prices is shown after the total, not added to it
+  if (order.pricesIncludeTax) {
+    taxRows.forEach(row => rows.push({ label: `Incl. tax (${formatRate(row.rate)})`, amount: row.amount }));
+  }
+  if (order.tip > 0) {
+    rows.push({ label: 'Tip', amount: order.tip });
+    rows.push({ label: 'Paid', amount: (Number(order.total) || 0) + order.tip });
+  }
+  // Only the end of the gift card's code is printed so the receipt can't be used to spend it
+  if (order.giftCard && order.giftCard.amount > 0) {
+    rows.push({ label: `Gift card ending ${String(order.giftCard.code).slice(-4)}`, amount: -order.giftCard.amount });
+  }
+
+  const refunded = getRefundedAmount(order);
+  if (refunded > 0) {
+    rows.push({ label: 'Refunded', amount: -refunded });
+  }
+
+  return rows.map(row => ({ ...row, text: formatMoney(row.amount, currency) }));
+}
+
+// Everything a receipt or kitchen ticket shows, independent of the output format.
+// Kitchen tickets leave out prices and the customer's contact details.
+function buildReceipt(order, settings, kind = 'receipt') {
+  if (!RECEIPT_KINDS.includes(kind)) {
+    throw new Error(`Unknown receipt kind "${kind}"`);
+  }
+
+  const currency = (settings && settings.currency) || 'EUR';
+  const isReceipt = kind === 'receipt';
+
+  return {
+    kind,
+    title: isReceipt ? ((settings && settings.restaurantName) || 'Receipt') : 'KITCHEN TICKET',
+    orderId: order.id,
+    createdAt: new Date(order.createdAt),
+    orderType: order.orderType || 'dine-in',
+    tableNumber: order.tableNumber || null,
+    pickupTime: order.pickupTime ? new Date(order.pickupTime) : null,
+    customerName: isReceipt ? (order.customerName || null) : null,
+    // Delivery orders print where they go on both, so the bag can be labelled from the ticket
+    deliveryAddress: order.deliveryAddress
+      ? [order.deliveryAddress.street, [order.deliveryAddress.postcode, order.deliveryAddress.city].filter(Boolean).join(' '), order.deliveryAddress.notes]
+        .filter(Boolean)
+      : null,
+    customerPhone: order.deliveryAddress ? (order.customerPhone || null) : null,
+    paymentMethod: isReceipt ? (order.paymentMethod || null) : null,
+    notes: order.notes && order.notes.trim() ? order.notes.trim() : null,
+    lines: (order.items || []).map(line => ({
+      qty: parseInt(line.qty || line.quantity || 1),
+      name: resolveName(line.name),
+      modifiers: (line.modifiers || []).map(modifier => modifier.name),
+      note: line.note || null,
+      seat: line.seat || null,
+      total: isReceipt ? formatMoney(line.lineTotal !== undefined && line.lineTotal !== null
+        ? line.lineTotal
+        : (parseFloat(line.price) || 0) * parseInt(line.qty || line.quantity || 1), currency) : null
+    })),
+    totals: isReceipt ? buildTotalRows(order, currency) : []
+  };
+}
+
+// Split text into chunks that fit the given width, breaking on spaces where possible
+function wrapText(text, width) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+
+  words.forEach(word => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+
+  if (current) lines.push(current);
+  return lines;
+}
+
+// Left text and right text on one line, wrapping the left side if needed
+function twoColumns(left, right, width) {
+  const leftWidth = width - right.length - 1;
+  const wrapped = wrapText(left, leftWidth);
+  const first = wrapped.shift() || '';
+  return [first.padEnd(leftWidth) + ' ' + right, ...wrapped];
+}
+
+function center(text, width) {
+  const padding = Math.max(0, Math.floor((width - text.length) / 2));
+  return ' '.repeat(padding) + text;
+}
+
+// Lay a receipt out as text lines. Returns [{ text, bold, large, align }]
+// so printers can style the header and totals. Centred rows are already
+// padded in `text` for outputs that can't align on their own.
+function layoutReceipt(receipt, width = RECEIPT_WIDTH) {
+  const rows = [];
+  const add = (text, style = {}) => rows.push({ text, bold: false, large: false, align: 'left', ...style });
+  const rule = () => add('-'.repeat(width));
+
+  add(center(receipt.title, width), { bold: true, large: true, align: 'center' });
+  add(center(`Order #${receipt.orderId}`, width), { bold: true, align: 'center' });
+  add(center(receipt.createdAt.toLocaleString('en-GB'), width), { align: 'center' });
+  rule();
+
+  add(`Type: ${receipt.orderType}`);
+  if (receipt.tableNumber) add(`Table: ${receipt.tableNumber}`, { bold: true });
+  if (receipt.pickupTime) add(`Pickup: ${receipt.pickupTime.toLocaleString('en-GB')}`, { bold: true });
+  if (receipt.customerName) add(`Customer: ${receipt.customerName}`);
+  if (receipt.deliveryAddress) {
+    add('Deliver to:', { bold: true });
+    receipt.deliveryAddress.forEach(line => wrapText(line, width - 2).forEach(text => add(`  ${text}`)));
+  }
+  if (receipt.customerPhone) add(`Phone: ${receipt.customerPhone}`);
+  rule();
+
+  receipt.lines.forEach(line => {
+    const seat = line.seat ? ` [Seat ${line.seat}]` : '';
+    const label = `${line.qty} x ${line.name}${seat}`;
+    if (line.total) {
+      twoColumns(label, line.total, width).forEach(text => add(text));
+    } else {
+      wrapText(label, width).forEach(text => add(text, { bold: true }));
+    }
+    line.modifiers.forEach(modifier => {
+      wrapText(modifier, width - 4).forEach(text => add(`  + ${text}`));
+    });
+    if (line.note) {
+      wrapText(`Note: ${line.note}`, width - 2).forEach(text => add(`  ${text}`));
+    }
+  });
+
+  if (receipt.notes) {
+    rule();
+    add('SPECIAL INSTRUCTIONS', { bold: true });
+    wrapText(receipt.notes, width).forEach(text => add(text, { bold: true }));
+  }
+
+  if (receipt.totals.length > 0) {
+    rule();
+    receipt.totals.forEach(row => {
+      twoColumns(row.label, row.text, width).forEach(text => add(text, { bold: Boolean(row.emphasis) }));
+    });
+  }
+
+  if (receipt.paymentMethod) {
+    rule();
+    add(`Paid by: ${receipt.paymentMethod}`);
+  }
+  if (receipt.kind === 'receipt') {
+    add('');
+    add(center('Thank you!', width), { align: 'center' });
+  }
+
+  return rows;
+}
+
+module.exports = {
+  RECEIPT_WIDTH,
+  RECEIPT_KINDS,
+  formatMoney,
+  buildReceipt,
+  wrapText,
+  layoutReceipt
+};
@@ -0,0 +1,158 @@
+/**
+ * Refunds Module
+ *
+ * Calculates full and per-line partial refunds for orders and the
+ * net revenue that remains after refunds. Refunds can give back everything
+ * the customer paid, tip included; tips aren't revenue, so refunds come off
+ * the order total first.
+ */
+
+const { roundMoney } = require('./pricing');
+
+// Payment states where the order's money was taken (and not all given back yet)
+const PAID_PAYMENT_STATUSES = ['paid', 'partially_refunded'];
+
+// Whether the customer has paid for the order: its payment went through, or it is
+// paid at the counter and was completed. Pending or failed card payments never charged.
+function isOrderPaid(order) {
+  if (PAID_PAYMENT_STATUSES.includes(order.paymentStatus)) return true;
+  return (order.paymentStatus || 'unpaid') === 'unpaid' && order.status === 'completed';
+}
+
+// Total already refunded on an order
+function getRefundedAmount(order) {
+  return roundMoney((order.refunds || []).reduce((sum, refund) => sum + (Number(refund.amount) || 0), 0));
+}
+
+// What the customer paid: the total and the tip, however it was paid
+function getPaidAmount(order) {
+  return roundMoney((Number(order.total) || 0) + (Number(order.tip) || 0));
+}
+
+// What the order's own payment (card or cash) took, leaving out what a gift card paid
+function getChargedAmount(order) {
+  const paidByGiftCard = order.giftCard ? Number(order.giftCard.amount) || 0 : 0;
+  return roundMoney(Math.max(0, getPaidAmount(order) - paidByGiftCard));
+}
+
+// What refunds gave back on the order's own payment rather than onto its gift card
+function getRefundedCharge(order) {
+  return roundMoney((order.refunds || [])
+    .reduce((sum, refund) => sum + (Number(refund.amount) || 0) - (Number(refund.giftCardAmount) || 0), 0));
+}
+
+// Amount that can still be refunded
+function getRefundableAmount(order) {
+  return roundMoney(Math.max(0, getPaidAmount(order) - getRefundedAmount(order)));
+}
+
+// Order revenue after refunds - this is what sales reports should count
+function getNetRevenue(order) {
+  return roundMoney(Math.max(0, (Number(order.total) || 0) - getRefundedAmount(order)));
+}
+
+// Payment status after a refund. Card orders follow the card charge, as Stripe's
+// charge.refunded webhook does; orders paid by gift card follow the whole amount.
+function getRefundPaymentStatus(order) {
+  const charged = getChargedAmount(order);
+  const fullyRefunded = charged > 0
+    ? getRefundedCharge(order) >= charged - 0.005
+    : getRefundableAmount(order) <= 0;
+  return fullyRefunded ? 'refunded' : 'partially_refunded';
+}
+
+// Quantity of a line already refunded across all previous refunds
+function getRefundedQuantity(order, lineIndex) {
+  return (order.refunds || []).reduce((sum, refund) => {
+    return sum + (refund.lines || [])
+      .filter(line => line.lineIndex === lineIndex)
+      .reduce((lineSum, line) => lineSum + (line.qty || 0), 0);
+  }, 0);
+}
+
+// Share of the order total attributable to a number of units of one line.
+// The share carries the line's part of discount, tax and service charge;
+// the delivery fee is not split across lines.
+function getLineRefundAmount(order, line, qty) {
+  const subtotal = Number(order.subtotal) || (order.items || []).reduce((sum, item) => {
+    return sum + (parseFloat(item.price) || 0) * (item.qty || item.quantity || 1);
+  }, 0);
+  if (!subtotal) return 0;
+
+  const chargeableTotal = (Number(order.total) || 0) - (Number(order.deliveryFee) || 0);
+  const lineValue = (parseFloat(line.price) || 0) * qty;
+  return roundMoney(chargeableTotal * (lineValue / subtotal));
+}
+
+// Work out a refund from an admin request.
+// request: { type: 'full' } or { type: 'lines', lines: [{ lineIndex, qty }] }
+// Returns { amount, lines, errors }.
+function calculateRefund(order, request) {
+  const errors = [];
+  const refundable = getRefundableAmount(order);
+
+  if (refundable <= 0) {
+    return { amount: 0, lines: [], errors: ['Order has already been fully refunded'] };
+  }
+
+  if (!request || request.type === 'full') {
+    return { amount: refundable, lines: [], errors };
+  }
+
+  if (request.type !== 'lines') {
+    return { amount: 0, lines: [], errors: ['Refund type must be full or lines'] };
+  }
+
+  if (!Array.isArray(request.lines) || request.lines.length === 0) {
+    return { amount: 0, lines: [], errors: ['Select at least one line to refund'] };
+  }
+
+  const lines = [];
+  request.lines.forEach(requested => {
+    const lineIndex = parseInt(requested.lineIndex);
+    const qty = parseInt(requested.qty);
+    const line = (order.items || [])[lineIndex];
+
+    if (!line) {
+      errors.push(`Line ${requested.lineIndex} does not exist on this order`);
+      return;
+    }
+    // Each line once per refund, so its quantity is checked against what is left
+    if (lines.some(refunded => refunded.lineIndex === lineIndex)) {
+      errors.push(`Line ${lineIndex} is listed more than once`);
+      return;
+    }
+
+    const orderedQty = line.qty || line.quantity || 1;
+    const remainingQty = orderedQty - getRefundedQuantity(order, lineIndex);
+    if (isNaN(qty) || qty < 1 || qty > remainingQty) {
+      errors.push(`Line ${lineIndex}: quantity must be between 1 and ${remainingQty}`);
+      return;
+    }
+
+    lines.push({
+      lineIndex,
+      id: line.id,
+      name: line.name,
+      qty,
+      amount: getLineRefundAmount(order, line, qty)
+    });
+  });
+
+  // Rounding across several partial refunds must never exceed what was paid
+  const amount = Math.min(refundable, roundMoney(lines.reduce((sum, line) => sum + line.amount, 0)));
+  return { amount, lines, errors };
+}
+
+module.exports = {
+  isOrderPaid,
+  getRefundedAmount,
+  getPaidAmount,
+  getChargedAmount,
+  getRefundedCharge,
+  getRefundableAmount,
+  getNetRevenue,
+  getRefundPaymentStatus,
+  getRefundedQuantity,
+  calculateRefund
+};
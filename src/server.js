@@ -20,8 +20,161 @@ const {
   Order,
   Client,
   Reservation,
-  Availability
+  Availability,
+  Table,
+  Tab,
+  Settings,
+  Promotion,
+  GiftCard,
+  Ingredient
 } = require('./database');
+const { roundMoney, buildOrderLines, calculateSubtotal, calculateOrderTotals, applyLineTaxes, repriceOrder, totalsMatch } = require('./pricing');
+const {
+  KITCHEN_HIDDEN_PAYMENT_STATUSES,
+  createStripeClient,
+  generateIdempotencyKey,
+  createPaymentIntent,
+  createGiftCardPaymentIntent,
+  createRefund,
+  verifyWebhookEvent,
+  paymentStatusFromEvent,
+  paymentIntentIdFromEvent,
+  canApplyPaymentStatus,
+  isKitchenVisible
+} = require('./payments');
+const { isOrderPaid, getRefundedAmount, getRefundableAmount, getNetRevenue, getRefundPaymentStatus, calculateRefund } = require('./refunds');
+const { normalizeModifierGroups } = require('./modifiers');
+const { KITCHEN_ORDER_STATUSES, ORDER_STATUS_ACTIONS, getNextStatuses, transitionOrderStatus } = require('./orderStatus');
+const { createOrderEvents } = require('./orderEvents');
+const {
+  KITCHEN_STATIONS,
+  BUMPABLE_ORDER_STATUSES,
+  isKitchenStation,
+  getKitchenStation,
+  assignStations,
+  getStationLines,
+  isLineBumped,
+  allLinesBumped,
+  bumpOrderLine
+} = require('./kitchenStations');
+const { getExpectedPrepMinutes, getTicketTiming, buildTicketStats } = require('./ticketTimes');
+const { normalizeTip, collectTips, buildTipReport } = require('./tips');
+const {
+  SETTINGS_CURRENCIES,
+  WEEKDAYS,
+  SERVICE_CHARGE_ORDER_TYPES,
+  KITCHEN_FULL_ACTIONS,
+  createDefaultSettings,
+  normalizeSettings,
+  formatOpeningHours,
+  getPublicSettings
+} = require('./settings');
+const {
+  VAT_REPORT_PERIODS,
+  isTaxClass,
+  getDefaultTaxClass,
+  assignTaxClasses,
+  getTaxClassUsage,
+  getReportPeriod,
+  getOrderTaxBreakdown,
+  buildVatReport,
+  vatReportToCsv
+} = require('./tax');
+const {
+  PROMOTION_TYPES,
+  PROMOTION_TYPE_LABELS,
+  normalizePromotion,
+  countPromotionUses,
+  applyPromotions,
+  buildPromotionReport
+} = require('./promotions');
+const {
+  findClientByEmail,
+  getLoyaltySummary,
+  calculateRedemption,
+  createRedeemCode,
+  checkRedeemCode,
+  clearRedeemCode,
+  buildRedeemCodeEmail,
+  addLedgerEntry,
+  settleOrderPoints
+} = require('./loyalty');
+const {
+  generateGiftCardCode,
+  findGiftCardByCode,
+  normalizeGiftCard,
+  getGiftCardStatus,
+  getUnusableReason,
+  addGiftCardTransaction,
+  activateGiftCard,
+  voidGiftCard,
+  getGiftCardPayment,
+  splitRefund,
+  creditCancelledOrder,
+  getPublicGiftCard
+} = require('./giftCards');
+const { createRateLimiter } = require('./rateLimit');
+const {
+  INGREDIENT_UNITS,
+  roundQuantity,
+  normalizeIngredient,
+  normalizeRecipe,
+  canMakeItem,
+  applyStockAvailability,
+  checkStock,
+  deductOrderStock,
+  getLowStockIngredients
+} = require('./inventory');
+const {
+  ORDER_TYPES,
+  ORDER_TYPE_LABELS,
+  DELIVERY_STATUSES,
+  DELIVERY_STATUS_LABELS,
+  normalizeDeliveryDetails,
+  getDeliveryQuote,
+  createDelivery,
+  transitionDeliveryStatus
+} = require('./delivery');
+const {
+  PICKUP_SLOT_MINUTES,
+  buildPickupSlots,
+  checkPickupTime,
+  getStartCookingTime,
+  isDueInKitchen
+} = require('./pickupSlots');
+const { getKitchenLoad, checkKitchenCapacity, quoteWaitMinutes } = require('./kitchenCapacity');
+const { generateTrackingToken, isTrackingToken, findOrderByTrackingToken, buildTrackingView } = require('./orderTracking');
+const {
+  ORDER_NOTIFICATION_TYPES,
+  ORDER_NOTIFICATION_LABELS,
+  shouldNotify,
+  claimNotification,
+  markNotificationSent,
+  releaseNotification,
+  buildStatusEmail
+} = require('./orderNotifications');
+const { formatMoney, buildReceipt, layoutReceipt } = require('./receipts');
+const { encodeEscPos } = require('./escpos');
+const { renderReceiptPdf } = require('./pdf');
+const { createPrintQueue } = require('./printQueue');
+const {
+  TABLE_SHAPES,
+  TABLE_STATUS_LABELS,
+  normalizeTable,
+  isRegisteredTable,
+  resolveTableNumber,
+  getTableStatus
+} = require('./tables');
+const {
+  createTab,
+  findOpenTab,
+  addOrderToTab,
+  isBillable,
+  summarizeTab,
+  recordTabPayment,
+  closeTab
+} = require('./tabs');
+const { getSplittableOrders, buildSplit, isSplitCurrent, paySplitBill } = require('./billSplits');
 
 const PORT = process.env.PORT || 4000;
 const ADMIN_USER = process.env.ADMIN_USER || 'admin';
@@ -34,6 +187,10 @@ const WAITER_PASS = process.env.WAITER_PASS || 'waiter123';
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/aroma-restaurant';
 
+// What to do when a submitted order total disagrees with the server total:
+// 'flag' stores the order with the server total and marks it, 'reject' refuses it
+const PRICE_MISMATCH_POLICY = process.env.PRICE_MISMATCH_POLICY || 'flag';
+
 // Database models are now imported from database.js
 
 // Database connection is now handled by database.js module
@@ -230,15 +387,39 @@ async function initializeDefaultData() {
 }
 
 // Email configuration
+// (the sender address and restaurant name come from the restaurant settings)
 const SENDGRID_API_KEY = process.env.SENDGRID_API_KEY || '';
-const EMAIL_FROM = process.env.EMAIL_FROM || 'noreply@aromarestaurant.com';
-const RESTAURANT_NAME = process.env.RESTAURANT_NAME || 'AROMA Restaurant';
 
 // Configure SendGrid
 if (SENDGRID_API_KEY) {
   sgMail.setApiKey(SENDGRID_API_KEY);
 }
 
+// Stripe configuration (payments are disabled when no secret key is set)
+const stripe = createStripeClient();
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET || '';
+if (stripe) {
+  console.log('💳 Stripe payments enabled');
+}
+
+// Real-time order events pushed to the kitchen and waiter screens
+const orderEvents = createOrderEvents();
+
+// Network receipt printer (printing is disabled when PRINTER_HOST is not set)
+const printQueue = createPrintQueue();
+if (printQueue) {
+  console.log(`🖨️ Printing to ${printQueue.printer}`);
+}
+
+// Restaurant settings - used for order pricing, emails and QR codes and exposed via /api/settings.
+// Loaded from storage at startup and updated in place from the admin settings page.
+const restaurantSettings = createDefaultSettings();
+
+// Sender for customer emails, from the restaurant settings
+function getEmailSender() {
+  return { email: restaurantSettings.emailFrom, name: restaurantSettings.emailFromName };
+}
+
 // In-memory data storage
 let menuData = {
   categories: [
@@ -322,21 +503,42 @@ let orders = [];
 let clients = [];
 let reservations = [];
 let availability = [];
+let tables = [];
 let orderIdCounter = 1;
+// New orders between pricing and being stored, so their promotion uses, pickup slots and
+// kitchen load already count
+const ordersBeingPlaced = [];
 let reservationIdCounter = 1;
-
-// Data persistence files - using multiple backup locations for reliability
-const MENU_DATA_FILE = path.join(__dirname, 'data', 'menu-data.json');
-const ORDERS_DATA_FILE = path.join(__dirname, 'data', 'orders-data.json');
-const CLIENTS_DATA_FILE = path.join(__dirname, 'data', 'clients-data.json');
-const RESERVATIONS_DATA_FILE = path.join(__dirname, 'data', 'reservations-data.json');
-const AVAILABILITY_DATA_FILE = path.join(__dirname, 'data', 'availability-data.json');
-const MENU_DATA_BACKUP = path.join(__dirname, 'menu-data.json');
-const ORDERS_DATA_BACKUP = path.join(__dirname, 'orders-data.json');
-const CLIENTS_DATA_BACKUP = path.join(__dirname, 'clients-data.json');
+let tableIdCounter = 1;
+let tabs = [];
+let tabIdCounter = 1;
+let promotions = [];
+let promotionIdCounter = 1;
+let giftCards = [];
+let giftCardIdCounter = 1;
+let stockIngredients = [];
+let ingredientIdCounter = 1;
+
+// Data persistence files - using multiple backup locations for reliability.
+// They live next to this file unless DATA_DIR points elsewhere (tests use a temp dir).
+const DATA_ROOT = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : __dirname;
+const MENU_DATA_FILE = path.join(DATA_ROOT, 'data', 'menu-data.json');
+const ORDERS_DATA_FILE = path.join(DATA_ROOT, 'data', 'orders-data.json');
+const CLIENTS_DATA_FILE = path.join(DATA_ROOT, 'data', 'clients-data.json');
+const RESERVATIONS_DATA_FILE = path.join(DATA_ROOT, 'data', 'reservations-data.json');
+const AVAILABILITY_DATA_FILE = path.join(DATA_ROOT, 'data', 'availability-data.json');
+const TABLES_DATA_FILE = path.join(DATA_ROOT, 'data', 'tables-data.json');
+const TABS_DATA_FILE = path.join(DATA_ROOT, 'data', 'tabs-data.json');
+const SETTINGS_DATA_FILE = path.join(DATA_ROOT, 'data', 'settings-data.json');
+const PROMOTIONS_DATA_FILE = path.join(DATA_ROOT, 'data', 'promotions-data.json');
+const GIFT_CARDS_DATA_FILE = path.join(DATA_ROOT, 'data', 'gift-cards-data.json');
+const INGREDIENTS_DATA_FILE = path.join(DATA_ROOT, 'data', 'ingredients-data.json');
+const MENU_DATA_BACKUP = path.join(DATA_ROOT, 'menu-data.json');
+const ORDERS_DATA_BACKUP = path.join(DATA_ROOT, 'orders-data.json');
+const CLIENTS_DATA_BACKUP = path.join(DATA_ROOT, 'clients-data.json');
 
 // Ensure data directory exists
-const dataDir = path.join(__dirname, 'data');
+const dataDir = path.join(DATA_ROOT, 'data');
 if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
   console.log('📁 Created data directory:', dataDir);
@@ -616,6 +818,212 @@ function formatMenuData() {
   }
 }
 
+// Name of the staff member making a change (basic auth user), for audit trails
+function getActor(req) {
+  return (req.auth && req.auth.user) || 'anonymous';
+}
+
+// Move an order to a new status on behalf of the logged-in user and let the
+// connected screens and the customer know. The note is kept in the status history
+// and is the reason given in cancellation emails. Resolves to the transition result
+// from orderStatus.js once stock, loyalty and gift card are dealt with, one after the
+// other, so the caller's save of the order comes after theirs. The email is claimed
+// on the order straight away but sent in the background, as it saves the order itself.
+async function changeOrderStatus(req, order, status, note) {
+  const transition = transitionOrderStatus(order, status, getActor(req), note);
+  if (transition.changed) {
+    orderEvents.publish('order-status-changed', order);
+    if (status === 'confirmed') {
+      await takeOrderStock(order).catch(error => {
+        console.error(`❌ Error taking the stock for order ${order.id}:`, error);
+      });
+    }
+    await settleLoyalty(order, getActor(req)).catch(error => {
+      console.error(`❌ Error settling loyalty points for order ${order.id}:`, error);
+    });
+    await settleGiftCard(order, getActor(req)).catch(error => {
+      console.error(`❌ Error crediting the gift card of order ${order.id}:`, error);
+    });
+    notifyOrderStatus(order, status, note).catch(error => {
+      console.error(`❌ Error emailing the customer of order ${order.id}:`, error);
+    });
+  }
+  return transition;
+}
+
+// Email the customer that their order was confirmed, is ready or was cancelled.
+// The email is claimed on the order before it goes out so it is sent only once,
+// and released again if sending fails so a later retry can send it.
+async function notifyOrderStatus(order, status, reason) {
+  if (!shouldNotify(order, status, restaurantSettings)) return;
+  if (!SENDGRID_API_KEY) {
+    console.log(`⚠️ SendGrid API key not configured - skipping the ${status} email for order ${order.id}`);
+    return;
+  }
+  if (!claimNotification(order, status)) return;
+
+  const email = buildStatusEmail(order, status, {
+    restaurantName: restaurantSettings.restaurantName,
+    trackingUrl: getTrackingUrl(order),
+    reason: reason ? String(reason).trim() : ''
+  });
+  try {
+    const result = await sgMail.send({ to: order.customerEmail, from: getEmailSender(), subject: email.subject, html: email.html });
+    markNotificationSent(order, status, result[0].headers['x-message-id']);
+    console.log(`📧 ${ORDER_NOTIFICATION_LABELS[status]} email sent for order ${order.id}`);
+  } catch (error) {
+    releaseNotification(order, status);
+    console.error(`❌ Failed to send the ${status} email for order ${order.id}:`, error.message);
+  }
+  await persistOrder(order);
+}
+
+// Take a confirmed order's ingredients out of stock. The order is marked straight
+// away, so the caller saving the order also records that its stock was taken.
+async function takeOrderStock(order) {
+  const changed = deductOrderStock(order, menuData.items, stockIngredients);
+  if (changed.length === 0) return;
+
+  await persistIngredients(changed);
+  const low = getLowStockIngredients(changed);
+  if (low.length > 0) {
+    console.log(`🥫 Low stock after order ${order.id}: ${low.map(ingredient => `${ingredient.name} (${ingredient.stock} ${ingredient.unit})`).join(', ')}`);
+  }
+}
+
+// The menu as customers see it, with items that can't be made from the stock 86'd
+function getAvailableMenuItems() {
+  return applyStockAvailability(menuData.items, stockIngredients);
+}
+
+// Earn points when an order completes and give redeemed points back when it's cancelled
+async function settleLoyalty(order, actor) {
+  const client = findClientByEmail(clients, order.customerEmail);
+  const entry = settleOrderPoints(order, client, restaurantSettings.loyalty, actor);
+  if (entry) {
+    await persistClientLoyalty(client);
+    console.log(`⭐ ${entry.points} points (${entry.type}) for ${client.email} on order ${order.id}`);
+  }
+}
+
+// Put what a cancelled order took from its gift card back on the card
+async function settleGiftCard(order, actor) {
+  if (!order.giftCard) return;
+  const giftCard = giftCards.find(card => card.id === order.giftCard.id);
+  const transaction = creditCancelledOrder(order, giftCard, actor);
+  if (transaction) {
+    await persistGiftCard(giftCard);
+    console.log(`🎁 ${transaction.amount.toFixed(2)} back on gift card ${giftCard.code} for cancelled order ${order.id}`);
+  }
+}
+
+// Send a receipt or kitchen ticket as a printable page (html), PDF or ESC/POS bytes
+function sendReceipt(res, order, kind, format = 'html') {
+  const receipt = buildReceipt(order, restaurantSettings, kind);
+  const fileName = `order-${order.id}-${kind}`;
+
+  if (format === 'pdf') {
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+    return res.send(renderReceiptPdf(layoutReceipt(receipt), { title: `Order #${order.id}` }));
+  }
+  if (format === 'escpos') {
+    res.set('Content-Type', 'application/octet-stream');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.bin"`);
+    return res.send(encodeEscPos(layoutReceipt(receipt)));
+  }
+  if (format !== 'html') {
+    return res.status(400).json({ success: false, error: 'format must be html, pdf or escpos' });
+  }
+  res.render('receipt', { receipt });
+}
+
+// Queue a receipt or kitchen ticket on the network printer
+function printReceipt(res, order, kind) {
+  if (!printQueue) {
+    return res.status(503).json({ success: false, error: 'No printer configured' });
+  }
+  const data = encodeEscPos(layoutReceipt(buildReceipt(order, restaurantSettings, kind)));
+  const job = printQueue.enqueue(data, `Order #${order.id} ${kind}`);
+  res.json({ success: true, job });
+}
+
+// Orders on the kitchen screens: not waiting for a card payment and, when
+// ordered ahead, due to be cooked
+function isOnKitchenScreen(order) {
+  return isKitchenVisible(order) && isDueInKitchen(order);
+}
+
+// Orders ordered ahead reach the open kitchen screens when it's time to cook them.
+// Orders that fell due while the server was down show when the screens load.
+let kitchenReleaseCheckedAt = new Date();
+function releaseDueOrders(now = new Date()) {
+  orders
+    .filter(order => order.startCookingAt && order.status !== 'cancelled')
+    .filter(order => new Date(order.startCookingAt) > kitchenReleaseCheckedAt && new Date(order.startCookingAt) <= now)
+    .forEach(order => {
+      console.log(`⏰ Order ${order.id} is due in the kitchen for pickup at ${new Date(order.pickupTime).toLocaleTimeString()}`);
+      orderEvents.publish('order-created', order);
+    });
+  kitchenReleaseCheckedAt = now;
+}
+
+// Look up one order, preferring the local array and falling back to MongoDB
+async function findOrderById(orderId) {
+  const order = orders.find(o => o.id === orderId);
+  if (order || mongoose.connection.readyState !== 1) {
+    return order || null;
+  }
+  return Order.findOne({ id: orderId });
+}
+
+// Look up an order by its tracking token, the same way
+async function findOrderByToken(token) {
+  const order = findOrderByTrackingToken(orders, token);
+  if (order || !isTrackingToken(token) || mongoose.connection.readyState !== 1) {
+    return order;
+  }
+  return Order.findOne({ trackingToken: token });
+}
+
+// The customer's tracking page for an order, under the configured frontend URL. Not
+// built from the request's Host header, which anyone placing an order can forge.
+function getTrackingUrl(order) {
+  return order.trackingToken ? `${restaurantSettings.frontendUrl}/track/${order.trackingToken}` : null;
+}
+
+// Build a plain MongoDB document from a local order (plain object or mongoose doc).
+// Used by the delete-and-recreate updates so no order field is dropped.
+function buildOrderDocument(order, overrides = {}) {
+  const plainOrder = typeof order.toObject === 'function' ? order.toObject() : { ...order };
+  delete plainOrder._id;
+  delete plainOrder.__v;
+  
+  return {
+    ...plainOrder,
+    notes: plainOrder.notes || '', // Preserve notes!
+    createdAt: plainOrder.createdAt || new Date(),
+    ...overrides,
+    updatedAt: new Date()
+  };
+}
+
+// Persist a single order to MongoDB (when connected) and to the file backup
+async function persistOrder(order) {
+  order.updatedAt = new Date().toISOString();
+  
+  if (mongoose.connection.readyState === 1) {
+    try {
+      await Order.findOneAndUpdate({ id: order.id }, buildOrderDocument(order), { upsert: true });
+      console.log(`✅ Order ${order.id} saved to MongoDB`);
+    } catch (error) {
+      console.error(`❌ Error saving order ${order.id} to MongoDB:`, error);
+    }
+  }
+  
+  saveOrdersData();
+}
+
 function saveOrdersData() {
   try {
     const ordersData = {
@@ -738,6 +1146,37 @@ console.log('📅 Sample reservation data:', reservations[0] ? JSON.stringify(re
 
 const app = express();
 
+// Behind a proxy (e.g. Railway) set TRUST_PROXY so req.ip is the customer's address for rate limiting
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
+// Public gift card balance checks per IP, so codes can't be guessed by trying them all
+const giftCardBalanceLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.GIFT_CARD_BALANCE_RATE_LIMIT) || 10
+});
+
+// Orders paying with a gift card share the balance check's limit, as a code can be tried there too
+function limitGiftCardCodes(req, res, next) {
+  if (req.body && req.body.giftCardCode) {
+    return giftCardBalanceLimiter(req, res, next);
+  }
+  next();
+}
+
+// Online gift card purchases per IP - the purchase form is public and its text ends up on admin pages
+const giftCardPurchaseLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.GIFT_CARD_PURCHASE_RATE_LIMIT) || 5
+});
+
+// Loyalty redeem codes asked for per IP, so customers' inboxes can't be flooded
+const loyaltyCodeLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.LOYALTY_CODE_RATE_LIMIT) || 5
+});
+
 // Clean up corrupted data in MongoDB
 async function cleanupCorruptedData() {
   try {
@@ -958,7 +1397,7 @@ async function cleanupCorruptedData() {
 }
 
 // Email sending function using SendGrid
-async function sendOrderConfirmation(order, customerEmail, customerName) {
+async function sendOrderConfirmation(order, customerEmail, customerName, trackingUrl) {
   try {
     console.log('📧 SendGrid API Key configured:', !!SENDGRID_API_KEY);
     console.log('📧 API Key length:', SENDGRID_API_KEY ? SENDGRID_API_KEY.length : 0);
@@ -968,25 +1407,52 @@ async function sendOrderConfirmation(order, customerEmail, customerName) {
       return { success: false, message: 'SendGrid API key not configured' };
     }
 
+    // Use the prices stored on the order - they are what the customer is charged
     const orderItems = order.items.map(item => {
       const menuItem = menuData.items.find(mi => mi.id === item.id);
+      const quantity = item.qty || item.quantity || 1;
+      const price = item.price !== undefined ? item.price : (menuItem ? menuItem.price : 0);
       return {
-        name: menuItem ? menuItem.name.en : `Item ${item.id}`,
-        quantity: item.qty,
-        price: menuItem ? menuItem.price : 0
+        name: menuItem ? menuItem.name.en : (item.name || `Item ${item.id}`),
+        quantity: quantity,
+        price: price,
+        modifiers: item.modifiers || [],
+        lineTotal: item.lineTotal !== undefined ? item.lineTotal : price * quantity
       };
     });
 
-    const orderTotal = orderItems.reduce((total, item) => total + (item.price * item.quantity), 0);
+    const orderTotal = order.total !== undefined ? order.total : orderItems.reduce((total, item) => total + item.lineTotal, 0);
+    
+    // Breakdown rows shown above the total (only the ones that apply). Tax already
+    // in the prices is listed below the total instead of being added to it.
+    const taxRows = getOrderTaxBreakdown(order).map(entry => ({
+      label: `${order.pricesIncludeTax ? 'Includes tax' : 'Tax'} (${Math.round(entry.rate * 10000) / 100}%)`,
+      amount: entry.tax
+    }));
+    const discountSources = [
+      ...(order.promotions || []).map(promotion => promotion.code || promotion.name),
+      ...(order.loyalty && order.loyalty.pointsRedeemed ? [`${order.loyalty.pointsRedeemed} points`] : [])
+    ];
+    const breakdownRows = [
+      { label: 'Subtotal', amount: order.subtotal },
+      {
+        label: discountSources.length > 0 ? `Discount (${discountSources.join(', ')})` : 'Discount',
+        amount: order.discount ? -order.discount : 0
+      },
+      ...(order.pricesIncludeTax ? [] : taxRows),
+      { label: 'Service Charge', amount: order.serviceCharge },
+      { label: 'Delivery Fee', amount: order.deliveryFee }
+    ].filter(row => row.amount);
+    const includedTaxRows = order.pricesIncludeTax ? taxRows.filter(row => row.amount) : [];
 
     const msg = {
       to: customerEmail,
-      from: EMAIL_FROM,
-      subject: `Order Confirmation - ${RESTAURANT_NAME}`,
+      from: getEmailSender(),
+      subject: `Order Confirmation - ${restaurantSettings.restaurantName}`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <div style="background: linear-gradient(135deg, #ff6b35, #f7931e); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
-            <h1 style="margin: 0; font-size: 28px;">🍔 ${RESTAURANT_NAME}</h1>
+            <h1 style="margin: 0; font-size: 28px;">🍔 ${restaurantSettings.restaurantName}</h1>
             <p style="margin: 10px 0 0 0; font-size: 16px;">Order Confirmation</p>
           </div>
           
@@ -996,8 +1462,13 @@ async function sendOrderConfirmation(order, customerEmail, customerName) {
             
             <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
               <h3 style="color: #333; margin-top: 0;">Order #${order.id}</h3>
-              <p style="margin: 5px 0;"><strong>Order Type:</strong> ${order.orderType === 'dine-in' ? 'Dine In' : 'Takeaway'}</p>
+              <p style="margin: 5px 0;"><strong>Order Type:</strong> ${ORDER_TYPE_LABELS[order.orderType] || order.orderType || 'Dine In'}</p>
               ${order.tableNumber ? `<p style="margin: 5px 0;"><strong>Table:</strong> ${order.tableNumber}</p>` : ''}
+              ${order.pickupTime ? `<p style="margin: 5px 0;"><strong>Pickup Time:</strong> ${new Date(order.pickupTime).toLocaleString()}</p>` : ''}
+              ${order.quotedWaitMinutes ? `<p style="margin: 5px 0;"><strong>Estimated Wait:</strong> about ${order.quotedWaitMinutes} minutes</p>` : ''}
+              ${order.deliveryAddress ? `<p style="margin: 5px 0;"><strong>Deliver to:</strong> ${[order.deliveryAddress.street, order.deliveryAddress.postcode, order.deliveryAddress.city].filter(Boolean).join(', ')}</p>` : ''}
+              ${order.deliveryAddress && order.deliveryAddress.notes ? `<p style="margin: 5px 0;"><strong>Delivery notes:</strong> ${order.deliveryAddress.notes}</p>` : ''}
+              ${order.customerPhone ? `<p style="margin: 5px 0;"><strong>Phone:</strong> ${order.customerPhone}</p>` : ''}
               <p style="margin: 5px 0;"><strong>Order Time:</strong> ${new Date(order.timestamp).toLocaleString()}</p>
               ${order.marketingConsent ? `<p style="margin: 5px 0; color: #28a745;"><strong>✓ Marketing Communications:</strong> Opted In</p>` : '<p style="margin: 5px 0; color: #dc3545;"><strong>✗ Marketing Communications:</strong> Opted Out</p>'}
             </div>
@@ -1015,28 +1486,49 @@ async function sendOrderConfirmation(order, customerEmail, customerName) {
                 <div style="display: flex; justify-content: space-between; padding: 15px; border-bottom: 1px solid #f0f0f0;">
                   <div>
                     <strong>${item.name}</strong>
+                    ${item.modifiers.map(modifier => `
+                    <div style="color: #666; font-size: 13px;">+ ${modifier.name}${modifier.priceDelta ? ` (${modifier.priceDelta > 0 ? '+' : '-'}${formatMoney(Math.abs(modifier.priceDelta), restaurantSettings.currency)})` : ''}</div>
+                    `).join('')}
                     <div style="color: #666; font-size: 14px;">Quantity: ${item.quantity}</div>
                   </div>
-                  <div style="font-weight: bold; color: #ff6b35;">€${(item.price * item.quantity).toFixed(2)}</div>
+                  <div style="font-weight: bold; color: #ff6b35;">${formatMoney(item.lineTotal, restaurantSettings.currency)}</div>
+                </div>
+              `).join('')}
+              ${breakdownRows.map(row => `
+                <div style="display: flex; justify-content: space-between; padding: 10px 15px; color: #666;">
+                  <span>${row.label}:</span>
+                  <span>${formatMoney(row.amount, restaurantSettings.currency)}</span>
                 </div>
               `).join('')}
               <div style="display: flex; justify-content: space-between; padding: 15px; background: #f8f9fa; font-weight: bold; font-size: 18px;">
                 <span>Total:</span>
-                <span style="color: #ff6b35;">€${orderTotal.toFixed(2)}</span>
+                <span style="color: #ff6b35;">${formatMoney(orderTotal, restaurantSettings.currency)}</span>
               </div>
+              ${includedTaxRows.map(row => `
+                <div style="display: flex; justify-content: space-between; padding: 10px 15px; color: #999; font-size: 13px;">
+                  <span>${row.label}:</span>
+                  <span>${formatMoney(row.amount, restaurantSettings.currency)}</span>
+                </div>
+              `).join('')}
             </div>
             
             <div style="background: #e8f5e8; padding: 15px; border-radius: 8px; margin: 20px 0;">
               <p style="margin: 0; color: #2d5a2d;"><strong>Status:</strong> ${order.status.charAt(0).toUpperCase() + order.status.slice(1)}</p>
             </div>
             
+            ${trackingUrl ? `
+            <div style="text-align: center; margin: 20px 0;">
+              <a href="${trackingUrl}" style="display: inline-block; background: #ff6b35; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none; font-weight: bold;">Track your order</a>
+            </div>
+            ` : ''}
+            
             <p style="color: #666; font-size: 14px; margin-top: 30px;">
-              We'll prepare your order and notify you when it's ready. Thank you for choosing ${RESTAURANT_NAME}!
+              We'll prepare your order and notify you when it's ready. Thank you for choosing ${restaurantSettings.restaurantName}!
             </p>
           </div>
           
           <div style="background: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 10px 10px; font-size: 14px;">
-            <p style="margin: 0;">© 2024 ${RESTAURANT_NAME}. All rights reserved.</p>
+            <p style="margin: 0;">© 2024 ${restaurantSettings.restaurantName}. All rights reserved.</p>
           </div>
         </div>
       `
@@ -1073,6 +1565,40 @@ app.locals.translate = function(text, language = 'en') {
   return text.toString();
 };
 
+// Status moves offered as buttons on order cards
+app.locals.getNextStatuses = getNextStatuses;
+app.locals.orderStatusActions = ORDER_STATUS_ACTIONS;
+app.locals.kitchenStatuses = KITCHEN_ORDER_STATUSES;
+app.locals.kitchenStations = KITCHEN_STATIONS;
+app.locals.isLineBumped = isLineBumped;
+app.locals.printerConfigured = Boolean(printQueue);
+
+// Ticket timer for the kitchen screens, against the current menu's prep times
+app.locals.getTicketTiming = function(order) {
+  return getTicketTiming(order, menuData.items);
+};
+
+// Group order lines by seat for table service views.
+// Returns [{ seat, lines }] with seats in order and unassigned lines last.
+app.locals.groupItemsBySeat = function(items) {
+  const groups = [];
+  (items || []).forEach(item => {
+    const seat = item.seat || null;
+    let group = groups.find(g => g.seat === seat);
+    if (!group) {
+      group = { seat: seat, lines: [] };
+      groups.push(group);
+    }
+    group.lines.push(item);
+  });
+
+  return groups.sort((a, b) => {
+    if (a.seat === null) return 1;
+    if (b.seat === null) return -1;
+    return a.seat - b.seat;
+  });
+};
+
 // Enhanced CORS configuration - Allow all origins for now
 app.use(cors({ 
   origin: true, // Allow all origins temporarily
@@ -1100,7 +1626,12 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(bodyParser.json());
+// Keep the raw body around - Stripe webhook signatures are computed over it
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Serve static files from the frontend build (only if directory exists)
@@ -1140,7 +1671,7 @@ app.get('/', (req, res) => {
       message: 'Restaurant Backend API',
       admin: '/admin',
       health: '/health',
-      frontend: 'https://aroma-frontend-delta.vercel.app'
+      frontend: restaurantSettings.frontendUrl
     });
   }
 });
@@ -1277,7 +1808,7 @@ app.get('/api/test-email', async (req, res) => {
 // API Routes
 app.get('/api/menu', (req, res) => {
   try {
-    res.json(menuData);
+    res.json({ ...menuData, items: getAvailableMenuItems() });
   } catch (error) {
     console.error('Error fetching menu:', error);
     res.status(500).json({ error: 'Failed to fetch menu data' });
@@ -1286,7 +1817,7 @@ app.get('/api/menu', (req, res) => {
 
 app.get('/api/menu/items', (req, res) => {
   try {
-    res.json(menuData.items || []);
+    res.json(getAvailableMenuItems());
   } catch (error) {
     console.error('Error fetching menu items:', error);
     res.status(500).json({ error: 'Failed to fetch menu items' });
@@ -1311,8 +1842,12 @@ app.get('/api/qr/generate/:tableNumber', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Valid table number is required' });
     }
     
+    if (!isRegisteredTable(tables, tableNumber)) {
+      return res.status(404).json({ success: false, error: `Table ${tableNumber} does not exist` });
+    }
+    
     // Create the URL that the QR code will point to
-    const baseUrl = process.env.FRONTEND_URL || 'https://aroma-frontend-delta.vercel.app';
+    const baseUrl = restaurantSettings.frontendUrl;
     const qrUrl = `${baseUrl}?table=${tableNumber}`;
     
     // Generate QR code as data URL
@@ -1347,10 +1882,17 @@ app.get('/api/qr/batch/:startTable/:endTable', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Valid start and end table numbers are required' });
     }
     
-    const baseUrl = process.env.FRONTEND_URL || 'https://aroma-frontend-delta.vercel.app';
+    const baseUrl = restaurantSettings.frontendUrl;
     const qrCodes = [];
+    const skippedTables = [];
     
     for (let tableNum = start; tableNum <= end; tableNum++) {
+      // Only registered tables get a QR code
+      if (!isRegisteredTable(tables, tableNum)) {
+        skippedTables.push(tableNum);
+        continue;
+      }
+      
       const qrUrl = `${baseUrl}?table=${tableNum}`;
       const qrCodeDataUrl = await QRCode.toDataURL(qrUrl, {
         width: 300,
@@ -1370,7 +1912,8 @@ app.get('/api/qr/batch/:startTable/:endTable', async (req, res) => {
     
     res.json({
       success: true,
-      qrCodes: qrCodes
+      qrCodes: qrCodes,
+      skippedTables: skippedTables
     });
   } catch (error) {
     console.error('Error generating batch QR codes:', error);
@@ -1381,13 +1924,25 @@ app.get('/api/qr/batch/:startTable/:endTable', async (req, res) => {
 // Menu Management API Routes
 app.post('/api/menu/items', async (req, res) => {
   try {
-    const { name, description, price, image, category_id, ingredients, nutrition, allergies, prepTime, video } = req.body;
+    const { name, description, price, image, category_id, ingredients, nutrition, allergies, prepTime, video, modifierGroups, taxClass, recipe } = req.body;
     console.log('POST /api/menu/items - Received data:', { name, video, image, category_id });
     
     if (!name || !price || !category_id) {
       return res.status(400).json({ success: false, error: 'Name, price, and category are required' });
     }
     
+    const modifiers = normalizeModifierGroups(modifierGroups);
+    if (modifiers.errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid modifier groups', details: modifiers.errors });
+    }
+    const recipeResult = normalizeRecipe(recipe, stockIngredients);
+    if (recipeResult.errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid recipe', details: recipeResult.errors });
+    }
+    if (taxClass && !isTaxClass(restaurantSettings, taxClass)) {
+      return res.status(400).json({ success: false, error: `Unknown tax class "${taxClass}"` });
+    }
+    
     // Generate thumbnail for video if provided
     let thumbnail = null;
     if (video && video.trim() !== '') {
@@ -1408,7 +1963,10 @@ app.post('/api/menu/items', async (req, res) => {
       ingredients: generateMultilingualTranslations(ingredients, 'item'),
       nutrition: generateMultilingualTranslations(nutrition, 'item'),
       allergies: generateMultilingualTranslations(allergies, 'item'),
-      prepTime: generateMultilingualTranslations(prepTime, 'item')
+      prepTime: generateMultilingualTranslations(prepTime, 'item'),
+      modifierGroups: modifiers.groups,
+      taxClass: taxClass || null, // null uses the category's tax class
+      recipe: recipeResult.recipe
     };
     
     // Save to database if connected
@@ -1432,7 +1990,7 @@ app.post('/api/menu/items', async (req, res) => {
 app.put('/api/menu/items/:id', async (req, res) => {
   try {
     const itemId = parseInt(req.params.id);
-    const { name, description, price, image, category_id, ingredients, nutrition, allergies, prepTime, video, active } = req.body;
+    const { name, description, price, image, category_id, ingredients, nutrition, allergies, prepTime, video, active, modifierGroups, taxClass, recipe } = req.body;
     console.log('PUT /api/menu/items/' + itemId + ' - Received data:', { name, video, image, category_id });
     
     const itemIndex = menuData.items.findIndex(item => item.id === itemId);
@@ -1440,6 +1998,18 @@ app.put('/api/menu/items/:id', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Item not found' });
     }
     
+    const modifiers = normalizeModifierGroups(modifierGroups);
+    if (modifiers.errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid modifier groups', details: modifiers.errors });
+    }
+    if (taxClass && !isTaxClass(restaurantSettings, taxClass)) {
+      return res.status(400).json({ success: false, error: `Unknown tax class "${taxClass}"` });
+    }
+    const recipeResult = normalizeRecipe(recipe, stockIngredients);
+    if (recipeResult.errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid recipe', details: recipeResult.errors });
+    }
+    
     // Generate thumbnail for video if provided
     let thumbnail = menuData.items[itemIndex].thumbnail; // Keep existing thumbnail
     if (video !== undefined && video && video.trim() !== '') {
@@ -1462,6 +2032,9 @@ app.put('/api/menu/items/:id', async (req, res) => {
       nutrition: nutrition ? generateMultilingualTranslations(nutrition, 'item') : menuData.items[itemIndex].nutrition,
       allergies: allergies ? generateMultilingualTranslations(allergies, 'item') : menuData.items[itemIndex].allergies,
       prepTime: prepTime ? generateMultilingualTranslations(prepTime, 'item') : menuData.items[itemIndex].prepTime,
+      modifierGroups: modifierGroups !== undefined ? modifiers.groups : (menuData.items[itemIndex].modifierGroups || []),
+      taxClass: taxClass !== undefined ? (taxClass || null) : (menuData.items[itemIndex].taxClass || null),
+      recipe: recipe !== undefined ? recipeResult.recipe : (menuData.items[itemIndex].recipe || []),
       active: active !== undefined ? active : menuData.items[itemIndex].active
     };
     
@@ -1512,17 +2085,26 @@ app.delete('/api/menu/items/:id', async (req, res) => {
 // Category Management API Routes
 app.post('/api/menu/categories', async (req, res) => {
   try {
-    const { name, icon, sort_order } = req.body;
+    const { name, icon, sort_order, station, taxClass } = req.body;
     
     if (!name) {
       return res.status(400).json({ success: false, error: 'Category name is required' });
     }
     
+    if (station && !isKitchenStation(station)) {
+      return res.status(400).json({ success: false, error: `Unknown kitchen station "${station}"` });
+    }
+    if (taxClass && !isTaxClass(restaurantSettings, taxClass)) {
+      return res.status(400).json({ success: false, error: `Unknown tax class "${taxClass}"` });
+    }
+    
     const newCategory = {
       id: Math.max(...menuData.categories.map(c => c.id), 0) + 1,
       name: generateMultilingualTranslations(name, 'category'),
       icon: icon || '🍽️',
       sort_order: sort_order || menuData.categories.length + 1,
+      station: station || null,
+      taxClass: taxClass || null, // null uses the default tax class
       active: true
     };
     
@@ -1547,18 +2129,27 @@ app.post('/api/menu/categories', async (req, res) => {
 app.put('/api/menu/categories/:id', async (req, res) => {
   try {
     const categoryId = parseInt(req.params.id);
-    const { name, icon, sort_order, active } = req.body;
+    const { name, icon, sort_order, active, station, taxClass } = req.body;
     
     const categoryIndex = menuData.categories.findIndex(cat => cat.id === categoryId);
     if (categoryIndex === -1) {
       return res.status(404).json({ success: false, error: 'Category not found' });
     }
     
+    if (station && !isKitchenStation(station)) {
+      return res.status(400).json({ success: false, error: `Unknown kitchen station "${station}"` });
+    }
+    if (taxClass && !isTaxClass(restaurantSettings, taxClass)) {
+      return res.status(400).json({ success: false, error: `Unknown tax class "${taxClass}"` });
+    }
+    
     const updatedCategory = {
       ...menuData.categories[categoryIndex],
       name: name ? generateMultilingualTranslations(name, 'category') : menuData.categories[categoryIndex].name,
       icon: icon || menuData.categories[categoryIndex].icon,
       sort_order: sort_order !== undefined ? parseInt(sort_order) : menuData.categories[categoryIndex].sort_order,
+      station: station !== undefined ? (station || null) : menuData.categories[categoryIndex].station,
+      taxClass: taxClass !== undefined ? (taxClass || null) : (menuData.categories[categoryIndex].taxClass || null),
       active: active !== undefined ? active : menuData.categories[categoryIndex].active
     };
     
@@ -1616,23 +2207,167 @@ app.delete('/api/menu/categories/:id', async (req, res) => {
 });
 
 app.get('/api/settings', (req, res) => {
+  res.json(getPublicSettings(restaurantSettings));
+});
+
+// Takeaway pickup slots for a day (?date=YYYY-MM-DD, today by default), with
+// `available` false for the full ones. ?items=N checks the room for an order of N items.
+app.get('/api/pickup-slots', (req, res) => {
+  const { date, items } = req.query;
+  if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ success: false, error: 'Date must be like 2026-06-17' });
+  }
+  const day = date ? new Date(`${date}T00:00:00`) : new Date();
+  const itemCount = Math.max(1, parseInt(items) || 1);
+
   res.json({
-    restaurantName: 'AROMA Restaurant',
-    currency: 'EUR',
-    taxRate: 0.18,
-    serviceCharge: 0.10,
-    deliveryFee: 2.50
+    success: true,
+    enabled: restaurantSettings.pickup.enabled,
+    slotMinutes: PICKUP_SLOT_MINUTES,
+    slots: buildPickupSlots(restaurantSettings, orders.concat(ordersBeingPlaced), day, new Date(), itemCount)
+  });
+});
+
+// The load new online orders are checked against: orders still being placed and card
+// orders waiting on their payment count as well, since they reach the kitchen once paid
+function getOrderingLoad() {
+  return getKitchenLoad(orders.concat(ordersBeingPlaced), menuData.categories, new Date(), { includeAwaitingPayment: true });
+}
+
+// Whether online orders are being taken right now, and the wait to expect when busy
+app.get('/api/ordering-status', (req, res) => {
+  const capacity = restaurantSettings.kitchenCapacity;
+  const { full } = checkKitchenCapacity(capacity, getOrderingLoad(), null, menuData.categories);
+  const paused = restaurantSettings.onlineOrdering.paused;
+
+  res.json({
+    success: true,
+    accepting: !paused && !(full && capacity.whenFull === 'pause'),
+    paused,
+    busy: full,
+    waitMinutes: quoteWaitMinutes(null, capacity, full)
   });
 });
 
-app.post('/api/orders', async (req, res) => {
+// An order's progress for the customer, looked up by its tracking token
+app.get('/api/track/:token', async (req, res) => {
+  try {
+    const order = await findOrderByToken(req.params.token);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    res.json({ success: true, order: buildTrackingView(order, menuData.items) });
+  } catch (error) {
+    console.error('Order tracking error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load order' });
+  }
+});
+
+// Live events for one tracked order (Server-Sent Events) - the page refetches the order on each
+app.get('/api/track/:token/events', async (req, res) => {
+  try {
+    const order = await findOrderByToken(req.params.token);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    orderEvents.subscribe(req, res, 'tracking', event => event.id === order.id);
+  } catch (error) {
+    console.error('Order tracking events error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load order' });
+  }
+});
+
+// Email a one-time code for redeeming loyalty points ({ email }). The answer is the same
+// whether or not the email has points, so it can't be used to find customers.
+app.post('/api/loyalty/code', loyaltyCodeLimiter, async (req, res) => {
+  try {
+    if (!SENDGRID_API_KEY) {
+      return res.status(503).json({ success: false, error: 'Loyalty codes can not be emailed at the moment' });
+    }
+
+    const client = findClientByEmail(clients, req.body.email);
+    if (client && client.loyaltyPoints > 0 && restaurantSettings.loyalty.enabled) {
+      const email = buildRedeemCodeEmail(createRedeemCode(client), { restaurantName: restaurantSettings.restaurantName });
+      await persistClientLoyalty(client);
+      try {
+        await sgMail.send({ to: client.email, from: getEmailSender(), subject: email.subject, html: email.html });
+        console.log(`⭐ Redeem code emailed to ${client.email}`);
+      } catch (error) {
+        console.error(`❌ Failed to email the redeem code to ${client.email}:`, error.message);
+      }
+    }
+
+    res.json({ success: true, message: 'If this email has loyalty points, a code is on its way' });
+  } catch (error) {
+    console.error('Loyalty code error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send the code' });
+  }
+});
+
+// Check a gift card's balance - rate limited so codes can't be guessed
+app.get('/api/gift-cards/:code', giftCardBalanceLimiter, (req, res) => {
+  const giftCard = findGiftCardByCode(giftCards, req.params.code);
+  if (!giftCard) {
+    return res.status(404).json({ success: false, error: 'Gift card not found' });
+  }
+  res.json({ success: true, giftCard: getPublicGiftCard(giftCard) });
+});
+
+// Buy a gift card online - it becomes usable once Stripe confirms the payment
+app.post('/api/gift-cards', giftCardPurchaseLimiter, async (req, res) => {
+  try {
+    if (!stripe) {
+      return res.status(503).json({ success: false, error: 'Online card payments are not available' });
+    }
+
+    const { giftCard, errors } = normalizeGiftCard(req.body, 'purchase');
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid gift card', details: errors });
+    }
+
+    const newGiftCard = {
+      id: giftCardIdCounter++,
+      code: generateGiftCardCode(giftCards),
+      ...giftCard,
+      transactions: [],
+      paymentIdempotencyKey: generateIdempotencyKey(),
+      createdAt: new Date()
+    };
+
+    let paymentIntent;
+    try {
+      paymentIntent = await createGiftCardPaymentIntent(stripe, newGiftCard, restaurantSettings.currency);
+    } catch (paymentError) {
+      console.error(`❌ Failed to create PaymentIntent for gift card ${newGiftCard.id}:`, paymentError.message);
+      return res.status(502).json({ success: false, error: 'Payment could not be initialised, please try again' });
+    }
+    newGiftCard.paymentIntentId = paymentIntent.id;
+    giftCards.push(newGiftCard);
+    await persistGiftCard(newGiftCard);
+
+    console.log(`🎁 Gift card ${newGiftCard.code} bought by ${newGiftCard.purchaserEmail}, waiting for payment`);
+    res.status(201).json({
+      success: true,
+      giftCard: getPublicGiftCard(newGiftCard),
+      payment: {
+        paymentIntentId: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret
+      }
+    });
+  } catch (error) {
+    console.error('Gift card purchase error:', error);
+    res.status(500).json({ success: false, error: 'Failed to buy gift card' });
+  }
+});
+
+app.post('/api/orders', limitGiftCardCodes, async (req, res) => {
   try {
     console.log('🚨 ORDER CREATION STARTED');
     console.log('📥 Request body:', JSON.stringify(req.body, null, 2));
     console.log('📊 Current orders count before:', orders.length);
     console.log('🔢 Current orderIdCounter:', orderIdCounter);
     
-    const { items, orderType, tableNumber, customerName, customerEmail, notes, marketingConsent, total } = req.body;
+    const { items, orderType, tableNumber, customerName, customerEmail, customerPhone, deliveryAddress, pickupTime, notes, marketingConsent, total, paymentMethod, partySize, tip, promoCode, redeemPoints, redeemCode, giftCardCode } = req.body;
     
     // Log table number specifically
     console.log('🪑 TABLE NUMBER RECEIVED:', tableNumber, '(type:', typeof tableNumber, ')');
@@ -1642,44 +2377,281 @@ app.post('/api/orders', async (req, res) => {
     if (!items || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({ success: false, error: 'Items are required' });
     }
-    
-    if (!total || isNaN(total)) {
-      return res.status(400).json({ success: false, error: 'Valid total is required' });
-    }
 
     if (!customerName || !customerEmail) {
       return res.status(400).json({ success: false, error: 'Customer name and email are required' });
     }
     
-    // Ensure table number is stored as string for consistency
-    const normalizedTableNumber = tableNumber ? String(tableNumber) : null;
+    const normalizedOrderType = orderType || 'dine-in';
+    if (!ORDER_TYPES.includes(normalizedOrderType)) {
+      return res.status(400).json({ success: false, error: `Order type must be one of ${ORDER_TYPES.join(', ')}` });
+    }
+    
+    // Admins can pause online ordering on busy nights
+    if (restaurantSettings.onlineOrdering.paused) {
+      return res.status(503).json({ success: false, error: 'Online ordering is paused, please try again later', paused: true });
+    }
+    
+    // Price the order from the menu - the client total is only used as a cross-check
+    const { lines, errors: lineErrors } = buildOrderLines(items, getAvailableMenuItems());
+    if (lineErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid order items', details: lineErrors });
+    }
+    const stockErrors = checkStock(lines, menuData.items, stockIngredients);
+    if (stockErrors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid order items', details: stockErrors });
+    }
+    assignStations(lines, menuData.categories);
+    assignTaxClasses(lines, menuData.items, menuData.categories, restaurantSettings);
+    
+    // Party size is optional; service charge rules can depend on it
+    const normalizedPartySize = partySize === undefined || partySize === null || partySize === '' ? null : Number(partySize);
+    if (normalizedPartySize !== null && (!Number.isInteger(normalizedPartySize) || normalizedPartySize < 1)) {
+      return res.status(400).json({ success: false, error: 'Party size must be a positive whole number' });
+    }
+    
+    // The promo code and the best automatic promotion become the order's discount
+    const promotionResult = applyPromotions(lines, promotions, { code: promoCode, customerEmail, orders: orders.concat(ordersBeingPlaced) });
+    if (promotionResult.error) {
+      return res.status(400).json({ success: false, error: promotionResult.error });
+    }
+    
+    // Loyalty points can pay for what the promotions left of the subtotal. They are only
+    // redeemed with the code emailed to the customer - anyone can send their email.
+    const loyaltyClient = findClientByEmail(clients, customerEmail);
+    if (redeemPoints && Number(redeemPoints) !== 0) {
+      const codeCheck = checkRedeemCode(loyaltyClient, redeemCode);
+      if (codeCheck.error) {
+        if (loyaltyClient) {
+          await persistClientLoyalty(loyaltyClient);
+        }
+        return res.status(400).json({ success: false, error: codeCheck.error });
+      }
+    }
+    const redemption = calculateRedemption(
+      loyaltyClient,
+      redeemPoints,
+      calculateSubtotal(lines) - promotionResult.discount,
+      restaurantSettings.loyalty
+    );
+    if (redemption.error) {
+      return res.status(400).json({ success: false, error: redemption.error });
+    }
+    
+    // Delivery orders need an address in one of the delivery zones, whose fee is charged
+    let delivery = null;
+    if (normalizedOrderType === 'delivery') {
+      const details = normalizeDeliveryDetails(deliveryAddress, customerPhone);
+      if (details.errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid delivery details', details: details.errors });
+      }
+      const quote = getDeliveryQuote(restaurantSettings, details.address, calculateSubtotal(lines));
+      if (quote.error) {
+        return res.status(400).json({ success: false, error: quote.error });
+      }
+      delivery = { ...details, zone: quote.zone, fee: quote.fee };
+    }
+    
+    // Takeaway can be ordered ahead for a pickup slot; the kitchen gets it when it's time to cook
+    let schedule = null;
+    if (pickupTime) {
+      if (normalizedOrderType !== 'takeaway') {
+        return res.status(400).json({ success: false, error: 'Pickup times are only for takeaway orders' });
+      }
+      const itemCount = lines.reduce((sum, line) => sum + line.qty, 0);
+      const slot = checkPickupTime(restaurantSettings, orders.concat(ordersBeingPlaced), pickupTime, itemCount);
+      if (slot.error) {
+        return res.status(400).json({ success: false, error: slot.error });
+      }
+      const prepMinutes = getExpectedPrepMinutes({ items: lines }, menuData.items);
+      schedule = {
+        pickupTime: slot.pickupTime.toISOString(),
+        prepMinutes,
+        startCookingAt: getStartCookingTime(slot.pickupTime, prepMinutes).toISOString()
+      };
+    }
+    
+    // Orders for now go over the kitchen's capacity limits: quote a longer wait or turn them away
+    let quotedWaitMinutes = null;
+    if (!schedule) {
+      const capacity = restaurantSettings.kitchenCapacity;
+      const { full, reasons } = checkKitchenCapacity(capacity, getOrderingLoad(), lines, menuData.categories);
+      if (full) {
+        console.log(`🔥 Kitchen at capacity: ${reasons.join(', ')}`);
+      }
+      if (full && capacity.whenFull === 'pause') {
+        return res.status(503).json({ success: false, error: 'The kitchen is at capacity, please try again in a few minutes', busy: true });
+      }
+      quotedWaitMinutes = quoteWaitMinutes(getExpectedPrepMinutes({ items: lines }, menuData.items), capacity, full);
+    }
+    
+    // Lines carry their own tax rate; the default class's rate is the fallback
+    const defaultTaxClass = getDefaultTaxClass(restaurantSettings);
+    const pricingSettings = { ...restaurantSettings, taxRate: defaultTaxClass ? defaultTaxClass.rate : 0 };
+    const { lineTaxes, ...pricing } = calculateOrderTotals(lines, pricingSettings, {
+      orderType: normalizedOrderType,
+      partySize: normalizedPartySize,
+      discount: roundMoney(promotionResult.discount + redemption.discount),
+      deliveryFee: delivery ? delivery.fee : undefined
+    });
+    applyLineTaxes(lines, lineTaxes);
+    
+    // Tips are kept apart from the order total so they don't count as revenue
+    const tipResult = normalizeTip(tip, pricing.total);
+    if (tipResult.error) {
+      return res.status(400).json({ success: false, error: tipResult.error });
+    }
+    const hasSubmittedTotal = total !== undefined && total !== null && total !== '';
+    const totalMismatch = hasSubmittedTotal && !totalsMatch(total, pricing.total);
+    
+    if (totalMismatch) {
+      console.log(`⚠️ PRICE MISMATCH: submitted ${total}, server calculated ${pricing.total}`);
+      if (PRICE_MISMATCH_POLICY === 'reject') {
+        return res.status(409).json({
+          success: false,
+          error: 'Submitted total does not match the current menu prices',
+          submittedTotal: parseFloat(total),
+          pricing: { items: lines, ...pricing }
+        });
+      }
+    }
+    
+    // A gift card pays what it can of the total and tip; card or cash pays the rest
+    let giftCard = null;
+    let giftCardAmount = 0;
+    if (giftCardCode) {
+      giftCard = findGiftCardByCode(giftCards, giftCardCode);
+      // One answer for every unusable card, so orders can't be used to find codes that exist
+      if (getUnusableReason(giftCard)) {
+        return res.status(400).json({ success: false, error: 'This gift card can not be used' });
+      }
+      giftCardAmount = getGiftCardPayment(giftCard, pricing.total + tipResult.tip);
+    }
+    const amountDue = roundMoney(pricing.total + tipResult.tip - giftCardAmount);
+    
+    // Card orders are paid online through Stripe; cash orders are settled at the restaurant.
+    // Clients that don't send a method predate card payments, so they pay cash.
+    let normalizedPaymentMethod = paymentMethod || 'cash';
+    if (giftCard && amountDue <= 0) {
+      normalizedPaymentMethod = 'gift-card';
+    } else if (normalizedPaymentMethod === 'gift-card') {
+      return res.status(400).json({ success: false, error: 'The gift card does not cover the whole order, pay the rest by card or cash' });
+    }
+    if (!['card', 'cash', 'gift-card'].includes(normalizedPaymentMethod)) {
+      return res.status(400).json({ success: false, error: 'Payment method must be card or cash' });
+    }
+    if (normalizedPaymentMethod === 'card' && !stripe) {
+      return res.status(400).json({ success: false, error: 'Online card payments are not available' });
+    }
+    
+    // Store the registered table's number so "05" joins table 5's status and tab
+    const normalizedTableNumber = tableNumber ? resolveTableNumber(tables, tableNumber) : null;
     console.log('🪑 TABLE NUMBER NORMALIZED:', normalizedTableNumber);
+    if (tableNumber && !normalizedTableNumber) {
+      return res.status(400).json({ success: false, error: `Table ${tableNumber} does not exist` });
+    }
+    // Tab bills are split and paid per order, so what a gift card leaves on a table order is paid by card
+    if (giftCard && normalizedPaymentMethod === 'cash' && normalizedTableNumber && normalizedOrderType === 'dine-in') {
+      return res.status(400).json({ success: false, error: 'Pay the rest of a table order by card when using a gift card' });
+    }
     
     const newOrder = {
       id: orderIdCounter++,
-      items: items.map(item => {
-        const menuItem = menuData.items.find(i => i.id === item.id);
-        return {
-          id: item.id || 0,
-          name: menuItem ? (typeof menuItem.name === 'string' ? menuItem.name : menuItem.name.en) : 'Unknown Item',
-          price: menuItem ? (menuItem.price || 0) : 0,
-          qty: item.qty || 1,
-          quantity: item.qty || 1  // Add both for compatibility
-        };
-      }),
-      orderType: orderType || 'dine-in',
+      trackingToken: generateTrackingToken(), // The customer's tracking page link - the id is guessable
+      items: lines,
+      orderType: normalizedOrderType,
       tableNumber: normalizedTableNumber,
+      partySize: normalizedPartySize,
       customerName: customerName,
       customerEmail: customerEmail,
+      customerPhone: delivery ? delivery.phone : (customerPhone ? String(customerPhone).trim() : null),
+      deliveryAddress: delivery ? delivery.address : null,
+      delivery: delivery ? createDelivery(delivery.zone) : null,
+      pickupTime: schedule ? schedule.pickupTime : null,
+      prepMinutes: schedule ? schedule.prepMinutes : null,
+      startCookingAt: schedule ? schedule.startCookingAt : null,
+      quotedWaitMinutes: quotedWaitMinutes,
       notes: notes || '', // Special instructions for kitchen
       marketingConsent: marketingConsent || false,
-      total: parseFloat(total) || 0,
+      subtotal: pricing.subtotal,
+      discount: pricing.discount,
+      promoCode: promoCode ? String(promoCode).trim().toUpperCase() : null,
+      promotions: promotionResult.promotions, // [{ id, name, code, type, amount }]
+      loyalty: redemption.points > 0 ? { pointsRedeemed: redemption.points, discount: redemption.discount } : null,
+      taxRate: pricing.taxRate,
+      tax: pricing.tax,
+      pricesIncludeTax: pricing.pricesIncludeTax,
+      taxBreakdown: pricing.taxBreakdown,
+      serviceChargeRate: pricing.serviceChargeRate,
+      serviceCharge: pricing.serviceCharge,
+      deliveryFee: pricing.deliveryFee,
+      total: pricing.total,
+      tip: tipResult.tip,
+      submittedTotal: hasSubmittedTotal ? parseFloat(total) : null,
+      totalMismatch: totalMismatch,
+      paymentMethod: normalizedPaymentMethod,
+      paymentStatus: { card: 'pending', 'gift-card': 'paid' }[normalizedPaymentMethod] || 'unpaid',
+      giftCard: giftCard ? { id: giftCard.id, code: giftCard.code, amount: giftCardAmount } : null,
+      paymentIntentId: null,
+      paymentIdempotencyKey: normalizedPaymentMethod === 'card' ? generateIdempotencyKey() : null,
       status: 'pending',
       timestamp: new Date().toISOString(),
       createdAt: new Date().toISOString()
     };
     
+    // The promotions count as used from here on, before anything is awaited, so two
+    // orders can't both take a promotion's last use
+    ordersBeingPlaced.push(newOrder);
+    
+    // Redeem the points before anything is awaited, so two orders can't both spend
+    // them. They go back to the client if the payment can't be started.
+    if (redemption.points > 0) {
+      addLedgerEntry(loyaltyClient, { type: 'redeem', points: -redemption.points, orderId: newOrder.id, note: `Order #${newOrder.id}` });
+      clearRedeemCode(loyaltyClient);
+    }
+    
+    // Take the gift card's part before anything is awaited, so two orders can't both
+    // spend the same balance. It goes back on the card if the payment can't be started.
+    if (giftCard) {
+      addGiftCardTransaction(giftCard, { type: 'debit', amount: -giftCardAmount, orderId: newOrder.id, note: `Order #${newOrder.id}` });
+    }
+    
+    // Create the PaymentIntent before storing the order so a Stripe failure leaves nothing behind
+    let paymentIntent = null;
+    if (normalizedPaymentMethod === 'card') {
+      try {
+        paymentIntent = await createPaymentIntent(stripe, newOrder, restaurantSettings.currency);
+        newOrder.paymentIntentId = paymentIntent.id;
+        console.log(`💳 PaymentIntent ${paymentIntent.id} created for order ${newOrder.id}`);
+      } catch (paymentError) {
+        console.error(`❌ Failed to create PaymentIntent for order ${newOrder.id}:`, paymentError.message);
+        ordersBeingPlaced.splice(ordersBeingPlaced.indexOf(newOrder), 1);
+        if (redemption.points > 0) {
+          addLedgerEntry(loyaltyClient, { type: 'refund', points: redemption.points, orderId: newOrder.id, note: `Order #${newOrder.id} not placed` });
+          await persistClientLoyalty(loyaltyClient);
+        }
+        if (giftCard) {
+          addGiftCardTransaction(giftCard, { type: 'credit', amount: giftCardAmount, orderId: newOrder.id, note: `Order #${newOrder.id} not placed` });
+          await persistGiftCard(giftCard);
+        }
+        return res.status(502).json({ success: false, error: 'Payment could not be initialised, please try again' });
+      }
+    }
+    
+    // Dine-in orders on a table join the table's open tab, opening one for the first round
+    let tab = null;
+    if (normalizedTableNumber && normalizedOrderType === 'dine-in') {
+      tab = findOpenTab(tabs, normalizedTableNumber);
+      if (!tab) {
+        tab = createTab(tabIdCounter++, normalizedTableNumber);
+        tabs.push(tab);
+        console.log(`🧾 Tab ${tab.id} opened for table ${normalizedTableNumber}`);
+      }
+      addOrderToTab(tab, newOrder);
+    }
+    
     orders.push(newOrder);
+    ordersBeingPlaced.splice(ordersBeingPlaced.indexOf(newOrder), 1);
     
     // FIXED: Prevent duplicate order creation
     try {
@@ -1711,10 +2683,24 @@ app.post('/api/orders', async (req, res) => {
       console.log(`✅ Order ${newOrder.id} saved to file storage (fallback)`);
     }
     
-    console.log('🚨 ORDER CREATION COMPLETED');
-    console.log('🆕 New order created:', JSON.stringify(newOrder, null, 2));
-    console.log('📊 Current orders count:', orders.length);
-    console.log('🔢 Next orderIdCounter:', orderIdCounter);
+    if (tab) {
+      await persistTab(tab);
+    }
+    
+    if (redemption.points > 0) {
+      await persistClientLoyalty(loyaltyClient);
+    }
+    
+    if (giftCard) {
+      await persistGiftCard(giftCard);
+    }
+    
+    orderEvents.publish('order-created', newOrder);
+    
+    console.log('🚨 ORDER CREATION COMPLETED');
+    console.log('🆕 New order created:', JSON.stringify(newOrder, null, 2));
+    console.log('📊 Current orders count:', orders.length);
+    console.log('🔢 Next orderIdCounter:', orderIdCounter);
     console.log('📧 Marketing consent:', marketingConsent ? 'Yes' : 'No');
     
     // CRITICAL: Force immediate data persistence
@@ -1753,7 +2739,7 @@ app.post('/api/orders', async (req, res) => {
             email: customerEmail,
             marketingConsent: true,
             totalOrders: 1,
-            totalSpent: parseFloat(total),
+            totalSpent: newOrder.total,
             createdAt: new Date().toISOString()
           };
           
@@ -1770,7 +2756,7 @@ app.post('/api/orders', async (req, res) => {
         } else {
           // Update existing client with most recent order date
           existingClient.totalOrders = (existingClient.totalOrders || 0) + 1;
-          existingClient.totalSpent = (existingClient.totalSpent || 0) + parseFloat(total);
+          existingClient.totalSpent = (existingClient.totalSpent || 0) + newOrder.total;
           existingClient.updatedAt = new Date().toISOString();
           
           // Update in MongoDB if connected
@@ -1795,12 +2781,31 @@ app.post('/api/orders', async (req, res) => {
     
     // Send email confirmation
     console.log('📧 Attempting to send email to:', customerEmail);
-    const emailResult = await sendOrderConfirmation(newOrder, customerEmail, customerName);
+    const emailResult = await sendOrderConfirmation(newOrder, customerEmail, customerName, getTrackingUrl(newOrder));
     console.log('📧 Email result:', emailResult);
     
     res.json({ 
       success: true, 
       orderId: newOrder.id,
+      trackingToken: newOrder.trackingToken,
+      trackingUrl: getTrackingUrl(newOrder),
+      tabId: tab ? tab.id : null,
+      pricing: { items: newOrder.items, ...pricing },
+      promotions: newOrder.promotions,
+      loyalty: newOrder.loyalty,
+      delivery: newOrder.delivery,
+      pickupTime: newOrder.pickupTime,
+      waitMinutes: newOrder.quotedWaitMinutes,
+      tip: newOrder.tip,
+      totalMismatch: totalMismatch,
+      payment: {
+        method: newOrder.paymentMethod,
+        status: newOrder.paymentStatus,
+        giftCard: newOrder.giftCard,
+        amountDue: amountDue,
+        paymentIntentId: newOrder.paymentIntentId,
+        clientSecret: paymentIntent ? paymentIntent.client_secret : null
+      },
       emailSent: emailResult.success,
       emailMessage: emailResult.message || emailResult.error
     });
@@ -1810,6 +2815,69 @@ app.post('/api/orders', async (req, res) => {
   }
 });
 
+// Stripe webhook - moves orders to paid, failed or refunded
+app.post('/api/payments/webhook', async (req, res) => {
+  if (!stripe || !STRIPE_WEBHOOK_SECRET) {
+    return res.status(503).json({ success: false, error: 'Stripe webhooks are not configured' });
+  }
+  
+  let event;
+  try {
+    event = verifyWebhookEvent(stripe, req.rawBody, req.headers['stripe-signature'], STRIPE_WEBHOOK_SECRET);
+  } catch (error) {
+    console.error('❌ Stripe webhook signature verification failed:', error.message);
+    return res.status(400).json({ success: false, error: 'Invalid webhook signature' });
+  }
+  
+  try {
+    const nextStatus = paymentStatusFromEvent(event);
+    if (!nextStatus) {
+      return res.json({ received: true, ignored: true });
+    }
+    
+    const paymentIntentId = paymentIntentIdFromEvent(event);
+    
+    // Gift cards bought online are activated once paid and voided if the payment is refunded
+    const metadataGiftCardId = parseInt(event.data.object.metadata && event.data.object.metadata.giftCardId);
+    const giftCard = giftCards.find(card => (paymentIntentId && card.paymentIntentId === paymentIntentId) || card.id === metadataGiftCardId);
+    if (giftCard) {
+      if (nextStatus === 'paid' && giftCard.status === 'pending') {
+        activateGiftCard(giftCard, 'stripe');
+      } else if (nextStatus === 'refunded' && giftCard.status !== 'void') {
+        voidGiftCard(giftCard, 'Payment refunded', 'stripe');
+      } else {
+        return res.json({ received: true, giftCardId: giftCard.id, status: giftCard.status });
+      }
+      await persistGiftCard(giftCard);
+      console.log(`🎁 Gift card ${giftCard.code} is now ${giftCard.status} (${event.type})`);
+      return res.json({ received: true, giftCardId: giftCard.id, status: giftCard.status });
+    }
+    
+    const metadataOrderId = parseInt(event.data.object.metadata && event.data.object.metadata.orderId);
+    const order = orders.find(o => (paymentIntentId && o.paymentIntentId === paymentIntentId) || o.id === metadataOrderId);
+    
+    if (!order) {
+      console.log(`⚠️ Stripe event ${event.id} (${event.type}) does not match any order`);
+      return res.json({ received: true, ignored: true });
+    }
+    
+    if (!canApplyPaymentStatus(order.paymentStatus, nextStatus)) {
+      console.log(`⏭️ Order ${order.id} payment already ${order.paymentStatus}, ignoring ${event.type}`);
+      return res.json({ received: true, orderId: order.id, paymentStatus: order.paymentStatus });
+    }
+    
+    console.log(`💳 Order ${order.id} payment ${order.paymentStatus} -> ${nextStatus} (${event.type})`);
+    order.paymentStatus = nextStatus;
+    await persistOrder(order);
+    orderEvents.publish('order-edited', order);
+    
+    res.json({ received: true, orderId: order.id, paymentStatus: order.paymentStatus });
+  } catch (error) {
+    console.error('❌ Stripe webhook handling error:', error);
+    res.status(500).json({ success: false, error: 'Failed to process webhook' });
+  }
+});
+
 // Admin Dashboard Routes
 app.get('/admin', authMiddleware, async (req, res) => {
   try {
@@ -2007,7 +3075,13 @@ app.get('/admin', authMiddleware, async (req, res) => {
       stats: { pending, confirmed, completed, cancelled, totalSales, completedSales, bookings: todayBookings },
       categoryStats,
       orders: mongoOrders,
-      menuData: { categories: mongoCategories, items: mongoItems }
+      menuData: { categories: mongoCategories, items: mongoItems },
+      lowStock: getLowStockIngredients(stockIngredients),
+      soldOutItems: mongoItems.filter(item => item.active !== false && !canMakeItem(item, stockIngredients)),
+      onlineOrdering: restaurantSettings.onlineOrdering,
+      kitchenCapacity: restaurantSettings.kitchenCapacity,
+      kitchenLoad: getKitchenLoad(orders, menuData.categories),
+      kitchenStations: KITCHEN_STATIONS
     });
   } catch (error) {
     console.error('Admin dashboard error:', error);
@@ -2054,7 +3128,13 @@ app.get('/admin/clients', authMiddleware, async (req, res) => {
       mongoClients = clients || [];
     }
     
-    res.render('admin_clients', { clients: mongoClients || [] });
+    // Each client with their loyalty balance and tier
+    const clientsWithLoyalty = (mongoClients || []).map(client => {
+      const plainClient = typeof client.toObject === 'function' ? client.toObject() : client;
+      return { ...plainClient, loyaltySummary: getLoyaltySummary(plainClient, restaurantSettings.loyalty) };
+    });
+    
+    res.render('admin_clients', { clients: clientsWithLoyalty, loyalty: restaurantSettings.loyalty });
   } catch (error) {
     console.error('Admin clients error:', error);
     res.status(500).json({ error: 'Internal server error', details: error.message });
@@ -2090,7 +3170,8 @@ app.get('/admin/items', authMiddleware, async (req, res) => {
     
     res.render('admin_items', { 
       items: mongoItems || [],
-      categories: mongoCategories || []
+      categories: mongoCategories || [],
+      taxClasses: restaurantSettings.taxClasses
     });
   } catch (error) {
     console.error('❌ Admin items error:', error);
@@ -2114,7 +3195,9 @@ app.get('/admin/categories', authMiddleware, async (req, res) => {
     
     res.render('admin_categories', { 
       categories: mongoCategories || [],
-      items: mongoItems || []
+      items: mongoItems || [],
+      taxClasses: restaurantSettings.taxClasses,
+      defaultTaxClass: restaurantSettings.defaultTaxClass
     });
   } catch (error) {
     console.error('Admin categories error:', error);
@@ -2125,13 +3208,13 @@ app.get('/admin/categories', authMiddleware, async (req, res) => {
 app.get('/admin/settings', authMiddleware, (req, res) => {
   try {
     res.render('admin_settings', { 
-      settings: {
-        restaurantName: 'AROMA Restaurant',
-        currency: 'EUR',
-        taxRate: 0.18,
-        serviceCharge: 0.10,
-        deliveryFee: 2.50
-      }
+      settings: restaurantSettings,
+      currencies: SETTINGS_CURRENCIES,
+      weekdays: WEEKDAYS,
+      serviceChargeOrderTypes: SERVICE_CHARGE_ORDER_TYPES,
+      kitchenFullActions: KITCHEN_FULL_ACTIONS,
+      notificationTypes: ORDER_NOTIFICATION_TYPES,
+      notificationLabels: ORDER_NOTIFICATION_LABELS
     });
   } catch (error) {
     console.error('Admin settings error:', error);
@@ -2139,6 +3222,79 @@ app.get('/admin/settings', authMiddleware, (req, res) => {
   }
 });
 
+app.get('/admin/api/settings', authMiddleware, (req, res) => {
+  res.json({ success: true, settings: restaurantSettings });
+});
+
+// Update the restaurant settings - only the fields sent are changed
+app.put('/admin/api/settings', authMiddleware, async (req, res) => {
+  try {
+    const { settings, errors } = normalizeSettings(req.body, restaurantSettings);
+    // Tax classes still used on the menu can't be removed
+    restaurantSettings.taxClasses
+      .filter(taxClass => !settings.taxClasses.some(kept => kept.id === taxClass.id))
+      .forEach(taxClass => {
+        const usage = getTaxClassUsage(taxClass.id, menuData);
+        if (usage.length > 0) {
+          errors.push(`Tax class ${taxClass.name} is still used by ${usage.join(', ')}`);
+        }
+      });
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid settings', details: errors });
+    }
+
+    Object.assign(restaurantSettings, settings);
+    await persistSettings(req.auth.user);
+
+    console.log(`⚙️ Settings updated by ${req.auth.user}`);
+    res.json({ success: true, settings: restaurantSettings });
+  } catch (error) {
+    console.error('Settings update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to save settings' });
+  }
+});
+
+// Put every setting back to its default (from the environment)
+app.post('/admin/api/settings/reset', authMiddleware, async (req, res) => {
+  try {
+    Object.assign(restaurantSettings, createDefaultSettings());
+    await persistSettings(req.auth.user);
+
+    console.log(`⚙️ Settings reset to defaults by ${req.auth.user}`);
+    res.json({ success: true, settings: restaurantSettings });
+  } catch (error) {
+    console.error('Settings reset error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reset settings' });
+  }
+});
+
+// The dashboard's one-click switch - pause or resume online ordering ({ paused: true|false })
+app.post('/admin/api/online-ordering', authMiddleware, async (req, res) => {
+  try {
+    const paused = req.body.paused === true || req.body.paused === 'true';
+    const { settings } = normalizeSettings({
+      onlineOrdering: { paused, pausedAt: new Date().toISOString(), pausedBy: getActor(req) }
+    }, restaurantSettings);
+
+    Object.assign(restaurantSettings, settings);
+    await persistSettings(req.auth.user);
+
+    console.log(`${paused ? '⏸️ Online ordering paused' : '▶️ Online ordering resumed'} by ${req.auth.user}`);
+    res.json({ success: true, onlineOrdering: restaurantSettings.onlineOrdering });
+  } catch (error) {
+    console.error('Online ordering switch error:', error);
+    res.status(500).json({ success: false, error: 'Failed to change online ordering' });
+  }
+});
+
+// The kitchen's current load against its capacity limits
+app.get('/admin/api/kitchen-load', authMiddleware, (req, res) => {
+  const capacity = restaurantSettings.kitchenCapacity;
+  const load = getKitchenLoad(orders, menuData.categories);
+  const { full, reasons } = checkKitchenCapacity(capacity, load, null, menuData.categories);
+  res.json({ success: true, load, capacity, full, reasons, onlineOrdering: restaurantSettings.onlineOrdering });
+});
+
 // QR Code Management Page
 app.get('/admin/qr', authMiddleware, (req, res) => {
   try {
@@ -2146,7 +3302,8 @@ app.get('/admin/qr', authMiddleware, (req, res) => {
       title: 'QR Code Management',
       menuData: menuData,
       orders: orders,
-      clients: clients
+      clients: clients,
+      frontendUrl: restaurantSettings.frontendUrl
     });
   } catch (error) {
     console.error('Error loading QR management page:', error);
@@ -2245,7 +3402,8 @@ app.get('/admin/orders/completed', authMiddleware, async (req, res) => {
 app.get('/admin/sales', authMiddleware, (req, res) => {
   try {
     const completedOrders = orders.filter(o => o.status === 'completed');
-    const totalSales = completedOrders.reduce((sum, order) => sum + (order.total || 0), 0);
+    const totalSales = completedOrders.reduce((sum, order) => sum + getNetRevenue(order), 0);
+    const totalRefunds = completedOrders.reduce((sum, order) => sum + getRefundedAmount(order), 0);
     
     // Calculate daily, weekly, monthly sales
     const now = new Date();
@@ -2256,19 +3414,19 @@ app.get('/admin/sales', authMiddleware, (req, res) => {
     
     const dailySales = completedOrders
       .filter(o => new Date(o.timestamp || o.createdAt) >= today)
-      .reduce((sum, order) => sum + (order.total || 0), 0);
+      .reduce((sum, order) => sum + getNetRevenue(order), 0);
     
     const weeklySales = completedOrders
       .filter(o => new Date(o.timestamp || o.createdAt) >= weekStart)
-      .reduce((sum, order) => sum + (order.total || 0), 0);
+      .reduce((sum, order) => sum + getNetRevenue(order), 0);
     
     const monthlySales = completedOrders
       .filter(o => new Date(o.timestamp || o.createdAt) >= monthStart)
-      .reduce((sum, order) => sum + (order.total || 0), 0);
+      .reduce((sum, order) => sum + getNetRevenue(order), 0);
     
     const yearlySales = completedOrders
       .filter(o => new Date(o.timestamp || o.createdAt) >= yearStart)
-      .reduce((sum, order) => sum + (order.total || 0), 0);
+      .reduce((sum, order) => sum + getNetRevenue(order), 0);
     
     res.render('admin_sales', {
       stats: {
@@ -2276,8 +3434,10 @@ app.get('/admin/sales', authMiddleware, (req, res) => {
         daily: dailySales,
         weekly: weeklySales,
         monthly: monthlySales,
-        yearly: yearlySales
+        yearly: yearlySales,
+        refunds: totalRefunds
       },
+      promotionReport: buildPromotionReport(completedOrders),
       orders: completedOrders
     });
   } catch (error) {
@@ -2298,7 +3458,7 @@ app.get('/admin/sales/daily', authMiddleware, (req, res) => {
       return orderDate >= today && orderDate < tomorrow;
     }).sort((a, b) => new Date(b.timestamp || b.createdAt) - new Date(a.timestamp || a.createdAt));
     
-    const totalSales = dailyOrders.reduce((sum, order) => sum + (order.total || 0), 0);
+    const totalSales = dailyOrders.reduce((sum, order) => sum + getNetRevenue(order), 0);
     
     res.render('admin_sales_breakdown', {
       title: 'Daily Sales Breakdown',
@@ -2307,6 +3467,7 @@ app.get('/admin/sales/daily', authMiddleware, (req, res) => {
       stats: {
         total: dailyOrders.length,
         totalValue: totalSales,
+        refunds: dailyOrders.reduce((sum, order) => sum + getRefundedAmount(order), 0),
         date: today.toLocaleDateString()
       }
     });
@@ -2329,7 +3490,7 @@ app.get('/admin/sales/weekly', authMiddleware, (req, res) => {
       return orderDate >= weekStart && orderDate < weekEnd;
     }).sort((a, b) => new Date(b.timestamp || b.createdAt) - new Date(a.timestamp || a.createdAt));
     
-    const totalSales = weeklyOrders.reduce((sum, order) => sum + (order.total || 0), 0);
+    const totalSales = weeklyOrders.reduce((sum, order) => sum + getNetRevenue(order), 0);
     
     res.render('admin_sales_breakdown', {
       title: 'Weekly Sales Breakdown',
@@ -2338,6 +3499,7 @@ app.get('/admin/sales/weekly', authMiddleware, (req, res) => {
       stats: {
         total: weeklyOrders.length,
         totalValue: totalSales,
+        refunds: weeklyOrders.reduce((sum, order) => sum + getRefundedAmount(order), 0),
         date: `${weekStart.toLocaleDateString()} - ${new Date(weekEnd.getTime() - 1).toLocaleDateString()}`
       }
     });
@@ -2359,7 +3521,7 @@ app.get('/admin/sales/monthly', authMiddleware, (req, res) => {
       return orderDate >= monthStart && orderDate < nextMonth;
     }).sort((a, b) => new Date(b.timestamp || b.createdAt) - new Date(a.timestamp || a.createdAt));
     
-    const totalSales = monthlyOrders.reduce((sum, order) => sum + (order.total || 0), 0);
+    const totalSales = monthlyOrders.reduce((sum, order) => sum + getNetRevenue(order), 0);
     
     res.render('admin_sales_breakdown', {
       title: 'Monthly Sales Breakdown',
@@ -2368,6 +3530,7 @@ app.get('/admin/sales/monthly', authMiddleware, (req, res) => {
       stats: {
         total: monthlyOrders.length,
         totalValue: totalSales,
+        refunds: monthlyOrders.reduce((sum, order) => sum + getRefundedAmount(order), 0),
         date: monthStart.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
       }
     });
@@ -2389,7 +3552,7 @@ app.get('/admin/sales/yearly', authMiddleware, (req, res) => {
       return orderDate >= yearStart && orderDate < nextYear;
     }).sort((a, b) => new Date(b.timestamp || b.createdAt) - new Date(a.timestamp || a.createdAt));
     
-    const totalSales = yearlyOrders.reduce((sum, order) => sum + (order.total || 0), 0);
+    const totalSales = yearlyOrders.reduce((sum, order) => sum + getNetRevenue(order), 0);
     
     res.render('admin_sales_breakdown', {
       title: 'Yearly Sales Breakdown',
@@ -2398,6 +3561,7 @@ app.get('/admin/sales/yearly', authMiddleware, (req, res) => {
       stats: {
         total: yearlyOrders.length,
         totalValue: totalSales,
+        refunds: yearlyOrders.reduce((sum, order) => sum + getRefundedAmount(order), 0),
         date: yearStart.getFullYear().toString()
       }
     });
@@ -2410,7 +3574,7 @@ app.get('/admin/sales/yearly', authMiddleware, (req, res) => {
 app.get('/admin/sales/completed', authMiddleware, async (req, res) => {
   try {
     const mongoOrders = await Order.find({ status: 'completed' }).sort({ createdAt: -1 });
-    const totalSales = mongoOrders.reduce((sum, order) => sum + (order.total || 0), 0);
+    const totalSales = mongoOrders.reduce((sum, order) => sum + getNetRevenue(order), 0);
     
     res.render('admin_sales_breakdown', {
       title: 'Completed Sales Breakdown',
@@ -2419,6 +3583,7 @@ app.get('/admin/sales/completed', authMiddleware, async (req, res) => {
       stats: {
         total: mongoOrders.length,
         totalValue: totalSales,
+        refunds: mongoOrders.reduce((sum, order) => sum + getRefundedAmount(order), 0),
         average: mongoOrders.length > 0 ? totalSales / mongoOrders.length : 0
       }
     });
@@ -2460,7 +3625,10 @@ app.post('/admin/orders/:id/force-edit', authMiddleware, async (req, res) => {
     
     // Update order properties aggressively
     if (status) {
-      order.status = status;
+      const transition = await changeOrderStatus(req, order, status, req.body.reason);
+      if (transition.error) {
+        return res.status(409).json({ success: false, error: transition.error });
+      }
       console.log(`🔥 AGGRESSIVE: Status changed from ${originalStatus} to ${status}`);
     }
     
@@ -2468,12 +3636,7 @@ app.post('/admin/orders/:id/force-edit', authMiddleware, async (req, res) => {
       order.discount = parseFloat(discount) || 0;
       
       // Recalculate total aggressively
-      const itemsTotal = order.items.reduce((sum, item) => {
-        const itemTotal = (item.price || 0) * (item.qty || item.quantity || 1);
-        return sum + itemTotal;
-      }, 0);
-      
-      order.total = Math.max(0, itemsTotal - order.discount);
+      repriceOrder(order);
       console.log(`🔥 AGGRESSIVE: Discount changed from ${originalDiscount} to ${order.discount}, total from ${originalTotal} to ${order.total}`);
     }
     
@@ -2497,21 +3660,7 @@ app.post('/admin/orders/:id/force-edit', authMiddleware, async (req, res) => {
         console.log(`🔥 AGGRESSIVE: Deleted ${deleteResult.deletedCount} duplicate orders`);
         
         // Create a fresh order with the updated data - PRESERVE ALL FIELDS
-        const newOrder = new Order({
-          id: orderId,
-          status: order.status,
-          discount: order.discount,
-          total: order.total,
-          items: order.items,
-          customerName: order.customerName,
-          customerEmail: order.customerEmail,
-          orderType: order.orderType,
-          tableNumber: order.tableNumber,
-          notes: order.notes || '', // PRESERVE NOTES!
-          marketingConsent: order.marketingConsent,
-          createdAt: order.createdAt || new Date(),
-          updatedAt: new Date()
-        });
+        const newOrder = new Order(buildOrderDocument(order));
         
         await newOrder.save();
         console.log(`🔥 AGGRESSIVE: Created fresh order ${orderId} in MongoDB`);
@@ -2533,6 +3682,10 @@ app.post('/admin/orders/:id/force-edit', authMiddleware, async (req, res) => {
       updatedAt: updatedOrder.updatedAt
     });
     
+    if (discount !== undefined) {
+      orderEvents.publish('order-edited', order);
+    }
+    
     console.log(`🔥 AGGRESSIVE EDIT completed for order ${orderId}`);
     
     res.json({ 
@@ -2564,6 +3717,145 @@ app.get('/admin/api/orders', authMiddleware, (req, res) => {
   res.json(orders);
 });
 
+// Kitchen ticket times - average and p90 minutes from confirmed to ready,
+// per day, per item and per station over the last `days` days (default 7)
+app.get('/admin/api/ticket-stats', authMiddleware, (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 7 : parseInt(req.query.days);
+    if (isNaN(days) || days < 1 || days > 365) {
+      return res.status(400).json({ success: false, error: 'days must be between 1 and 365' });
+    }
+    
+    const now = new Date();
+    const since = new Date(now.getFullYear(), now.getMonth(), now.getDate() - days + 1);
+    const recentOrders = orders.filter(o => new Date(o.createdAt) >= since);
+    
+    res.json({
+      success: true,
+      since: since.toISOString(),
+      ...buildTicketStats(recentOrders, menuData.categories)
+    });
+  } catch (error) {
+    console.error('Ticket stats error:', error);
+    res.status(500).json({ success: false, error: 'Failed to build ticket stats' });
+  }
+});
+
+// Tips since `days` days ago (default 7), per day and per staff member
+function buildTipReportForDays(days) {
+  const now = new Date();
+  const since = new Date(now.getFullYear(), now.getMonth(), now.getDate() - days + 1);
+  return { since, ...buildTipReport(collectTips(orders, tabs), since) };
+}
+
+function parseReportDays(value) {
+  const days = value === undefined ? 7 : parseInt(value);
+  return isNaN(days) || days < 1 || days > 365 ? null : days;
+}
+
+// Tip report page, next to the sales pages
+app.get('/admin/sales/tips', authMiddleware, (req, res) => {
+  try {
+    const days = parseReportDays(req.query.days);
+    if (days === null) {
+      return res.status(400).send('days must be between 1 and 365');
+    }
+    res.render('admin_tips', { days, report: buildTipReportForDays(days) });
+  } catch (error) {
+    console.error('Tip report error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+app.get('/admin/api/tips', authMiddleware, (req, res) => {
+  try {
+    const days = parseReportDays(req.query.days);
+    if (days === null) {
+      return res.status(400).json({ success: false, error: 'days must be between 1 and 365' });
+    }
+    const { since, ...report } = buildTipReportForDays(days);
+    res.json({ success: true, since: since.toISOString(), ...report });
+  } catch (error) {
+    console.error('Tip report error:', error);
+    res.status(500).json({ success: false, error: 'Failed to build tip report' });
+  }
+});
+
+// VAT report period from the query: ?period=daily|weekly|monthly|yearly (default monthly)
+// or ?from=YYYY-MM-DD&to=YYYY-MM-DD, both days included. Returns { period, from, to } or { error }.
+function parseVatPeriod(query) {
+  if (query.from || query.to) {
+    const parseDay = value => {
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+      return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    };
+    const from = parseDay(query.from);
+    const lastDay = parseDay(query.to);
+    if (!from || !lastDay) {
+      return { error: 'from and to must be dates like 2024-01-31' };
+    }
+    if (lastDay < from) {
+      return { error: 'to must not be before from' };
+    }
+    return { period: 'custom', from, to: new Date(lastDay.getFullYear(), lastDay.getMonth(), lastDay.getDate() + 1) };
+  }
+
+  const period = query.period || 'monthly';
+  if (!VAT_REPORT_PERIODS.includes(period)) {
+    return { error: `period must be one of ${VAT_REPORT_PERIODS.join(', ')}` };
+  }
+  return { period, ...getReportPeriod(period) };
+}
+
+// VAT report page for the accountant, next to the sales pages
+app.get('/admin/sales/vat', authMiddleware, (req, res) => {
+  try {
+    const range = parseVatPeriod(req.query);
+    if (range.error) {
+      return res.status(400).send(range.error);
+    }
+    res.render('admin_vat', {
+      period: range.period,
+      periods: VAT_REPORT_PERIODS,
+      query: req.query,
+      report: buildVatReport(orders, range.from, range.to, restaurantSettings),
+      pricesIncludeTax: restaurantSettings.pricesIncludeTax
+    });
+  } catch (error) {
+    console.error('VAT report error:', error);
+    res.status(500).send('Internal Server Error');
+  }
+});
+
+// The VAT report as JSON, or as a CSV download with ?format=csv
+app.get('/admin/api/vat', authMiddleware, (req, res) => {
+  try {
+    const range = parseVatPeriod(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+    const report = buildVatReport(orders, range.from, range.to, restaurantSettings);
+
+    if (req.query.format === 'csv') {
+      const fileDate = range.from.toLocaleDateString('en-CA'); // YYYY-MM-DD in local time
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="vat-report-${range.period}-${fileDate}.csv"`);
+      return res.send(vatReportToCsv(report));
+    }
+
+    res.json({
+      success: true,
+      period: range.period,
+      ...report,
+      from: report.from.toISOString(),
+      to: report.to.toISOString()
+    });
+  } catch (error) {
+    console.error('VAT report error:', error);
+    res.status(500).json({ success: false, error: 'Failed to build VAT report' });
+  }
+});
+
 // Admin Bookings Route
 app.get('/admin/bookings', authMiddleware, async (req, res) => {
   try {
@@ -2621,8 +3913,10 @@ app.post('/admin/orders/:id/force-status', authMiddleware, async (req, res) => {
     }
     
     const originalStatus = orders[orderIndex].status;
-    orders[orderIndex].status = status;
-    orders[orderIndex].updatedAt = new Date().toISOString();
+    const transition = await changeOrderStatus(req, orders[orderIndex], status, req.body.reason);
+    if (transition.error) {
+      return res.status(409).json({ success: false, error: transition.error });
+    }
     
     console.log(`🔥 AGGRESSIVE: Status changed from ${originalStatus} to ${status}`);
     console.log(`📝 Notes preserved in local array:`, orders[orderIndex].notes);
@@ -2646,21 +3940,7 @@ app.post('/admin/orders/:id/force-status', authMiddleware, async (req, res) => {
         
         // Create a fresh order with the updated status
         const order = orders[orderIndex];
-        const newOrder = new Order({
-          id: orderId,
-          status: status,
-          discount: order.discount,
-          total: order.total,
-          items: order.items,
-          customerName: order.customerName,
-          customerEmail: order.customerEmail,
-          orderType: order.orderType,
-          tableNumber: order.tableNumber,
-          notes: order.notes || '', // Preserve notes!
-          marketingConsent: order.marketingConsent,
-          createdAt: order.createdAt || new Date(),
-          updatedAt: new Date()
-        });
+        const newOrder = new Order(buildOrderDocument(order, { status: status }));
         
         await newOrder.save();
         console.log(`🔥 AGGRESSIVE: Created fresh order ${orderId} with status ${status}`);
@@ -2708,23 +3988,20 @@ app.post('/admin/orders/:id/edit', authMiddleware, async (req, res) => {
       const order = await Order.findOne({ id: orderId });
       if (order) {
         // Update status if provided
-        if (status) order.status = status;
+        if (status) {
+          const transition = await changeOrderStatus(req, order, status, req.body.reason);
+          if (transition.error) {
+            return res.status(409).json({ success: false, error: transition.error });
+          }
+        }
         
         // Update discount if provided
         if (discount !== undefined) {
           order.discount = parseFloat(discount) || 0;
           
           // Recalculate total if discount changed
-          const itemsTotal = order.items.reduce((sum, item) => {
-            const itemTotal = (item.price || 0) * (item.qty || item.quantity || 1);
-            return sum + itemTotal;
-          }, 0);
-          
-          const discountAmount = parseFloat(discount) || 0;
-          const finalTotal = Math.max(0, itemsTotal - discountAmount);
-          order.total = finalTotal;
-          
-          console.log(`📊 Recalculated total: ${itemsTotal} - ${discountAmount} = ${finalTotal}`);
+          const pricing = repriceOrder(order);
+          console.log(`📊 Recalculated total: ${pricing.subtotal} - ${pricing.discount} + tax/service = ${pricing.total}`);
         }
         
         order.updatedAt = new Date();
@@ -2735,22 +4012,23 @@ app.post('/admin/orders/:id/edit', authMiddleware, async (req, res) => {
         // Also update the local orders array to keep it in sync
         const localOrderIndex = orders.findIndex(o => o.id === orderId);
         if (localOrderIndex !== -1) {
-          if (status) orders[localOrderIndex].status = status;
+          if (status) {
+            orders[localOrderIndex].status = order.status;
+            orders[localOrderIndex].statusHistory = order.toObject().statusHistory;
+          }
           if (discount !== undefined) {
             orders[localOrderIndex].discount = parseFloat(discount) || 0;
             // Recalculate total for local array too
-            const itemsTotal = orders[localOrderIndex].items.reduce((sum, item) => {
-              const itemTotal = (item.price || 0) * (item.qty || item.quantity || 1);
-              return sum + itemTotal;
-            }, 0);
-            const discountAmount = parseFloat(discount) || 0;
-            const finalTotal = Math.max(0, itemsTotal - discountAmount);
-            orders[localOrderIndex].total = finalTotal;
+            repriceOrder(orders[localOrderIndex]);
           }
           orders[localOrderIndex].updatedAt = new Date().toISOString();
           console.log(`✅ Local orders array also updated: ${orderId}`);
         }
         
+        if (discount !== undefined) {
+          orderEvents.publish('order-edited', order);
+        }
+        
         return res.json({ 
           success: true, 
           order: order,
@@ -2786,21 +4064,18 @@ app.post('/admin/orders/:id/edit', authMiddleware, async (req, res) => {
     const orderIndex = orders.findIndex(o => o === mostRecentOrder);
     
     // Update only status and discount
-    if (status) orders[orderIndex].status = status;
+    if (status) {
+      const transition = await changeOrderStatus(req, orders[orderIndex], status, req.body.reason);
+      if (transition.error) {
+        return res.status(409).json({ success: false, error: transition.error });
+      }
+    }
     if (discount !== undefined) orders[orderIndex].discount = parseFloat(discount) || 0;
     
     // Recalculate total if discount changed
     if (discount !== undefined) {
-      const itemsTotal = orders[orderIndex].items.reduce((sum, item) => {
-        const itemTotal = (item.price || 0) * (item.qty || item.quantity || 1);
-        return sum + itemTotal;
-      }, 0);
-      
-      const discountAmount = parseFloat(discount) || 0;
-      const finalTotal = Math.max(0, itemsTotal - discountAmount);
-      
-      console.log(`📊 Recalculated total: ${itemsTotal} - ${discountAmount} = ${finalTotal}`);
-      orders[orderIndex].total = finalTotal;
+      const pricing = repriceOrder(orders[orderIndex]);
+      console.log(`📊 Recalculated total: ${pricing.subtotal} - ${pricing.discount} + tax/service = ${pricing.total}`);
     }
     
     orders[orderIndex].updatedAt = new Date().toISOString();
@@ -2811,6 +4086,10 @@ app.post('/admin/orders/:id/edit', authMiddleware, async (req, res) => {
     saveOrdersData();
     console.log('📁 File saved');
     
+    if (discount !== undefined) {
+      orderEvents.publish('order-edited', orders[orderIndex]);
+    }
+    
     // Return success
     res.json({ 
       success: true, 
@@ -2824,6 +4103,107 @@ app.post('/admin/orders/:id/edit', authMiddleware, async (req, res) => {
   }
 });
 
+// Refund an order fully or per line - calls Stripe when the order was paid online
+app.post('/admin/orders/:id/refund', authMiddleware, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { type, lines, reason } = req.body;
+    
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ success: false, error: 'A refund reason is required' });
+    }
+    
+    const order = orders.find(o => o.id === orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    // Unpaid orders have nothing to give back - refunding them would only lower the sales figures
+    if (!isOrderPaid(order)) {
+      return res.status(409).json({ success: false, error: `Order ${orderId} has not been paid, there is nothing to refund` });
+    }
+    
+    const refundType = type || 'full';
+    const refund = calculateRefund(order, { type: refundType, lines });
+    if (refund.errors.length > 0) {
+      return res.status(400).json({ success: false, error: refund.errors.join('; ') });
+    }
+    
+    const refundRecord = {
+      id: `${orderId}-${(order.refunds || []).length + 1}`,
+      type: refundType,
+      amount: refund.amount,
+      reason: String(reason).trim(),
+      actor: getActor(req),
+      lines: refund.lines,
+      provider: 'manual',
+      providerRefundId: null,
+      idempotencyKey: generateIdempotencyKey(),
+      giftCardAmount: 0,
+      createdAt: new Date().toISOString()
+    };
+    
+    // Orders a gift card helped pay refund the other payment first and put the rest back on the card
+    const orderGiftCard = order.giftCard ? giftCards.find(card => card.id === order.giftCard.id) : null;
+    const split = order.giftCard ? splitRefund(order, orderGiftCard, refund.amount) : { other: refund.amount, giftCard: 0 };
+    if (split.error) {
+      return res.status(400).json({ success: false, error: split.error });
+    }
+    refundRecord.giftCardAmount = split.giftCard;
+    
+    // Orders paid by card are refunded through Stripe before anything is recorded
+    const paidOnline = order.paymentMethod === 'card' && order.paymentIntentId &&
+      ['paid', 'partially_refunded'].includes(order.paymentStatus);
+    
+    if (paidOnline && split.other > 0) {
+      if (!stripe) {
+        return res.status(503).json({ success: false, error: 'Stripe is not configured, cannot refund a card payment' });
+      }
+      try {
+        const stripeRefund = await createRefund(stripe, order, split.other, refundRecord);
+        refundRecord.provider = 'stripe';
+        refundRecord.providerRefundId = stripeRefund.id;
+        console.log(`💸 Stripe refund ${stripeRefund.id} created for order ${orderId}`);
+      } catch (stripeError) {
+        console.error(`❌ Stripe refund failed for order ${orderId}:`, stripeError.message);
+        return res.status(502).json({ success: false, error: 'Payment provider refund failed: ' + stripeError.message });
+      }
+    }
+    
+    order.refunds = [...(order.refunds || []), refundRecord];
+    order.refundedAmount = getRefundedAmount(order);
+    if (paidOnline || order.paymentMethod === 'gift-card') {
+      order.paymentStatus = getRefundPaymentStatus(order);
+    }
+    
+    if (split.giftCard > 0) {
+      addGiftCardTransaction(orderGiftCard, {
+        type: 'credit',
+        amount: split.giftCard,
+        orderId: orderId,
+        note: `Refund on order #${orderId}`,
+        actor: refundRecord.actor
+      });
+      await persistGiftCard(orderGiftCard);
+    }
+    
+    await persistOrder(order);
+    orderEvents.publish('order-edited', order);
+    
+    console.log(`💸 Order ${orderId} refunded €${refundRecord.amount.toFixed(2)} by ${refundRecord.actor}: ${refundRecord.reason}`);
+    
+    res.json({
+      success: true,
+      refund: refundRecord,
+      refundedAmount: order.refundedAmount,
+      netTotal: getNetRevenue(order),
+      paymentStatus: order.paymentStatus
+    });
+  } catch (error) {
+    console.error('❌ Order refund error:', error);
+    res.status(500).json({ success: false, error: 'Failed to refund order' });
+  }
+});
+
 // Clients API endpoints
 app.get('/admin/api/clients', authMiddleware, (req, res) => {
   res.json(clients);
@@ -2850,6 +4230,54 @@ app.delete('/admin/clients/:id', authMiddleware, (req, res) => {
   }
 });
 
+// A client's loyalty balance and ledger, newest entries first
+app.get('/admin/api/clients/:id/loyalty', authMiddleware, (req, res) => {
+  const client = clients.find(c => c.id === parseInt(req.params.id));
+  if (!client) {
+    return res.status(404).json({ success: false, error: 'Client not found' });
+  }
+  
+  res.json({
+    success: true,
+    loyalty: getLoyaltySummary(client, restaurantSettings.loyalty),
+    ledger: [...(client.loyaltyLedger || [])].reverse()
+  });
+});
+
+// Add or take points by hand, e.g. as a goodwill gesture
+app.post('/admin/api/clients/:id/loyalty', authMiddleware, async (req, res) => {
+  try {
+    const client = clients.find(c => c.id === parseInt(req.params.id));
+    if (!client) {
+      return res.status(404).json({ success: false, error: 'Client not found' });
+    }
+    
+    const points = Number(req.body.points);
+    const note = String(req.body.note || '').trim();
+    const errors = [];
+    if (!Number.isInteger(points) || points === 0) {
+      errors.push('Points must be a whole number other than zero');
+    } else if ((client.loyaltyPoints || 0) + points < 0) {
+      errors.push(`Only ${client.loyaltyPoints || 0} points can be taken`);
+    }
+    if (!note) {
+      errors.push('A note explaining the adjustment is required');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid adjustment', details: errors });
+    }
+    
+    const entry = addLedgerEntry(client, { type: 'adjust', points, note, actor: getActor(req) });
+    await persistClientLoyalty(client);
+    
+    console.log(`⭐ ${points} points adjusted for ${client.email} by ${entry.actor}`);
+    res.json({ success: true, entry, loyalty: getLoyaltySummary(client, restaurantSettings.loyalty) });
+  } catch (error) {
+    console.error('Error adjusting loyalty points:', error);
+    res.status(500).json({ success: false, error: 'Failed to adjust loyalty points' });
+  }
+});
+
 
 // Kitchen Staff Routes
 app.get('/kitchen', kitchenAuthMiddleware, async (req, res) => {
@@ -2867,11 +4295,13 @@ app.get('/kitchen', kitchenAuthMiddleware, async (req, res) => {
       // Get today's orders from MongoDB (excluding cancelled)
       todayOrders = await Order.find({ 
         status: { $ne: 'cancelled' },
-        createdAt: {
-          $gte: startOfDay,
-          $lt: endOfDay
-        }
+        paymentStatus: { $nin: KITCHEN_HIDDEN_PAYMENT_STATUSES }, // Unpaid card orders stay out of the queue
+        $or: [
+          { pickupTime: { $gte: startOfDay, $lt: endOfDay } },
+          { pickupTime: null, createdAt: { $gte: startOfDay, $lt: endOfDay } }
+        ]
       }).sort({ createdAt: -1 });
+      todayOrders = todayOrders.filter(isOnKitchenScreen);
       
       console.log(`🍳 KITCHEN DASHBOARD: Found ${todayOrders.length} orders for today`);
       
@@ -2885,14 +4315,15 @@ app.get('/kitchen', kitchenAuthMiddleware, async (req, res) => {
     } else {
       // Use file-based data as fallback - filter for today
       todayOrders = orders.filter(order => {
-        const orderDate = new Date(order.createdAt || order.timestamp);
-        return orderDate >= startOfDay && orderDate < endOfDay && order.status !== 'cancelled';
+        const orderDate = new Date(order.pickupTime || order.createdAt || order.timestamp);
+        return orderDate >= startOfDay && orderDate < endOfDay && order.status !== 'cancelled' && isOnKitchenScreen(order);
       });
       console.log(`🍳 KITCHEN DASHBOARD: Using file storage - ${todayOrders.length} orders for today`);
     }
     
     const pendingOrders = todayOrders.filter(o => o.status === 'pending');
-    const confirmedOrders = todayOrders.filter(o => o.status === 'confirmed');
+    // Orders the kitchen is working on - confirmed and being prepared
+    const confirmedOrders = todayOrders.filter(o => o.status === 'confirmed' || o.status === 'preparing');
     
     res.render('kitchen_dashboard', {
       pendingOrders,
@@ -2921,11 +4352,13 @@ app.get('/kitchen/orders', kitchenAuthMiddleware, async (req, res) => {
     if (mongoose.connection.readyState === 1) {
       // Get only today's orders from MongoDB
       todayOrders = await Order.find({
-        createdAt: {
-          $gte: startOfDay,
-          $lt: endOfDay
-        }
+        paymentStatus: { $nin: KITCHEN_HIDDEN_PAYMENT_STATUSES },
+        $or: [
+          { pickupTime: { $gte: startOfDay, $lt: endOfDay } },
+          { pickupTime: null, createdAt: { $gte: startOfDay, $lt: endOfDay } }
+        ]
       }).sort({ createdAt: -1 });
+      todayOrders = todayOrders.filter(isOnKitchenScreen);
       
       console.log(`🍳 KITCHEN DAILY: Found ${todayOrders.length} orders for today`);
       
@@ -2940,8 +4373,8 @@ app.get('/kitchen/orders', kitchenAuthMiddleware, async (req, res) => {
     } else {
       // Use file-based data as fallback - filter for today
       todayOrders = orders.filter(order => {
-        const orderDate = new Date(order.createdAt || order.timestamp);
-        return orderDate >= startOfDay && orderDate < endOfDay;
+        const orderDate = new Date(order.pickupTime || order.createdAt || order.timestamp);
+        return orderDate >= startOfDay && orderDate < endOfDay && isOnKitchenScreen(order);
       });
       console.log(`🍳 KITCHEN DAILY: Using file storage - ${todayOrders.length} orders for today`);
     }
@@ -2972,11 +4405,11 @@ app.get('/kitchen/orders/all', kitchenAuthMiddleware, async (req, res) => {
     
     if (mongoose.connection.readyState === 1) {
       // Get all orders from MongoDB
-      allOrders = await Order.find().sort({ createdAt: -1 });
+      allOrders = (await Order.find({ paymentStatus: { $nin: KITCHEN_HIDDEN_PAYMENT_STATUSES } }).sort({ createdAt: -1 })).filter(isDueInKitchen);
       console.log(`🍳 KITCHEN ALL ORDERS: Loaded ${allOrders.length} orders from MongoDB`);
     } else {
       // Use file-based data as fallback
-      allOrders = orders;
+      allOrders = orders.filter(isOnKitchenScreen);
       console.log(`🍳 KITCHEN ALL ORDERS: Using file storage - ${allOrders.length} orders`);
     }
     
@@ -3002,11 +4435,11 @@ app.get('/kitchen/api/orders', kitchenAuthMiddleware, async (req, res) => {
     
     if (mongoose.connection.readyState === 1) {
       // Get all orders from MongoDB
-      allOrders = await Order.find().sort({ createdAt: -1 });
+      allOrders = (await Order.find({ paymentStatus: { $nin: KITCHEN_HIDDEN_PAYMENT_STATUSES } }).sort({ createdAt: -1 })).filter(isDueInKitchen);
       console.log(`🍳 KITCHEN API: Loaded ${allOrders.length} orders from MongoDB`);
     } else {
       // Use file-based data as fallback
-      allOrders = orders;
+      allOrders = orders.filter(isOnKitchenScreen);
       console.log(`🍳 KITCHEN API: Using file storage - ${allOrders.length} orders`);
     }
     
@@ -3023,13 +4456,176 @@ app.get('/kitchen/api/orders', kitchenAuthMiddleware, async (req, res) => {
   }
 });
 
-// AGGRESSIVE KITCHEN STATUS UPDATE SYSTEM - BYPASS DUPLICATES
-app.post('/kitchen/orders/:id/force-status', kitchenAuthMiddleware, async (req, res) => {
+// Live order events for the kitchen screens (Server-Sent Events)
+app.get('/kitchen/events', kitchenAuthMiddleware, (req, res) => {
+  orderEvents.subscribe(req, res, 'kitchen', isOnKitchenScreen);
+});
+
+// A single rendered order card, fetched by the kitchen screens after an event
+app.get('/kitchen/orders/:id/card', kitchenAuthMiddleware, async (req, res) => {
   try {
-    const orderId = parseInt(req.params.id);
-    const { status } = req.body;
+    const order = await findOrderById(parseInt(req.params.id));
+    if (!order || !isOnKitchenScreen(order)) {
+      return res.status(404).send('Order not found');
+    }
+    res.render('partials/kitchen_order_card', { order });
+  } catch (error) {
+    console.error('Kitchen order card error:', error);
+    res.status(500).send('Failed to load order');
+  }
+});
+
+// Kitchen ticket for an order (?format=html|pdf|escpos)
+app.get('/kitchen/orders/:id/ticket', kitchenAuthMiddleware, async (req, res) => {
+  try {
+    const order = await findOrderById(parseInt(req.params.id));
+    if (!order || !isOnKitchenScreen(order)) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    sendReceipt(res, order, 'kitchen', req.query.format);
+  } catch (error) {
+    console.error('Kitchen ticket error:', error);
+    res.status(500).json({ success: false, error: 'Failed to build kitchen ticket' });
+  }
+});
+
+// Send a kitchen ticket to the network printer
+app.post('/kitchen/orders/:id/print', kitchenAuthMiddleware, async (req, res) => {
+  try {
+    const order = await findOrderById(parseInt(req.params.id));
+    if (!order || !isOnKitchenScreen(order)) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    printReceipt(res, order, 'kitchen');
+  } catch (error) {
+    console.error('Kitchen print error:', error);
+    res.status(500).json({ success: false, error: 'Failed to print kitchen ticket' });
+  }
+});
+
+// Build a station ticket for an order, or null when the station has nothing
+// to make for it (no lines for the station, or the order isn't being cooked)
+function buildStationTicket(order, stationId) {
+  if (!order || !isOnKitchenScreen(order) || !BUMPABLE_ORDER_STATUSES.includes(order.status)) {
+    return null;
+  }
+  const lines = getStationLines(order, stationId, menuData.categories);
+  return lines.length > 0 ? { order, lines } : null;
+}
+
+// Kitchen station view - today's open tickets for one station, oldest first
+app.get('/kitchen/stations/:station', kitchenAuthMiddleware, async (req, res) => {
+  try {
+    const station = getKitchenStation(req.params.station);
+    if (!station) {
+      return res.status(404).send('Kitchen station not found');
+    }
     
-    console.log(`🔥 KITCHEN AGGRESSIVE STATUS UPDATE - Order ${orderId} to ${status}`);
+    const today = new Date();
+    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+    
+    let openOrders;
+    if (mongoose.connection.readyState === 1) {
+      openOrders = await Order.find({
+        status: { $in: BUMPABLE_ORDER_STATUSES },
+        paymentStatus: { $nin: KITCHEN_HIDDEN_PAYMENT_STATUSES },
+        $or: [
+          { pickupTime: { $gte: startOfDay, $lt: endOfDay } },
+          { pickupTime: null, createdAt: { $gte: startOfDay, $lt: endOfDay } }
+        ]
+      }).sort({ createdAt: 1 });
+    } else {
+      openOrders = orders
+        .filter(order => {
+          const orderDate = new Date(order.pickupTime || order.createdAt);
+          return orderDate >= startOfDay && orderDate < endOfDay;
+        })
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+    
+    const tickets = openOrders
+      .map(order => buildStationTicket(order, station.id))
+      .filter(Boolean);
+    
+    console.log(`🍳 KITCHEN STATION ${station.id}: ${tickets.length} open tickets`);
+    res.render('kitchen_station', { station, tickets });
+  } catch (error) {
+    console.error('Kitchen station error:', error);
+    res.status(500).json({ error: 'Internal server error', details: error.message });
+  }
+});
+
+// A single rendered station ticket, fetched by the station view after an event
+app.get('/kitchen/stations/:station/orders/:id/ticket', kitchenAuthMiddleware, async (req, res) => {
+  try {
+    const station = getKitchenStation(req.params.station);
+    const order = await findOrderById(parseInt(req.params.id));
+    const ticket = station && buildStationTicket(order, station.id);
+    if (!ticket) {
+      return res.status(404).send('Ticket not found');
+    }
+    res.render('partials/station_ticket', { order, lines: ticket.lines, station });
+  } catch (error) {
+    console.error('Kitchen station ticket error:', error);
+    res.status(500).send('Failed to load ticket');
+  }
+});
+
+// Bump one order line as done (or undo with { bumped: false }).
+// The first bump starts preparing the order; the last one marks it ready.
+app.post('/kitchen/orders/:id/items/:line/bump', kitchenAuthMiddleware, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const lineIndex = parseInt(req.params.line);
+    const bumped = req.body.bumped !== false;
+    
+    const order = await findOrderById(orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, error: `Order ${orderId} not found` });
+    }
+    
+    const bump = bumpOrderLine(order, lineIndex, getActor(req), bumped);
+    if (bump.error) {
+      return res.status(409).json({ success: false, error: bump.error });
+    }
+    
+    if (bump.changed) {
+      if (bumped && order.status === 'confirmed') {
+        await changeOrderStatus(req, order, 'preparing');
+      }
+      if (allLinesBumped(order) && order.status === 'preparing') {
+        await changeOrderStatus(req, order, 'ready');
+      }
+      
+      await persistOrder(order);
+      orderEvents.publish('order-edited', order);
+      console.log(`🍳 Order ${orderId} line ${lineIndex} ${bumped ? 'bumped' : 'un-bumped'} by ${getActor(req)}`);
+    }
+    
+    res.json({
+      success: true,
+      orderId: orderId,
+      status: order.status,
+      allBumped: allLinesBumped(order)
+    });
+  } catch (error) {
+    console.error('Kitchen bump error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// AGGRESSIVE KITCHEN STATUS UPDATE SYSTEM - BYPASS DUPLICATES
+app.post('/kitchen/orders/:id/force-status', kitchenAuthMiddleware, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { status } = req.body;
+    
+    console.log(`🔥 KITCHEN AGGRESSIVE STATUS UPDATE - Order ${orderId} to ${status}`);
+    
+    if (!KITCHEN_ORDER_STATUSES.includes(status)) {
+      return res.status(403).json({ success: false, error: `Kitchen cannot move orders to ${status}` });
+    }
     
     // STEP 1: Update local array
     const orderIndex = orders.findIndex(o => o.id === orderId);
@@ -3042,8 +4638,10 @@ app.post('/kitchen/orders/:id/force-status', kitchenAuthMiddleware, async (req,
     }
     
     const originalStatus = orders[orderIndex].status;
-    orders[orderIndex].status = status;
-    orders[orderIndex].updatedAt = new Date().toISOString();
+    const transition = await changeOrderStatus(req, orders[orderIndex], status, req.body.reason);
+    if (transition.error) {
+      return res.status(409).json({ success: false, error: transition.error });
+    }
     
     console.log(`🔥 KITCHEN AGGRESSIVE: Status changed from ${originalStatus} to ${status}`);
     console.log(`📝 Notes preserved in local array:`, orders[orderIndex].notes);
@@ -3067,21 +4665,7 @@ app.post('/kitchen/orders/:id/force-status', kitchenAuthMiddleware, async (req,
         
         // Create a fresh order with the updated status
         const order = orders[orderIndex];
-        const newOrder = new Order({
-          id: orderId,
-          status: status,
-          discount: order.discount,
-          total: order.total,
-          items: order.items,
-          customerName: order.customerName,
-          customerEmail: order.customerEmail,
-          orderType: order.orderType,
-          tableNumber: order.tableNumber,
-          notes: order.notes || '', // Preserve notes!
-          marketingConsent: order.marketingConsent,
-          createdAt: order.createdAt || new Date(),
-          updatedAt: new Date()
-        });
+        const newOrder = new Order(buildOrderDocument(order, { status: status }));
         
         await newOrder.save();
         console.log(`🔥 KITCHEN AGGRESSIVE: Created fresh order ${orderId} with status ${status}`);
@@ -3245,7 +4829,281 @@ app.get('/waiter/categories', waiterAuthMiddleware, async (req, res) => {
 
 // Waiter QR Codes
 app.get('/waiter/qr', waiterAuthMiddleware, (req, res) => {
-  res.render('waiter_qr');
+  res.render('waiter_qr', { frontendUrl: restaurantSettings.frontendUrl });
+});
+
+// Waiter floor plan with live table status
+app.get('/waiter/tables', waiterAuthMiddleware, async (req, res) => {
+  try {
+    const tableStatuses = await buildTableStatuses();
+    res.render('waiter_tables', {
+      tables: tableStatuses,
+      areas: groupTablesByArea(tableStatuses),
+      tableStatusLabels: TABLE_STATUS_LABELS
+    });
+  } catch (error) {
+    console.error('Error loading waiter tables:', error);
+    res.status(500).send('Error loading tables: ' + error.message);
+  }
+});
+
+app.get('/waiter/api/tables', waiterAuthMiddleware, async (req, res) => {
+  try {
+    res.json({ success: true, tables: await buildTableStatuses() });
+  } catch (error) {
+    console.error('Waiter tables API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load tables' });
+  }
+});
+
+app.post('/waiter/api/tables/:id/seat', waiterAuthMiddleware, (req, res) => updateTableMarker(req, res, 'seatedAt'));
+app.post('/waiter/api/tables/:id/clean', waiterAuthMiddleware, (req, res) => updateTableMarker(req, res, 'cleanedAt'));
+
+// The orders on a tab, oldest round first. Looked up like findOrderById - the local
+// orders first - so settling the tab changes the cached orders later saves write back.
+async function findTabOrders(tab) {
+  const tabOrders = (await Promise.all(tab.orderIds.map(orderId => findOrderById(orderId)))).filter(Boolean);
+  return tabOrders.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// A tab with its running totals, and optionally its orders
+async function buildTabView(tab, includeOrders = false) {
+  const tabOrders = await findTabOrders(tab);
+  return {
+    ...tab,
+    summary: summarizeTab(tab, tabOrders),
+    splitCurrent: isSplitCurrent(tab.split, tabOrders),
+    ...(includeOrders ? { orders: tabOrders } : {})
+  };
+}
+
+// Close a settled tab: its orders are marked paid and served orders are completed
+async function settleTab(req, tab, tabOrders, summary) {
+  const result = closeTab(tab, summary, getActor(req));
+  if (result.error) {
+    return result;
+  }
+
+  // Card orders still being paid online weren't on the bill; the webhook settles them
+  for (const order of tabOrders) {
+    if (!isBillable(order)) continue;
+    if (['unpaid', 'pending', 'failed'].includes(order.paymentStatus)) {
+      order.paymentStatus = 'paid';
+    }
+    if (order.status === 'served') {
+      await changeOrderStatus(req, order, 'completed');
+    }
+    await persistOrder(order);
+  }
+  await persistTab(tab);
+
+  console.log(`🧾 Tab ${tab.id} for table ${tab.tableNumber} closed by ${getActor(req)}`);
+  return result;
+}
+
+// Open tabs with their running totals
+app.get('/waiter/tabs', waiterAuthMiddleware, async (req, res) => {
+  try {
+    const openTabs = await Promise.all(tabs.filter(tab => tab.status === 'open').map(tab => buildTabView(tab)));
+    res.render('waiter_tabs', { tabs: openTabs });
+  } catch (error) {
+    console.error('Error loading waiter tabs:', error);
+    res.status(500).send('Error loading tabs: ' + error.message);
+  }
+});
+
+// One tab's bill with every round and the payments taken
+app.get('/waiter/tabs/:id', waiterAuthMiddleware, async (req, res) => {
+  try {
+    const tab = tabs.find(t => t.id === parseInt(req.params.id));
+    if (!tab) {
+      return res.status(404).send('Tab not found');
+    }
+    const tabView = await buildTabView(tab, true);
+    res.render('waiter_tab', {
+      tab: tabView,
+      splittableOrderIds: getSplittableOrders(tabView.orders).map(order => order.id)
+    });
+  } catch (error) {
+    console.error('Error loading waiter tab:', error);
+    res.status(500).send('Error loading tab: ' + error.message);
+  }
+});
+
+// Tabs by status (open by default, or closed / all)
+app.get('/waiter/api/tabs', waiterAuthMiddleware, async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    const selected = status === 'all' ? tabs : tabs.filter(tab => tab.status === status);
+    res.json({ success: true, tabs: await Promise.all(selected.map(tab => buildTabView(tab))) });
+  } catch (error) {
+    console.error('Tabs API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load tabs' });
+  }
+});
+
+app.get('/waiter/api/tabs/:id', waiterAuthMiddleware, async (req, res) => {
+  try {
+    const tab = tabs.find(t => t.id === parseInt(req.params.id));
+    if (!tab) {
+      return res.status(404).json({ success: false, error: 'Tab not found' });
+    }
+    res.json({ success: true, tab: await buildTabView(tab, true) });
+  } catch (error) {
+    console.error('Tab API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load tab' });
+  }
+});
+
+// Take a payment at the table ({ amount, method, tip }); the tab closes once nothing is left to pay
+app.post('/waiter/api/tabs/:id/payments', waiterAuthMiddleware, async (req, res) => {
+  try {
+    const tab = tabs.find(t => t.id === parseInt(req.params.id));
+    if (!tab) {
+      return res.status(404).json({ success: false, error: 'Tab not found' });
+    }
+
+    const tabOrders = await findTabOrders(tab);
+    if (isSplitCurrent(tab.split, tabOrders)) {
+      return res.status(409).json({ success: false, error: 'This bill is split, pay the sub-bills instead' });
+    }
+    const payment = recordTabPayment(tab, summarizeTab(tab, tabOrders), req.body, getActor(req));
+    if (payment.error) {
+      return res.status(400).json({ success: false, error: payment.error });
+    }
+
+    if (payment.settled) {
+      await settleTab(req, tab, tabOrders, summarizeTab(tab, tabOrders));
+    } else {
+      await persistTab(tab);
+    }
+
+    res.json({ success: true, payment: payment.payment, tab: await buildTabView(tab) });
+  } catch (error) {
+    console.error('Tab payment error:', error);
+    res.status(500).json({ success: false, error: 'Failed to record payment' });
+  }
+});
+
+// Split what is left to pay into sub-bills: { method: 'even', ways } | { method: 'seat' } |
+// { method: 'items', bills: [[{ orderId, lineIndex }, ...], ...] }
+app.post('/waiter/api/tabs/:id/split', waiterAuthMiddleware, async (req, res) => {
+  try {
+    const tab = tabs.find(t => t.id === parseInt(req.params.id));
+    if (!tab) {
+      return res.status(404).json({ success: false, error: 'Tab not found' });
+    }
+    if (tab.status !== 'open') {
+      return res.status(409).json({ success: false, error: `Tab ${tab.id} is already closed` });
+    }
+    if (tab.payments.length > 0) {
+      return res.status(409).json({ success: false, error: 'Payments have already been taken on this tab' });
+    }
+
+    const result = buildSplit(req.body.method, req.body, await findTabOrders(tab), getActor(req));
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    tab.split = result.split;
+    await persistTab(tab);
+
+    console.log(`🧾 Tab ${tab.id} split ${result.split.method} into ${result.split.bills.length} bills`);
+    res.json({ success: true, tab: await buildTabView(tab) });
+  } catch (error) {
+    console.error('Tab split error:', error);
+    res.status(500).json({ success: false, error: 'Failed to split bill' });
+  }
+});
+
+app.delete('/waiter/api/tabs/:id/split', waiterAuthMiddleware, async (req, res) => {
+  try {
+    const tab = tabs.find(t => t.id === parseInt(req.params.id));
+    if (!tab) {
+      return res.status(404).json({ success: false, error: 'Tab not found' });
+    }
+    if (tab.payments.length > 0) {
+      return res.status(409).json({ success: false, error: 'Payments have already been taken on this tab' });
+    }
+
+    tab.split = null;
+    await persistTab(tab);
+    res.json({ success: true, tab: await buildTabView(tab) });
+  } catch (error) {
+    console.error('Tab unsplit error:', error);
+    res.status(500).json({ success: false, error: 'Failed to remove split' });
+  }
+});
+
+// Pay one sub-bill in full ({ method: 'cash' | 'card', tip }); the tab closes with the last one
+app.post('/waiter/api/tabs/:id/split/bills/:billId/pay', waiterAuthMiddleware, async (req, res) => {
+  try {
+    const tab = tabs.find(t => t.id === parseInt(req.params.id));
+    if (!tab) {
+      return res.status(404).json({ success: false, error: 'Tab not found' });
+    }
+
+    const tabOrders = await findTabOrders(tab);
+    if (!isSplitCurrent(tab.split, tabOrders)) {
+      return res.status(409).json({ success: false, error: 'The bill changed since it was split, split it again' });
+    }
+
+    const result = paySplitBill(tab, summarizeTab(tab, tabOrders), req.params.billId, req.body, getActor(req));
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    if (result.settled) {
+      await settleTab(req, tab, tabOrders, summarizeTab(tab, tabOrders));
+    } else {
+      await persistTab(tab);
+    }
+
+    res.json({ success: true, bill: result.bill, tab: await buildTabView(tab) });
+  } catch (error) {
+    console.error('Sub-bill payment error:', error);
+    res.status(500).json({ success: false, error: 'Failed to pay bill' });
+  }
+});
+
+// Close a tab with nothing left to pay (e.g. every order was paid online)
+app.post('/waiter/api/tabs/:id/close', waiterAuthMiddleware, async (req, res) => {
+  try {
+    const tab = tabs.find(t => t.id === parseInt(req.params.id));
+    if (!tab) {
+      return res.status(404).json({ success: false, error: 'Tab not found' });
+    }
+
+    const tabOrders = await findTabOrders(tab);
+    const result = await settleTab(req, tab, tabOrders, summarizeTab(tab, tabOrders));
+    if (result.error) {
+      return res.status(409).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, tab: await buildTabView(tab) });
+  } catch (error) {
+    console.error('Tab close error:', error);
+    res.status(500).json({ success: false, error: 'Failed to close tab' });
+  }
+});
+
+// Live order events for the waiter screen (Server-Sent Events)
+app.get('/waiter/events', waiterAuthMiddleware, (req, res) => {
+  orderEvents.subscribe(req, res, 'waiter');
+});
+
+// A single rendered order card, fetched by the waiter screen after an event
+app.get('/waiter/orders/:id/card', waiterAuthMiddleware, async (req, res) => {
+  try {
+    const order = await findOrderById(parseInt(req.params.id));
+    if (!order) {
+      return res.status(404).send('Order not found');
+    }
+    res.render('partials/waiter_order_card', { order });
+  } catch (error) {
+    console.error('Waiter order card error:', error);
+    res.status(500).send('Failed to load order');
+  }
 });
 
 // Waiter Order Status Update
@@ -3256,21 +5114,22 @@ app.post('/waiter/orders/:id/status', waiterAuthMiddleware, async (req, res) =>
     
     console.log(`🔄 Waiter updating order ${orderId} to status: ${status}`);
     
+    const orderIndex = orders.findIndex(o => o.id === orderId);
+    if (orderIndex === -1) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    
+    const transition = await changeOrderStatus(req, orders[orderIndex], status, req.body.reason);
+    if (transition.error) {
+      return res.status(409).json({ success: false, error: transition.error });
+    }
+    
     // Update in MongoDB
     if (mongoose.connection.readyState === 1) {
       await Order.deleteMany({ id: orderId });
-      const orderIndex = orders.findIndex(o => o.id === orderId);
-      if (orderIndex !== -1) {
-        orders[orderIndex].status = status;
-        await Order.create(orders[orderIndex]);
-      }
+      await Order.create(buildOrderDocument(orders[orderIndex]));
     } else {
-      // Update in local array
-      const orderIndex = orders.findIndex(o => o.id === orderId);
-      if (orderIndex !== -1) {
-        orders[orderIndex].status = status;
-        saveOrdersData();
-      }
+      saveOrdersData();
     }
     
     res.json({ success: true, newStatus: status });
@@ -3317,17 +5176,26 @@ app.post('/waiter/orders/:id/edit', waiterAuthMiddleware, async (req, res) => {
     }
     
     // Update order
-    if (status) orders[orderIndex].status = status;
+    if (status) {
+      const transition = await changeOrderStatus(req, orders[orderIndex], status, req.body.reason);
+      if (transition.error) {
+        return res.status(409).json({ success: false, error: transition.error });
+      }
+    }
     if (discount !== undefined) orders[orderIndex].discount = discount;
     
     // Update in MongoDB
     if (mongoose.connection.readyState === 1) {
       await Order.deleteMany({ id: orderId });
-      await Order.create(orders[orderIndex]);
+      await Order.create(buildOrderDocument(orders[orderIndex]));
     } else {
       saveOrdersData();
     }
     
+    if (discount !== undefined) {
+      orderEvents.publish('order-edited', orders[orderIndex]);
+    }
+    
     res.json({ success: true, order: orders[orderIndex] });
   } catch (error) {
     console.error('❌ Waiter order edit error:', error);
@@ -3778,6 +5646,26 @@ app.get('/book', (req, res) => {
   });
 });
 
+// Customer-facing order tracking page, linked from the order confirmation
+app.get('/track/:token', async (req, res) => {
+  try {
+    const order = await findOrderByToken(req.params.token);
+    if (!order) {
+      return res.status(404).send('Order not found');
+    }
+    res.render('order_tracking', {
+      tracking: buildTrackingView(order, menuData.items),
+      token: order.trackingToken,
+      restaurantName: restaurantSettings.restaurantName,
+      currency: restaurantSettings.currency,
+      formatMoney
+    });
+  } catch (error) {
+    console.error('Order tracking page error:', error);
+    res.status(500).send('Error loading order');
+  }
+});
+
 // Admin booking management page (separate from customer booking)
 app.get('/booking', (req, res) => {
   res.render('booking', { title: 'Table Reservation' });
@@ -4309,12 +6197,12 @@ async function sendReservationConfirmation(reservation) {
 
     const msg = {
       to: reservation.customerEmail,
-      from: EMAIL_FROM,
-      subject: `Reservation Confirmation - ${RESTAURANT_NAME}`,
+      from: getEmailSender(),
+      subject: `Reservation Confirmation - ${restaurantSettings.restaurantName}`,
       html: `
         <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
           <div style="background: linear-gradient(135deg, #667eea, #764ba2); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
-            <h1 style="margin: 0; font-size: 28px;">🍽️ ${RESTAURANT_NAME}</h1>
+            <h1 style="margin: 0; font-size: 28px;">🍽️ ${restaurantSettings.restaurantName}</h1>
             <p style="margin: 10px 0 0 0; font-size: 16px;">Reservation Confirmation</p>
           </div>
           
@@ -4322,7 +6210,7 @@ async function sendReservationConfirmation(reservation) {
             <h2 style="color: #2d3748; margin-top: 0;">Hello ${reservation.customerName}!</h2>
             
             <p style="color: #4a5568; font-size: 16px; line-height: 1.6;">
-              Thank you for choosing ${RESTAURANT_NAME}! Your table reservation has been confirmed.
+              Thank you for choosing ${restaurantSettings.restaurantName}! Your table reservation has been confirmed.
             </p>
             
             <div style="background: white; border-radius: 10px; padding: 20px; margin: 20px 0; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
@@ -4367,9 +6255,9 @@ async function sendReservationConfirmation(reservation) {
             
             <div style="background: #f0f9ff; border: 1px solid #0ea5e9; border-radius: 8px; padding: 15px; margin: 20px 0;">
               <h4 style="color: #0c4a6e; margin: 0 0 10px 0;">📍 Restaurant Information</h4>
-              <p style="color: #0c4a6e; margin: 5px 0;"><strong>Address:</strong> 123 Restaurant Street, City</p>
-              <p style="color: #0c4a6e; margin: 5px 0;"><strong>Phone:</strong> (555) 123-4567</p>
-              <p style="color: #0c4a6e; margin: 5px 0;"><strong>Hours:</strong> Mon-Sun: 11:00 AM - 10:00 PM</p>
+              ${restaurantSettings.address ? `<p style="color: #0c4a6e; margin: 5px 0;"><strong>Address:</strong> ${restaurantSettings.address}</p>` : ''}
+              ${restaurantSettings.phone ? `<p style="color: #0c4a6e; margin: 5px 0;"><strong>Phone:</strong> ${restaurantSettings.phone}</p>` : ''}
+              <p style="color: #0c4a6e; margin: 5px 0;"><strong>Hours:</strong> ${formatOpeningHours(restaurantSettings.openingHours)}</p>
             </div>
             
             <p style="color: #4a5568; font-size: 14px; margin-top: 30px;">
@@ -4378,7 +6266,7 @@ async function sendReservationConfirmation(reservation) {
           </div>
           
           <div style="background: #333; color: white; padding: 20px; text-align: center; border-radius: 0 0 10px 10px; font-size: 14px;">
-            <p style="margin: 0;">© 2024 ${RESTAURANT_NAME}. All rights reserved.</p>
+            <p style="margin: 0;">© 2024 ${restaurantSettings.restaurantName}. All rights reserved.</p>
           </div>
         </div>
       `
@@ -4870,7 +6758,7 @@ app.get('/admin/investigate-duplicates', authMiddleware, async (req, res) => {
 });
 
 // FORCE TEST ROUTE - Test the override system
-app.post('/test/force-order-edit/:id', (req, res) => {
+app.post('/test/force-order-edit/:id', authMiddleware, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
     const { status, discount } = req.body;
@@ -4893,7 +6781,10 @@ app.post('/test/force-order-edit/:id', (req, res) => {
     
     // Update order properties
     if (status) {
-      order.status = status;
+      const transition = await changeOrderStatus(req, order, status);
+      if (transition.error) {
+        return res.status(409).json({ success: false, error: transition.error });
+      }
       console.log(`✅ FORCE TEST: Updated status to ${status}`);
     }
     
@@ -4901,12 +6792,7 @@ app.post('/test/force-order-edit/:id', (req, res) => {
       order.discount = parseFloat(discount) || 0;
       
       // Recalculate total
-      const itemsTotal = order.items.reduce((sum, item) => {
-        const itemTotal = (item.price || 0) * (item.qty || item.quantity || 1);
-        return sum + itemTotal;
-      }, 0);
-      
-      order.total = Math.max(0, itemsTotal - order.discount);
+      repriceOrder(order);
       console.log(`✅ FORCE TEST: Updated discount to ${order.discount}, new total: ${order.total}`);
     }
     
@@ -4933,8 +6819,8 @@ app.post('/test/force-order-edit/:id', (req, res) => {
   }
 });
 
-// SIMPLE TEST ROUTE - No authentication required
-app.post('/test/order-status/:id', (req, res) => {
+// SIMPLE TEST ROUTE - admins only, status changes email customers and move stock
+app.post('/test/order-status/:id', authMiddleware, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
     const { status } = req.body;
@@ -4954,8 +6840,10 @@ app.post('/test/order-status/:id', (req, res) => {
     }
     
     // Update the order
-    order.status = status;
-    order.updatedAt = new Date().toISOString();
+    const transition = await changeOrderStatus(req, order, status);
+    if (transition.error) {
+      return res.status(409).json({ success: false, error: transition.error });
+    }
     
     // Save to file
     saveOrdersData();
@@ -4976,11 +6864,11 @@ app.post('/test/order-status/:id', (req, res) => {
 });
 
 // NEW ORDER STATUS FLOW SYSTEM
-// This handles the complete order lifecycle: pending -> confirmed -> completed
-// Also handles cancellation at any stage
+// Shortcuts onto the order state machine (see orderStatus.js):
+// pending -> confirmed -> preparing -> ready -> served -> completed, or cancelled before serving
 
 // Confirm Order (pending -> confirmed)
-app.post('/orders/:id/confirm', authMiddleware, (req, res) => {
+app.post('/orders/:id/confirm', authMiddleware, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
     console.log(`✅ CONFIRM: Order ${orderId}`);
@@ -4991,15 +6879,11 @@ app.post('/orders/:id/confirm', authMiddleware, (req, res) => {
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
     
-    if (order.status !== 'pending') {
-      return res.status(400).json({ 
-        success: false, 
-        error: `Order is ${order.status}, cannot confirm` 
-      });
+    const transition = await changeOrderStatus(req, order, 'confirmed');
+    if (transition.error) {
+      return res.status(400).json({ success: false, error: transition.error });
     }
     
-    order.status = 'confirmed';
-    order.updatedAt = new Date().toISOString();
     saveOrdersData();
     
     console.log(`✅ Order ${orderId} confirmed`);
@@ -5017,8 +6901,8 @@ app.post('/orders/:id/confirm', authMiddleware, (req, res) => {
   }
 });
 
-// Complete Order (confirmed -> completed)
-app.post('/orders/:id/complete', authMiddleware, (req, res) => {
+// Complete Order (served -> completed)
+app.post('/orders/:id/complete', authMiddleware, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
     console.log(`🏁 COMPLETE: Order ${orderId}`);
@@ -5029,15 +6913,11 @@ app.post('/orders/:id/complete', authMiddleware, (req, res) => {
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
     
-    if (order.status !== 'confirmed') {
-      return res.status(400).json({ 
-        success: false, 
-        error: `Order is ${order.status}, cannot complete` 
-      });
+    const transition = await changeOrderStatus(req, order, 'completed');
+    if (transition.error) {
+      return res.status(400).json({ success: false, error: transition.error });
     }
     
-    order.status = 'completed';
-    order.updatedAt = new Date().toISOString();
     saveOrdersData();
     
     console.log(`✅ Order ${orderId} completed`);
@@ -5055,8 +6935,8 @@ app.post('/orders/:id/complete', authMiddleware, (req, res) => {
   }
 });
 
-// Cancel Order (any status -> cancelled)
-app.post('/orders/:id/cancel', authMiddleware, (req, res) => {
+// Cancel Order (any status up to ready -> cancelled)
+app.post('/orders/:id/cancel', authMiddleware, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
     console.log(`❌ CANCEL: Order ${orderId}`);
@@ -5067,15 +6947,11 @@ app.post('/orders/:id/cancel', authMiddleware, (req, res) => {
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
     
-    if (order.status === 'completed') {
-      return res.status(400).json({ 
-        success: false, 
-        error: 'Cannot cancel completed order' 
-      });
+    const transition = await changeOrderStatus(req, order, 'cancelled', req.body.reason);
+    if (transition.error) {
+      return res.status(400).json({ success: false, error: transition.error });
     }
     
-    order.status = 'cancelled';
-    order.updatedAt = new Date().toISOString();
     saveOrdersData();
     
     console.log(`✅ Order ${orderId} cancelled`);
@@ -5093,8 +6969,9 @@ app.post('/orders/:id/cancel', authMiddleware, (req, res) => {
   }
 });
 
-// Kitchen Complete Order (kitchen staff can complete orders)
-app.post('/kitchen/orders/:id/complete', kitchenAuthMiddleware, (req, res) => {
+// Kitchen Complete Order - the kitchen's part ends when the food is ready;
+// waiters then serve and complete the order
+app.post('/kitchen/orders/:id/complete', kitchenAuthMiddleware, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
     console.log(`🍳 KITCHEN COMPLETE: Order ${orderId}`);
@@ -5105,15 +6982,11 @@ app.post('/kitchen/orders/:id/complete', kitchenAuthMiddleware, (req, res) => {
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
     
-    if (order.status !== 'confirmed') {
-      return res.status(400).json({ 
-        success: false, 
-        error: `Order is ${order.status}, cannot complete` 
-      });
+    const transition = await changeOrderStatus(req, order, 'ready');
+    if (transition.error) {
+      return res.status(400).json({ success: false, error: transition.error });
     }
     
-    order.status = 'completed';
-    order.updatedAt = new Date().toISOString();
     saveOrdersData();
     
     console.log(`✅ Kitchen completed order ${orderId}`);
@@ -5122,7 +6995,7 @@ app.post('/kitchen/orders/:id/complete', kitchenAuthMiddleware, (req, res) => {
       success: true, 
       message: 'Order completed by kitchen',
       orderId: orderId,
-      newStatus: 'completed'
+      newStatus: 'ready'
     });
     
   } catch (error) {
@@ -5184,8 +7057,8 @@ app.get('/test-admin-creds', (req, res) => {
   });
 });
 
-// Test route for order status update (no auth required for testing)
-app.post('/test-order-status/:id', (req, res) => {
+// Test route for order status update (admins only)
+app.post('/test-order-status/:id', authMiddleware, async (req, res) => {
   const orderId = parseInt(req.params.id);
   const { status } = req.body;
   
@@ -5198,8 +7071,10 @@ app.post('/test-order-status/:id', (req, res) => {
   }
   
   // Update status
-  order.status = status;
-  order.updatedAt = new Date().toISOString();
+  const transition = await changeOrderStatus(req, order, status);
+  if (transition.error) {
+    return res.status(409).json({ success: false, error: transition.error });
+  }
   
   // Save to file
   saveOrdersData();
@@ -5211,59 +7086,673 @@ app.post('/test-order-status/:id', (req, res) => {
   });
 });
 
-// Get order data for editing - FIXED VERSION with MongoDB support
-app.get('/admin/orders/:id/data', authMiddleware, async (req, res) => {
+// Customer receipt for an order (?format=html|pdf|escpos)
+app.get('/admin/orders/:id/receipt', authMiddleware, async (req, res) => {
   try {
-    const orderId = parseInt(req.params.id);
-    console.log(`🔍 Getting order data for editing - Order ID: ${orderId}`);
-    
-    let order = null;
-    
-    // Try MongoDB first
-    if (mongoose.connection.readyState === 1) {
-      order = await Order.findOne({ id: orderId });
-      if (order) {
-        console.log(`✅ Found order in MongoDB: ${orderId}`);
-      } else {
-        console.log(`⚠️ Order ${orderId} not found in MongoDB, trying file storage...`);
-      }
-    } else {
-      console.log('⚠️ MongoDB not connected, using file storage...');
-    }
-    
-    // Fallback to file storage
-    if (!order) {
-      order = orders.find(o => o.id === orderId);
-      if (order) {
-        console.log(`✅ Found order in file storage: ${orderId}`);
-      }
-    }
-    
+    const order = await findOrderById(parseInt(req.params.id));
     if (!order) {
-      console.log(`❌ Order ${orderId} not found in any storage`);
       return res.status(404).json({ success: false, error: 'Order not found' });
     }
-    
-    const orderData = {
-      id: order.id,
-      customerName: order.customerName || '',
-      customerEmail: order.customerEmail || '',
-      orderType: order.orderType || 'dine-in',
-      status: order.status || 'pending',
-      discount: order.discount || 0,
-      notes: order.notes || '',
-      total: order.total || 0
-    };
-    
-    console.log('📊 Order data for editing:', orderData);
-    
-    res.json({
-      success: true,
-      order: orderData
-    });
+    sendReceipt(res, order, 'receipt', req.query.format);
   } catch (error) {
-    console.error('❌ Error getting order data:', error);
-    res.status(500).json({ success: false, error: 'Internal server error' });
+    console.error('Receipt error:', error);
+    res.status(500).json({ success: false, error: 'Failed to build receipt' });
+  }
+});
+
+// Send a customer receipt to the network printer
+app.post('/admin/orders/:id/print', authMiddleware, async (req, res) => {
+  try {
+    const order = await findOrderById(parseInt(req.params.id));
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    printReceipt(res, order, 'receipt');
+  } catch (error) {
+    console.error('Receipt print error:', error);
+    res.status(500).json({ success: false, error: 'Failed to print receipt' });
+  }
+});
+
+// Print queue status - the configured printer and recent jobs
+app.get('/admin/print-queue', authMiddleware, (req, res) => {
+  res.json({
+    success: true,
+    printer: printQueue ? printQueue.printer : null,
+    jobs: printQueue ? printQueue.list() : []
+  });
+});
+
+// Every registered table with its live status, sorted by area and number
+async function buildTableStatuses() {
+  const now = new Date();
+  let tableOrders = orders;
+  let tableReservations = reservations;
+
+  if (mongoose.connection.readyState === 1) {
+    const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+    tableOrders = await Order.find({ createdAt: { $gte: startOfDay, $lt: endOfDay } }).lean();
+    tableReservations = await Reservation.find({
+      status: 'confirmed',
+      reservationDate: { $gte: startOfDay, $lt: endOfDay }
+    }).lean();
+  }
+
+  return tables
+    .slice()
+    .sort((a, b) => a.area.localeCompare(b.area) || a.number - b.number)
+    .map(table => {
+      const { status, orders: openOrders, reservation } = getTableStatus(table, tableOrders, tableReservations, now);
+      const tab = findOpenTab(tabs, table.number);
+      const tabSummary = tab ? summarizeTab(tab, tableOrders.filter(order => tab.orderIds.includes(order.id))) : null;
+      return {
+        ...table,
+        status,
+        statusLabel: TABLE_STATUS_LABELS[status],
+        orderIds: openOrders.map(order => order.id),
+        openTotal: openOrders.reduce((sum, order) => sum + (order.total || 0), 0),
+        reservation: reservation ? {
+          id: reservation.id,
+          customerName: reservation.customerName,
+          partySize: reservation.partySize,
+          reservationTime: reservation.reservationTime
+        } : null,
+        tab: tab ? { id: tab.id, total: tabSummary.total, balance: tabSummary.balance } : null
+      };
+    });
+}
+
+// Group table statuses by area for the floor plan views
+function groupTablesByArea(tableStatuses) {
+  return tableStatuses.reduce((areas, table) => {
+    (areas[table.area] = areas[table.area] || []).push(table);
+    return areas;
+  }, {});
+}
+
+// Mark a table as seated (walk-in) or cleaned; shared by the admin and waiter screens
+async function updateTableMarker(req, res, field) {
+  try {
+    const table = tables.find(t => t.id === parseInt(req.params.id));
+    if (!table) {
+      return res.status(404).json({ success: false, error: 'Table not found' });
+    }
+    table[field] = new Date();
+    await persistTable(table);
+    console.log(`🪑 Table ${table.number} ${field === 'seatedAt' ? 'seated' : 'cleaned'} by ${getActor(req)}`);
+    res.json({ success: true, table });
+  } catch (error) {
+    console.error('Table update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update table' });
+  }
+}
+
+// Table management page with the floor plan
+app.get('/admin/tables', authMiddleware, async (req, res) => {
+  try {
+    const tableStatuses = await buildTableStatuses();
+    res.render('admin_tables', {
+      title: 'Table Management',
+      tables: tableStatuses,
+      areas: groupTablesByArea(tableStatuses),
+      tableShapes: TABLE_SHAPES,
+      tableStatusLabels: TABLE_STATUS_LABELS
+    });
+  } catch (error) {
+    console.error('Error loading tables page:', error);
+    res.status(500).send('Error loading tables');
+  }
+});
+
+app.get('/admin/api/tables', authMiddleware, async (req, res) => {
+  try {
+    res.json({ success: true, tables: await buildTableStatuses() });
+  } catch (error) {
+    console.error('Tables API error:', error);
+    res.status(500).json({ success: false, error: 'Failed to load tables' });
+  }
+});
+
+app.post('/admin/api/tables', authMiddleware, async (req, res) => {
+  try {
+    const { table, errors } = normalizeTable(req.body, tables);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid table', details: errors });
+    }
+
+    const newTable = {
+      id: tableIdCounter++,
+      ...table,
+      seatedAt: null,
+      cleanedAt: null,
+      createdAt: new Date()
+    };
+    tables.push(newTable);
+    await persistTable(newTable);
+
+    console.log(`🪑 Table ${newTable.number} added to ${newTable.area}`);
+    res.status(201).json({ success: true, table: newTable });
+  } catch (error) {
+    console.error('Table create error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create table' });
+  }
+});
+
+app.put('/admin/api/tables/:id', authMiddleware, async (req, res) => {
+  try {
+    const existing = tables.find(t => t.id === parseInt(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Table not found' });
+    }
+
+    const { table, errors } = normalizeTable({ ...existing, ...req.body }, tables, existing.id);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid table', details: errors });
+    }
+
+    Object.assign(existing, table);
+    await persistTable(existing);
+
+    res.json({ success: true, table: existing });
+  } catch (error) {
+    console.error('Table update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update table' });
+  }
+});
+
+app.delete('/admin/api/tables/:id', authMiddleware, async (req, res) => {
+  try {
+    const index = tables.findIndex(t => t.id === parseInt(req.params.id));
+    if (index === -1) {
+      return res.status(404).json({ success: false, error: 'Table not found' });
+    }
+
+    const tableStatus = (await buildTableStatuses()).find(t => t.id === tables[index].id);
+    if (tableStatus.orderIds.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Table ${tableStatus.number} has open orders (${tableStatus.orderIds.map(id => '#' + id).join(', ')})`
+      });
+    }
+
+    const [removed] = tables.splice(index, 1);
+    if (mongoose.connection.readyState === 1) {
+      await Table.deleteOne({ id: removed.id });
+    }
+    saveTablesData();
+
+    console.log(`🗑️ Table ${removed.number} removed`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Table delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete table' });
+  }
+});
+
+app.post('/admin/api/tables/:id/seat', authMiddleware, (req, res) => updateTableMarker(req, res, 'seatedAt'));
+app.post('/admin/api/tables/:id/clean', authMiddleware, (req, res) => updateTableMarker(req, res, 'cleanedAt'));
+
+// A promotion with how often it has been used so far
+function withPromotionUses(promotion) {
+  return { ...promotion, uses: countPromotionUses(promotion, orders).total };
+}
+
+// Promotions page - promo codes and automatic promotions
+app.get('/admin/promotions', authMiddleware, (req, res) => {
+  try {
+    res.render('admin_promotions', {
+      promotions: promotions.map(withPromotionUses),
+      promotionTypes: PROMOTION_TYPES,
+      promotionTypeLabels: PROMOTION_TYPE_LABELS,
+      weekdays: WEEKDAYS,
+      items: menuData.items || [],
+      categories: menuData.categories || []
+    });
+  } catch (error) {
+    console.error('Error loading promotions page:', error);
+    res.status(500).send('Error loading promotions');
+  }
+});
+
+app.get('/admin/api/promotions', authMiddleware, (req, res) => {
+  res.json({ success: true, promotions: promotions.map(withPromotionUses) });
+});
+
+app.post('/admin/api/promotions', authMiddleware, async (req, res) => {
+  try {
+    const { promotion, errors } = normalizePromotion(req.body, promotions);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid promotion', details: errors });
+    }
+
+    const newPromotion = {
+      id: promotionIdCounter++,
+      ...promotion,
+      createdAt: new Date(),
+      createdBy: getActor(req)
+    };
+    promotions.push(newPromotion);
+    await persistPromotion(newPromotion);
+
+    console.log(`🏷️ Promotion ${newPromotion.name}${newPromotion.code ? ` (${newPromotion.code})` : ''} added by ${getActor(req)}`);
+    res.status(201).json({ success: true, promotion: withPromotionUses(newPromotion) });
+  } catch (error) {
+    console.error('Promotion create error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create promotion' });
+  }
+});
+
+app.put('/admin/api/promotions/:id', authMiddleware, async (req, res) => {
+  try {
+    const existing = promotions.find(p => p.id === parseInt(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Promotion not found' });
+    }
+
+    const { promotion, errors } = normalizePromotion({ ...existing, ...req.body }, promotions, existing.id);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid promotion', details: errors });
+    }
+
+    Object.assign(existing, promotion);
+    await persistPromotion(existing);
+
+    res.json({ success: true, promotion: withPromotionUses(existing) });
+  } catch (error) {
+    console.error('Promotion update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update promotion' });
+  }
+});
+
+// Orders keep the name and amount of the promotions they got, so deleting one doesn't change them
+app.delete('/admin/api/promotions/:id', authMiddleware, async (req, res) => {
+  try {
+    const index = promotions.findIndex(p => p.id === parseInt(req.params.id));
+    if (index === -1) {
+      return res.status(404).json({ success: false, error: 'Promotion not found' });
+    }
+
+    const [removed] = promotions.splice(index, 1);
+    if (mongoose.connection.readyState === 1) {
+      await Promotion.deleteOne({ id: removed.id });
+    }
+    savePromotionsData();
+
+    console.log(`🗑️ Promotion ${removed.name} removed`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Promotion delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete promotion' });
+  }
+});
+
+// A gift card with its status worked out from the expiry date and balance
+function withGiftCardStatus(giftCard) {
+  return { ...giftCard, currentStatus: getGiftCardStatus(giftCard) };
+}
+
+// Gift cards page - issue store credit, check balances and ledgers, void cards
+app.get('/admin/gift-cards', authMiddleware, (req, res) => {
+  try {
+    res.render('admin_gift_cards', {
+      giftCards: [...giftCards].reverse().map(withGiftCardStatus)
+    });
+  } catch (error) {
+    console.error('Error loading gift cards page:', error);
+    res.status(500).send('Error loading gift cards');
+  }
+});
+
+app.get('/admin/api/gift-cards', authMiddleware, (req, res) => {
+  res.json({ success: true, giftCards: giftCards.map(withGiftCardStatus) });
+});
+
+// Issue a gift card or store credit - active straight away
+app.post('/admin/api/gift-cards', authMiddleware, async (req, res) => {
+  try {
+    const { giftCard, errors } = normalizeGiftCard(req.body, 'admin');
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid gift card', details: errors });
+    }
+
+    const newGiftCard = {
+      id: giftCardIdCounter++,
+      code: generateGiftCardCode(giftCards),
+      ...giftCard,
+      transactions: [],
+      createdAt: new Date(),
+      createdBy: getActor(req)
+    };
+    activateGiftCard(newGiftCard, getActor(req));
+    giftCards.push(newGiftCard);
+    await persistGiftCard(newGiftCard);
+
+    console.log(`🎁 Gift card ${newGiftCard.code} issued for ${newGiftCard.initialAmount.toFixed(2)} by ${getActor(req)}`);
+    res.status(201).json({ success: true, giftCard: withGiftCardStatus(newGiftCard) });
+  } catch (error) {
+    console.error('Gift card issue error:', error);
+    res.status(500).json({ success: false, error: 'Failed to issue gift card' });
+  }
+});
+
+// Add to (positive amount) or take from (negative amount) a card's balance by hand
+app.post('/admin/api/gift-cards/:id/transactions', authMiddleware, async (req, res) => {
+  try {
+    const giftCard = giftCards.find(card => card.id === parseInt(req.params.id));
+    if (!giftCard) {
+      return res.status(404).json({ success: false, error: 'Gift card not found' });
+    }
+
+    const amount = roundMoney(req.body.amount);
+    const note = String(req.body.note || '').trim();
+    const errors = [];
+    if (giftCard.status !== 'active') {
+      errors.push(`The gift card is ${giftCard.status}`);
+    }
+    if (isNaN(Number(req.body.amount)) || amount === 0) {
+      errors.push('Amount must be a number other than zero');
+    } else if (giftCard.balance + amount < 0) {
+      errors.push(`Only ${giftCard.balance.toFixed(2)} can be taken off the card`);
+    }
+    if (!note) {
+      errors.push('A note explaining the change is required');
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid transaction', details: errors });
+    }
+
+    const transaction = addGiftCardTransaction(giftCard, {
+      type: amount > 0 ? 'credit' : 'debit',
+      amount,
+      note,
+      actor: getActor(req)
+    });
+    await persistGiftCard(giftCard);
+
+    res.json({ success: true, transaction, giftCard: withGiftCardStatus(giftCard) });
+  } catch (error) {
+    console.error('Gift card transaction error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update gift card' });
+  }
+});
+
+// Void a card, e.g. when it was lost or sold by mistake - it can no longer be used
+app.post('/admin/api/gift-cards/:id/void', authMiddleware, async (req, res) => {
+  try {
+    const giftCard = giftCards.find(card => card.id === parseInt(req.params.id));
+    if (!giftCard) {
+      return res.status(404).json({ success: false, error: 'Gift card not found' });
+    }
+    if (giftCard.status === 'void') {
+      return res.status(409).json({ success: false, error: 'Gift card is already void' });
+    }
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) {
+      return res.status(400).json({ success: false, error: 'A reason is required' });
+    }
+
+    voidGiftCard(giftCard, reason, getActor(req));
+    await persistGiftCard(giftCard);
+
+    console.log(`🎁 Gift card ${giftCard.code} voided by ${getActor(req)}: ${reason}`);
+    res.json({ success: true, giftCard: withGiftCardStatus(giftCard) });
+  } catch (error) {
+    console.error('Gift card void error:', error);
+    res.status(500).json({ success: false, error: 'Failed to void gift card' });
+  }
+});
+
+// Inventory page - ingredient stock levels and the recipe of each menu item
+app.get('/admin/inventory', authMiddleware, (req, res) => {
+  try {
+    res.render('admin_inventory', {
+      ingredients: [...stockIngredients].sort((a, b) => a.name.localeCompare(b.name)),
+      items: menuData.items.map(item => ({ ...(typeof item.toObject === 'function' ? item.toObject() : item), canMake: canMakeItem(item, stockIngredients) })),
+      lowStock: getLowStockIngredients(stockIngredients),
+      units: INGREDIENT_UNITS
+    });
+  } catch (error) {
+    console.error('Error loading inventory page:', error);
+    res.status(500).send('Error loading inventory');
+  }
+});
+
+app.get('/admin/api/ingredients', authMiddleware, (req, res) => {
+  res.json({ success: true, ingredients: stockIngredients, lowStock: getLowStockIngredients(stockIngredients) });
+});
+
+app.post('/admin/api/ingredients', authMiddleware, async (req, res) => {
+  try {
+    const { ingredient, errors } = normalizeIngredient(req.body, stockIngredients);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid ingredient', details: errors });
+    }
+
+    const newIngredient = { id: ingredientIdCounter++, ...ingredient, createdAt: new Date() };
+    stockIngredients.push(newIngredient);
+    await persistIngredients([newIngredient]);
+
+    res.status(201).json({ success: true, ingredient: newIngredient });
+  } catch (error) {
+    console.error('Ingredient create error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create ingredient' });
+  }
+});
+
+// Edit an ingredient or set its stock after a stocktake
+app.put('/admin/api/ingredients/:id', authMiddleware, async (req, res) => {
+  try {
+    const existing = stockIngredients.find(ingredient => ingredient.id === parseInt(req.params.id));
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Ingredient not found' });
+    }
+
+    const { ingredient, errors } = normalizeIngredient({ ...existing, ...req.body }, stockIngredients, existing.id);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid ingredient', details: errors });
+    }
+
+    Object.assign(existing, ingredient);
+    await persistIngredients([existing]);
+    res.json({ success: true, ingredient: existing });
+  } catch (error) {
+    console.error('Ingredient update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update ingredient' });
+  }
+});
+
+// Add a delivery (positive amount) or take out waste (negative amount)
+app.post('/admin/api/ingredients/:id/stock', authMiddleware, async (req, res) => {
+  try {
+    const ingredient = stockIngredients.find(candidate => candidate.id === parseInt(req.params.id));
+    if (!ingredient) {
+      return res.status(404).json({ success: false, error: 'Ingredient not found' });
+    }
+
+    const amount = Number(req.body.amount);
+    if (req.body.amount === '' || req.body.amount === null || isNaN(amount) || amount === 0) {
+      return res.status(400).json({ success: false, error: 'Amount must be a number other than zero' });
+    }
+    if (ingredient.stock + amount < 0) {
+      return res.status(400).json({ success: false, error: `Only ${ingredient.stock} ${ingredient.unit} in stock` });
+    }
+
+    ingredient.stock = roundQuantity(ingredient.stock + amount);
+    await persistIngredients([ingredient]);
+
+    console.log(`🥫 ${ingredient.name} ${amount > 0 ? '+' : ''}${amount} ${ingredient.unit} by ${getActor(req)}${req.body.note ? `: ${req.body.note}` : ''}`);
+    res.json({ success: true, ingredient });
+  } catch (error) {
+    console.error('Ingredient stock error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update stock' });
+  }
+});
+
+// Ingredients still in a recipe can't be deleted
+app.delete('/admin/api/ingredients/:id', authMiddleware, async (req, res) => {
+  try {
+    const ingredientId = parseInt(req.params.id);
+    const index = stockIngredients.findIndex(ingredient => ingredient.id === ingredientId);
+    if (index === -1) {
+      return res.status(404).json({ success: false, error: 'Ingredient not found' });
+    }
+
+    const usedBy = menuData.items.filter(item => (item.recipe || []).some(entry => entry.ingredientId === ingredientId));
+    if (usedBy.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Ingredient is used in ${usedBy.map(item => app.locals.translate(item.name)).join(', ')}`
+      });
+    }
+
+    const [removed] = stockIngredients.splice(index, 1);
+    if (mongoose.connection.readyState === 1) {
+      await Ingredient.deleteOne({ id: removed.id });
+    }
+    saveIngredientsData();
+
+    console.log(`🗑️ Ingredient ${removed.name} removed`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Ingredient delete error:', error);
+    res.status(500).json({ success: false, error: 'Failed to delete ingredient' });
+  }
+});
+
+// Delivery orders on the dispatcher's board: everything still on its way, plus today's deliveries
+function getDispatchOrders(now = new Date()) {
+  const today = now.toDateString();
+  return orders
+    .filter(order => order.orderType === 'delivery' && order.delivery && order.status !== 'cancelled')
+    .filter(order => order.delivery.status !== 'delivered' ||
+      new Date(order.delivery.history[order.delivery.history.length - 1].at).toDateString() === today)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// Dispatch page - delivery orders by where they are on the delivery track
+app.get('/admin/dispatch', authMiddleware, (req, res) => {
+  try {
+    const dispatchOrders = getDispatchOrders();
+    res.render('admin_dispatch', {
+      columns: DELIVERY_STATUSES.map(status => ({
+        status,
+        label: DELIVERY_STATUS_LABELS[status],
+        orders: dispatchOrders.filter(order => order.delivery.status === status)
+      })),
+      drivers: [...new Set(dispatchOrders.map(order => order.delivery.driver).filter(Boolean))].sort(),
+      currency: restaurantSettings.currency,
+      formatMoney
+    });
+  } catch (error) {
+    console.error('Error loading dispatch page:', error);
+    res.status(500).send('Error loading dispatch');
+  }
+});
+
+// Live updates for the dispatch page (Server-Sent Events)
+app.get('/admin/dispatch/events', authMiddleware, (req, res) => {
+  orderEvents.subscribe(req, res, 'dispatch', order => order.orderType === 'delivery');
+});
+
+app.get('/admin/api/deliveries', authMiddleware, (req, res) => {
+  res.json({ success: true, orders: getDispatchOrders() });
+});
+
+// Move a delivery along its track: { status, driver }. Going out hands the order
+// to the driver (served) and delivering it completes the order.
+app.post('/admin/api/orders/:id/delivery', authMiddleware, async (req, res) => {
+  try {
+    const order = orders.find(candidate => candidate.id === parseInt(req.params.id));
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    const { status, driver } = req.body;
+    const result = transitionDeliveryStatus(order, status, { driver, actor: getActor(req) });
+    if (result.error) {
+      return res.status(409).json({ success: false, error: result.error });
+    }
+    if (!result.changed) {
+      return res.json({ success: true, order });
+    }
+
+    if (status === 'out-for-delivery') {
+      await changeOrderStatus(req, order, 'served');
+    } else if (status === 'delivered') {
+      await changeOrderStatus(req, order, 'completed');
+    }
+    await persistOrder(order);
+    orderEvents.publish('order-edited', order);
+
+    console.log(`🛵 Order ${order.id} delivery ${status}${order.delivery.driver ? ` (${order.delivery.driver})` : ''}`);
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error('Delivery status error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update delivery' });
+  }
+});
+
+// Get order data for editing - FIXED VERSION with MongoDB support
+app.get('/admin/orders/:id/data', authMiddleware, async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    console.log(`🔍 Getting order data for editing - Order ID: ${orderId}`);
+    
+    let order = null;
+    
+    // Try MongoDB first
+    if (mongoose.connection.readyState === 1) {
+      order = await Order.findOne({ id: orderId });
+      if (order) {
+        console.log(`✅ Found order in MongoDB: ${orderId}`);
+      } else {
+        console.log(`⚠️ Order ${orderId} not found in MongoDB, trying file storage...`);
+      }
+    } else {
+      console.log('⚠️ MongoDB not connected, using file storage...');
+    }
+    
+    // Fallback to file storage
+    if (!order) {
+      order = orders.find(o => o.id === orderId);
+      if (order) {
+        console.log(`✅ Found order in file storage: ${orderId}`);
+      }
+    }
+    
+    if (!order) {
+      console.log(`❌ Order ${orderId} not found in any storage`);
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    
+    const orderData = {
+      id: order.id,
+      customerName: order.customerName || '',
+      customerEmail: order.customerEmail || '',
+      orderType: order.orderType || 'dine-in',
+      status: order.status || 'pending',
+      discount: order.discount || 0,
+      notes: order.notes || '',
+      total: order.total || 0,
+      items: order.items || [],
+      paymentMethod: order.paymentMethod || 'cash',
+      paymentStatus: order.paymentStatus || 'unpaid',
+      refunds: order.refunds || [],
+      refundedAmount: getRefundedAmount(order),
+      refundableAmount: getRefundableAmount(order),
+      statusHistory: order.statusHistory || []
+    };
+    
+    console.log('📊 Order data for editing:', orderData);
+    
+    res.json({
+      success: true,
+      order: orderData
+    });
+  } catch (error) {
+    console.error('❌ Error getting order data:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
   }
 });
 
@@ -5295,7 +7784,7 @@ app.get('/test/order-edit/:id', authMiddleware, (req, res) => {
 });
 
 // Test POST route for order editing
-app.post('/test/order-edit/:id', authMiddleware, (req, res) => {
+app.post('/test/order-edit/:id', authMiddleware, async (req, res) => {
   const orderId = parseInt(req.params.id);
   const { status, discount } = req.body;
   
@@ -5313,7 +7802,12 @@ app.post('/test/order-edit/:id', authMiddleware, (req, res) => {
   
   // Simulate the update
   const originalStatus = order.status;
-  order.status = status || order.status;
+  if (status) {
+    const transition = await changeOrderStatus(req, order, status);
+    if (transition.error) {
+      return res.status(409).json({ success: false, error: transition.error });
+    }
+  }
   order.discount = parseFloat(discount) || 0;
   order.updatedAt = new Date().toISOString();
   
@@ -5333,7 +7827,7 @@ app.post('/test/order-edit/:id', authMiddleware, (req, res) => {
 
 
 // DEBUG ROUTE - Test order editing without authentication
-app.post('/test/order-edit/:id', (req, res) => {
+app.post('/test/order-edit/:id', authMiddleware, async (req, res) => {
   try {
     const orderId = parseInt(req.params.id);
     const { status, discount } = req.body;
@@ -5355,15 +7849,16 @@ app.post('/test/order-edit/:id', (req, res) => {
     console.log(`✅ TEST: Found order ${orderId}, current status: ${order.status}, current discount: ${order.discount}`);
     
     // Update the order
-    if (status) order.status = status;
+    if (status) {
+      const transition = await changeOrderStatus(req, order, status);
+      if (transition.error) {
+        return res.status(409).json({ success: false, error: transition.error });
+      }
+    }
     if (discount !== undefined) {
       order.discount = parseFloat(discount) || 0;
       // Recalculate total
-      const itemsTotal = order.items.reduce((sum, item) => {
-        const itemTotal = (item.price || 0) * (item.qty || item.quantity || 1);
-        return sum + itemTotal;
-      }, 0);
-      order.total = Math.max(0, itemsTotal - order.discount);
+      repriceOrder(order);
     }
     order.updatedAt = new Date().toISOString();
     
@@ -5600,6 +8095,28 @@ function saveClientsData() {
   }
 }
 
+// Save a client's loyalty balance and ledger to MongoDB (when connected) and file storage.
+// Only the loyalty fields are written so order and reservation counts aren't overwritten,
+// and updatedAt is left alone as the clients page shows it as the last order date.
+async function persistClientLoyalty(client) {
+  if (mongoose.connection.readyState === 1) {
+    try {
+      await Client.updateOne({ email: client.email }, {
+        $set: {
+          loyaltyPoints: client.loyaltyPoints,
+          lifetimePoints: client.lifetimePoints || 0,
+          loyaltyLedger: client.loyaltyLedger,
+          redeemCode: client.redeemCode || null
+        }
+      });
+    } catch (error) {
+      console.error(`❌ Error saving loyalty points for ${client.email} to MongoDB:`, error);
+    }
+  }
+  
+  saveClientsData();
+}
+
 function loadReservationsData() {
   try {
     // Try to load from primary location first
@@ -5664,6 +8181,352 @@ function saveAvailabilityData() {
   }
 }
 
+// Load the table registry from MongoDB when connected, otherwise from file storage
+async function loadTablesData() {
+  try {
+    if (mongoose.connection.readyState === 1) {
+      const mongoTables = await Table.find().sort({ number: 1 });
+      tables = mongoTables.map(table => {
+        const plainTable = table.toObject();
+        delete plainTable._id;
+        delete plainTable.__v;
+        return plainTable;
+      });
+    } else if (fs.existsSync(TABLES_DATA_FILE)) {
+      const tablesData = JSON.parse(fs.readFileSync(TABLES_DATA_FILE, 'utf8'));
+      tables = tablesData.tables || [];
+    }
+    tableIdCounter = Math.max(0, ...tables.map(table => table.id || 0)) + 1;
+    console.log(`🪑 Loaded ${tables.length} tables`);
+  } catch (error) {
+    console.error('❌ Error loading tables data:', error);
+    tables = [];
+    tableIdCounter = 1;
+  }
+}
+
+function saveTablesData() {
+  try {
+    const data = JSON.stringify({ tables: tables }, null, 2);
+    
+    // Ensure data directory exists before writing
+    const dataDir = path.dirname(TABLES_DATA_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(TABLES_DATA_FILE, data);
+    console.log('✅ Tables data saved to files');
+  } catch (error) {
+    console.error('❌ Error saving tables data:', error);
+  }
+}
+
+// Load tabs from MongoDB when connected, otherwise from file storage
+async function loadTabsData() {
+  try {
+    if (mongoose.connection.readyState === 1) {
+      const mongoTabs = await Tab.find().sort({ id: 1 });
+      tabs = mongoTabs.map(tab => {
+        const plainTab = tab.toObject();
+        delete plainTab._id;
+        delete plainTab.__v;
+        return plainTab;
+      });
+    } else if (fs.existsSync(TABS_DATA_FILE)) {
+      const tabsData = JSON.parse(fs.readFileSync(TABS_DATA_FILE, 'utf8'));
+      tabs = tabsData.tabs || [];
+    }
+    tabIdCounter = Math.max(0, ...tabs.map(tab => tab.id || 0)) + 1;
+    console.log(`🧾 Loaded ${tabs.length} tabs (${tabs.filter(tab => tab.status === 'open').length} open)`);
+  } catch (error) {
+    console.error('❌ Error loading tabs data:', error);
+    tabs = [];
+    tabIdCounter = 1;
+  }
+}
+
+function saveTabsData() {
+  try {
+    const data = JSON.stringify({ tabs: tabs }, null, 2);
+    
+    // Ensure data directory exists before writing
+    const dataDir = path.dirname(TABS_DATA_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(TABS_DATA_FILE, data);
+    console.log('✅ Tabs data saved to files');
+  } catch (error) {
+    console.error('❌ Error saving tabs data:', error);
+  }
+}
+
+// Load promotions from MongoDB when connected, otherwise from file storage
+async function loadPromotionsData() {
+  try {
+    if (mongoose.connection.readyState === 1) {
+      const mongoPromotions = await Promotion.find().sort({ id: 1 });
+      promotions = mongoPromotions.map(promotion => {
+        const plainPromotion = promotion.toObject();
+        delete plainPromotion._id;
+        delete plainPromotion.__v;
+        return plainPromotion;
+      });
+    } else if (fs.existsSync(PROMOTIONS_DATA_FILE)) {
+      const promotionsData = JSON.parse(fs.readFileSync(PROMOTIONS_DATA_FILE, 'utf8'));
+      promotions = promotionsData.promotions || [];
+    }
+    promotionIdCounter = Math.max(0, ...promotions.map(promotion => promotion.id || 0)) + 1;
+    console.log(`🏷️ Loaded ${promotions.length} promotions`);
+  } catch (error) {
+    console.error('❌ Error loading promotions data:', error);
+    promotions = [];
+    promotionIdCounter = 1;
+  }
+}
+
+async function loadGiftCardsData() {
+  try {
+    if (mongoose.connection.readyState === 1) {
+      const mongoGiftCards = await GiftCard.find().sort({ id: 1 });
+      giftCards = mongoGiftCards.map(giftCard => {
+        const plainGiftCard = giftCard.toObject();
+        delete plainGiftCard._id;
+        delete plainGiftCard.__v;
+        return plainGiftCard;
+      });
+    } else if (fs.existsSync(GIFT_CARDS_DATA_FILE)) {
+      const giftCardsData = JSON.parse(fs.readFileSync(GIFT_CARDS_DATA_FILE, 'utf8'));
+      giftCards = giftCardsData.giftCards || [];
+    }
+    giftCardIdCounter = Math.max(0, ...giftCards.map(giftCard => giftCard.id || 0)) + 1;
+    console.log(`🎁 Loaded ${giftCards.length} gift cards`);
+  } catch (error) {
+    console.error('❌ Error loading gift cards data:', error);
+    giftCards = [];
+    giftCardIdCounter = 1;
+  }
+}
+
+async function loadIngredientsData() {
+  try {
+    if (mongoose.connection.readyState === 1) {
+      const mongoIngredients = await Ingredient.find().sort({ id: 1 });
+      stockIngredients = mongoIngredients.map(ingredient => {
+        const plainIngredient = ingredient.toObject();
+        delete plainIngredient._id;
+        delete plainIngredient.__v;
+        return plainIngredient;
+      });
+    } else if (fs.existsSync(INGREDIENTS_DATA_FILE)) {
+      const ingredientsData = JSON.parse(fs.readFileSync(INGREDIENTS_DATA_FILE, 'utf8'));
+      stockIngredients = ingredientsData.ingredients || [];
+    }
+    ingredientIdCounter = Math.max(0, ...stockIngredients.map(ingredient => ingredient.id || 0)) + 1;
+    console.log(`🥫 Loaded ${stockIngredients.length} ingredients`);
+  } catch (error) {
+    console.error('❌ Error loading ingredients data:', error);
+    stockIngredients = [];
+    ingredientIdCounter = 1;
+  }
+}
+
+function saveIngredientsData() {
+  try {
+    const data = JSON.stringify({ ingredients: stockIngredients }, null, 2);
+    
+    // Ensure data directory exists before writing
+    const dataDir = path.dirname(INGREDIENTS_DATA_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(INGREDIENTS_DATA_FILE, data);
+    console.log('✅ Ingredients data saved to files');
+  } catch (error) {
+    console.error('❌ Error saving ingredients data:', error);
+  }
+}
+
+function saveGiftCardsData() {
+  try {
+    const data = JSON.stringify({ giftCards: giftCards }, null, 2);
+    
+    // Ensure data directory exists before writing
+    const dataDir = path.dirname(GIFT_CARDS_DATA_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(GIFT_CARDS_DATA_FILE, data);
+    console.log('✅ Gift cards data saved to files');
+  } catch (error) {
+    console.error('❌ Error saving gift cards data:', error);
+  }
+}
+
+function savePromotionsData() {
+  try {
+    const data = JSON.stringify({ promotions: promotions }, null, 2);
+    
+    // Ensure data directory exists before writing
+    const dataDir = path.dirname(PROMOTIONS_DATA_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(PROMOTIONS_DATA_FILE, data);
+    console.log('✅ Promotions data saved to files');
+  } catch (error) {
+    console.error('❌ Error saving promotions data:', error);
+  }
+}
+
+// Saved settings are merged onto the defaults, so settings added later get their default value
+async function loadSettingsData() {
+  try {
+    let stored = null;
+    if (mongoose.connection.readyState === 1) {
+      const mongoSettings = await Settings.findOne({ key: 'restaurant' });
+      if (mongoSettings) {
+        stored = mongoSettings.toObject();
+        delete stored._id;
+        delete stored.__v;
+        delete stored.key;
+        // Settings saved before tax classes come back with an empty list
+        if (stored.taxClasses && stored.taxClasses.length === 0) delete stored.taxClasses;
+      }
+    } else if (fs.existsSync(SETTINGS_DATA_FILE)) {
+      stored = JSON.parse(fs.readFileSync(SETTINGS_DATA_FILE, 'utf8')).settings || null;
+    }
+
+    if (stored) {
+      const { updatedAt, updatedBy, ...storedSettings } = stored;
+      const { settings, errors } = normalizeSettings(storedSettings, createDefaultSettings());
+      if (errors.length > 0) {
+        console.error('❌ Saved settings are invalid, using defaults:', errors);
+      } else {
+        Object.assign(restaurantSettings, settings, { updatedAt, updatedBy });
+      }
+    }
+    console.log(`⚙️ Loaded ${stored ? 'saved' : 'default'} settings for ${restaurantSettings.restaurantName}`);
+  } catch (error) {
+    console.error('❌ Error loading settings data:', error);
+  }
+}
+
+function saveSettingsData() {
+  try {
+    const data = JSON.stringify({ settings: restaurantSettings }, null, 2);
+    
+    // Ensure data directory exists before writing
+    const dataDir = path.dirname(SETTINGS_DATA_FILE);
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+    
+    fs.writeFileSync(SETTINGS_DATA_FILE, data);
+    console.log('✅ Settings data saved to files');
+  } catch (error) {
+    console.error('❌ Error saving settings data:', error);
+  }
+}
+
+// Save the settings to MongoDB (when connected) and file storage
+async function persistSettings(actor) {
+  restaurantSettings.updatedAt = new Date();
+  restaurantSettings.updatedBy = actor;
+  
+  if (mongoose.connection.readyState === 1) {
+    try {
+      await Settings.findOneAndUpdate({ key: 'restaurant' }, { key: 'restaurant', ...restaurantSettings }, { upsert: true });
+    } catch (error) {
+      console.error('❌ Error saving settings to MongoDB:', error);
+    }
+  }
+  
+  saveSettingsData();
+}
+
+// Save one tab to MongoDB (when connected) and file storage
+async function persistTab(tab) {
+  tab.updatedAt = new Date();
+  
+  if (mongoose.connection.readyState === 1) {
+    try {
+      await Tab.findOneAndUpdate({ id: tab.id }, tab, { upsert: true });
+    } catch (error) {
+      console.error(`❌ Error saving tab ${tab.id} to MongoDB:`, error);
+    }
+  }
+  
+  saveTabsData();
+}
+
+// Save one promotion to MongoDB (when connected) and file storage
+async function persistPromotion(promotion) {
+  promotion.updatedAt = new Date();
+  
+  if (mongoose.connection.readyState === 1) {
+    try {
+      await Promotion.findOneAndUpdate({ id: promotion.id }, promotion, { upsert: true });
+    } catch (error) {
+      console.error(`❌ Error saving promotion ${promotion.name} to MongoDB:`, error);
+    }
+  }
+  
+  savePromotionsData();
+}
+
+// Save one gift card to MongoDB (when connected) and file storage
+async function persistGiftCard(giftCard) {
+  giftCard.updatedAt = new Date();
+  
+  if (mongoose.connection.readyState === 1) {
+    try {
+      await GiftCard.findOneAndUpdate({ id: giftCard.id }, giftCard, { upsert: true });
+    } catch (error) {
+      console.error(`❌ Error saving gift card ${giftCard.code} to MongoDB:`, error);
+    }
+  }
+  
+  saveGiftCardsData();
+}
+
+// Save ingredients to MongoDB (when connected) and file storage
+async function persistIngredients(changed) {
+  for (const ingredient of changed) {
+    ingredient.updatedAt = new Date();
+    
+    if (mongoose.connection.readyState === 1) {
+      try {
+        await Ingredient.findOneAndUpdate({ id: ingredient.id }, ingredient, { upsert: true });
+      } catch (error) {
+        console.error(`❌ Error saving ingredient ${ingredient.name} to MongoDB:`, error);
+      }
+    }
+  }
+  
+  saveIngredientsData();
+}
+
+// Save one table to MongoDB (when connected) and file storage
+async function persistTable(table) {
+  table.updatedAt = new Date();
+  
+  if (mongoose.connection.readyState === 1) {
+    try {
+      await Table.findOneAndUpdate({ id: table.id }, table, { upsert: true });
+    } catch (error) {
+      console.error(`❌ Error saving table ${table.number} to MongoDB:`, error);
+    }
+  }
+  
+  saveTablesData();
+}
+
 // Load clients data from file
 async function loadClientsData() {
   try {
@@ -5701,8 +8564,8 @@ async function loadClientsData() {
   }
 }
 
-// Start server
-app.listen(PORT, '0.0.0.0', async () => {
+// Load the data once the server is listening
+async function startServer() {
   console.log(`Server running on port ${PORT}`);
   console.log(`Admin panel: http://localhost:${PORT}/admin`);
   console.log(`API health: http://localhost:${PORT}/health`);
@@ -5731,6 +8594,13 @@ app.listen(PORT, '0.0.0.0', async () => {
     await loadOrdersData();
     await loadClientsData();
   }
+  await loadSettingsData();
+  await loadTablesData();
+  await loadTabsData();
+  await loadPromotionsData();
+  await loadGiftCardsData();
+  await loadIngredientsData();
+  setInterval(releaseDueOrders, 60 * 1000);
   
   // Format data for consistency (fixes [object Object] issue)
   formatMenuData();
@@ -5825,7 +8695,12 @@ app.listen(PORT, '0.0.0.0', async () => {
   console.log(`📊 Total orders: ${orders.length}`);
   console.log(`📊 Total categories: ${menuData.categories.length}`);
   console.log(`📊 Total menu items: ${menuData.items.length}`);
-});
+}
+
+// Start server - route tests require the app without starting it
+if (require.main === module) {
+  app.listen(PORT, '0.0.0.0', startServer);
+}
 
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
@@ -5837,3 +8712,5 @@ process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
   process.exit(0);
 });
+
+module.exports = app;
@@ -0,0 +1,381 @@
+/**
+ * Settings Module
+ *
+ * The restaurant's editable settings - name and contact details, currency,
+ * tax and service charge rules, delivery zones, the loyalty programme,
+ * opening hours and the pickup slots taken from them, kitchen capacity and
+ * pausing online ordering, which order emails customers get, the email sender
+ * and the frontend URL that QR codes and emails link to.
+ * Defaults come from the environment until an admin saves the settings page.
+ */
+
+const { DEFAULT_TAX_CLASSES, DEFAULT_TAX_CLASS, normalizeTaxClasses, getDefaultTaxClass } = require('./tax');
+const { createDefaultLoyaltySettings, normalizeLoyaltySettings } = require('./loyalty');
+const { normalizeDeliveryZones } = require('./delivery');
+const { ORDER_NOTIFICATION_TYPES } = require('./orderNotifications');
+
+const SETTINGS_CURRENCIES = ['EUR', 'USD', 'GBP'];
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const SERVICE_CHARGE_ORDER_TYPES = ['dine-in', 'takeaway', 'delivery'];
+
+// What to do with new online orders when the kitchen is full: quote a longer wait or turn them away
+const KITCHEN_FULL_ACTIONS = ['quote', 'pause'];
+
+const DEFAULT_FRONTEND_URL = 'https://aroma-frontend-delta.vercel.app';
+
+const TIME_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Ordering takeaway ahead for a pickup slot. Limits of null mean no limit.
+function createDefaultPickupSettings() {
+  return {
+    enabled: true,
+    maxOrdersPerSlot: 4,
+    maxItemsPerSlot: null,
+    minLeadMinutes: 30, // Earliest slot from now
+    daysAhead: 7
+  };
+}
+
+// Limits on the kitchen's load (see kitchenCapacity.js). Limits of null mean no limit.
+function createDefaultCapacitySettings() {
+  return {
+    maxOpenTickets: null,
+    maxItemsPerStation: null,
+    whenFull: 'quote',
+    busyExtraMinutes: 20 // Added to the quoted wait while the kitchen is full
+  };
+}
+
+// Order status emails sent to customers, all on by default
+function createDefaultNotificationSettings() {
+  const notifications = {};
+  ORDER_NOTIFICATION_TYPES.forEach(type => {
+    notifications[type] = true;
+  });
+  return notifications;
+}
+
+function createDefaultOpeningHours() {
+  const openingHours = {};
+  WEEKDAYS.forEach(day => {
+    openingHours[day] = { open: '11:00', close: '22:00', closed: false };
+  });
+  return openingHours;
+}
+
+// Settings used until an admin saves their own, with env overrides for deployments
+function createDefaultSettings(env = process.env) {
+  return {
+    restaurantName: env.RESTAURANT_NAME || 'AROMA Restaurant',
+    address: '123 Restaurant Street, City',
+    phone: '(555) 123-4567',
+    currency: 'EUR',
+    // Tax classes menu categories and items can be put in; the default applies to everything else
+    taxClasses: DEFAULT_TAX_CLASSES.map(taxClass => ({ ...taxClass })),
+    defaultTaxClass: DEFAULT_TAX_CLASS,
+    pricesIncludeTax: false,
+    serviceCharge: 0.10,
+    // Which orders get the service charge automatically - order types (empty for all) and smallest party
+    serviceChargeRules: {
+      orderTypes: (env.SERVICE_CHARGE_ORDER_TYPES || 'dine-in').split(',').map(type => type.trim()).filter(Boolean),
+      minPartySize: parseInt(env.SERVICE_CHARGE_MIN_PARTY_SIZE) || null
+    },
+    deliveryFee: 2.50, // Charged on delivery orders when there are no delivery zones
+    deliveryZones: [], // { id, name, postcodes, polygon, fee, minOrder, active }, see delivery.js
+    loyalty: createDefaultLoyaltySettings(),
+    openingHours: createDefaultOpeningHours(),
+    pickup: createDefaultPickupSettings(),
+    kitchenCapacity: createDefaultCapacitySettings(),
+    onlineOrdering: { paused: false, pausedAt: null, pausedBy: null }, // The dashboard's pause switch
+    notifications: createDefaultNotificationSettings(),
+    emailFrom: env.EMAIL_FROM || 'noreply@aromarestaurant.com',
+    emailFromName: env.RESTAURANT_NAME || 'AROMA Restaurant',
+    frontendUrl: (env.FRONTEND_URL || DEFAULT_FRONTEND_URL).replace(/\/+$/, '')
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+function normalizeRate(value, label, errors) {
+  const rate = Number(value);
+  if (value === '' || value === null || isNaN(rate) || rate < 0 || rate > 1) {
+    errors.push(`${label} must be between 0% and 100%`);
+    return null;
+  }
+  return Math.round(rate * 10000) / 10000;
+}
+
+function normalizeOpeningHours(input, current, errors) {
+  const openingHours = {};
+  WEEKDAYS.forEach(day => {
+    const hours = { ...current[day], ...(input[day] || {}) };
+    const label = day.charAt(0).toUpperCase() + day.slice(1);
+    hours.closed = hours.closed === true || hours.closed === 'true';
+
+    if (!TIME_PATTERN.test(hours.open || '') || !TIME_PATTERN.test(hours.close || '')) {
+      errors.push(`${label} opening hours must be times like 11:00`);
+    } else if (!hours.closed && toMinutes(hours.close) <= toMinutes(hours.open)) {
+      errors.push(`${label} must close after it opens (use 24:00 for midnight)`);
+    }
+    openingHours[day] = { open: hours.open, close: hours.close, closed: hours.closed };
+  });
+  return openingHours;
+}
+
+function normalizePickupSettings(input, current, errors) {
+  const pickup = { ...createDefaultPickupSettings(), ...current };
+  const has = field => input[field] !== undefined;
+  const readWholeNumber = (field, min, message, optional) => {
+    if (!has(field)) return;
+    const value = input[field] === null || input[field] === '' ? null : Number(input[field]);
+    if (value === null ? !optional : !Number.isInteger(value) || value < min) {
+      errors.push(message);
+    }
+    pickup[field] = value;
+  };
+
+  if (has('enabled')) pickup.enabled = input.enabled === true || input.enabled === 'true';
+  readWholeNumber('maxOrdersPerSlot', 1, 'Orders per pickup slot must be a positive whole number', true);
+  readWholeNumber('maxItemsPerSlot', 1, 'Items per pickup slot must be a positive whole number', true);
+  readWholeNumber('minLeadMinutes', 0, 'Pickup notice must be a whole number of minutes', false);
+  readWholeNumber('daysAhead', 0, 'Days ahead for pickup must be a whole number', false);
+  return pickup;
+}
+
+function normalizeCapacitySettings(input, current, errors) {
+  const kitchenCapacity = { ...createDefaultCapacitySettings(), ...current };
+  const has = field => input[field] !== undefined;
+  const readLimit = (field, message) => {
+    if (!has(field)) return;
+    const value = input[field] === null || input[field] === '' ? null : Number(input[field]);
+    if (value !== null && (!Number.isInteger(value) || value < 1)) {
+      errors.push(message);
+    }
+    kitchenCapacity[field] = value;
+  };
+
+  readLimit('maxOpenTickets', 'Most open tickets must be a positive whole number');
+  readLimit('maxItemsPerStation', 'Most items per station must be a positive whole number');
+  if (has('whenFull')) {
+    kitchenCapacity.whenFull = input.whenFull;
+    if (!KITCHEN_FULL_ACTIONS.includes(input.whenFull)) {
+      errors.push(`When the kitchen is full must be one of ${KITCHEN_FULL_ACTIONS.join(', ')}`);
+    }
+  }
+  if (has('busyExtraMinutes')) {
+    kitchenCapacity.busyExtraMinutes = Number(input.busyExtraMinutes);
+    if (!Number.isInteger(kitchenCapacity.busyExtraMinutes) || kitchenCapacity.busyExtraMinutes < 0) {
+      errors.push('Extra wait when busy must be a whole number of minutes');
+    }
+  }
+  return kitchenCapacity;
+}
+
+// Validate an update from the settings page and merge it onto the current settings.
+// Fields left out keep their current value. Returns { settings, errors } - any error
+// means nothing must be saved.
+function normalizeSettings(input, current) {
+  const errors = [];
+  const data = input || {};
+  const settings = JSON.parse(JSON.stringify(current));
+  const has = field => data[field] !== undefined;
+
+  if (has('restaurantName')) {
+    settings.restaurantName = String(data.restaurantName || '').trim();
+    if (!settings.restaurantName) {
+      errors.push('Restaurant name is required');
+    }
+  }
+  ['address', 'phone'].forEach(field => {
+    if (has(field)) settings[field] = String(data[field] || '').trim();
+  });
+
+  if (has('currency')) {
+    settings.currency = String(data.currency || '').toUpperCase();
+    if (!SETTINGS_CURRENCIES.includes(settings.currency)) {
+      errors.push(`Currency must be one of ${SETTINGS_CURRENCIES.join(', ')}`);
+    }
+  }
+
+  if (has('taxClasses')) {
+    const result = normalizeTaxClasses(data.taxClasses);
+    errors.push(...result.errors);
+    settings.taxClasses = result.taxClasses;
+  }
+  if (has('defaultTaxClass')) settings.defaultTaxClass = String(data.defaultTaxClass || '');
+  if (!settings.taxClasses.some(taxClass => taxClass.id === settings.defaultTaxClass)) {
+    errors.push('The default tax class must be one of the tax classes');
+  }
+  // A single tax rate (from before tax classes) sets the default class's rate
+  if (has('taxRate') && !has('taxClasses')) {
+    const rate = normalizeRate(data.taxRate, 'Tax rate', errors);
+    const defaultClass = settings.taxClasses.find(taxClass => taxClass.id === settings.defaultTaxClass);
+    if (defaultClass && rate !== null) defaultClass.rate = rate;
+  }
+  if (has('pricesIncludeTax')) settings.pricesIncludeTax = data.pricesIncludeTax === true || data.pricesIncludeTax === 'true';
+  if (has('serviceCharge')) settings.serviceCharge = normalizeRate(data.serviceCharge, 'Service charge', errors);
+
+  if (has('deliveryFee')) {
+    const fee = Number(data.deliveryFee);
+    if (data.deliveryFee === '' || data.deliveryFee === null || isNaN(fee) || fee < 0) {
+      errors.push('Delivery fee must be zero or more');
+    }
+    settings.deliveryFee = Math.round(fee * 100) / 100;
+  }
+  if (has('deliveryZones')) {
+    const result = normalizeDeliveryZones(data.deliveryZones);
+    errors.push(...result.errors);
+    settings.deliveryZones = result.zones;
+  }
+
+  if (has('serviceChargeRules')) {
+    const rules = data.serviceChargeRules || {};
+    if (rules.orderTypes !== undefined) {
+      const orderTypes = Array.isArray(rules.orderTypes) ? rules.orderTypes : [];
+      const unknown = orderTypes.filter(type => !SERVICE_CHARGE_ORDER_TYPES.includes(type));
+      if (!Array.isArray(rules.orderTypes) || unknown.length > 0) {
+        errors.push(`Service charge order types must be from ${SERVICE_CHARGE_ORDER_TYPES.join(', ')}`);
+      }
+      settings.serviceChargeRules.orderTypes = [...new Set(orderTypes)];
+    }
+    if (rules.minPartySize !== undefined) {
+      const minPartySize = rules.minPartySize === null || rules.minPartySize === '' ? null : Number(rules.minPartySize);
+      if (minPartySize !== null && (!Number.isInteger(minPartySize) || minPartySize < 1)) {
+        errors.push('Service charge minimum party size must be a positive whole number');
+      }
+      settings.serviceChargeRules.minPartySize = minPartySize;
+    }
+  }
+
+  if (has('loyalty')) {
+    const result = normalizeLoyaltySettings(data.loyalty, settings.loyalty);
+    errors.push(...result.errors);
+    settings.loyalty = result.loyalty;
+  }
+
+  if (has('openingHours')) {
+    settings.openingHours = normalizeOpeningHours(data.openingHours || {}, settings.openingHours, errors);
+  }
+  if (has('pickup')) {
+    settings.pickup = normalizePickupSettings(data.pickup || {}, settings.pickup, errors);
+  }
+  if (has('kitchenCapacity')) {
+    settings.kitchenCapacity = normalizeCapacitySettings(data.kitchenCapacity || {}, settings.kitchenCapacity, errors);
+  }
+  if (has('onlineOrdering')) {
+    const paused = Boolean(data.onlineOrdering) && (data.onlineOrdering.paused === true || data.onlineOrdering.paused === 'true');
+    settings.onlineOrdering = {
+      paused,
+      pausedAt: paused ? data.onlineOrdering.pausedAt || null : null,
+      pausedBy: paused ? data.onlineOrdering.pausedBy || null : null
+    };
+  }
+  if (has('notifications')) {
+    const notifications = data.notifications || {};
+    settings.notifications = { ...createDefaultNotificationSettings(), ...settings.notifications };
+    ORDER_NOTIFICATION_TYPES.filter(type => notifications[type] !== undefined).forEach(type => {
+      settings.notifications[type] = notifications[type] === true || notifications[type] === 'true';
+    });
+  }
+
+  if (has('emailFrom')) {
+    settings.emailFrom = String(data.emailFrom || '').trim();
+    if (!EMAIL_PATTERN.test(settings.emailFrom)) {
+      errors.push('Email sender must be a valid email address');
+    }
+  }
+  if (has('emailFromName')) {
+    settings.emailFromName = String(data.emailFromName || '').trim() || settings.restaurantName;
+  }
+
+  if (has('frontendUrl')) {
+    settings.frontendUrl = String(data.frontendUrl || '').trim().replace(/\/+$/, '');
+    let protocol = null;
+    try {
+      protocol = new URL(settings.frontendUrl).protocol;
+    } catch (error) {
+      protocol = null;
+    }
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      errors.push('Frontend URL must be a full http(s) address');
+    }
+  }
+
+  return { settings, errors };
+}
+
+// Opening hours for the day of the given date
+function getOpeningHours(settings, date = new Date()) {
+  const day = WEEKDAYS[(date.getDay() + 6) % 7];
+  return settings.openingHours[day];
+}
+
+function isOpenAt(settings, date = new Date()) {
+  const hours = getOpeningHours(settings, date);
+  if (!hours || hours.closed) return false;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return minutes >= toMinutes(hours.open) && minutes < toMinutes(hours.close);
+}
+
+// Opening hours as one line for emails and pages, with days of equal hours
+// grouped together, e.g. "Mon-Fri 11:00-22:00, Sat-Sun 10:00-23:00"
+function formatOpeningHours(openingHours) {
+  const describe = hours => (hours.closed ? 'Closed' : `${hours.open}-${hours.close}`);
+  const groups = [];
+  WEEKDAYS.forEach(day => {
+    const text = describe(openingHours[day]);
+    const last = groups[groups.length - 1];
+    if (last && last.text === text) {
+      last.to = day;
+    } else {
+      groups.push({ from: day, to: day, text });
+    }
+  });
+
+  const short = day => day.charAt(0).toUpperCase() + day.slice(1, 3);
+  return groups
+    .map(group => `${short(group.from)}${group.to !== group.from ? `-${short(group.to)}` : ''} ${group.text}`)
+    .join(', ');
+}
+
+// Settings safe to show to customers. Anything not listed - the email sender, who
+// last saved the settings and when - stays private, including fields added later.
+const PUBLIC_SETTINGS = [
+  'restaurantName', 'address', 'phone', 'currency', 'taxClasses', 'defaultTaxClass',
+  'pricesIncludeTax', 'serviceCharge', 'serviceChargeRules', 'deliveryFee', 'deliveryZones',
+  'loyalty', 'openingHours', 'pickup', 'kitchenCapacity', 'notifications', 'frontendUrl'
+];
+
+// taxRate is the default class's rate, for frontends that show a single rate
+function getPublicSettings(settings) {
+  const publicSettings = {};
+  PUBLIC_SETTINGS.forEach(key => {
+    if (settings[key] !== undefined) publicSettings[key] = settings[key];
+  });
+  const defaultClass = getDefaultTaxClass(settings);
+  return {
+    ...publicSettings,
+    onlineOrdering: { paused: Boolean(settings.onlineOrdering && settings.onlineOrdering.paused) },
+    taxRate: defaultClass ? defaultClass.rate : 0
+  };
+}
+
+module.exports = {
+  SETTINGS_CURRENCIES,
+  WEEKDAYS,
+  SERVICE_CHARGE_ORDER_TYPES,
+  KITCHEN_FULL_ACTIONS,
+  createDefaultSettings,
+  createDefaultPickupSettings,
+  normalizeSettings,
+  getOpeningHours,
+  isOpenAt,
+  formatOpeningHours,
+  getPublicSettings
+};
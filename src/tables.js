@@ -0,0 +1,175 @@
+/**
+ * Tables Module
+ *
+ * The table registry (number, area, seats, shape and floor plan position)
+ * and each table's live status, derived from its orders and reservations:
+ * free → seated → ordered → awaiting bill → dirty → free.
+ */
+
+const TABLE_SHAPES = ['square', 'round', 'rectangle', 'booth'];
+
+const TABLE_STATUSES = ['free', 'seated', 'ordered', 'awaiting-bill', 'dirty'];
+
+const TABLE_STATUS_LABELS = {
+  free: 'Free',
+  seated: 'Seated',
+  ordered: 'Ordered',
+  'awaiting-bill': 'Awaiting Bill',
+  dirty: 'Needs Cleaning'
+};
+
+// A confirmed reservation seats its table for this long from its start time
+const RESERVATION_SEATING_MINUTES = 90;
+
+// Orders in these statuses are still being served at the table
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'ready', 'served'];
+
+// Validate and clean a table sent from the admin table editor.
+// Returns { table, errors } - any error means the table must not be saved.
+function normalizeTable(input, existingTables = [], currentId = null) {
+  const errors = [];
+  const data = input || {};
+
+  const number = parseInt(data.number);
+  if (isNaN(number) || number < 1) {
+    errors.push('Table number must be a positive whole number');
+  } else if (existingTables.some(table => table.number === number && table.id !== currentId)) {
+    errors.push(`Table ${number} already exists`);
+  }
+
+  const seats = data.seats === undefined || data.seats === '' ? 4 : parseInt(data.seats);
+  if (isNaN(seats) || seats < 1 || seats > 50) {
+    errors.push('Seats must be between 1 and 50');
+  }
+
+  const shape = data.shape || 'square';
+  if (!TABLE_SHAPES.includes(shape)) {
+    errors.push(`Shape must be one of ${TABLE_SHAPES.join(', ')}`);
+  }
+
+  const position = {};
+  ['x', 'y'].forEach(axis => {
+    if (data[axis] === undefined || data[axis] === null || data[axis] === '') {
+      position[axis] = null;
+      return;
+    }
+    const value = parseInt(data[axis]);
+    if (isNaN(value) || value < 0) {
+      errors.push(`Floor plan ${axis} must be zero or more`);
+    }
+    position[axis] = value;
+  });
+
+  return {
+    table: {
+      number,
+      area: String(data.area || 'Main').trim() || 'Main',
+      seats,
+      shape,
+      x: position.x,
+      y: position.y,
+      active: data.active !== false
+    },
+    errors
+  };
+}
+
+// Finds "05" and 5 as table 5, but not "5abc"
+function findTableByNumber(tables, tableNumber) {
+  const text = String(tableNumber === undefined || tableNumber === null ? '' : tableNumber).trim();
+  if (!/^\d+$/.test(text)) return null;
+  const number = Number(text);
+  return (tables || []).find(table => table.number === number) || null;
+}
+
+// Whether orders and QR codes may use this table number.
+// With an empty registry every number is accepted so existing setups keep working.
+function isRegisteredTable(tables, tableNumber) {
+  if (!tables || tables.length === 0) return true;
+  const table = findTableByNumber(tables, tableNumber);
+  return Boolean(table && table.active !== false);
+}
+
+// The table number an order is stored under, so that "05" and "5" share a table's
+// status and tab: the registered table's number, or null when there is no such
+// active table. With an empty registry whole numbers lose their leading zeros.
+function resolveTableNumber(tables, tableNumber) {
+  const text = String(tableNumber).trim();
+  if (!tables || tables.length === 0) {
+    return /^\d+$/.test(text) ? String(Number(text)) : text;
+  }
+  const table = findTableByNumber(tables, text);
+  return table && table.active !== false ? String(table.number) : null;
+}
+
+function isSameDay(a, b) {
+  return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+}
+
+// When the order was completed, from its statusHistory (or last update for older orders)
+function getCompletedAt(order) {
+  const entries = (order.statusHistory || []).filter(entry => entry.to === 'completed');
+  if (entries.length > 0) return new Date(entries[entries.length - 1].at);
+  return new Date(order.updatedAt || order.createdAt);
+}
+
+// Start of a reservation as a Date, or null when it has no usable time
+function getReservationStart(reservation) {
+  if (!reservation.reservationDate || !reservation.reservationTime) return null;
+  const start = new Date(reservation.reservationDate);
+  const [hours, minutes] = String(reservation.reservationTime).split(':').map(Number);
+  if (isNaN(start.getTime()) || isNaN(hours)) return null;
+  start.setHours(hours, minutes || 0, 0, 0);
+  return start;
+}
+
+// Live status of one table. Returns { status, orders, reservation } where
+// orders are today's open orders at the table and reservation is the one
+// currently seating it, if any.
+function getTableStatus(table, orders, reservations, now = new Date()) {
+  const tableNumber = String(table.number);
+  const todaysOrders = (orders || []).filter(order =>
+    String(order.tableNumber) === tableNumber && isSameDay(new Date(order.createdAt), now)
+  );
+  const openOrders = todaysOrders.filter(order => OPEN_ORDER_STATUSES.includes(order.status || 'pending'));
+
+  const completedTimes = todaysOrders
+    .filter(order => order.status === 'completed')
+    .map(order => getCompletedAt(order).getTime());
+  const lastCompletedAt = completedTimes.length > 0 ? Math.max(...completedTimes) : null;
+  const cleanedAt = table.cleanedAt ? new Date(table.cleanedAt).getTime() : 0;
+  const turnedOverAt = Math.max(lastCompletedAt || 0, cleanedAt);
+
+  const reservation = (reservations || []).find(candidate => {
+    if (String(candidate.tableNumber) !== tableNumber || candidate.status !== 'confirmed') return false;
+    const start = getReservationStart(candidate);
+    if (!start) return false;
+    const end = start.getTime() + RESERVATION_SEATING_MINUTES * 60000;
+    return now >= start && now.getTime() < end && start.getTime() > turnedOverAt;
+  }) || null;
+
+  let status = 'free';
+  if (openOrders.some(order => order.status === 'served')) {
+    status = 'awaiting-bill';
+  } else if (openOrders.length > 0) {
+    status = 'ordered';
+  } else if (lastCompletedAt && cleanedAt < lastCompletedAt) {
+    status = 'dirty';
+  } else if ((table.seatedAt && new Date(table.seatedAt).getTime() > turnedOverAt) || reservation) {
+    status = 'seated';
+  }
+
+  return { status, orders: openOrders, reservation };
+}
+
+module.exports = {
+  TABLE_SHAPES,
+  TABLE_STATUSES,
+  TABLE_STATUS_LABELS,
+  RESERVATION_SEATING_MINUTES,
+  normalizeTable,
+  findTableByNumber,
+  isRegisteredTable,
+  resolveTableNumber,
+  getTableStatus
+};
@@ -0,0 +1,154 @@
+/**
+ * Tabs Module
+ *
+ * A tab (or check) groups the successive orders placed on one table during a
+ * visit - drinks, then mains, then dessert - into a single bill. It keeps a
+ * running total from its orders and only closes once the bill is settled.
+ */
+
+const { roundMoney } = require('./pricing');
+const { normalizeTip } = require('./tips');
+
+const TAB_STATUSES = ['open', 'closed'];
+
+const TAB_PAYMENT_METHODS = ['cash', 'card'];
+
+// Orders already paid online (by card or wholly by gift card) count towards the tab
+// without a payment at the table
+const PREPAID_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// Card orders whose online payment is still pending or has failed stay off the bill:
+// they are paid online, and the kitchen doesn't make them until then
+const UNSETTLED_PAYMENT_STATUSES = ['pending', 'failed'];
+
+function isPaidOnline(order) {
+  return (Boolean(order.paymentIntentId) || order.paymentMethod === 'gift-card') &&
+    PREPAID_PAYMENT_STATUSES.includes(order.paymentStatus);
+}
+
+function isAwaitingOnlinePayment(order) {
+  return Boolean(order.paymentIntentId) && UNSETTLED_PAYMENT_STATUSES.includes(order.paymentStatus);
+}
+
+// Orders that make up the tab's bill
+function isBillable(order) {
+  return order.status !== 'cancelled' && !isAwaitingOnlinePayment(order);
+}
+
+function createTab(id, tableNumber, now = new Date()) {
+  return {
+    id,
+    tableNumber: String(tableNumber),
+    status: 'open',
+    orderIds: [],
+    payments: [],
+    split: null,
+    openedAt: now,
+    closedAt: null,
+    closedBy: null
+  };
+}
+
+function findOpenTab(tabs, tableNumber) {
+  return (tabs || []).find(tab => tab.status === 'open' && tab.tableNumber === String(tableNumber)) || null;
+}
+
+function addOrderToTab(tab, order) {
+  if (!tab.orderIds.includes(order.id)) {
+    tab.orderIds.push(order.id);
+  }
+  order.tabId = tab.id;
+}
+
+// Running totals of a tab from its orders. Cancelled orders and card orders not paid
+// yet are left out; the pending card payments are shown as awaitingOnlinePayment.
+function summarizeTab(tab, tabOrders) {
+  const billable = (tabOrders || []).filter(isBillable);
+  const sum = field => roundMoney(billable.reduce((total, order) => total + (Number(order[field]) || 0), 0));
+
+  const total = sum('total');
+  const prepaid = roundMoney(billable
+    .filter(isPaidOnline)
+    .reduce((paid, order) => paid + (Number(order.total) || 0), 0));
+  const paid = roundMoney((tab.payments || []).reduce((sum, payment) => sum + payment.amount, 0));
+  const tips = roundMoney((tab.payments || []).reduce((sum, payment) => sum + (payment.tip || 0), 0));
+  const includedTax = roundMoney(billable
+    .filter(order => order.pricesIncludeTax)
+    .reduce((sum, order) => sum + (Number(order.tax) || 0), 0));
+
+  return {
+    orderCount: billable.length,
+    subtotal: sum('subtotal'),
+    discount: sum('discount'),
+    tax: sum('tax'),
+    includedTax, // Part of the tax already in the prices of orders priced with tax included
+    serviceCharge: sum('serviceCharge'),
+    total,
+    prepaid,
+    paid,
+    tips,
+    awaitingOnlinePayment: roundMoney((tabOrders || [])
+      .filter(order => order.status !== 'cancelled' && order.paymentStatus === 'pending' && isAwaitingOnlinePayment(order))
+      .reduce((sum, order) => sum + (Number(order.total) || 0), 0)),
+    balance: Math.max(0, roundMoney(total - prepaid - paid))
+  };
+}
+
+// Record a payment taken at the table, with an optional tip on top that doesn't
+// count towards the bill. Returns { payment, settled } or { error }.
+function recordTabPayment(tab, summary, input, actor, now = new Date()) {
+  if (tab.status !== 'open') {
+    return { error: `Tab ${tab.id} is already closed` };
+  }
+
+  const amount = roundMoney(input && input.amount);
+  if (amount <= 0) {
+    return { error: 'Payment amount must be greater than zero' };
+  }
+  if (amount > summary.balance) {
+    return { error: `Payment of ${amount.toFixed(2)} is more than the ${summary.balance.toFixed(2)} still due` };
+  }
+
+  const method = (input && input.method) || 'cash';
+  if (!TAB_PAYMENT_METHODS.includes(method)) {
+    return { error: `Payment method must be ${TAB_PAYMENT_METHODS.join(' or ')}` };
+  }
+
+  const tipResult = normalizeTip(input && input.tip, amount);
+  if (tipResult.error) {
+    return { error: tipResult.error };
+  }
+
+  const payment = { amount, tip: tipResult.tip, method, actor, at: now };
+  tab.payments.push(payment);
+  return { payment, settled: roundMoney(summary.balance - amount) <= 0 };
+}
+
+// Close a settled tab. Returns { closed } or { error } while money is still due.
+function closeTab(tab, summary, actor, now = new Date()) {
+  if (tab.status !== 'open') {
+    return { error: `Tab ${tab.id} is already closed` };
+  }
+  if (summary.balance > 0) {
+    return { error: `Tab ${tab.id} still has ${summary.balance.toFixed(2)} to pay` };
+  }
+
+  tab.status = 'closed';
+  tab.closedAt = now;
+  tab.closedBy = actor;
+  return { closed: true };
+}
+
+module.exports = {
+  TAB_STATUSES,
+  TAB_PAYMENT_METHODS,
+  isPaidOnline,
+  isAwaitingOnlinePayment,
+  isBillable,
+  createTab,
+  findOpenTab,
+  addOrderToTab,
+  summarizeTab,
+  recordTabPayment,
+  closeTab
+};
@@ -0,0 +1,231 @@
+/**
+ * Tax Module
+ *
+ * Tax classes (e.g. standard 18% and reduced 7% VAT) assigned to menu
+ * categories and items, stamped onto order lines when an order is placed,
+ * and the VAT report: net, tax and gross sales per rate over a period.
+ */
+
+const { roundMoney } = require('./pricing');
+const { getRefundedAmount } = require('./refunds');
+
+// Malta VAT rates; restaurants can rename, re-rate or add classes in the settings
+const DEFAULT_TAX_CLASSES = [
+  { id: 'standard', name: 'Standard', rate: 0.18 },
+  { id: 'reduced', name: 'Reduced', rate: 0.07 },
+  { id: 'super-reduced', name: 'Super reduced', rate: 0.05 },
+  { id: 'zero', name: 'Zero rated', rate: 0 }
+];
+
+const DEFAULT_TAX_CLASS = 'standard';
+
+const VAT_REPORT_PERIODS = ['daily', 'weekly', 'monthly', 'yearly'];
+
+const TAX_CLASS_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Validate the tax classes from the settings page. Returns { taxClasses, errors }.
+function normalizeTaxClasses(input) {
+  const errors = [];
+  if (!Array.isArray(input) || input.length === 0) {
+    return { taxClasses: [], errors: ['At least one tax class is required'] };
+  }
+
+  const taxClasses = input.map((value, index) => {
+    const data = value || {};
+    const taxClass = {
+      id: String(data.id || '').trim().toLowerCase(),
+      name: String(data.name || '').trim(),
+      rate: Number(data.rate)
+    };
+    const label = taxClass.name || `Tax class ${index + 1}`;
+
+    if (!TAX_CLASS_ID_PATTERN.test(taxClass.id)) {
+      errors.push(`${label}: id must be lowercase letters, numbers and dashes`);
+    } else if (input.slice(0, index).some(other => String((other && other.id) || '').trim().toLowerCase() === taxClass.id)) {
+      errors.push(`Tax class "${taxClass.id}" is listed more than once`);
+    }
+    if (!taxClass.name) {
+      errors.push(`Tax class ${index + 1}: name is required`);
+    }
+    if (data.rate === '' || data.rate === null || isNaN(taxClass.rate) || taxClass.rate < 0 || taxClass.rate > 1) {
+      errors.push(`${label}: rate must be between 0% and 100%`);
+    } else {
+      taxClass.rate = Math.round(taxClass.rate * 10000) / 10000;
+    }
+    return taxClass;
+  });
+
+  return { taxClasses, errors };
+}
+
+function findTaxClass(settings, taxClassId) {
+  return ((settings && settings.taxClasses) || []).find(taxClass => taxClass.id === taxClassId) || null;
+}
+
+function isTaxClass(settings, taxClassId) {
+  return Boolean(findTaxClass(settings, taxClassId));
+}
+
+function getDefaultTaxClass(settings) {
+  return findTaxClass(settings, settings && settings.defaultTaxClass) ||
+    ((settings && settings.taxClasses) || [])[0] || null;
+}
+
+// Tax class of a menu item: its own, else its category's, else the default class.
+// Classes that no longer exist fall through to the next level.
+function getTaxClassForItem(settings, menuItem, categories) {
+  if (menuItem && isTaxClass(settings, menuItem.taxClass)) {
+    return findTaxClass(settings, menuItem.taxClass);
+  }
+  const category = (categories || []).find(cat => menuItem && cat.id === menuItem.category_id);
+  if (category && isTaxClass(settings, category.taxClass)) {
+    return findTaxClass(settings, category.taxClass);
+  }
+  return getDefaultTaxClass(settings);
+}
+
+// Stamp each line with its tax class and rate so later menu or settings changes don't alter placed orders
+function assignTaxClasses(lines, menuItems, categories, settings) {
+  lines.forEach(line => {
+    const menuItem = (menuItems || []).find(item => item.id === line.id) || { category_id: line.category_id };
+    const taxClass = getTaxClassForItem(settings, menuItem, categories);
+    line.taxClass = taxClass ? taxClass.id : null;
+    line.taxRate = taxClass ? taxClass.rate : 0;
+  });
+  return lines;
+}
+
+// Where a tax class is still used on the menu, e.g. ['category Drinks', 'item Espresso']
+function getTaxClassUsage(taxClassId, menuData) {
+  const resolve = name => (typeof name === 'string' ? name : (name && (name.en || Object.values(name)[0])) || '');
+  return [
+    ...(menuData.categories || []).filter(cat => cat.taxClass === taxClassId).map(cat => `category ${resolve(cat.name)}`),
+    ...(menuData.items || []).filter(item => item.taxClass === taxClassId).map(item => `item ${resolve(item.name)}`)
+  ];
+}
+
+// Start and end of a report period containing `now` (weeks start on Sunday, like the sales pages)
+function getReportPeriod(period, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  switch (period) {
+    case 'daily':
+      return { from: today, to: new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1) };
+    case 'weekly': {
+      const from = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay());
+      return { from, to: new Date(from.getFullYear(), from.getMonth(), from.getDate() + 7) };
+    }
+    case 'monthly':
+      return { from: new Date(now.getFullYear(), now.getMonth(), 1), to: new Date(now.getFullYear(), now.getMonth() + 1, 1) };
+    case 'yearly':
+      return { from: new Date(now.getFullYear(), 0, 1), to: new Date(now.getFullYear() + 1, 0, 1) };
+    default:
+      return null;
+  }
+}
+
+// Tax per rate of one order. Orders priced before tax classes existed had a single
+// rate added on top of the discounted subtotal.
+function getOrderTaxBreakdown(order) {
+  if (Array.isArray(order.taxBreakdown) && order.taxBreakdown.length > 0) {
+    return order.taxBreakdown;
+  }
+  const net = roundMoney((Number(order.subtotal) || 0) - (Number(order.discount) || 0));
+  const tax = roundMoney(order.tax);
+  return [{ taxClass: null, rate: Number(order.taxRate) || 0, net, tax, gross: roundMoney(net + tax) }];
+}
+
+// VAT report over completed orders placed in [from, to): net, tax and gross sales per
+// tax rate. Refunds reduce each rate in proportion to the refunded share of the order.
+// Service charges and delivery fees are reported apart, outside the VAT rates.
+function buildVatReport(orders, from, to, settings) {
+  const rows = {};
+  const totals = { orders: 0, net: 0, tax: 0, gross: 0, serviceCharge: 0, deliveryFee: 0, refunded: 0 };
+
+  (orders || []).forEach(order => {
+    const placedAt = new Date(order.timestamp || order.createdAt);
+    if (order.status !== 'completed' || placedAt < from || placedAt >= to) return;
+
+    const total = Number(order.total) || 0;
+    const refunded = getRefundedAmount(order);
+    const kept = total > 0 ? Math.max(0, 1 - refunded / total) : 1;
+
+    totals.orders++;
+    totals.refunded += refunded;
+    totals.serviceCharge += (Number(order.serviceCharge) || 0) * kept;
+    totals.deliveryFee += (Number(order.deliveryFee) || 0) * kept;
+
+    getOrderTaxBreakdown(order).forEach(entry => {
+      const key = `${entry.taxClass || ''}|${entry.rate}`;
+      if (!rows[key]) {
+        const taxClass = findTaxClass(settings, entry.taxClass);
+        rows[key] = {
+          taxClass: entry.taxClass,
+          name: taxClass ? taxClass.name : (entry.taxClass || 'Tax'),
+          rate: entry.rate,
+          orders: 0,
+          net: 0,
+          tax: 0,
+          gross: 0
+        };
+      }
+      rows[key].orders++;
+      rows[key].net += entry.net * kept;
+      rows[key].tax += entry.tax * kept;
+    });
+  });
+
+  const rates = Object.values(rows).map(row => {
+    const net = roundMoney(row.net);
+    const tax = roundMoney(row.tax);
+    return { ...row, net, tax, gross: roundMoney(net + tax) };
+  }).sort((a, b) => b.rate - a.rate || a.name.localeCompare(b.name));
+
+  totals.net = roundMoney(rates.reduce((sum, row) => sum + row.net, 0));
+  totals.tax = roundMoney(rates.reduce((sum, row) => sum + row.tax, 0));
+  totals.gross = roundMoney(totals.net + totals.tax);
+  totals.serviceCharge = roundMoney(totals.serviceCharge);
+  totals.deliveryFee = roundMoney(totals.deliveryFee);
+  totals.refunded = roundMoney(totals.refunded);
+
+  return { from, to, rates, totals };
+}
+
+function csvCell(value) {
+  const text = String(value === null || value === undefined ? '' : value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The VAT report as CSV for the accountant - one row per rate and a totals row
+function vatReportToCsv(report) {
+  const toDate = date => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  const lastDay = new Date(report.to.getFullYear(), report.to.getMonth(), report.to.getDate() - 1);
+  const rows = [
+    ['Period', `${toDate(report.from)} to ${toDate(lastDay)}`],
+    [],
+    ['Tax class', 'Rate %', 'Orders', 'Net', 'Tax', 'Gross'],
+    ...report.rates.map(row => [row.name, roundMoney(row.rate * 100), row.orders, row.net.toFixed(2), row.tax.toFixed(2), row.gross.toFixed(2)]),
+    ['Total', '', report.totals.orders, report.totals.net.toFixed(2), report.totals.tax.toFixed(2), report.totals.gross.toFixed(2)],
+    [],
+    ['Service charge (outside VAT rates)', report.totals.serviceCharge.toFixed(2)],
+    ['Delivery fees (outside VAT rates)', report.totals.deliveryFee.toFixed(2)],
+    ['Refunded (already deducted above)', report.totals.refunded.toFixed(2)]
+  ];
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  DEFAULT_TAX_CLASSES,
+  DEFAULT_TAX_CLASS,
+  VAT_REPORT_PERIODS,
+  normalizeTaxClasses,
+  findTaxClass,
+  isTaxClass,
+  getDefaultTaxClass,
+  getTaxClassForItem,
+  assignTaxClasses,
+  getTaxClassUsage,
+  getReportPeriod,
+  getOrderTaxBreakdown,
+  buildVatReport,
+  vatReportToCsv
+};
@@ -0,0 +1,174 @@
+/**
+ * Ticket Times Module
+ *
+ * Expected ready times for kitchen tickets from the items' prep times,
+ * SLA levels for the kitchen screens and average/p90 ticket time reports.
+ * All durations are in minutes.
+ */
+
+const { resolveName } = require('./pricing');
+const { getLineStation } = require('./kitchenStations');
+
+// Used for items without a readable prepTime
+const DEFAULT_PREP_MINUTES = 15;
+
+// A ticket is "due soon" once this share of its expected time has passed
+const DUE_SOON_RATIO = 0.8;
+
+// Statuses where the kitchen still owes the order and the timer is running
+const TIMED_ORDER_STATUSES = ['pending', 'confirmed', 'preparing'];
+
+// Turn a prepTime like "15 min", "15-20 minutes" or { en: '8 min' } into minutes.
+// Ranges use the upper bound. Returns null when there is no number in it.
+function parsePrepMinutes(prepTime) {
+  if (typeof prepTime === 'number') {
+    return prepTime > 0 ? prepTime : null;
+  }
+  const text = prepTime && typeof prepTime === 'object'
+    ? (prepTime.en || Object.values(prepTime)[0])
+    : prepTime;
+  const numbers = String(text || '').match(/\d+(\.\d+)?/g);
+  if (!numbers) return null;
+  return Math.max(...numbers.map(Number)) || null;
+}
+
+// Lines are cooked in parallel, so a ticket takes as long as its slowest item
+function getExpectedPrepMinutes(order, menuItems) {
+  const lineMinutes = ((order && order.items) || []).map(line => {
+    const menuItem = (menuItems || []).find(item => item.id === line.id);
+    return parsePrepMinutes(menuItem && menuItem.prepTime) || DEFAULT_PREP_MINUTES;
+  });
+  return lineMinutes.length > 0 ? Math.max(...lineMinutes) : DEFAULT_PREP_MINUTES;
+}
+
+// When the order last moved into a status, from its statusHistory
+function getStatusTime(order, status) {
+  const entries = ((order && order.statusHistory) || []).filter(entry => entry.to === status);
+  return entries.length > 0 ? new Date(entries[entries.length - 1].at) : null;
+}
+
+// The kitchen clock starts when the order is confirmed; pending orders count from creation.
+// Orders ordered ahead for pickup start no earlier than it's time to cook them.
+function getTicketStart(order) {
+  const start = getStatusTime(order, 'confirmed') || new Date(order.createdAt);
+  const startCookingAt = order.startCookingAt ? new Date(order.startCookingAt) : null;
+  return startCookingAt && startCookingAt > start ? startCookingAt : start;
+}
+
+// Timer data for a kitchen ticket, or null once the kitchen is done with it.
+// sla is 'on-track', 'due-soon' or 'late'.
+function getTicketTiming(order, menuItems, now = new Date()) {
+  if (!order || !TIMED_ORDER_STATUSES.includes(order.status || 'pending')) {
+    return null;
+  }
+
+  const startedAt = getTicketStart(order);
+  const expectedMinutes = getExpectedPrepMinutes(order, menuItems);
+  const dueSoonAt = new Date(startedAt.getTime() + expectedMinutes * DUE_SOON_RATIO * 60000);
+  const expectedReadyAt = new Date(startedAt.getTime() + expectedMinutes * 60000);
+
+  let sla = 'on-track';
+  if (now >= expectedReadyAt) {
+    sla = 'late';
+  } else if (now >= dueSoonAt) {
+    sla = 'due-soon';
+  }
+
+  return {
+    startedAt,
+    dueSoonAt,
+    expectedReadyAt,
+    expectedMinutes,
+    elapsedMinutes: roundMinutes((now - startedAt) / 60000),
+    sla
+  };
+}
+
+function roundMinutes(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function minutesBetween(start, end) {
+  return roundMinutes((new Date(end) - new Date(start)) / 60000);
+}
+
+// Average and 90th percentile (nearest rank) of a list of durations
+function summarizeDurations(durations) {
+  if (durations.length === 0) {
+    return { count: 0, average: null, p90: null };
+  }
+  const sorted = [...durations].sort((a, b) => a - b);
+  const average = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return {
+    count: sorted.length,
+    average: roundMinutes(average),
+    p90: sorted[Math.ceil(sorted.length * 0.9) - 1]
+  };
+}
+
+// Local calendar day of a date as YYYY-MM-DD
+function formatDay(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// Ticket time report for orders the kitchen has finished.
+// A ticket runs from confirmation to ready; an item or station is done when
+// its lines are bumped (or when the order was marked ready if never bumped).
+// Returns { days, items, stations } each with count, average and p90.
+function buildTicketStats(orders, categories) {
+  const byDay = {};
+  const byItem = {};
+  const byStation = {};
+
+  (orders || []).forEach(order => {
+    const readyAt = getStatusTime(order, 'ready');
+    if (!readyAt) return;
+
+    const startedAt = getTicketStart(order);
+    const day = formatDay(startedAt);
+    (byDay[day] = byDay[day] || []).push(minutesBetween(startedAt, readyAt));
+
+    const stationDone = {};
+    (order.items || []).forEach(line => {
+      const doneAt = line.bumpedAt ? new Date(line.bumpedAt) : readyAt;
+
+      if (!byItem[line.id]) {
+        byItem[line.id] = { name: resolveName(line.name), durations: [] };
+      }
+      byItem[line.id].durations.push(minutesBetween(startedAt, doneAt));
+
+      const station = getLineStation(line, categories);
+      if (!stationDone[station] || doneAt > stationDone[station]) {
+        stationDone[station] = doneAt;
+      }
+    });
+
+    Object.keys(stationDone).forEach(station => {
+      (byStation[station] = byStation[station] || []).push(minutesBetween(startedAt, stationDone[station]));
+    });
+  });
+
+  return {
+    days: Object.keys(byDay).sort().map(day => ({ day, ...summarizeDurations(byDay[day]) })),
+    items: Object.keys(byItem).map(id => ({
+      id: parseInt(id),
+      name: byItem[id].name,
+      ...summarizeDurations(byItem[id].durations)
+    })),
+    stations: Object.keys(byStation).map(station => ({ station, ...summarizeDurations(byStation[station]) }))
+  };
+}
+
+module.exports = {
+  DEFAULT_PREP_MINUTES,
+  DUE_SOON_RATIO,
+  parsePrepMinutes,
+  getExpectedPrepMinutes,
+  getStatusTime,
+  getTicketStart,
+  getTicketTiming,
+  summarizeDurations,
+  buildTicketStats
+};
@@ -0,0 +1,118 @@
+/**
+ * Tips Module
+ *
+ * Customer tips - added at checkout or when paying a tab at the table.
+ * Tips are kept apart from the order total so they never count as revenue,
+ * and are reported per day and per staff member.
+ */
+
+const { roundMoney } = require('./pricing');
+const { isOrderPaid, getRefundedAmount } = require('./refunds');
+
+// Staff name used for tips nobody can be credited with (e.g. an online tip on an unserved order)
+const UNASSIGNED_STAFF = 'Unassigned';
+
+// Validate a tip against the amount it's left on. Returns { tip } or { error }.
+function normalizeTip(value, billAmount) {
+  if (value === undefined || value === null || value === '') {
+    return { tip: 0 };
+  }
+
+  const tip = roundMoney(value);
+  if (isNaN(parseFloat(value)) || tip < 0) {
+    return { error: 'Tip must be zero or more' };
+  }
+  if (tip > roundMoney(billAmount)) {
+    return { error: 'Tip cannot be more than the bill' };
+  }
+  return { tip };
+}
+
+// Checkout tips go to whoever served the order
+function getTipRecipient(order) {
+  const served = (order.statusHistory || []).filter(entry => entry.to === 'served');
+  return served.length > 0 ? served[served.length - 1].actor : UNASSIGNED_STAFF;
+}
+
+// The part of an order's checkout tip the restaurant actually has. Card payments that
+// are pending or failed never charged it and refunded ones gave it back; orders paid at
+// the counter have paid once completed. Refunds beyond the order total took the tip back.
+function getCollectedTip(order) {
+  if (!(order.tip > 0) || order.status === 'cancelled' || !isOrderPaid(order)) return 0;
+
+  const refundedTip = Math.max(0, getRefundedAmount(order) - (Number(order.total) || 0));
+  return roundMoney(Math.max(0, order.tip - refundedTip));
+}
+
+// Every tip as { at, amount, staff, source, orderId, tabId }: the collected part of
+// checkout tips (see getCollectedTip) and tips left with payments on tabs
+function collectTips(orders, tabs) {
+  const tips = [];
+
+  (orders || []).forEach(order => {
+    const amount = getCollectedTip(order);
+    if (amount <= 0) return;
+    tips.push({
+      at: new Date(order.createdAt),
+      amount,
+      staff: getTipRecipient(order),
+      source: 'checkout',
+      orderId: order.id,
+      tabId: order.tabId || null
+    });
+  });
+
+  (tabs || []).forEach(tab => {
+    (tab.payments || []).forEach(payment => {
+      if (!(payment.tip > 0)) return;
+      tips.push({
+        at: new Date(payment.at),
+        amount: payment.tip,
+        staff: payment.actor || UNASSIGNED_STAFF,
+        source: 'table',
+        orderId: null,
+        tabId: tab.id
+      });
+    });
+  });
+
+  return tips.sort((a, b) => a.at - b.at);
+}
+
+function toDateKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// Tip totals since a date, per day and per staff member (largest first)
+function buildTipReport(tips, since) {
+  const inPeriod = tips.filter(tip => tip.at >= since);
+  const days = {};
+  const staff = {};
+
+  inPeriod.forEach(tip => {
+    const day = toDateKey(tip.at);
+    days[day] = days[day] || { date: day, count: 0, total: 0 };
+    days[day].count++;
+    days[day].total = roundMoney(days[day].total + tip.amount);
+
+    staff[tip.staff] = staff[tip.staff] || { staff: tip.staff, count: 0, total: 0 };
+    staff[tip.staff].count++;
+    staff[tip.staff].total = roundMoney(staff[tip.staff].total + tip.amount);
+  });
+
+  return {
+    count: inPeriod.length,
+    total: roundMoney(inPeriod.reduce((sum, tip) => sum + tip.amount, 0)),
+    days: Object.values(days).sort((a, b) => a.date.localeCompare(b.date)),
+    staff: Object.values(staff).sort((a, b) => b.total - a.total || a.staff.localeCompare(b.staff))
+  };
+}
+
+module.exports = {
+  UNASSIGNED_STAFF,
+  normalizeTip,
+  getTipRecipient,
+  getCollectedTip,
+  collectTips,
+  buildTipReport
+};
@@ -0,0 +1,179 @@
+/**
+ * Bill Splits Tests
+ *
+ * Tests for splitting a tab evenly, by seat and by item, and for paying sub-bills
+ * Run with: npm test
+ */
+
+const {
+  getSplittableOrders,
+  getBillLines,
+  allocateCents,
+  buildSplit,
+  isSplitCurrent,
+  paySplitBill
+} = require('../src/billSplits');
+const { createTab, summarizeTab } = require('../src/tabs');
+const { calculateOrderTotals } = require('../src/pricing');
+
+const settings = { taxRate: 0.18, serviceCharge: 0.1 };
+
+function line(name, lineTotal, seat = null) {
+  return { name, qty: 1, price: lineTotal, lineTotal, seat };
+}
+
+function order(id, items, extra = {}) {
+  return {
+    id,
+    items,
+    status: 'served',
+    paymentStatus: 'unpaid',
+    ...calculateOrderTotals(items, settings, { orderType: 'dine-in', discount: extra.discount }),
+    ...extra
+  };
+}
+
+const tabOrders = [
+  order(1, [line('Classic Burger', 12.99, 1), line('French Fries', 4.99, 2), line('Coca Cola', 2.99)]),
+  order(2, [line('Chocolate Cake', 6.99, 2)])
+];
+
+const tabTotal = tabOrders.reduce((sum, o) => sum + o.total, 0);
+
+function sumOf(bills, field) {
+  return Math.round(bills.reduce((sum, bill) => sum + bill[field], 0) * 100) / 100;
+}
+
+describe('allocateCents', () => {
+  test('shares cents out so the parts add up exactly', () => {
+    expect(allocateCents(10, [1, 1, 1])).toEqual([3.34, 3.33, 3.33]);
+    expect(allocateCents(1.01, [3, 1])).toEqual([0.76, 0.25]);
+    expect(allocateCents(0.05, [0, 0])).toEqual([0.03, 0.02]);
+  });
+});
+
+describe('splittable lines', () => {
+  test('leaves out cancelled and online-paid orders', () => {
+    const splittable = getSplittableOrders([
+      ...tabOrders,
+      order(3, [line('Water', 2)], { status: 'cancelled' }),
+      order(4, [line('Wine', 20)], { paymentIntentId: 'pi_1', paymentStatus: 'paid' }),
+      order(5, [line('Beer', 5)], { paymentIntentId: 'pi_2', paymentStatus: 'pending' })
+    ]);
+    expect(splittable.map(o => o.id)).toEqual([1, 2]);
+  });
+
+  test('references each line by order and index', () => {
+    expect(getBillLines(tabOrders)[1]).toEqual({
+      orderId: 1, lineIndex: 1, name: 'French Fries', qty: 1, seat: 2, amount: 4.99
+    });
+  });
+});
+
+describe('buildSplit', () => {
+  test('splits evenly and reconciles every price field with the tab', () => {
+    const { split } = buildSplit('even', { ways: 3 }, tabOrders, 'waiter');
+    expect(split.bills.map(bill => bill.label)).toEqual(['Guest 1', 'Guest 2', 'Guest 3']);
+    expect(split.bills.map(bill => bill.total)).toEqual([11.94, 11.93, 11.92]);
+    expect(sumOf(split.bills, 'subtotal')).toBe(27.96);
+    expect(sumOf(split.bills, 'tax')).toBe(5.03);
+    expect(sumOf(split.bills, 'serviceCharge')).toBe(2.8);
+    expect(sumOf(split.bills, 'total')).toBe(tabTotal);
+    expect(split.bills[0]).toMatchObject({ id: 1, paymentStatus: 'unpaid', paymentMethod: null });
+  });
+
+  test('splits by seat and shares lines without a seat', () => {
+    const { split } = buildSplit('seat', {}, tabOrders, 'waiter');
+    expect(split.bills.map(bill => bill.label)).toEqual(['Seat 1', 'Seat 2']);
+    expect(split.bills[0].lines.map(l => [l.name, l.share, l.amount])).toEqual([
+      ['Classic Burger', 1, 12.99],
+      ['Coca Cola', 0.5, 1.5]
+    ]);
+    expect(split.bills.map(bill => bill.subtotal)).toEqual([14.48, 13.48]);
+    expect(sumOf(split.bills, 'total')).toBe(tabTotal);
+  });
+
+  test('splits by item', () => {
+    const { split } = buildSplit('items', {
+      bills: [
+        [{ orderId: 1, lineIndex: 0 }, { orderId: 2, lineIndex: 0 }],
+        [{ orderId: 1, lineIndex: 1 }, { orderId: 1, lineIndex: 2 }]
+      ]
+    }, tabOrders, 'waiter');
+    expect(split.bills.map(bill => [bill.subtotal, bill.tax, bill.serviceCharge, bill.total])).toEqual([
+      [19.98, 3.6, 2, 25.58],
+      [7.98, 1.43, 0.8, 10.21]
+    ]);
+  });
+
+  test('shares discounts with the lines they came from', () => {
+    const discounted = [order(1, [line('Steak', 30, 1), line('Salad', 10, 2)], { discount: 4 })];
+    const { split } = buildSplit('seat', {}, discounted, 'waiter');
+    expect(split.bills.map(bill => bill.discount)).toEqual([3, 1]);
+    expect(sumOf(split.bills, 'total')).toBe(discounted[0].total);
+  });
+
+  test('does not add tax again for orders priced with tax included', () => {
+    const items = [line('Steak', 29.5, 1), line('Salad', 11.8, 2)];
+    const inclusive = [{
+      id: 1,
+      items,
+      status: 'served',
+      paymentStatus: 'unpaid',
+      ...calculateOrderTotals(items, { ...settings, pricesIncludeTax: true }, { orderType: 'dine-in' })
+    }];
+    const { split } = buildSplit('seat', {}, inclusive, 'waiter');
+    expect(split.bills.map(bill => [bill.subtotal, bill.tax, bill.includedTax, bill.total])).toEqual([
+      [29.5, 4.5, 4.5, 32.45],
+      [11.8, 1.8, 1.8, 12.98]
+    ]);
+    expect(sumOf(split.bills, 'total')).toBe(inclusive[0].total);
+  });
+
+  test('rejects invalid splits', () => {
+    expect(buildSplit('even', { ways: 1 }, tabOrders).error).toBe('Split evenly between 2 and 20 guests');
+    expect(buildSplit('seat', {}, [order(1, [line('Tea', 2, 1)])]).error)
+      .toBe('Splitting by seat needs items on at least two seats');
+    expect(buildSplit('items', { bills: [[{ orderId: 1, lineIndex: 0 }], []] }, tabOrders).error)
+      .toBe('Bill 2 has no items');
+    expect(buildSplit('items', {
+      bills: [[{ orderId: 1, lineIndex: 0 }, { orderId: 1, lineIndex: 1 }], [{ orderId: 1, lineIndex: 1 }]]
+    }, tabOrders).error).toBe('French Fries (order 1) is on more than one bill');
+    expect(buildSplit('items', {
+      bills: [[{ orderId: 1, lineIndex: 0 }], [{ orderId: 9, lineIndex: 0 }]]
+    }, tabOrders).error).toBe('Order 9 line 0 is not on this bill');
+    expect(buildSplit('items', {
+      bills: [[{ orderId: 1, lineIndex: 0 }], [{ orderId: 1, lineIndex: 1 }]]
+    }, tabOrders).error).toBe('Coca Cola (order 1) is not on any bill');
+    expect(buildSplit('halves', {}, tabOrders).error).toBe('Split method must be one of even, seat, items');
+    expect(buildSplit('even', { ways: 2 }, []).error).toBe('There is nothing left to split on this tab');
+  });
+});
+
+describe('paying sub-bills', () => {
+  test('a split goes stale when a new round is added', () => {
+    const { split } = buildSplit('even', { ways: 2 }, tabOrders, 'waiter');
+    expect(isSplitCurrent(split, tabOrders)).toBe(true);
+    expect(isSplitCurrent(split, [...tabOrders, order(3, [line('Coffee', 2.5)])])).toBe(false);
+    expect(isSplitCurrent(null, tabOrders)).toBe(false);
+  });
+
+  test('each sub-bill is paid once and the last one settles the tab', () => {
+    const tab = createTab(1, '5');
+    tab.split = buildSplit('even', { ways: 2 }, tabOrders, 'waiter').split;
+    const now = new Date(2026, 5, 1, 21, 0);
+
+    const first = paySplitBill(tab, summarizeTab(tab, tabOrders), 1, { method: 'card', tip: 2 }, 'waiter', now);
+    expect(first.settled).toBe(false);
+    expect(first.payment).toEqual({ amount: 17.9, tip: 2, method: 'card', actor: 'waiter', at: now, billId: 1 });
+    expect(tab.split.bills[0]).toMatchObject({ paymentStatus: 'paid', paymentMethod: 'card', paidAt: now, paidBy: 'waiter' });
+
+    expect(paySplitBill(tab, summarizeTab(tab, tabOrders), 1, { method: 'card' }, 'waiter').error).toBe('Guest 1 is already paid');
+    expect(paySplitBill(tab, summarizeTab(tab, tabOrders), 7, { method: 'card' }, 'waiter').error).toBe('Bill 7 not found');
+
+    const second = paySplitBill(tab, summarizeTab(tab, tabOrders), 2, { method: 'cash' }, 'waiter', now);
+    expect(second.settled).toBe(true);
+    expect(summarizeTab(tab, tabOrders).balance).toBe(0);
+    expect(summarizeTab(tab, tabOrders).tips).toBe(2);
+  });
+});
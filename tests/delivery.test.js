@@ -0,0 +1,139 @@
+/**
+ * Delivery Tests
+ *
+ * Tests for delivery zones, addresses, delivery fees and the delivery
+ * status track the dispatcher moves orders along
+ * Run with: npm test
+ */
+
+const {
+  normalizePostcode,
+  normalizeDeliveryZones,
+  isInPolygon,
+  findDeliveryZone,
+  normalizeDeliveryDetails,
+  getDeliveryQuote,
+  createDelivery,
+  transitionDeliveryStatus
+} = require('../src/delivery');
+
+// A square around the centre of Vienna
+const centreArea = [[48.19, 16.35], [48.19, 16.40], [48.22, 16.40], [48.22, 16.35]];
+
+const zones = [
+  { id: 1, name: 'Centre', postcodes: ['1010'], polygon: centreArea, fee: 2, minOrder: 10, active: true },
+  { id: 2, name: 'Outer', postcodes: ['11*', '12*'], polygon: null, fee: 5, minOrder: 25, active: true },
+  { id: 3, name: 'Closed', postcodes: ['1020'], polygon: null, fee: 1, minOrder: 0, active: false }
+];
+
+function createDeliveryOrder(overrides = {}) {
+  return { id: 1, orderType: 'delivery', status: 'preparing', delivery: createDelivery(zones[0]), ...overrides };
+}
+
+describe('normalizeDeliveryZones', () => {
+  test('should clean up zones and give new ones an id', () => {
+    const { zones: normalized, errors } = normalizeDeliveryZones([
+      { id: 4, name: ' Centre ', postcodes: 'sw1a 1aa, SW1A1AA, 1010', fee: '2.5', active: 'false' },
+      { name: 'Park', polygon: centreArea, fee: 0, minOrder: '20' }
+    ]);
+
+    expect(errors).toEqual([]);
+    expect(normalized).toEqual([
+      { id: 4, name: 'Centre', postcodes: ['SW1A1AA', '1010'], polygon: null, fee: 2.5, minOrder: 0, active: false },
+      { id: 5, name: 'Park', postcodes: [], polygon: centreArea, fee: 0, minOrder: 20, active: true }
+    ]);
+  });
+
+  test('should report every invalid zone', () => {
+    expect(normalizeDeliveryZones([
+      { postcodes: '1010', fee: -1 },
+      { name: 'Park', polygon: [[48.2, 16.3], [48.3, 16.4]], fee: 2, minOrder: 'x' }
+    ]).errors).toEqual([
+      'Zone 1: name is required',
+      'Zone 1: fee must be zero or more',
+      'Park: area must be at least 3 [latitude, longitude] points',
+      'Park: minimum order must be zero or more'
+    ]);
+    expect(normalizeDeliveryZones('1010').errors).toEqual(['Delivery zones must be a list']);
+  });
+});
+
+describe('findDeliveryZone', () => {
+  test('should match postcodes, prefixes and map positions in active zones only', () => {
+    expect(normalizePostcode(' sw1a 1aa ')).toBe('SW1A1AA');
+    expect(isInPolygon([48.2, 16.37], centreArea)).toBe(true);
+    expect(isInPolygon([48.3, 16.37], centreArea)).toBe(false);
+
+    expect(findDeliveryZone(zones, { postcode: '1010' }).name).toBe('Centre');
+    expect(findDeliveryZone(zones, { postcode: '1150' }).name).toBe('Outer');
+    expect(findDeliveryZone(zones, { postcode: '9999', lat: 48.2, lng: 16.37 }).name).toBe('Centre');
+    expect(findDeliveryZone(zones, { postcode: '1020' })).toBeNull();
+  });
+});
+
+describe('normalizeDeliveryDetails', () => {
+  test('should clean up the address and phone', () => {
+    expect(normalizeDeliveryDetails({ street: ' Ring 1 ', city: 'Vienna', postcode: 'sw1a 1aa', lat: '48.2', lng: '16.37' }, ' +43 660 1234567 '))
+      .toEqual({
+        address: { street: 'Ring 1', city: 'Vienna', postcode: 'SW1A 1AA', notes: '', lat: 48.2, lng: 16.37 },
+        phone: '+43 660 1234567',
+        errors: []
+      });
+  });
+
+  test('should require a street, postcode and phone number', () => {
+    expect(normalizeDeliveryDetails({ lat: 48.2 }, 'call me').errors).toEqual([
+      'Delivery street address is required',
+      'Delivery postcode is required',
+      'Delivery position must be a latitude and longitude',
+      'A phone number is required for delivery'
+    ]);
+  });
+});
+
+describe('getDeliveryQuote', () => {
+  test('should charge the zone fee above its minimum order', () => {
+    expect(getDeliveryQuote({ deliveryZones: zones }, { postcode: '1010' }, 12)).toEqual({ zone: zones[0], fee: 2 });
+    expect(getDeliveryQuote({ deliveryZones: zones }, { postcode: '1150' }, 20))
+      .toEqual({ error: 'The minimum order for delivery to Outer is 25.00' });
+    expect(getDeliveryQuote({ deliveryZones: zones }, { postcode: '4020' }, 50))
+      .toEqual({ error: 'Sorry, we do not deliver to this address' });
+  });
+
+  test('should charge the flat delivery fee everywhere without zones', () => {
+    expect(getDeliveryQuote({ deliveryFee: 2.5, deliveryZones: [] }, { postcode: '4020' }, 5)).toEqual({ zone: null, fee: 2.5 });
+  });
+});
+
+describe('transitionDeliveryStatus', () => {
+  const now = new Date('2026-06-17T19:00:00Z');
+
+  test('should assign a driver, send ready orders out and mark them delivered', () => {
+    const order = createDeliveryOrder();
+
+    expect(transitionDeliveryStatus(order, 'assigned', { driver: ' Sam ', actor: 'admin' }, now)).toEqual({ changed: true, error: null });
+    expect(order.delivery.driver).toBe('Sam');
+    expect(transitionDeliveryStatus(order, 'assigned', { driver: 'Sam' }, now)).toEqual({ changed: false, error: null });
+
+    expect(transitionDeliveryStatus(order, 'out-for-delivery', {}, now).error).toBe('The order has to be ready before it goes out');
+    order.status = 'ready';
+    expect(transitionDeliveryStatus(order, 'out-for-delivery', { actor: 'admin' }, now).changed).toBe(true);
+    expect(transitionDeliveryStatus(order, 'delivered', { actor: 'admin' }, now).changed).toBe(true);
+
+    expect(order.delivery.history).toEqual([
+      { status: 'assigned', driver: 'Sam', actor: 'admin', at: '2026-06-17T19:00:00.000Z' },
+      { status: 'out-for-delivery', driver: 'Sam', actor: 'admin', at: '2026-06-17T19:00:00.000Z' },
+      { status: 'delivered', driver: 'Sam', actor: 'admin', at: '2026-06-17T19:00:00.000Z' }
+    ]);
+  });
+
+  test('should refuse moves off the track', () => {
+    const order = createDeliveryOrder();
+
+    expect(transitionDeliveryStatus(order, 'assigned', {}).error).toBe('A driver is required');
+    expect(transitionDeliveryStatus(order, 'delivered', {}).error).toBe('Cannot move a delivery from unassigned to delivered');
+    expect(transitionDeliveryStatus(order, 'lost', {}).error).toBe('Delivery status must be one of unassigned, assigned, out-for-delivery, delivered');
+    expect(transitionDeliveryStatus(createDeliveryOrder({ status: 'cancelled' }), 'assigned', { driver: 'Sam' }).error).toBe('The order was cancelled');
+    expect(transitionDeliveryStatus({ orderType: 'takeaway' }, 'assigned', { driver: 'Sam' }).error).toBe('Not a delivery order');
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Gift Cards Tests
+ *
+ * Tests for issuing gift cards, their codes and statuses, paying for orders
+ * with them and the ledger of debits and credits
+ * Run with: npm test
+ */
+
+const {
+  normalizeGiftCardCode,
+  generateGiftCardCode,
+  findGiftCardByCode,
+  normalizeGiftCard,
+  getGiftCardStatus,
+  getUnusableReason,
+  addGiftCardTransaction,
+  activateGiftCard,
+  voidGiftCard,
+  getGiftCardPayment,
+  splitRefund,
+  creditCancelledOrder,
+  getPublicGiftCard
+} = require('../src/giftCards');
+
+const now = new Date('2026-06-17T18:00:00Z');
+
+function giftCard(overrides) {
+  return {
+    id: 1,
+    code: 'ABCD-EFGH-JKLM',
+    initialAmount: 50,
+    balance: 50,
+    status: 'active',
+    source: 'admin',
+    expiresAt: '2027-06-17T18:00:00.000Z',
+    transactions: [],
+    ...overrides
+  };
+}
+
+describe('gift card codes', () => {
+  test('should normalize codes typed in any case, with or without dashes', () => {
+    expect(normalizeGiftCardCode(' abcd efgh-jklm ')).toBe('ABCD-EFGH-JKLM');
+    expect(normalizeGiftCardCode('abcdefghjklm')).toBe('ABCD-EFGH-JKLM');
+    expect(normalizeGiftCardCode(null)).toBe('');
+  });
+
+  test('should generate a code no other card has', () => {
+    const draws = [...Array(12).fill(0), ...Array(12).fill(1)];
+    const randomInt = () => draws.shift();
+    expect(generateGiftCardCode([giftCard({ code: 'AAAA-AAAA-AAAA' })], randomInt)).toBe('BBBB-BBBB-BBBB');
+  });
+
+  test('should find cards by a code typed loosely', () => {
+    const cards = [giftCard()];
+    expect(findGiftCardByCode(cards, 'abcdefghjklm')).toBe(cards[0]);
+    expect(findGiftCardByCode(cards, '')).toBeNull();
+  });
+});
+
+describe('normalizeGiftCard', () => {
+  test('should issue an active card that expires after a year', () => {
+    const { giftCard: card, errors } = normalizeGiftCard({ amount: '25', recipientName: ' Ana ', note: 'Complaint' }, 'admin', now);
+
+    expect(errors).toEqual([]);
+    expect(card).toMatchObject({
+      initialAmount: 25,
+      balance: 0,
+      status: 'active',
+      source: 'admin',
+      recipientName: 'Ana',
+      note: 'Complaint',
+      expiresAt: '2027-06-17T18:00:00.000Z'
+    });
+    expect(normalizeGiftCard({ amount: 25, expiresAt: null }, 'admin', now).giftCard.expiresAt).toBeNull();
+  });
+
+  test('should keep bought cards pending and within the purchase limits', () => {
+    expect(normalizeGiftCard({ amount: 20, purchaserName: 'Bo', purchaserEmail: 'bo@example.com' }, 'purchase', now).giftCard.status)
+      .toBe('pending');
+    expect(normalizeGiftCard({ amount: 1000, purchaserEmail: 'bo@' }, 'purchase', now).errors).toEqual([
+      'Gift cards can be bought for 5 to 500',
+      'Your name and email are required',
+      'Your email must be a valid email address'
+    ]);
+  });
+
+  test('should reject a missing amount and an expiry in the past', () => {
+    expect(normalizeGiftCard({ amount: '', expiresAt: '2026-01-01' }, 'admin', now).errors).toEqual([
+      'Amount must be more than zero',
+      'Expiry must be in the future'
+    ]);
+  });
+});
+
+describe('getUnusableReason', () => {
+  test('should reject cards that can not pay', () => {
+    expect(getUnusableReason(null, now)).toBe('Gift card not found');
+    expect(getUnusableReason(giftCard({ status: 'pending' }), now)).toBe('Gift card has not been paid for yet');
+    expect(getUnusableReason(giftCard({ status: 'void' }), now)).toBe('Gift card is no longer valid');
+    expect(getUnusableReason(giftCard({ expiresAt: '2026-06-01T00:00:00.000Z' }), now)).toBe('Gift card has expired');
+    expect(getUnusableReason(giftCard({ balance: 0 }), now)).toBe('Gift card has no balance left');
+    expect(getUnusableReason(giftCard({ expiresAt: null }), now)).toBeNull();
+  });
+
+  test('should report the same statuses to staff', () => {
+    expect(getGiftCardStatus(giftCard({ balance: 0 }), now)).toBe('used');
+    expect(getGiftCardStatus(giftCard(), now)).toBe('active');
+  });
+});
+
+describe('gift card ledger', () => {
+  test('should put the amount on the card when it is activated', () => {
+    const card = giftCard({ balance: 0, status: 'pending', source: 'purchase' });
+    expect(activateGiftCard(card, null, now)).toEqual({
+      id: 1,
+      type: 'issue',
+      amount: 50,
+      balance: 50,
+      orderId: null,
+      note: 'Bought online',
+      actor: null,
+      createdAt: '2026-06-17T18:00:00.000Z'
+    });
+    expect(card.status).toBe('active');
+  });
+
+  test('should keep the balance on each debit and credit', () => {
+    const card = giftCard();
+    addGiftCardTransaction(card, { type: 'debit', amount: -30.5, orderId: 4 }, now);
+    const credit = addGiftCardTransaction(card, { type: 'credit', amount: 10, note: 'Goodwill', actor: 'admin' }, now);
+
+    expect(credit).toMatchObject({ id: 2, amount: 10, balance: 29.5, actor: 'admin' });
+    expect(card.balance).toBe(29.5);
+  });
+
+  test('should record why a card was voided', () => {
+    const card = giftCard();
+    expect(voidGiftCard(card, 'Reported stolen', 'admin', now)).toMatchObject({ type: 'void', amount: 0, balance: 50, note: 'Reported stolen' });
+    expect(card.voidedAt).toBe('2026-06-17T18:00:00.000Z');
+    expect(getUnusableReason(card, now)).toBe('Gift card is no longer valid');
+  });
+});
+
+describe('getGiftCardPayment', () => {
+  test('should pay as much as the balance covers', () => {
+    expect(getGiftCardPayment(giftCard({ balance: 20 }), 32.5)).toBe(20);
+    expect(getGiftCardPayment(giftCard({ balance: 50 }), 32.5)).toBe(32.5);
+  });
+});
+
+describe('splitRefund', () => {
+  test('should refund the other payment first and put the rest back on the card', () => {
+    const card = giftCard();
+    addGiftCardTransaction(card, { type: 'debit', amount: -20, orderId: 3 }, now);
+    const order = { id: 3, total: 30, tip: 0, giftCard: { id: 1, amount: 20 }, refunds: [] };
+
+    expect(splitRefund(order, card, 15)).toEqual({ other: 10, giftCard: 5 });
+    order.refunds.push({ amount: 15, giftCardAmount: 5 });
+    expect(splitRefund(order, card, 10)).toEqual({ other: 0, giftCard: 10 });
+  });
+
+  test('should not put back more than the card paid', () => {
+    const card = giftCard();
+    addGiftCardTransaction(card, { type: 'debit', amount: -20, orderId: 3 }, now);
+    addGiftCardTransaction(card, { type: 'credit', amount: 15, orderId: 3 }, now);
+    const order = { id: 3, total: 20, giftCard: { id: 1, amount: 20 }, refunds: [{ amount: 15, giftCardAmount: 15 }] };
+
+    expect(splitRefund(order, card, 10).error).toBe('At most 5.00 can be refunded, the rest is already back on the gift card');
+  });
+});
+
+describe('creditCancelledOrder', () => {
+  test('should give back what the cancelled order still has on the card once', () => {
+    const card = giftCard();
+    addGiftCardTransaction(card, { type: 'debit', amount: -20, orderId: 5 }, now);
+    addGiftCardTransaction(card, { type: 'credit', amount: 5, orderId: 5 }, now);
+    const order = { id: 5, status: 'cancelled' };
+
+    expect(creditCancelledOrder(order, card, 'admin')).toMatchObject({ type: 'credit', amount: 15, balance: 50, orderId: 5 });
+    expect(creditCancelledOrder(order, card, 'admin')).toBeNull();
+    expect(creditCancelledOrder({ id: 5, status: 'ready' }, card)).toBeNull();
+  });
+});
+
+describe('getPublicGiftCard', () => {
+  test('should only show the balance, status and expiry', () => {
+    expect(getPublicGiftCard(giftCard({ purchaserEmail: 'bo@example.com' }), now)).toEqual({
+      code: 'ABCD-EFGH-JKLM',
+      balance: 50,
+      status: 'active',
+      expiresAt: '2027-06-17T18:00:00.000Z'
+    });
+  });
+});
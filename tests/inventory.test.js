@@ -0,0 +1,134 @@
+/**
+ * Inventory Tests
+ *
+ * Tests for ingredients, recipes, taking confirmed orders out of stock and
+ * 86-ing menu items that can't be made
+ * Run with: npm test
+ */
+
+const {
+  normalizeIngredient,
+  normalizeRecipe,
+  getIngredientUsage,
+  canMakeItem,
+  applyStockAvailability,
+  checkStock,
+  deductOrderStock,
+  getLowStockIngredients
+} = require('../src/inventory');
+
+function createIngredients() {
+  return [
+    { id: 1, name: 'Buns', unit: 'pcs', stock: 3, lowStockThreshold: 5 },
+    { id: 2, name: 'Beef', unit: 'kg', stock: 1, lowStockThreshold: 0.5 },
+    { id: 3, name: 'Potatoes', unit: 'kg', stock: 10, lowStockThreshold: 2 }
+  ];
+}
+
+const items = [
+  { id: 1, name: 'Classic Burger', active: true, recipe: [{ ingredientId: 1, quantity: 1 }, { ingredientId: 2, quantity: 0.15 }] },
+  { id: 2, name: 'Double Burger', active: true, recipe: [{ ingredientId: 1, quantity: 1 }, { ingredientId: 2, quantity: 0.3 }] },
+  { id: 3, name: 'French Fries', active: true, recipe: [{ ingredientId: 3, quantity: 0.2 }] },
+  { id: 4, name: 'Cola', active: true }
+];
+
+describe('normalizeIngredient', () => {
+  test('should clean up an ingredient', () => {
+    expect(normalizeIngredient({ name: ' Buns ', unit: 'pcs', stock: '40', lowStockThreshold: '10' })).toEqual({
+      ingredient: { name: 'Buns', unit: 'pcs', stock: 40, lowStockThreshold: 10 },
+      errors: []
+    });
+  });
+
+  test('should report every invalid field and keep names unique', () => {
+    expect(normalizeIngredient({ name: 'buns', unit: 'box', stock: -1, lowStockThreshold: 'x' }, createIngredients()).errors).toEqual([
+      'There is already an ingredient called buns',
+      'Unit must be one of pcs, g, kg, ml, l',
+      'Stock must be zero or more',
+      'Low stock level must be zero or more'
+    ]);
+    expect(normalizeIngredient({ name: 'Buns', stock: 5 }, createIngredients(), 1).errors).toEqual([]);
+  });
+});
+
+describe('normalizeRecipe', () => {
+  test('should accept known ingredients with quantities', () => {
+    expect(normalizeRecipe([{ ingredientId: '2', quantity: '0.15' }], createIngredients())).toEqual({
+      recipe: [{ ingredientId: 2, quantity: 0.15 }],
+      errors: []
+    });
+    expect(normalizeRecipe(undefined, createIngredients())).toEqual({ recipe: [], errors: [] });
+  });
+
+  test('should reject unknown ingredients, bad quantities and duplicates', () => {
+    expect(normalizeRecipe([{ ingredientId: 9, quantity: 1 }, { ingredientId: 1, quantity: 0 }, { ingredientId: 1, quantity: 1 }], createIngredients()).errors)
+      .toEqual([
+        'Recipe line 1: unknown ingredient',
+        'Recipe line 2: quantity must be more than zero',
+        'Each ingredient can only be in a recipe once'
+      ]);
+  });
+});
+
+describe('getIngredientUsage', () => {
+  test('should add up what each line needs', () => {
+    const usage = getIngredientUsage([{ id: 1, qty: 2 }, { id: 2, qty: 1 }, { id: 4, qty: 3 }], items);
+    expect(Array.from(usage.entries())).toEqual([[1, 3], [2, 0.6]]);
+  });
+});
+
+describe('applyStockAvailability', () => {
+  test("should 86 items that can't be made and leave untracked items alone", () => {
+    const ingredients = createIngredients();
+    ingredients[1].stock = 0.2;
+
+    expect(canMakeItem(items[0], ingredients)).toBe(true);
+    expect(canMakeItem(items[1], ingredients)).toBe(false);
+    expect(applyStockAvailability(items, ingredients).map(item => [item.id, item.active, item.soldOut])).toEqual([
+      [1, true, undefined],
+      [2, false, true],
+      [3, true, undefined],
+      [4, true, undefined]
+    ]);
+    expect(items[1].active).toBe(true);
+  });
+});
+
+describe('checkStock', () => {
+  test('should reject lines whose shared ingredients run out', () => {
+    expect(checkStock([{ id: 1, qty: 2 }, { id: 2, qty: 2 }, { id: 3, qty: 1 }], items, createIngredients())).toEqual([
+      'Item 1: not enough in stock for 2',
+      'Item 2: not enough in stock for 2'
+    ]);
+    expect(checkStock([{ id: 1, qty: 3 }], items, createIngredients())).toEqual([]);
+  });
+});
+
+describe('deductOrderStock', () => {
+  test('should take the ingredients out once per order', () => {
+    const ingredients = createIngredients();
+    const order = { id: 1, items: [{ id: 1, qty: 2 }, { id: 3, quantity: 1 }] };
+    const now = new Date('2026-06-17T18:00:00Z');
+
+    expect(deductOrderStock(order, items, ingredients, now).map(ingredient => ingredient.name)).toEqual(['Buns', 'Beef', 'Potatoes']);
+    expect(ingredients.map(ingredient => ingredient.stock)).toEqual([1, 0.7, 9.8]);
+    expect(order.stockDeductedAt).toBe('2026-06-17T18:00:00.000Z');
+
+    expect(deductOrderStock(order, items, ingredients, now)).toEqual([]);
+    expect(ingredients[0].stock).toBe(1);
+  });
+
+  test('should never take stock below zero', () => {
+    const ingredients = createIngredients();
+    deductOrderStock({ id: 2, items: [{ id: 1, qty: 5 }] }, items, ingredients);
+    expect(ingredients[0].stock).toBe(0);
+  });
+});
+
+describe('getLowStockIngredients', () => {
+  test('should list ingredients at or below their low stock level, lowest first', () => {
+    const ingredients = createIngredients();
+    ingredients[1].stock = 0.5;
+    expect(getLowStockIngredients(ingredients).map(ingredient => ingredient.name)).toEqual(['Beef', 'Buns']);
+  });
+});
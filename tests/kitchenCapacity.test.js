@@ -0,0 +1,74 @@
+/**
+ * Kitchen Capacity Tests
+ *
+ * Tests for the kitchen's load - open tickets and items left per station -
+ * against the capacity limits, and the wait quoted while the kitchen is full
+ * Run with: npm test
+ */
+
+const { getKitchenLoad, checkKitchenCapacity, quoteWaitMinutes } = require('../src/kitchenCapacity');
+
+const categories = [
+  { id: 1, name: 'Burgers', station: 'grill' },
+  { id: 2, name: 'Drinks', station: 'bar' }
+];
+
+const now = new Date('2026-06-17T19:00:00Z');
+
+const orders = [
+  { id: 1, status: 'preparing', items: [{ id: 1, categoryId: 1, station: 'grill', qty: 2 }, { id: 2, categoryId: 2, station: 'bar', qty: 1, bumpedAt: '2026-06-17T18:55:00Z' }] },
+  { id: 2, status: 'pending', items: [{ id: 3, categoryId: 1, station: 'grill', qty: 1 }] },
+  { id: 3, status: 'ready', items: [{ id: 1, categoryId: 1, station: 'grill', qty: 4 }] },
+  { id: 4, status: 'pending', paymentStatus: 'pending', createdAt: '2026-06-17T18:50:00Z', items: [{ id: 1, categoryId: 1, station: 'grill', qty: 3 }] },
+  { id: 5, status: 'pending', startCookingAt: '2026-06-17T20:00:00Z', items: [{ id: 1, categoryId: 1, station: 'grill', qty: 5 }] },
+  { id: 6, status: 'pending', paymentStatus: 'pending', createdAt: '2026-06-17T17:00:00Z', items: [{ id: 1, categoryId: 1, station: 'grill', qty: 7 }] }
+];
+
+describe('getKitchenLoad', () => {
+  test('should count open tickets and unbumped items, leaving out unpaid and later orders', () => {
+    expect(getKitchenLoad(orders, categories, now)).toEqual({
+      openTickets: 2,
+      stationItems: { grill: 3, fryer: 0, bar: 0, desserts: 0 }
+    });
+  });
+
+  test('should count card orders still being paid when asked, but not abandoned ones', () => {
+    expect(getKitchenLoad(orders, categories, now, { includeAwaitingPayment: true })).toEqual({
+      openTickets: 3,
+      stationItems: { grill: 6, fryer: 0, bar: 0, desserts: 0 }
+    });
+  });
+});
+
+describe('checkKitchenCapacity', () => {
+  const load = getKitchenLoad(orders, categories, now);
+  const drink = [{ id: 2, categoryId: 2, station: 'bar', qty: 1 }];
+  const burgers = [{ id: 1, categoryId: 1, station: 'grill', qty: 2 }];
+
+  test('should have room without limits', () => {
+    expect(checkKitchenCapacity({ maxOpenTickets: null, maxItemsPerStation: null }, load, burgers, categories))
+      .toEqual({ full: false, reasons: [] });
+  });
+
+  test('should be full once the open tickets reach the limit', () => {
+    expect(checkKitchenCapacity({ maxOpenTickets: 2 }, load, drink, categories))
+      .toEqual({ full: true, reasons: ['2 open tickets'] });
+    expect(checkKitchenCapacity({ maxOpenTickets: 3 }, load, drink, categories).full).toBe(false);
+  });
+
+  test('should only check the stations the order needs', () => {
+    const capacity = { maxItemsPerStation: 4 };
+    expect(checkKitchenCapacity(capacity, load, burgers, categories))
+      .toEqual({ full: true, reasons: ['Grill has 3 items to make'] });
+    expect(checkKitchenCapacity(capacity, load, drink, categories).full).toBe(false);
+    expect(checkKitchenCapacity({ maxItemsPerStation: 3 }, load, null, categories).full).toBe(true);
+  });
+});
+
+describe('quoteWaitMinutes', () => {
+  test('should add the busy surcharge to the prep time when full', () => {
+    expect(quoteWaitMinutes(15, { busyExtraMinutes: 20 }, false)).toBe(15);
+    expect(quoteWaitMinutes(15, { busyExtraMinutes: 20 }, true)).toBe(35);
+    expect(quoteWaitMinutes(null, { busyExtraMinutes: 20 }, false)).toBeGreaterThan(0);
+  });
+});
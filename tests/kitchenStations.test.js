@@ -0,0 +1,79 @@
+/**
+ * Kitchen Stations Tests
+ *
+ * Tests for routing order lines to stations and bumping items as done
+ * Run with: npm test
+ */
+
+const {
+  DEFAULT_KITCHEN_STATION,
+  assignStations,
+  getStationLines,
+  allLinesBumped,
+  bumpOrderLine
+} = require('../src/kitchenStations');
+
+const categories = [
+  { id: 1, name: { en: 'Burgers' }, station: 'grill' },
+  { id: 2, name: { en: 'Drinks' }, station: 'bar' },
+  { id: 3, name: { en: 'Cakes' }, station: 'desserts' },
+  { id: 4, name: { en: 'Specials' } }
+];
+
+function buildOrder(status) {
+  return {
+    id: 1,
+    status: status,
+    items: assignStations([
+      { id: 10, name: 'Burger', category_id: 1, qty: 1 },
+      { id: 20, name: 'Cola', category_id: 2, qty: 2 },
+      { id: 30, name: 'Cheesecake', category_id: 3, qty: 1 }
+    ], categories)
+  };
+}
+
+describe('Kitchen Stations', () => {
+  test('should route lines to the station of their category', () => {
+    const lines = assignStations([
+      { id: 10, category_id: 1 },
+      { id: 20, category_id: 2 },
+      { id: 40, category_id: 4 },
+      { id: 50, category_id: 99 }
+    ], categories);
+
+    expect(lines.map(line => line.station)).toEqual(['grill', 'bar', DEFAULT_KITCHEN_STATION, DEFAULT_KITCHEN_STATION]);
+  });
+
+  test('should list station lines with their index and route legacy lines by category', () => {
+    const order = buildOrder('confirmed');
+    expect(getStationLines(order, 'bar', categories)).toEqual([{ line: order.items[1], index: 1 }]);
+
+    const legacy = { items: [{ id: 30, category_id: 3 }] };
+    expect(getStationLines(legacy, 'desserts', categories)).toHaveLength(1);
+    expect(getStationLines(legacy, 'fryer', categories)).toHaveLength(0);
+  });
+
+  test('should bump and un-bump lines and report when every line is done', () => {
+    const order = buildOrder('preparing');
+
+    expect(bumpOrderLine(order, 0, 'grill-cook')).toEqual({ changed: true, error: null });
+    expect(order.items[0].bumpedBy).toBe('grill-cook');
+    expect(order.items[0].bumpedAt).toBeInstanceOf(Date);
+    expect(bumpOrderLine(order, 0, 'grill-cook')).toEqual({ changed: false, error: null });
+
+    bumpOrderLine(order, 1, 'bartender');
+    expect(allLinesBumped(order)).toBe(false);
+    bumpOrderLine(order, 2, 'pastry');
+    expect(allLinesBumped(order)).toBe(true);
+
+    bumpOrderLine(order, 2, 'pastry', false);
+    expect(order.items[2].bumpedAt).toBeNull();
+    expect(allLinesBumped(order)).toBe(false);
+  });
+
+  test('should reject bumps on orders the kitchen is not working on and unknown lines', () => {
+    expect(bumpOrderLine(buildOrder('pending'), 0, 'kitchen').error).toBe('Order is pending, items cannot be bumped');
+    expect(bumpOrderLine(buildOrder('ready'), 0, 'kitchen').error).toContain('cannot be bumped');
+    expect(bumpOrderLine(buildOrder('confirmed'), 5, 'kitchen').error).toBe('Order has no line 5');
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Loyalty Tests
+ *
+ * Tests for the loyalty settings, tiers, earning and redeeming points and
+ * the ledger kept on each client
+ * Run with: npm test
+ */
+
+const {
+  createDefaultLoyaltySettings,
+  normalizeLoyaltySettings,
+  findClientByEmail,
+  getLoyaltySummary,
+  calculatePointsEarned,
+  calculateRedemption,
+  createRedeemCode,
+  checkRedeemCode,
+  clearRedeemCode,
+  addLedgerEntry,
+  settleOrderPoints
+} = require('../src/loyalty');
+
+const loyalty = createDefaultLoyaltySettings();
+
+function client(overrides) {
+  return { id: 1, name: 'Ana', email: 'ana@example.com', loyaltyPoints: 0, lifetimePoints: 0, loyaltyLedger: [], ...overrides };
+}
+
+describe('normalizeLoyaltySettings', () => {
+  test('should merge the changes onto the current settings', () => {
+    const { loyalty: updated, errors } = normalizeLoyaltySettings({
+      pointValue: '0.02',
+      tiers: [
+        { name: 'Gold', minPoints: '1000', multiplier: '2' },
+        { name: 'Member', minPoints: 0, multiplier: 1 }
+      ]
+    }, loyalty);
+
+    expect(errors).toEqual([]);
+    expect(updated).toEqual({
+      enabled: true,
+      pointsPerEuro: 1,
+      pointValue: 0.02,
+      minRedeemPoints: 100,
+      tiers: [
+        { name: 'Member', minPoints: 0, multiplier: 1 },
+        { name: 'Gold', minPoints: 1000, multiplier: 2 }
+      ]
+    });
+  });
+
+  test('should report every invalid field', () => {
+    const { errors } = normalizeLoyaltySettings({
+      pointsPerEuro: -1,
+      pointValue: 0,
+      minRedeemPoints: 2.5,
+      tiers: [
+        { name: '', minPoints: 100, multiplier: 1 },
+        { name: 'Silver', minPoints: 100, multiplier: 0 }
+      ]
+    }, loyalty);
+
+    expect(errors).toEqual([
+      'Points per euro must be zero or more',
+      'Point value must be more than zero',
+      'Minimum points to redeem must be a positive whole number',
+      'Tier 1: name is required',
+      'Silver: multiplier must be more than zero',
+      'Two loyalty tiers need the same number of points',
+      'The first loyalty tier must start at 0 points'
+    ]);
+  });
+});
+
+describe('findClientByEmail', () => {
+  test('should match emails regardless of case', () => {
+    const clients = [client()];
+    expect(findClientByEmail(clients, ' ANA@example.com')).toBe(clients[0]);
+    expect(findClientByEmail(clients, 'bo@example.com')).toBeNull();
+    expect(findClientByEmail(clients, '')).toBeNull();
+  });
+});
+
+describe('getLoyaltySummary', () => {
+  test('should give the tier from lifetime points and the way to the next one', () => {
+    expect(getLoyaltySummary(client({ loyaltyPoints: 120, lifetimePoints: 620 }), loyalty)).toEqual({
+      points: 120,
+      lifetimePoints: 620,
+      value: 6,
+      tier: 'Silver',
+      multiplier: 1.25,
+      nextTier: 'Gold',
+      pointsToNextTier: 880
+    });
+    expect(getLoyaltySummary(client({ lifetimePoints: 2000 }), loyalty)).toMatchObject({ tier: 'Gold', nextTier: null, pointsToNextTier: null });
+  });
+});
+
+describe('calculatePointsEarned', () => {
+  test('should earn per euro at the tier multiplier, dropping part points', () => {
+    expect(calculatePointsEarned(23.6, client(), loyalty)).toBe(23);
+    expect(calculatePointsEarned(23.6, client({ lifetimePoints: 500 }), loyalty)).toBe(29);
+    expect(calculatePointsEarned(-5, client(), loyalty)).toBe(0);
+  });
+});
+
+describe('calculateRedemption', () => {
+  const member = client({ loyaltyPoints: 300 });
+
+  test('should turn points into a discount', () => {
+    expect(calculateRedemption(member, 200, 30, loyalty)).toEqual({ points: 200, discount: 10 });
+    expect(calculateRedemption(null, undefined, 30, loyalty)).toEqual({ points: 0, discount: 0 });
+  });
+
+  test('should reject redemptions the client or order can not cover', () => {
+    expect(calculateRedemption(member, 1.5, 30, loyalty).error).toBe('Points to redeem must be a positive whole number');
+    expect(calculateRedemption(null, 100, 30, loyalty).error).toBe('There are no loyalty points for this email address');
+    expect(calculateRedemption(member, 400, 30, loyalty).error).toBe('Only 300 points are available');
+    expect(calculateRedemption(member, 50, 30, loyalty).error).toBe('Redeem at least 100 points');
+    expect(calculateRedemption(member, 300, 12.99, loyalty).error).toBe('At most 259 points can be redeemed on this order');
+    expect(calculateRedemption(member, 100, 30, { ...loyalty, enabled: false }).error).toBe('Loyalty points can not be redeemed at the moment');
+  });
+});
+
+describe('redeem codes', () => {
+  const now = new Date('2026-06-17T18:00:00Z');
+
+  test('should give a 6 digit code, keeping only its hash', () => {
+    const member = client({ loyaltyPoints: 300 });
+    const code = createRedeemCode(member, now, () => 4321);
+
+    expect(code).toBe('004321');
+    expect(JSON.stringify(member.redeemCode)).not.toContain(code);
+    expect(member.redeemCode).toMatchObject({ expiresAt: '2026-06-17T18:15:00.000Z', attempts: 0 });
+    expect(checkRedeemCode(member, ' 004321 ', now)).toEqual({});
+
+    clearRedeemCode(member);
+    expect(checkRedeemCode(member, code, now).error).toBe('The code is wrong or has expired, ask for a new one');
+  });
+
+  test('should refuse missing, wrong and expired codes the same way for any email', () => {
+    const member = client({ loyaltyPoints: 300 });
+    const code = createRedeemCode(member, now);
+
+    expect(checkRedeemCode(member, '', now).error).toBe('Enter the code we emailed you to redeem points');
+    expect(checkRedeemCode(member, code, new Date('2026-06-17T18:15:00Z')).error).toBe('The code is wrong or has expired, ask for a new one');
+    expect(checkRedeemCode(null, code, now).error).toBe('The code is wrong or has expired, ask for a new one');
+  });
+
+  test('should stop working after too many wrong tries', () => {
+    const member = client({ loyaltyPoints: 300 });
+    const code = createRedeemCode(member, now, () => 111111);
+
+    for (let i = 0; i < 5; i++) {
+      expect(checkRedeemCode(member, '222222', now).error).toBeDefined();
+    }
+    expect(member.redeemCode.attempts).toBe(5);
+    expect(checkRedeemCode(member, code, now).error).toBe('The code is wrong or has expired, ask for a new one');
+  });
+});
+
+describe('addLedgerEntry', () => {
+  test('should keep the balance on each entry and count only earned points towards the tier', () => {
+    const member = client();
+    const now = new Date('2026-06-17T18:00:00Z');
+    addLedgerEntry(member, { type: 'earn', points: 150, orderId: 1, note: 'Order #1' }, now);
+    const entry = addLedgerEntry(member, { type: 'redeem', points: -100, orderId: 2, note: 'Order #2' }, now);
+
+    expect(entry).toEqual({
+      id: 2,
+      type: 'redeem',
+      points: -100,
+      balance: 50,
+      orderId: 2,
+      note: 'Order #2',
+      actor: null,
+      createdAt: '2026-06-17T18:00:00.000Z'
+    });
+    expect(member.loyaltyPoints).toBe(50);
+    expect(member.lifetimePoints).toBe(150);
+  });
+});
+
+describe('settleOrderPoints', () => {
+  test('should earn points once when an order completes, after refunds', () => {
+    const member = client();
+    const order = { id: 7, status: 'completed', total: 40, refunds: [{ amount: 10 }] };
+
+    expect(settleOrderPoints(order, member, loyalty, 'admin')).toMatchObject({ type: 'earn', points: 30, orderId: 7, actor: 'admin' });
+    expect(settleOrderPoints(order, member, loyalty, 'admin')).toBeNull();
+    expect(member.loyaltyPoints).toBe(30);
+  });
+
+  test('should give back the points redeemed on a cancelled order once', () => {
+    const member = client({ loyaltyPoints: 200 });
+    addLedgerEntry(member, { type: 'redeem', points: -100, orderId: 8 });
+    const order = { id: 8, status: 'cancelled', total: 20 };
+
+    expect(settleOrderPoints(order, member, loyalty)).toMatchObject({ type: 'refund', points: 100, balance: 200 });
+    expect(settleOrderPoints(order, member, loyalty)).toBeNull();
+  });
+
+  test('should do nothing for other statuses, unknown clients or when loyalty is off', () => {
+    expect(settleOrderPoints({ id: 9, status: 'ready', total: 20 }, client(), loyalty)).toBeNull();
+    expect(settleOrderPoints({ id: 9, status: 'completed', total: 20 }, null, loyalty)).toBeNull();
+    expect(settleOrderPoints({ id: 9, status: 'completed', total: 20 }, client(), { ...loyalty, enabled: false })).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Modifiers Tests
+ *
+ * Tests for modifier group validation and pricing of chosen modifiers
+ * Run with: npm test
+ */
+
+const { normalizeModifierGroups, resolveModifierSelections } = require('../src/modifiers');
+const { buildOrderLines } = require('../src/pricing');
+
+const burger = {
+  id: 1,
+  name: { en: 'Classic Burger' },
+  price: 12.99,
+  category_id: 1,
+  active: true,
+  modifierGroups: [
+    {
+      id: 'doneness',
+      name: { en: 'Doneness' },
+      minSelect: 1,
+      maxSelect: 1,
+      options: [
+        { id: 'medium', name: { en: 'Medium' }, priceDelta: 0, active: true },
+        { id: 'well-done', name: { en: 'Well done' }, priceDelta: 0, active: true }
+      ]
+    },
+    {
+      id: 'extras',
+      name: { en: 'Extras' },
+      minSelect: 0,
+      maxSelect: 2,
+      options: [
+        { id: 'cheese', name: { en: 'Extra cheese' }, priceDelta: 1.5, active: true },
+        { id: 'bacon', name: { en: 'Bacon' }, priceDelta: 2, active: true },
+        { id: 'truffle', name: { en: 'Truffle' }, priceDelta: 4, active: false },
+        { id: 'no-onions', name: { en: 'No onions' }, priceDelta: 0, active: true }
+      ]
+    }
+  ]
+};
+
+describe('Modifiers', () => {
+  describe('normalizeModifierGroups', () => {
+    test('should fill in ids and defaults', () => {
+      const { groups, errors } = normalizeModifierGroups([
+        { name: 'Size', options: [{ name: 'Large', priceDelta: '2' }, { name: 'Small' }] }
+      ]);
+
+      expect(errors).toHaveLength(0);
+      expect(groups[0]).toMatchObject({ id: 'size', minSelect: 0, maxSelect: 1 });
+      expect(groups[0].options).toEqual([
+        { id: 'large', name: 'Large', priceDelta: 2, active: true },
+        { id: 'small', name: 'Small', priceDelta: 0, active: true }
+      ]);
+    });
+
+    test('should reject impossible selection rules and bad options', () => {
+      const { errors } = normalizeModifierGroups([
+        { id: 'size', name: 'Size', minSelect: 2, maxSelect: 1, options: [{ name: 'Large' }] },
+        { id: 'size', name: 'Size again', options: [{ name: 'Small' }] },
+        { id: 'sauce', name: 'Sauce', options: [{ name: 'Mayo', priceDelta: 'lots' }] }
+      ]);
+
+      expect(errors).toEqual(expect.arrayContaining([
+        expect.stringContaining('maxSelect'),
+        expect.stringContaining('duplicate group id'),
+        expect.stringContaining('priceDelta')
+      ]));
+    });
+
+    test('should reject a non-array value', () => {
+      expect(normalizeModifierGroups('size').errors[0]).toContain('must be an array');
+    });
+  });
+
+  describe('resolveModifierSelections', () => {
+    test('should return the chosen modifiers and their price delta', () => {
+      const { modifiers, priceDelta, errors } = resolveModifierSelections(burger, [
+        { groupId: 'doneness', optionId: 'medium' },
+        { groupId: 'extras', optionId: 'cheese' },
+        { groupId: 'extras', optionId: 'bacon' }
+      ]);
+
+      expect(errors).toHaveLength(0);
+      expect(priceDelta).toBe(3.5);
+      expect(modifiers[1]).toEqual({
+        groupId: 'extras',
+        groupName: 'Extras',
+        optionId: 'cheese',
+        name: 'Extra cheese',
+        priceDelta: 1.5
+      });
+    });
+
+    test('should enforce min/max selections and option availability', () => {
+      expect(resolveModifierSelections(burger, []).errors[0]).toContain('at least 1 from Doneness');
+
+      const tooMany = resolveModifierSelections(burger, [
+        { groupId: 'doneness', optionId: 'medium' },
+        { groupId: 'extras', optionId: 'cheese' },
+        { groupId: 'extras', optionId: 'bacon' },
+        { groupId: 'extras', optionId: 'no-onions' }
+      ]);
+      expect(tooMany.errors[0]).toContain('at most 2 from Extras');
+
+      const unavailable = resolveModifierSelections(burger, [
+        { groupId: 'doneness', optionId: 'medium' },
+        { groupId: 'extras', optionId: 'truffle' }
+      ]);
+      expect(unavailable.errors[0]).toContain('unavailable');
+
+      const unknown = resolveModifierSelections(burger, [
+        { groupId: 'doneness', optionId: 'raw' }
+      ]);
+      expect(unknown.errors[0]).toContain('unknown option');
+    });
+  });
+
+  describe('buildOrderLines with modifiers', () => {
+    test('should price modifiers into the unit price', () => {
+      const { lines, errors } = buildOrderLines([
+        { id: 1, qty: 2, modifiers: [{ groupId: 'doneness', optionId: 'well-done' }, { groupId: 'extras', optionId: 'cheese' }] }
+      ], [burger]);
+
+      expect(errors).toHaveLength(0);
+      expect(lines[0]).toMatchObject({ basePrice: 12.99, price: 14.49, qty: 2, lineTotal: 28.98 });
+      expect(lines[0].modifiers.map(modifier => modifier.name)).toEqual(['Well done', 'Extra cheese']);
+    });
+
+    test('should reject lines with invalid modifiers', () => {
+      const { lines, errors } = buildOrderLines([{ id: 1, qty: 1 }], [burger]);
+
+      expect(lines).toHaveLength(0);
+      expect(errors[0]).toBe('Item 1: choose at least 1 from Doneness');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Order Events Tests
+ *
+ * Tests for the Server-Sent Events hub used by the kitchen and waiter screens
+ * Run with: npm test
+ */
+
+const EventEmitter = require('events');
+const { createOrderEvents } = require('../src/orderEvents');
+
+// Minimal stand-ins for an Express request/response pair
+function createConnection() {
+  const req = new EventEmitter();
+  const res = {
+    status: null,
+    headers: null,
+    chunks: [],
+    writeHead(status, headers) {
+      this.status = status;
+      this.headers = headers;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+    }
+  };
+  return { req, res };
+}
+
+describe('Order Events', () => {
+  let events;
+
+  beforeEach(() => {
+    events = createOrderEvents({ heartbeatInterval: 60000 });
+  });
+
+  test('should open an event stream and deliver published events', () => {
+    const { req, res } = createConnection();
+    events.subscribe(req, res, 'waiter');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+
+    const delivered = events.publish('order-created', { id: 7, status: 'pending', paymentStatus: 'pending', tableNumber: '4' });
+    expect(delivered).toBe(1);
+
+    const message = res.chunks[res.chunks.length - 1];
+    expect(message.startsWith('event: order-created\n')).toBe(true);
+    const data = JSON.parse(message.split('data: ')[1]);
+    expect(data).toMatchObject({ id: 7, status: 'pending', tableNumber: '4' });
+
+    req.emit('close');
+  });
+
+  test('should only send orders that pass a subscriber filter', () => {
+    const kitchen = createConnection();
+    const waiter = createConnection();
+    events.subscribe(kitchen.req, kitchen.res, 'kitchen', order => order.paymentStatus !== 'failed');
+    events.subscribe(waiter.req, waiter.res, 'waiter');
+
+    expect(events.publish('order-created', { id: 8, paymentStatus: 'failed' })).toBe(1);
+    expect(kitchen.res.chunks).toHaveLength(1); // only the retry line
+    expect(waiter.res.chunks).toHaveLength(2);
+
+    kitchen.req.emit('close');
+    waiter.req.emit('close');
+  });
+
+  test('should drop clients when their connection closes', () => {
+    const first = createConnection();
+    const second = createConnection();
+    events.subscribe(first.req, first.res, 'kitchen');
+    events.subscribe(second.req, second.res, 'waiter');
+    expect(events.clientCount()).toBe(2);
+
+    first.req.emit('close');
+    expect(events.clientCount()).toBe(1);
+    expect(events.clientCount('kitchen')).toBe(0);
+    expect(events.publish('order-status-changed', { id: 9, status: 'ready' })).toBe(1);
+
+    second.req.emit('close');
+  });
+
+  test('should reject unknown event types', () => {
+    expect(() => events.publish('order-deleted', { id: 10 })).toThrow('Unknown order event type');
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Order Notifications Tests
+ *
+ * Tests for which status changes email the customer, sending each email
+ * only once per order and the email templates
+ * Run with: npm test
+ */
+
+const { createDefaultSettings, normalizeSettings } = require('../src/settings');
+const {
+  shouldNotify,
+  claimNotification,
+  markNotificationSent,
+  releaseNotification,
+  buildStatusEmail
+} = require('../src/orderNotifications');
+
+const settings = createDefaultSettings({});
+
+function createOrder(overrides = {}) {
+  return {
+    id: 7,
+    orderType: 'takeaway',
+    status: 'confirmed',
+    customerName: 'Ana',
+    customerEmail: 'ana@example.com',
+    ...overrides
+  };
+}
+
+describe('shouldNotify', () => {
+  test('should email confirmed, ready and cancelled orders', () => {
+    expect(shouldNotify(createOrder(), 'confirmed', settings)).toBe(true);
+    expect(shouldNotify(createOrder(), 'ready', settings)).toBe(true);
+    expect(shouldNotify(createOrder(), 'cancelled', settings)).toBe(true);
+    expect(shouldNotify(createOrder(), 'preparing', settings)).toBe(false);
+  });
+
+  test('should leave out ready emails for orders not picked up', () => {
+    expect(shouldNotify(createOrder({ orderType: 'dine-in' }), 'ready', settings)).toBe(false);
+    expect(shouldNotify(createOrder({ orderType: 'delivery' }), 'ready', settings)).toBe(false);
+  });
+
+  test('should respect the settings and orders without an email', () => {
+    const quiet = normalizeSettings({ notifications: { confirmed: false } }, settings).settings;
+    expect(quiet.notifications).toEqual({ confirmed: false, ready: true, cancelled: true });
+    expect(shouldNotify(createOrder(), 'confirmed', quiet)).toBe(false);
+    expect(shouldNotify(createOrder({ customerEmail: '' }), 'cancelled', settings)).toBe(false);
+  });
+});
+
+describe('sending once', () => {
+  const now = new Date('2026-06-17T19:00:00Z');
+
+  test('should not notify again once claimed or sent', () => {
+    const order = createOrder();
+
+    expect(claimNotification(order, 'confirmed', now)).toBe(true);
+    expect(claimNotification(order, 'confirmed', now)).toBe(false);
+    expect(shouldNotify(order, 'confirmed', settings)).toBe(false);
+
+    markNotificationSent(order, 'confirmed', 'msg-1', now);
+    expect(order.notifications).toEqual({ confirmed: { state: 'sent', at: '2026-06-17T19:00:00.000Z', messageId: 'msg-1' } });
+    expect(shouldNotify(order, 'confirmed', settings)).toBe(false);
+    expect(shouldNotify(order, 'ready', settings)).toBe(true);
+  });
+
+  test('should allow a retry after a failed send', () => {
+    const order = createOrder({ notifications: { confirmed: { state: 'sent', at: now.toISOString() } } });
+
+    claimNotification(order, 'cancelled', now);
+    releaseNotification(order, 'cancelled');
+    expect(Object.keys(order.notifications)).toEqual(['confirmed']);
+    expect(shouldNotify(order, 'cancelled', settings)).toBe(true);
+  });
+});
+
+describe('buildStatusEmail', () => {
+  const options = { restaurantName: 'AROMA Restaurant', trackingUrl: 'https://example.com/track/abc' };
+
+  test('should tell the customer the order is confirmed with the quoted wait', () => {
+    const email = buildStatusEmail(createOrder({ quotedWaitMinutes: 35 }), 'confirmed', options);
+    expect(email.subject).toBe('Your order #7 is confirmed - AROMA Restaurant');
+    expect(email.html).toContain('about 35 minutes');
+    expect(email.html).toContain('https://example.com/track/abc');
+  });
+
+  test('should tell the customer the order is ready for pickup', () => {
+    const email = buildStatusEmail(createOrder(), 'ready', options);
+    expect(email.subject).toBe('Your order #7 is ready for pickup - AROMA Restaurant');
+    expect(email.html).toContain('ready for pickup');
+  });
+
+  test('should give the reason for a cancellation', () => {
+    const email = buildStatusEmail(createOrder({ customerName: 'Ana <b>' }), 'cancelled', { ...options, reason: 'Out of <buns>' });
+    expect(email.subject).toBe('Your order #7 was cancelled - AROMA Restaurant');
+    expect(email.html).toContain('<strong>Reason:</strong> Out of &lt;buns&gt;');
+    expect(email.html).toContain('Hello Ana &lt;b&gt;!');
+    expect(email.html).not.toContain('Track your order');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Order Status Tests
+ *
+ * Tests for the order status state machine and transition history
+ * Run with: npm test
+ */
+
+const {
+  getNextStatuses,
+  canTransition,
+  transitionOrderStatus
+} = require('../src/orderStatus');
+
+describe('Order Status', () => {
+  test('should allow the normal lifecycle step by step', () => {
+    const order = { id: 1, status: 'pending' };
+    const steps = ['confirmed', 'preparing', 'ready', 'served', 'completed'];
+
+    steps.forEach(step => {
+      const result = transitionOrderStatus(order, step, 'kitchen');
+      expect(result).toEqual({ changed: true, error: null });
+    });
+
+    expect(order.status).toBe('completed');
+    expect(order.statusHistory.map(entry => entry.to)).toEqual(steps);
+    expect(getNextStatuses('completed')).toEqual([]);
+  });
+
+  test('should reject skipped steps, unknown statuses and moves out of final states', () => {
+    expect(canTransition('pending', 'completed')).toBe(false);
+    expect(canTransition('served', 'cancelled')).toBe(false);
+    expect(canTransition('cancelled', 'pending')).toBe(false);
+
+    const order = { id: 2, status: 'confirmed' };
+    const skipped = transitionOrderStatus(order, 'completed', 'admin');
+    expect(skipped.error).toBe('Order is confirmed, cannot move to completed');
+    expect(order.status).toBe('confirmed');
+    expect(order.statusHistory).toBeUndefined();
+
+    expect(transitionOrderStatus(order, 'shipped', 'admin').error).toContain('Unknown order status');
+  });
+
+  test('should record who cancelled an order and when', () => {
+    const order = { id: 3, status: 'preparing', statusHistory: [] };
+    transitionOrderStatus(order, 'cancelled', 'waiter', 'Customer left');
+
+    expect(order.statusHistory).toHaveLength(1);
+    expect(order.statusHistory[0]).toMatchObject({
+      from: 'preparing',
+      to: 'cancelled',
+      actor: 'waiter',
+      note: 'Customer left'
+    });
+    expect(order.statusHistory[0].at).toBeInstanceOf(Date);
+  });
+
+  test('should treat setting the same status as a no-op and legacy orders as pending', () => {
+    const order = { id: 4, status: 'ready', statusHistory: [] };
+    expect(transitionOrderStatus(order, 'ready', 'admin')).toEqual({ changed: false, error: null });
+    expect(order.statusHistory).toHaveLength(0);
+
+    const legacy = { id: 5 };
+    expect(transitionOrderStatus(legacy, 'confirmed', 'admin').changed).toBe(true);
+    expect(legacy.statusHistory[0].from).toBe('pending');
+  });
+});
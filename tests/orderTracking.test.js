@@ -0,0 +1,115 @@
+/**
+ * Order Tracking Tests
+ *
+ * Tests for tracking tokens, the steps shown to the customer, the estimated
+ * ready time and what the tracking page shows about an order
+ * Run with: npm test
+ */
+
+const {
+  generateTrackingToken,
+  isTrackingToken,
+  findOrderByTrackingToken,
+  getTrackingSteps,
+  getEstimatedReadyTime,
+  buildTrackingView
+} = require('../src/orderTracking');
+
+const menuItems = [
+  { id: 1, name: { en: 'Burger' }, prepTime: '20 min' },
+  { id: 2, name: { en: 'Lemonade' }, prepTime: '2 min' }
+];
+
+const createdAt = '2026-06-17T19:00:00.000Z';
+
+function createOrder(overrides = {}) {
+  return {
+    id: 7,
+    trackingToken: 'a'.repeat(32),
+    orderType: 'takeaway',
+    status: 'pending',
+    customerName: 'Ana',
+    customerEmail: 'ana@example.com',
+    customerPhone: '+43 660 1234567',
+    items: [{ id: 1, name: 'Burger', qty: 2, modifiers: [{ name: 'Extra cheese' }], note: 'No onions' }],
+    total: 21,
+    paymentStatus: 'unpaid',
+    statusHistory: [],
+    createdAt,
+    ...overrides
+  };
+}
+
+describe('tracking tokens', () => {
+  test('should be 32 random hex characters', () => {
+    const token = generateTrackingToken();
+    expect(token).toMatch(/^[0-9a-f]{32}$/);
+    expect(generateTrackingToken()).not.toBe(token);
+    expect(generateTrackingToken(size => Buffer.alloc(size, 255))).toBe('f'.repeat(32));
+  });
+
+  test('should find orders by token only', () => {
+    const orders = [createOrder(), createOrder({ id: 8, trackingToken: 'b'.repeat(32) })];
+
+    expect(findOrderByTrackingToken(orders, 'b'.repeat(32)).id).toBe(8);
+    expect(findOrderByTrackingToken(orders, 'c'.repeat(32))).toBeNull();
+    expect(findOrderByTrackingToken(orders, '7')).toBeNull();
+    expect(findOrderByTrackingToken([{ id: 9 }], undefined)).toBeNull();
+    expect(isTrackingToken('A'.repeat(32))).toBe(false);
+  });
+});
+
+describe('getTrackingSteps', () => {
+  const doneSteps = order => getTrackingSteps(order).filter(step => step.done).map(step => step.label);
+
+  test('should mark the steps passed with wording for the order type', () => {
+    expect(doneSteps(createOrder({ status: 'ready' }))).toEqual(['Order received', 'Confirmed', 'Being prepared', 'Ready for pickup']);
+    expect(getTrackingSteps(createOrder({ status: 'ready' })).find(step => step.current).status).toBe('ready');
+    expect(doneSteps(createOrder({ orderType: 'delivery', status: 'served' })).pop()).toBe('Out for delivery');
+  });
+
+  test('should count statuses that are not a step of the order type', () => {
+    expect(doneSteps(createOrder({ orderType: 'dine-in', status: 'completed' }))).toHaveLength(5);
+    expect(doneSteps(createOrder({ status: 'served' })).pop()).toBe('Ready for pickup');
+    expect(doneSteps(createOrder({ status: 'cancelled' }))).toEqual([]);
+  });
+});
+
+describe('getEstimatedReadyTime', () => {
+  const now = new Date('2026-06-17T19:05:00Z');
+
+  test('should expect the order after its slowest item', () => {
+    expect(getEstimatedReadyTime(createOrder(), menuItems, now)).toEqual(new Date('2026-06-17T19:20:00Z'));
+  });
+
+  test('should not promise less than the wait quoted at checkout', () => {
+    expect(getEstimatedReadyTime(createOrder({ quotedWaitMinutes: 40 }), menuItems, now)).toEqual(new Date('2026-06-17T19:40:00Z'));
+  });
+
+  test('should use the pickup slot, the ready time or nothing', () => {
+    const pickupTime = '2026-06-17T21:00:00.000Z';
+    expect(getEstimatedReadyTime(createOrder({ pickupTime }), menuItems, now)).toEqual(new Date(pickupTime));
+
+    const ready = createOrder({ status: 'ready', statusHistory: [{ from: 'preparing', to: 'ready', at: '2026-06-17T19:18:00.000Z' }] });
+    expect(getEstimatedReadyTime(ready, menuItems, now)).toEqual(new Date('2026-06-17T19:18:00Z'));
+    expect(getEstimatedReadyTime(createOrder({ status: 'cancelled' }), menuItems, now)).toBeNull();
+  });
+});
+
+describe('buildTrackingView', () => {
+  test('should show the progress and items without the contact details', () => {
+    const view = buildTrackingView(createOrder({ status: 'preparing' }), menuItems, new Date('2026-06-17T19:05:00Z'));
+
+    expect(view).toMatchObject({
+      orderId: 7,
+      status: 'preparing',
+      statusLabel: 'Being prepared',
+      orderTypeLabel: 'Takeaway',
+      ready: false,
+      estimatedReadyAt: '2026-06-17T19:20:00.000Z',
+      items: [{ name: 'Burger', qty: 2, modifiers: ['Extra cheese'], note: 'No onions' }],
+      total: 21
+    });
+    expect(JSON.stringify(view)).not.toMatch(/ana@example.com|Ana|1234567/);
+  });
+});
@@ -0,0 +1,515 @@
+/**
+ * Orders API Tests
+ *
+ * Route tests for placing orders (pricing, promotions, loyalty points, gift
+ * cards and card payments), the Stripe webhook, refunds and paying a table's
+ * tab, against a local stub of the Stripe API and data files in a temporary
+ * directory
+ * Run with: npm test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const querystring = require('querystring');
+const request = require('supertest');
+const Stripe = require('stripe');
+const sgMail = require('@sendgrid/mail');
+
+// Emails are captured instead of sent
+jest.mock('@sendgrid/mail', () => ({
+  setApiKey: jest.fn(),
+  send: jest.fn(async () => [{ statusCode: 202, headers: { 'x-message-id': 'msg-test' } }])
+}));
+
+const WEBHOOK_SECRET = 'whsec_test_stub';
+
+describe('Orders API', () => {
+  let app;
+  let dataDir;
+  let stubServer;
+  let stubRequests = [];
+  let stubFails = false;
+  let stubIdCounter = 0;
+
+  beforeAll((done) => {
+    // Minimal stand-in for the Stripe API: PaymentIntents and refunds succeed unless told to fail
+    stubServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const params = querystring.parse(body);
+        stubRequests.push({ method: req.method, url: req.url, headers: req.headers, body: params });
+        res.setHeader('Content-Type', 'application/json');
+        // Answer a little later so orders placed together overlap while they wait on Stripe
+        setTimeout(() => {
+          if (stubFails) {
+            res.statusCode = 400;
+            return res.end(JSON.stringify({ error: { type: 'card_error', message: 'Your card was declined.' } }));
+          }
+          stubIdCounter++;
+          const id = req.url === '/v1/refunds' ? `re_test_${stubIdCounter}` : `pi_test_${stubIdCounter}`;
+          res.end(JSON.stringify({
+            id,
+            object: req.url === '/v1/refunds' ? 'refund' : 'payment_intent',
+            amount: parseInt(params.amount),
+            currency: params.currency,
+            client_secret: `${id}_secret_abc`,
+            status: req.url === '/v1/refunds' ? 'succeeded' : 'requires_payment_method'
+          }));
+        }, 20);
+      });
+    });
+    stubServer.listen(0, () => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aroma-orders-api-'));
+      process.env.DATA_DIR = dataDir;
+      process.env.STRIPE_SECRET_KEY = 'sk_test_stub';
+      process.env.STRIPE_API_HOST = 'localhost';
+      process.env.STRIPE_API_PORT = String(stubServer.address().port);
+      process.env.STRIPE_API_PROTOCOL = 'http';
+      process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+      process.env.FRONTEND_URL = 'https://order.example.com';
+      process.env.SENDGRID_API_KEY = 'SG.test_stub';
+
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      app = require('../src/server');
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    jest.restoreAllMocks();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    stubServer.close(done);
+  });
+
+  beforeEach(() => {
+    stubRequests = [];
+    stubFails = false;
+  });
+
+  let emailCounter = 0;
+
+  function placeOrder(overrides = {}) {
+    emailCounter++;
+    return request(app)
+      .post('/api/orders')
+      .send({
+        items: [{ id: 1, qty: 1 }],
+        orderType: 'takeaway',
+        customerName: 'Ana',
+        customerEmail: `ana${emailCounter}@example.com`,
+        ...overrides
+      });
+  }
+
+  async function findOrder(orderId) {
+    const response = await request(app).get('/admin/api/orders').auth('admin', 'changeme');
+    return response.body.find(order => order.id === orderId);
+  }
+
+  // Put a customer on the client list with some points
+  async function addPoints(email, points) {
+    await placeOrder({ customerEmail: email, marketingConsent: true }).expect(200);
+    const clients = await request(app).get('/admin/api/clients').auth('admin', 'changeme');
+    const client = clients.body.find(c => c.email === email);
+    await request(app)
+      .post(`/admin/api/clients/${client.id}/loyalty`)
+      .auth('admin', 'changeme')
+      .send({ points, note: 'Welcome bonus' })
+      .expect(200);
+  }
+
+  // Ask for a redeem code and read it from the email
+  async function getRedeemCode(email) {
+    sgMail.send.mockClear();
+    await request(app).post('/api/loyalty/code').send({ email }).expect(200);
+    const sent = sgMail.send.mock.calls.find(([message]) => message.to === email);
+    return sent ? sent[0].html.match(/>(\d{6})</)[1] : null;
+  }
+
+  function sendWebhook(event) {
+    const payload = JSON.stringify(event);
+    const signature = new Stripe('sk_test_stub').webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+    return request(app)
+      .post('/api/payments/webhook')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', signature)
+      .send(payload);
+  }
+
+  describe('POST /api/orders', () => {
+    test('should price the order from the menu and default to cash', async () => {
+      const response = await placeOrder({ total: 1 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.pricing).toMatchObject({ subtotal: 12.99, total: 15.33 });
+      expect(response.body.totalMismatch).toBe(true);
+      expect(response.body.payment).toMatchObject({ method: 'cash', status: 'unpaid', amountDue: 15.33, paymentIntentId: null });
+      expect(stubRequests).toHaveLength(0);
+    });
+
+    test('should link the tracking page on the frontend URL whatever the Host header says', async () => {
+      const response = await placeOrder().set('Host', 'attacker.example');
+
+      expect(response.status).toBe(200);
+      expect(response.body.trackingUrl).toBe(`https://order.example.com/track/${response.body.trackingToken}`);
+    });
+
+    test('should refuse items that are not on the menu', async () => {
+      const response = await placeOrder({ items: [{ id: 99999, qty: 1 }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid order items');
+    });
+
+    test('should start a card payment keyed by the order', async () => {
+      const response = await placeOrder({ paymentMethod: 'card' });
+      const order = await findOrder(response.body.orderId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.payment).toMatchObject({ method: 'card', status: 'pending', clientSecret: `${order.paymentIntentId}_secret_abc` });
+      expect(stubRequests).toHaveLength(1);
+      expect(stubRequests[0].body.amount).toBe('1533');
+      expect(stubRequests[0].headers['idempotency-key']).toBe(`order-payment-intent-${order.paymentIdempotencyKey}`);
+    });
+
+    test('should let only one of two orders placed together take a promotion\'s last use', async () => {
+      await request(app)
+        .post('/admin/api/promotions')
+        .auth('admin', 'changeme')
+        .send({ name: 'Launch', code: 'LAUNCH', type: 'fixed', value: 5, maxUses: 1 })
+        .expect(201);
+
+      const responses = await Promise.all([
+        placeOrder({ promoCode: 'launch', paymentMethod: 'card' }),
+        placeOrder({ promoCode: 'launch', paymentMethod: 'card' })
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+      const placed = responses.find(response => response.status === 200);
+      expect(placed.body.pricing.discount).toBe(5);
+      expect(responses.find(response => response.status === 400).body.error).toMatch(/used up/);
+    });
+
+    test('should only redeem points with the code emailed to the customer', async () => {
+      await addPoints('victim@example.com', 200);
+
+      const withoutCode = await placeOrder({ customerEmail: 'victim@example.com', redeemPoints: 100 });
+      expect(withoutCode.status).toBe(400);
+      expect(withoutCode.body.error).toBe('Enter the code we emailed you to redeem points');
+
+      const code = await getRedeemCode('victim@example.com');
+      const wrongCode = await placeOrder({ customerEmail: 'victim@example.com', redeemPoints: 100, redeemCode: code === '000000' ? '000001' : '000000' });
+      expect(wrongCode.status).toBe(400);
+      expect(wrongCode.body.error).toBe('The code is wrong or has expired, ask for a new one');
+
+      // Nothing is emailed for addresses without points, and the answer is the same
+      expect(await getRedeemCode('nobody@example.com')).toBeNull();
+
+      const placed = await placeOrder({ customerEmail: 'victim@example.com', redeemPoints: 100, redeemCode: code });
+      expect(placed.status).toBe(200);
+      expect(placed.body.loyalty.pointsRedeemed).toBe(100);
+
+      const reused = await placeOrder({ customerEmail: 'victim@example.com', redeemPoints: 100, redeemCode: code });
+      expect(reused.status).toBe(400);
+    });
+
+    test('should let only one of two orders placed together spend the same points', async () => {
+      await addPoints('points@example.com', 200);
+      const redeemCode = await getRedeemCode('points@example.com');
+
+      const responses = await Promise.all([
+        placeOrder({ customerEmail: 'points@example.com', redeemPoints: 150, redeemCode, paymentMethod: 'card' }),
+        placeOrder({ customerEmail: 'points@example.com', redeemPoints: 150, redeemCode, paymentMethod: 'card' })
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+      expect(responses.find(response => response.status === 200).body.loyalty).toEqual({ pointsRedeemed: 150, discount: 7.5 });
+    });
+
+    test('should charge the card only what the gift card leaves and not spend its balance twice', async () => {
+      const issued = await request(app)
+        .post('/admin/api/gift-cards')
+        .auth('admin', 'changeme')
+        .send({ amount: 10 })
+        .expect(201);
+
+      const responses = await Promise.all([
+        placeOrder({ giftCardCode: issued.body.giftCard.code, paymentMethod: 'card' }),
+        placeOrder({ giftCardCode: issued.body.giftCard.code, paymentMethod: 'card' })
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+      const placed = responses.find(response => response.status === 200);
+      expect(placed.body.payment.giftCard.amount).toBe(10);
+      expect(placed.body.payment.amountDue).toBe(5.33);
+      expect(stubRequests).toHaveLength(1);
+      expect(stubRequests[0].body.amount).toBe('533');
+    });
+
+    test('should rate limit gift card codes and not tell which ones exist', async () => {
+      const issued = await request(app)
+        .post('/admin/api/gift-cards')
+        .auth('admin', 'changeme')
+        .send({ amount: 10 })
+        .expect(201);
+      await placeOrder({ giftCardCode: issued.body.giftCard.code, paymentMethod: 'card' }).expect(200);
+
+      const unknown = await placeOrder({ giftCardCode: 'AAAA-BBBB-CCCC', paymentMethod: 'card' });
+      const empty = await placeOrder({ giftCardCode: issued.body.giftCard.code, paymentMethod: 'card' });
+      expect(unknown.status).toBe(400);
+      expect(empty.status).toBe(400);
+      expect(empty.body.error).toBe(unknown.body.error);
+      expect(unknown.headers['ratelimit-limit']).toBe('10');
+      expect(Number(empty.headers['ratelimit-remaining'])).toBeLessThan(Number(unknown.headers['ratelimit-remaining']));
+
+      const withoutCard = await placeOrder();
+      expect(withoutCard.headers['ratelimit-limit']).toBeUndefined();
+    });
+
+    test('should not let orders placed together go over the kitchen\'s limits', async () => {
+      // Drinks get a station of their own, so only these orders count against its limit
+      await request(app).put('/api/menu/categories/3').send({ station: 'bar' }).expect(200);
+      await request(app)
+        .put('/admin/api/settings')
+        .auth('admin', 'changeme')
+        .send({ kitchenCapacity: { maxItemsPerStation: 1, whenFull: 'pause' } })
+        .expect(200);
+
+      const drink = { items: [{ id: 4, qty: 1 }], paymentMethod: 'card' };
+      const responses = await Promise.all([placeOrder(drink), placeOrder(drink)]);
+      const later = await placeOrder(drink);
+
+      await request(app)
+        .put('/admin/api/settings')
+        .auth('admin', 'changeme')
+        .send({ kitchenCapacity: { maxItemsPerStation: null } })
+        .expect(200);
+      await request(app).put('/api/menu/categories/3').send({ station: '' }).expect(200);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 503]);
+      expect(responses.find(response => response.status === 503).body.busy).toBe(true);
+      // The first order is still waiting on its card payment
+      expect(later.status).toBe(503);
+    });
+
+    test('should give back the points and gift card balance when the payment cannot be started', async () => {
+      await addPoints('declined@example.com', 100);
+      const issued = await request(app)
+        .post('/admin/api/gift-cards')
+        .auth('admin', 'changeme')
+        .send({ amount: 5 })
+        .expect(201);
+
+      stubFails = true;
+      const response = await placeOrder({
+        customerEmail: 'declined@example.com',
+        redeemPoints: 100,
+        redeemCode: await getRedeemCode('declined@example.com'),
+        giftCardCode: issued.body.giftCard.code,
+        paymentMethod: 'card'
+      });
+
+      expect(response.status).toBe(502);
+
+      // Placing it again can spend the same points and balance
+      stubFails = false;
+      const retry = await placeOrder({
+        customerEmail: 'declined@example.com',
+        redeemPoints: 100,
+        redeemCode: await getRedeemCode('declined@example.com'),
+        giftCardCode: issued.body.giftCard.code,
+        paymentMethod: 'card'
+      });
+      expect(retry.status).toBe(200);
+      expect(retry.body.loyalty.pointsRedeemed).toBe(100);
+      expect(retry.body.payment.giftCard.amount).toBe(5);
+    });
+  });
+
+  describe('POST /api/payments/webhook', () => {
+    test('should refuse events without a valid signature', async () => {
+      const response = await request(app)
+        .post('/api/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .set('Stripe-Signature', 't=1,v1=bad')
+        .send(JSON.stringify({ id: 'evt_bad', type: 'payment_intent.succeeded', data: { object: {} } }));
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should mark the order paid and then partially refunded', async () => {
+      const placed = await placeOrder({ paymentMethod: 'card' });
+      const paymentIntentId = placed.body.payment.paymentIntentId;
+
+      const succeeded = await sendWebhook({
+        id: 'evt_succeeded',
+        type: 'payment_intent.succeeded',
+        data: { object: { id: paymentIntentId, object: 'payment_intent', metadata: {} } }
+      });
+      expect(succeeded.body).toEqual({ received: true, orderId: placed.body.orderId, paymentStatus: 'paid' });
+
+      const refunded = await sendWebhook({
+        id: 'evt_refunded',
+        type: 'charge.refunded',
+        data: { object: { id: 'ch_test', object: 'charge', payment_intent: paymentIntentId, amount: 1533, amount_refunded: 500, refunded: false, metadata: {} } }
+      });
+      expect(refunded.body.paymentStatus).toBe('partially_refunded');
+      expect((await findOrder(placed.body.orderId)).paymentStatus).toBe('partially_refunded');
+    });
+  });
+
+  describe('POST /admin/orders/:id/force-status', () => {
+    test('should answer without waiting for the status email', async () => {
+      const placed = await placeOrder().expect(200);
+      let finishSending;
+      sgMail.send.mockImplementationOnce(() => new Promise(resolve => {
+        finishSending = () => resolve([{ statusCode: 202, headers: { 'x-message-id': 'msg-slow' } }]);
+      }));
+
+      await request(app)
+        .post(`/admin/orders/${placed.body.orderId}/force-status`)
+        .auth('admin', 'changeme')
+        .send({ status: 'confirmed' })
+        .expect(200);
+      expect((await findOrder(placed.body.orderId)).notifications.confirmed.state).toBe('sending');
+
+      finishSending();
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect((await findOrder(placed.body.orderId)).notifications.confirmed).toMatchObject({ state: 'sent', messageId: 'msg-slow' });
+    });
+  });
+
+  describe('POST /admin/orders/:id/refund', () => {
+    function refundOrder(orderId, body) {
+      return request(app).post(`/admin/orders/${orderId}/refund`).auth('admin', 'changeme').send(body);
+    }
+
+    test('should require a reason', async () => {
+      const placed = await placeOrder();
+      const response = await refundOrder(placed.body.orderId, { type: 'full' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A refund reason is required');
+    });
+
+    test('should refuse to refund orders that were not paid', async () => {
+      const cash = await placeOrder();
+      const card = await placeOrder({ paymentMethod: 'card' });
+
+      for (const placed of [cash, card]) {
+        const response = await refundOrder(placed.body.orderId, { type: 'full', reason: 'Wrong order' });
+        expect(response.status).toBe(409);
+        expect(response.body.error).toBe(`Order ${placed.body.orderId} has not been paid, there is nothing to refund`);
+      }
+    });
+
+    test('should record a refund of an order paid in cash without going to Stripe', async () => {
+      const placed = await placeOrder({ items: [{ id: 1, qty: 2 }], orderType: 'dine-in', tableNumber: '9' });
+      await request(app)
+        .post(`/waiter/api/tabs/${placed.body.tabId}/payments`)
+        .auth('waiter', 'waiter123')
+        .send({ amount: placed.body.pricing.total, method: 'cash' })
+        .expect(200);
+
+      const response = await refundOrder(placed.body.orderId, { type: 'lines', lines: [{ lineIndex: 0, qty: 1 }], reason: 'Cold' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.refund).toMatchObject({ type: 'lines', provider: 'manual', actor: 'admin' });
+      expect(response.body.refund.amount).toBeCloseTo(placed.body.pricing.total / 2, 2);
+      expect(response.body.paymentStatus).toBe('paid');
+      expect(stubRequests).toHaveLength(0);
+    });
+
+    test('should refund the card what it was charged, tip included, and the rest onto the gift card', async () => {
+      const issued = await request(app)
+        .post('/admin/api/gift-cards')
+        .auth('admin', 'changeme')
+        .send({ amount: 5 })
+        .expect(201);
+      const placed = await placeOrder({ giftCardCode: issued.body.giftCard.code, tip: 2, paymentMethod: 'card' });
+      expect(placed.body.payment.amountDue).toBe(12.33);
+      await sendWebhook({
+        id: 'evt_paid_before_refund',
+        type: 'payment_intent.succeeded',
+        data: { object: { id: placed.body.payment.paymentIntentId, object: 'payment_intent', metadata: {} } }
+      });
+      stubRequests = [];
+
+      const response = await refundOrder(placed.body.orderId, { type: 'full', reason: 'Wrong order' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.refund).toMatchObject({ amount: 17.33, provider: 'stripe', giftCardAmount: 5, actor: 'admin' });
+      expect(response.body.paymentStatus).toBe('refunded');
+      expect(stubRequests).toHaveLength(1);
+      expect(stubRequests[0].url).toBe('/v1/refunds');
+      expect(stubRequests[0].body.amount).toBe('1233');
+      expect(stubRequests[0].headers['idempotency-key']).toBe(`order-refund-${response.body.refund.idempotencyKey}`);
+
+      const cards = await request(app).get('/admin/api/gift-cards').auth('admin', 'changeme');
+      expect(cards.body.giftCards.find(card => card.id === issued.body.giftCard.id).balance).toBe(5);
+    });
+
+    test('should not record anything when Stripe refuses the refund', async () => {
+      const placed = await placeOrder({ paymentMethod: 'card' });
+      await sendWebhook({
+        id: 'evt_paid_before_failed_refund',
+        type: 'payment_intent.succeeded',
+        data: { object: { id: placed.body.payment.paymentIntentId, object: 'payment_intent', metadata: {} } }
+      });
+
+      stubFails = true;
+      const response = await refundOrder(placed.body.orderId, { type: 'full', reason: 'Wrong order' });
+
+      expect(response.status).toBe(502);
+      const order = await findOrder(placed.body.orderId);
+      expect(order.refunds || []).toEqual([]);
+      expect(order.paymentStatus).toBe('paid');
+    });
+  });
+
+  describe('POST /waiter/api/tabs/:id/payments', () => {
+    test('should bill the table without card orders still being paid online and close once paid', async () => {
+      const cash = await placeOrder({ orderType: 'dine-in', tableNumber: '7' });
+      const card = await placeOrder({ orderType: 'dine-in', tableNumber: '07', paymentMethod: 'card' });
+      expect(card.body.tabId).toBe(cash.body.tabId);
+
+      const tabUrl = `/waiter/api/tabs/${cash.body.tabId}`;
+      const before = await request(app).get(tabUrl).auth('waiter', 'waiter123');
+      expect(before.body.tab.summary).toMatchObject({
+        orderCount: 1,
+        total: cash.body.pricing.total,
+        awaitingOnlinePayment: card.body.pricing.total,
+        balance: cash.body.pricing.total
+      });
+
+      const tooMuch = await request(app)
+        .post(`${tabUrl}/payments`)
+        .auth('waiter', 'waiter123')
+        .send({ amount: cash.body.pricing.total + 1, method: 'cash' });
+      expect(tooMuch.status).toBe(400);
+
+      const paid = await request(app)
+        .post(`${tabUrl}/payments`)
+        .auth('waiter', 'waiter123')
+        .send({ amount: cash.body.pricing.total, method: 'card', tip: 1.5 });
+
+      expect(paid.status).toBe(200);
+      expect(paid.body.payment).toMatchObject({ amount: cash.body.pricing.total, method: 'card', tip: 1.5, actor: 'waiter' });
+      expect(paid.body.tab.status).toBe('closed');
+      expect(paid.body.tab.summary).toMatchObject({ balance: 0, tips: 1.5 });
+      expect((await findOrder(cash.body.orderId)).paymentStatus).toBe('paid');
+      expect((await findOrder(card.body.orderId)).paymentStatus).toBe('pending');
+    });
+
+    test('should need a waiter to take payments', async () => {
+      const placed = await placeOrder({ orderType: 'dine-in', tableNumber: '8' });
+      const response = await request(app).post(`/waiter/api/tabs/${placed.body.tabId}/payments`).send({ amount: 1 });
+
+      expect(response.status).toBe(401);
+    });
+  });
+});
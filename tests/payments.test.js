@@ -0,0 +1,170 @@
+/**
+ * Payments Tests
+ *
+ * Tests for Stripe PaymentIntent creation (against a local stub of the
+ * Stripe API) and webhook event handling
+ * Run with: npm test
+ */
+
+const http = require('http');
+const querystring = require('querystring');
+const {
+  createStripeClient,
+  generateIdempotencyKey,
+  createPaymentIntent,
+  createGiftCardPaymentIntent,
+  createRefund,
+  verifyWebhookEvent,
+  paymentStatusFromEvent,
+  paymentIntentIdFromEvent,
+  canApplyPaymentStatus,
+  isKitchenVisible
+} = require('../src/payments');
+
+describe('Payments', () => {
+  let stubServer;
+  let stubPort;
+  let stubRequests = [];
+
+  beforeAll((done) => {
+    // Minimal stand-in for the Stripe API
+    stubServer = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        stubRequests.push({ method: req.method, url: req.url, headers: req.headers, body: querystring.parse(body) });
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          id: 'pi_test_123',
+          object: 'payment_intent',
+          amount: parseInt(querystring.parse(body).amount),
+          currency: querystring.parse(body).currency,
+          client_secret: 'pi_test_123_secret_abc',
+          status: 'requires_payment_method'
+        }));
+      });
+    });
+    stubServer.listen(0, () => {
+      stubPort = stubServer.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    stubServer.close(done);
+  });
+
+  beforeEach(() => {
+    stubRequests = [];
+  });
+
+  test('createStripeClient should return null without a secret key', () => {
+    const previous = { key: process.env.STRIPE_SECRET_KEY, legacy: process.env.STRIPE_SECRET };
+    delete process.env.STRIPE_SECRET_KEY;
+    delete process.env.STRIPE_SECRET;
+
+    expect(createStripeClient()).toBeNull();
+
+    if (previous.key !== undefined) process.env.STRIPE_SECRET_KEY = previous.key;
+    if (previous.legacy !== undefined) process.env.STRIPE_SECRET = previous.legacy;
+  });
+
+  test('generateIdempotencyKey should give a new random key each time', () => {
+    expect(generateIdempotencyKey()).toMatch(/^[0-9a-f]{32}$/);
+    expect(generateIdempotencyKey()).not.toBe(generateIdempotencyKey());
+    expect(generateIdempotencyKey(size => Buffer.alloc(size, 0))).toBe('0'.repeat(32));
+  });
+
+  test('createPaymentIntent should send the order total in cents with an idempotency key', async () => {
+    const stripe = createStripeClient({ secretKey: 'sk_test_stub', host: 'localhost', port: stubPort, protocol: 'http' });
+    const intent = await createPaymentIntent(stripe, { id: 42, total: 39.64, customerEmail: 'a@example.com', paymentIdempotencyKey: 'abc123' }, 'EUR');
+
+    expect(intent.id).toBe('pi_test_123');
+    expect(intent.client_secret).toBe('pi_test_123_secret_abc');
+    expect(stubRequests).toHaveLength(1);
+    expect(stubRequests[0].url).toBe('/v1/payment_intents');
+    expect(stubRequests[0].body.amount).toBe('3964');
+    expect(stubRequests[0].body.currency).toBe('eur');
+    expect(stubRequests[0].body['metadata[orderId]']).toBe('42');
+    expect(stubRequests[0].headers['idempotency-key']).toBe('order-payment-intent-abc123');
+  });
+
+  test('createPaymentIntent should charge the tip on top of the total', async () => {
+    const stripe = createStripeClient({ secretKey: 'sk_test_stub', host: 'localhost', port: stubPort, protocol: 'http' });
+    await createPaymentIntent(stripe, { id: 43, total: 39.64, tip: 4 }, 'EUR');
+
+    expect(stubRequests[stubRequests.length - 1].body.amount).toBe('4364');
+  });
+
+  test('createPaymentIntent should leave out what a gift card paid', async () => {
+    const stripe = createStripeClient({ secretKey: 'sk_test_stub', host: 'localhost', port: stubPort, protocol: 'http' });
+    await createPaymentIntent(stripe, { id: 44, total: 39.64, tip: 4, giftCard: { code: 'ABCD-EFGH-JKLM', amount: 25 } }, 'EUR');
+
+    expect(stubRequests[stubRequests.length - 1].body.amount).toBe('1864');
+  });
+
+  test('createGiftCardPaymentIntent should charge the card amount with the gift card id', async () => {
+    const stripe = createStripeClient({ secretKey: 'sk_test_stub', host: 'localhost', port: stubPort, protocol: 'http' });
+    await createGiftCardPaymentIntent(stripe, { id: 5, code: 'ABCD-EFGH-JKLM', initialAmount: 50, purchaserEmail: 'a@example.com', paymentIdempotencyKey: 'def456' }, 'EUR');
+
+    const request = stubRequests[stubRequests.length - 1];
+    expect(request.body.amount).toBe('5000');
+    expect(request.body['metadata[giftCardId]']).toBe('5');
+    expect(request.headers['idempotency-key']).toBe('gift-card-payment-intent-def456');
+  });
+
+  test('createRefund should key the refund by the random key on the refund record', async () => {
+    const stripe = createStripeClient({ secretKey: 'sk_test_stub', host: 'localhost', port: stubPort, protocol: 'http' });
+    await createRefund(stripe, { id: 42, paymentIntentId: 'pi_test_123' }, 12.5, { id: '42-1', idempotencyKey: 'ghi789' });
+
+    const request = stubRequests[stubRequests.length - 1];
+    expect(request.url).toBe('/v1/refunds');
+    expect(request.body.amount).toBe('1250');
+    expect(request.body['metadata[refundId]']).toBe('42-1');
+    expect(request.headers['idempotency-key']).toBe('order-refund-ghi789');
+  });
+
+  test('verifyWebhookEvent should accept signed payloads and reject tampered ones', () => {
+    const stripe = createStripeClient({ secretKey: 'sk_test_stub' });
+    const secret = 'whsec_test';
+    const payload = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded', data: { object: { id: 'pi_1', object: 'payment_intent' } } });
+    const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+    const event = verifyWebhookEvent(stripe, Buffer.from(payload), signature, secret);
+    expect(event.type).toBe('payment_intent.succeeded');
+
+    expect(() => verifyWebhookEvent(stripe, Buffer.from(payload.replace('pi_1', 'pi_2')), signature, secret)).toThrow();
+  });
+
+  test('paymentStatusFromEvent should map Stripe events to order payment states', () => {
+    const intentEvent = type => ({ type, data: { object: { id: 'pi_1', object: 'payment_intent' } } });
+
+    expect(paymentStatusFromEvent(intentEvent('payment_intent.succeeded'))).toBe('paid');
+    expect(paymentStatusFromEvent(intentEvent('payment_intent.payment_failed'))).toBe('failed');
+    expect(paymentStatusFromEvent(intentEvent('customer.created'))).toBeNull();
+
+    const refund = { type: 'charge.refunded', data: { object: { object: 'charge', payment_intent: 'pi_1', amount: 1000, amount_refunded: 1000 } } };
+    expect(paymentStatusFromEvent(refund)).toBe('refunded');
+    expect(paymentIntentIdFromEvent(refund)).toBe('pi_1');
+
+    refund.data.object.amount_refunded = 400;
+    expect(paymentStatusFromEvent(refund)).toBe('partially_refunded');
+  });
+
+  test('canApplyPaymentStatus should not let late events undo a refund', () => {
+    expect(canApplyPaymentStatus('pending', 'paid')).toBe(true);
+    expect(canApplyPaymentStatus('failed', 'paid')).toBe(true);
+    expect(canApplyPaymentStatus('paid', 'refunded')).toBe(true);
+    expect(canApplyPaymentStatus('paid', 'failed')).toBe(false);
+    expect(canApplyPaymentStatus('refunded', 'paid')).toBe(false);
+    expect(canApplyPaymentStatus('paid', 'paid')).toBe(false);
+  });
+
+  test('isKitchenVisible should hide orders awaiting or failing payment', () => {
+    expect(isKitchenVisible({ paymentStatus: 'paid' })).toBe(true);
+    expect(isKitchenVisible({ paymentStatus: 'unpaid' })).toBe(true);
+    expect(isKitchenVisible({})).toBe(true);
+    expect(isKitchenVisible({ paymentStatus: 'pending' })).toBe(false);
+    expect(isKitchenVisible({ paymentStatus: 'failed' })).toBe(false);
+  });
+});
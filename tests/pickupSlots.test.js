@@ -0,0 +1,101 @@
+/**
+ * Pickup Slots Tests
+ *
+ * Tests for takeaway pickup slots from the opening hours, slot capacity and
+ * when orders ordered ahead reach the kitchen
+ * Run with: npm test
+ */
+
+const { createDefaultSettings, normalizeSettings } = require('../src/settings');
+const {
+  getSlotUsage,
+  buildPickupSlots,
+  checkPickupTime,
+  getStartCookingTime,
+  isDueInKitchen
+} = require('../src/pickupSlots');
+
+// Open 11:00-22:00 every day except Monday; 2 orders or 6 items per slot
+const settings = normalizeSettings({
+  openingHours: { monday: { closed: true } },
+  pickup: { maxOrdersPerSlot: 2, maxItemsPerSlot: 6, minLeadMinutes: 30, daysAhead: 2 }
+}, createDefaultSettings({})).settings;
+
+// Tuesday 2 June 2026, 10:00
+const now = new Date(2026, 5, 2, 10, 0);
+
+const orders = [
+  { id: 1, status: 'confirmed', pickupTime: new Date(2026, 5, 2, 12, 0).toISOString(), items: [{ id: 1, qty: 2 }] },
+  { id: 2, status: 'pending', pickupTime: new Date(2026, 5, 2, 12, 10).toISOString(), items: [{ id: 3, qty: 1 }] },
+  { id: 3, status: 'cancelled', pickupTime: new Date(2026, 5, 2, 12, 15).toISOString(), items: [{ id: 1, qty: 1 }] },
+  { id: 4, status: 'pending', pickupTime: new Date(2026, 5, 2, 12, 15).toISOString(), items: [{ id: 1, qty: 5 }] },
+  { id: 5, status: 'pending', items: [{ id: 1, qty: 1 }] },
+  { id: 6, status: 'pending', paymentStatus: 'failed', pickupTime: new Date(2026, 5, 2, 12, 30).toISOString(), items: [{ id: 1, qty: 1 }] }
+];
+
+describe('getSlotUsage', () => {
+  test('should count the orders and items booked for a slot, cancelled and failed ones aside', () => {
+    expect(getSlotUsage(orders, new Date(2026, 5, 2, 12, 0))).toEqual({ orders: 2, items: 3 });
+    expect(getSlotUsage(orders, new Date(2026, 5, 2, 12, 15))).toEqual({ orders: 1, items: 5 });
+    expect(getSlotUsage(orders, new Date(2026, 5, 2, 12, 30))).toEqual({ orders: 0, items: 0 });
+  });
+});
+
+describe('buildPickupSlots', () => {
+  test('should offer quarter hours while open, from the notice period on', () => {
+    const slots = buildPickupSlots(settings, orders, new Date(2026, 5, 2), now);
+
+    expect(slots).toHaveLength(44);
+    expect(new Date(slots[0].time)).toEqual(new Date(2026, 5, 2, 11, 0));
+    expect(new Date(slots[slots.length - 1].time)).toEqual(new Date(2026, 5, 2, 21, 45));
+
+    const lateMorning = buildPickupSlots(settings, orders, new Date(2026, 5, 2), new Date(2026, 5, 2, 11, 20));
+    expect(new Date(lateMorning[0].time)).toEqual(new Date(2026, 5, 2, 12, 0));
+  });
+
+  test('should mark full slots and leave out closed days and days too far ahead', () => {
+    const slots = buildPickupSlots(settings, orders, new Date(2026, 5, 2), now, 2);
+    const availability = time => slots.find(slot => new Date(slot.time).getTime() === time.getTime()).available;
+
+    expect(availability(new Date(2026, 5, 2, 12, 0))).toBe(false);
+    expect(availability(new Date(2026, 5, 2, 12, 15))).toBe(false);
+    expect(availability(new Date(2026, 5, 2, 12, 30))).toBe(true);
+
+    expect(buildPickupSlots(settings, orders, new Date(2026, 5, 8), now)).toEqual([]);
+    expect(buildPickupSlots(settings, orders, new Date(2026, 5, 5), now)).toEqual([]);
+    expect(buildPickupSlots({ ...settings, pickup: { ...settings.pickup, enabled: false } }, orders, new Date(2026, 5, 2), now)).toEqual([]);
+  });
+});
+
+describe('checkPickupTime', () => {
+  test('should accept an open slot with room', () => {
+    expect(checkPickupTime(settings, orders, new Date(2026, 5, 2, 12, 15).toISOString(), 1, now))
+      .toEqual({ pickupTime: new Date(2026, 5, 2, 12, 15) });
+  });
+
+  test('should explain why a pickup time is refused', () => {
+    const check = (time, itemCount = 1) => checkPickupTime(settings, orders, time, itemCount, now).error;
+
+    expect(check('soon')).toBe('Pickup time must be a date and time');
+    expect(check(new Date(2026, 5, 2, 10, 15))).toBe('Pickup time must be at least 30 minutes from now');
+    expect(check(new Date(2026, 5, 5, 12, 0))).toBe('Pickup time can be at most 2 days ahead');
+    expect(check(new Date(2026, 5, 2, 12, 40))).toBe('Pickup time must be on a 15 minute slot');
+    expect(check(new Date(2026, 5, 2, 22, 0))).toBe('We are closed at that pickup time');
+    expect(check(new Date(2026, 5, 2, 12, 0))).toBe('That pickup slot is full, please choose another');
+    expect(check(new Date(2026, 5, 2, 12, 15), 2)).toBe('That pickup slot is full, please choose another');
+    expect(checkPickupTime({ ...settings, pickup: { ...settings.pickup, enabled: false } }, orders, new Date(2026, 5, 2, 13, 0), 1, now).error)
+      .toBe('Ordering ahead is not available');
+  });
+});
+
+describe('kitchen release', () => {
+  test('should hold an order ordered ahead until it is time to cook it', () => {
+    const startCookingAt = getStartCookingTime(new Date(2026, 5, 2, 12, 0).toISOString(), 25);
+    expect(startCookingAt).toEqual(new Date(2026, 5, 2, 11, 35));
+
+    const order = { id: 6, startCookingAt: startCookingAt.toISOString() };
+    expect(isDueInKitchen(order, new Date(2026, 5, 2, 11, 30))).toBe(false);
+    expect(isDueInKitchen(order, new Date(2026, 5, 2, 11, 35))).toBe(true);
+    expect(isDueInKitchen({ id: 7 }, now)).toBe(true);
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Pricing Tests
+ *
+ * Tests for server-side order line building and total calculation
+ * Run with: npm test
+ */
+
+const {
+  MAX_LINE_NOTE_LENGTH,
+  buildOrderLines,
+  getServiceChargeRate,
+  calculateOrderTotals,
+  calculateLineTaxes,
+  repriceOrder,
+  totalsMatch
+} = require('../src/pricing');
+
+const menuItems = [
+  { id: 1, name: { en: 'Classic Burger' }, price: 12.99, category_id: 1, active: true },
+  { id: 3, name: { en: 'French Fries' }, price: 4.99, category_id: 2, active: true },
+  { id: 9, name: { en: 'Old Special' }, price: 8.5, category_id: 1, active: false }
+];
+
+const settings = { taxRate: 0.18, serviceCharge: 0.10, deliveryFee: 2.50 };
+
+describe('Pricing', () => {
+  describe('buildOrderLines', () => {
+    test('should price lines from the menu and ignore client prices', () => {
+      const { lines, errors } = buildOrderLines([
+        { id: 1, qty: 2, price: 0.01 },
+        { id: 3, quantity: 1 }
+      ], menuItems);
+
+      expect(errors).toHaveLength(0);
+      expect(lines).toHaveLength(2);
+      expect(lines[0]).toMatchObject({ id: 1, name: 'Classic Burger', price: 12.99, qty: 2, quantity: 2, lineTotal: 25.98 });
+      expect(lines[1]).toMatchObject({ id: 3, price: 4.99, qty: 1, lineTotal: 4.99 });
+    });
+
+    test('should report unknown, inactive and invalid items', () => {
+      const { errors } = buildOrderLines([
+        { id: 42, qty: 1 },
+        { id: 9, qty: 1 },
+        { id: 1, qty: -3 },
+        { qty: 1 }
+      ], menuItems);
+
+      expect(errors).toHaveLength(4);
+      expect(errors[0]).toContain('not found');
+      expect(errors[1]).toContain('unavailable');
+      expect(errors[2]).toContain('quantity');
+      expect(errors[3]).toContain('item id');
+    });
+  });
+
+  describe('line notes and seats', () => {
+    test('should keep a trimmed note and the seat on each line', () => {
+      const { lines, errors } = buildOrderLines([
+        { id: 1, qty: 1, note: '  no pickles ', seat: 2 },
+        { id: 3, qty: 1, seat: '' }
+      ], menuItems);
+
+      expect(errors).toHaveLength(0);
+      expect(lines[0]).toMatchObject({ note: 'no pickles', seat: 2 });
+      expect(lines[1]).toMatchObject({ note: '', seat: null });
+    });
+
+    test('should reject invalid seats and overlong notes', () => {
+      const { errors } = buildOrderLines([
+        { id: 1, qty: 1, seat: 0 },
+        { id: 1, qty: 1, seat: 'window' },
+        { id: 3, qty: 1, note: 'x'.repeat(MAX_LINE_NOTE_LENGTH + 1) }
+      ], menuItems);
+
+      expect(errors).toHaveLength(3);
+      expect(errors[0]).toContain('seat');
+      expect(errors[1]).toContain('seat');
+      expect(errors[2]).toContain('note');
+    });
+  });
+
+  describe('calculateOrderTotals', () => {
+    const { lines } = buildOrderLines([{ id: 1, qty: 2 }, { id: 3, qty: 1 }], menuItems);
+
+    test('should apply tax and service charge to dine-in orders', () => {
+      const totals = calculateOrderTotals(lines, settings, { orderType: 'dine-in' });
+
+      expect(totals.subtotal).toBe(30.97);
+      expect(totals.tax).toBe(5.57);
+      expect(totals.serviceCharge).toBe(3.1);
+      expect(totals.deliveryFee).toBe(0);
+      expect(totals.total).toBe(39.64);
+    });
+
+    test('should charge the delivery fee but no service charge on delivery orders', () => {
+      const totals = calculateOrderTotals(lines, settings, { orderType: 'delivery' });
+
+      expect(totals.serviceCharge).toBe(0);
+      expect(totals.deliveryFee).toBe(2.5);
+      expect(totals.total).toBe(39.04);
+    });
+
+    test('should charge the delivery zone fee in place of the flat fee', () => {
+      const totals = calculateOrderTotals(lines, settings, { orderType: 'delivery', deliveryFee: 4 });
+      expect(totals.deliveryFee).toBe(4);
+      expect(totals.total).toBe(40.54);
+
+      expect(calculateOrderTotals(lines, settings, { orderType: 'takeaway', deliveryFee: 4 }).deliveryFee).toBe(0);
+    });
+
+    test('should apply the discount before tax and never go below zero', () => {
+      const discounted = calculateOrderTotals(lines, settings, { orderType: 'takeaway', discount: 10 });
+      expect(discounted.discount).toBe(10);
+      expect(discounted.tax).toBe(3.77);
+      expect(discounted.total).toBe(24.74);
+
+      const overDiscounted = calculateOrderTotals(lines, settings, { orderType: 'takeaway', discount: 100 });
+      expect(overDiscounted.discount).toBe(30.97);
+      expect(overDiscounted.total).toBe(0);
+    });
+  });
+
+  describe('calculateLineTaxes', () => {
+    const lines = [
+      { id: 1, price: 20, qty: 1, lineTotal: 20, taxClass: 'standard', taxRate: 0.18 },
+      { id: 2, price: 10, qty: 1, lineTotal: 10, taxClass: 'reduced', taxRate: 0.07 },
+      { id: 3, price: 5, qty: 2, lineTotal: 10, taxClass: 'reduced', taxRate: 0.07 }
+    ];
+
+    test('should tax each rate once and share the tax over its lines', () => {
+      const { lineTaxes, taxBreakdown } = calculateLineTaxes(lines, 4, 0.18, false);
+
+      expect(taxBreakdown).toEqual([
+        { taxClass: 'standard', rate: 0.18, net: 18, tax: 3.24, gross: 21.24 },
+        { taxClass: 'reduced', rate: 0.07, net: 18, tax: 1.26, gross: 19.26 }
+      ]);
+      expect(lineTaxes).toEqual([
+        { taxClass: 'standard', taxRate: 0.18, net: 18, tax: 3.24 },
+        { taxClass: 'reduced', taxRate: 0.07, net: 9, tax: 0.63 },
+        { taxClass: 'reduced', taxRate: 0.07, net: 9, tax: 0.63 }
+      ]);
+    });
+
+    test('should take the tax out of prices that include it', () => {
+      const { lineTaxes, taxBreakdown } = calculateLineTaxes(lines, 0, 0.18, true);
+
+      expect(taxBreakdown).toEqual([
+        { taxClass: 'standard', rate: 0.18, net: 16.95, tax: 3.05, gross: 20 },
+        { taxClass: 'reduced', rate: 0.07, net: 18.69, tax: 1.31, gross: 20 }
+      ]);
+      expect(lineTaxes[1].net + lineTaxes[2].net).toBeCloseTo(18.69, 2);
+    });
+
+    test('should use the default rate for lines without one', () => {
+      const { taxBreakdown } = calculateLineTaxes([{ id: 1, price: 10, qty: 1 }], 0, 0.1, false);
+      expect(taxBreakdown).toEqual([{ taxClass: null, rate: 0.1, net: 10, tax: 1, gross: 11 }]);
+    });
+  });
+
+  describe('mixed and included tax', () => {
+    const lines = [
+      { id: 1, price: 20, qty: 1, lineTotal: 20, taxClass: 'standard', taxRate: 0.18 },
+      { id: 2, price: 10, qty: 1, lineTotal: 10, taxClass: 'reduced', taxRate: 0.07 }
+    ];
+
+    test('should add the tax of every rate and leave taxRate empty', () => {
+      const totals = calculateOrderTotals(lines, { ...settings, serviceCharge: 0 }, { orderType: 'takeaway' });
+
+      expect(totals.taxRate).toBeNull();
+      expect(totals.tax).toBe(4.3);
+      expect(totals.total).toBe(34.3);
+    });
+
+    test('should not add tax on top when prices include it', () => {
+      const totals = calculateOrderTotals(lines, { ...settings, pricesIncludeTax: true }, { orderType: 'dine-in' });
+
+      expect(totals.pricesIncludeTax).toBe(true);
+      expect(totals.tax).toBe(3.7);
+      expect(totals.serviceCharge).toBe(3);
+      expect(totals.total).toBe(33);
+    });
+
+    test('should keep an order included-tax and per-line when repricing', () => {
+      const order = {
+        orderType: 'takeaway',
+        items: lines.map(line => ({ ...line })),
+        taxRate: null,
+        pricesIncludeTax: true,
+        serviceChargeRate: 0,
+        discount: 10
+      };
+
+      repriceOrder(order);
+      expect(order.total).toBe(20);
+      expect(order.taxBreakdown.map(entry => entry.rate)).toEqual([0.18, 0.07]);
+      expect(order.items[0].tax + order.items[1].tax).toBeCloseTo(order.tax, 2);
+    });
+  });
+
+  describe('getServiceChargeRate', () => {
+    test('should default to dine-in orders only', () => {
+      expect(getServiceChargeRate(settings, { orderType: 'dine-in' })).toBe(0.1);
+      expect(getServiceChargeRate(settings, { orderType: 'takeaway' })).toBe(0);
+    });
+
+    test('should follow the configured order types and party size', () => {
+      const partyRules = { ...settings, serviceChargeRules: { orderTypes: ['dine-in'], minPartySize: 6 } };
+      expect(getServiceChargeRate(partyRules, { orderType: 'dine-in', partySize: 6 })).toBe(0.1);
+      expect(getServiceChargeRate(partyRules, { orderType: 'dine-in', partySize: 5 })).toBe(0);
+      expect(getServiceChargeRate(partyRules, { orderType: 'dine-in' })).toBe(0);
+
+      const everyOrder = { ...settings, serviceChargeRules: { orderTypes: [], minPartySize: null } };
+      expect(getServiceChargeRate(everyOrder, { orderType: 'delivery' })).toBe(0.1);
+    });
+
+    test('should apply the party size rule when pricing an order', () => {
+      const partyRules = { ...settings, serviceChargeRules: { orderTypes: ['dine-in'], minPartySize: 6 } };
+      const { lines } = buildOrderLines([{ id: 1, qty: 2 }, { id: 3, qty: 1 }], menuItems);
+      expect(calculateOrderTotals(lines, partyRules, { orderType: 'dine-in', partySize: 2 }).serviceCharge).toBe(0);
+      expect(calculateOrderTotals(lines, partyRules, { orderType: 'dine-in', partySize: 8 }).serviceCharge).toBe(3.1);
+    });
+  });
+
+  describe('repriceOrder', () => {
+    test('should use the rates stored on the order', () => {
+      const order = {
+        orderType: 'dine-in',
+        items: [{ id: 1, price: 10, qty: 2, lineTotal: 20 }],
+        taxRate: 0.1,
+        serviceChargeRate: 0,
+        discount: 5
+      };
+
+      repriceOrder(order);
+      expect(order.subtotal).toBe(20);
+      expect(order.tax).toBe(1.5);
+      expect(order.total).toBe(16.5);
+    });
+
+    test('should keep the service charge an order was given whatever its type', () => {
+      const order = {
+        orderType: 'takeaway',
+        items: [{ id: 1, price: 10, qty: 2, lineTotal: 20 }],
+        taxRate: 0,
+        serviceChargeRate: 0.1,
+        discount: 10
+      };
+
+      repriceOrder(order);
+      expect(order.serviceCharge).toBe(1);
+      expect(order.total).toBe(11);
+    });
+
+    test('should keep the items minus discount total for legacy orders', () => {
+      const order = { items: [{ id: 1, price: 4, quantity: 3 }], discount: 2 };
+
+      repriceOrder(order);
+      expect(order.total).toBe(10);
+    });
+  });
+
+  describe('totalsMatch', () => {
+    test('should tolerate rounding noise but not real differences', () => {
+      expect(totalsMatch('39.64', 39.64)).toBe(true);
+      expect(totalsMatch(39.641, 39.64)).toBe(true);
+      expect(totalsMatch(30.97, 39.64)).toBe(false);
+      expect(totalsMatch('abc', 39.64)).toBe(false);
+    });
+  });
+});
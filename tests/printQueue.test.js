@@ -0,0 +1,70 @@
+/**
+ * Print Queue Tests
+ *
+ * Tests for the network printer queue: ordering, retries and configuration
+ * Run with: npm test
+ */
+
+const net = require('net');
+const { createPrintQueue, sendToPrinter } = require('../src/printQueue');
+
+describe('Print Queue', () => {
+  test('should not be created without a printer host', () => {
+    const previousHost = process.env.PRINTER_HOST;
+    delete process.env.PRINTER_HOST;
+    expect(createPrintQueue()).toBeNull();
+    if (previousHost !== undefined) process.env.PRINTER_HOST = previousHost;
+  });
+
+  test('should print jobs in order', async () => {
+    const printed = [];
+    const queue = createPrintQueue({
+      host: 'printer.local',
+      send: async (host, port, data) => {
+        printed.push(`${host}:${port} ${data.toString()}`);
+      }
+    });
+
+    const first = queue.enqueue(Buffer.from('first'), 'Order #1 kitchen');
+    queue.enqueue(Buffer.from('second'), 'Order #2 kitchen');
+    await queue.drain();
+
+    expect(first).toMatchObject({ id: 1, status: 'printing', bytes: 5 });
+    expect(first.data).toBeUndefined();
+    expect(printed).toEqual(['printer.local:9100 first', 'printer.local:9100 second']);
+    expect(queue.list().map(job => job.status)).toEqual(['printed', 'printed']);
+  });
+
+  test('should retry failed jobs and give up after the last attempt', async () => {
+    let calls = 0;
+    const queue = createPrintQueue({
+      host: 'printer.local',
+      port: 9101,
+      retryDelay: 0,
+      maxAttempts: 2,
+      send: async () => {
+        calls++;
+        throw new Error('Printer offline');
+      }
+    });
+
+    queue.enqueue(Buffer.from('ticket'));
+    await queue.drain();
+
+    expect(calls).toBe(2);
+    expect(queue.list()[0]).toMatchObject({ status: 'failed', attempts: 2, error: 'Printer offline' });
+  });
+
+  test('should send raw bytes over TCP', async () => {
+    const received = [];
+    const server = net.createServer(socket => {
+      socket.on('data', chunk => received.push(chunk));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    await sendToPrinter('127.0.0.1', server.address().port, Buffer.from([0x1b, 0x40, 0x41]), 1000);
+    await new Promise(resolve => server.close(resolve));
+
+    expect([...Buffer.concat(received)]).toEqual([0x1b, 0x40, 0x41]);
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * Promotions Tests
+ *
+ * Tests for validating promotions, pricing each promotion type and applying
+ * promo codes and automatic promotions to an order
+ * Run with: npm test
+ */
+
+const {
+  normalizePromotion,
+  getUnavailableReason,
+  countPromotionUses,
+  calculatePromotionDiscount,
+  applyPromotions,
+  buildPromotionReport
+} = require('../src/promotions');
+
+const lines = [
+  { id: 1, name: 'Classic Burger', category_id: 1, price: 12, qty: 2, lineTotal: 24 },
+  { id: 3, name: 'French Fries', category_id: 2, price: 4, qty: 1, lineTotal: 4 },
+  { id: 4, name: 'Cola', category_id: 3, price: 3, qty: 3, lineTotal: 9 }
+];
+
+function promotion(overrides) {
+  return {
+    id: 1,
+    name: 'Promo',
+    code: null,
+    type: 'percentage',
+    value: 0.1,
+    itemId: null,
+    buyQuantity: null,
+    getQuantity: null,
+    itemIds: [],
+    categoryIds: [],
+    minSpend: 0,
+    schedule: null,
+    validFrom: null,
+    validTo: null,
+    maxUses: null,
+    maxUsesPerCustomer: null,
+    active: true,
+    ...overrides
+  };
+}
+
+// 17 June 2026 is a Wednesday
+const wednesdayEvening = new Date(2026, 5, 17, 18, 0);
+
+describe('normalizePromotion', () => {
+  test('should clean up a promo code promotion', () => {
+    const { promotion, errors } = normalizePromotion({
+      name: ' Summer ',
+      code: 'summer10',
+      type: 'percentage',
+      value: '0.1',
+      categoryIds: ['2', 2, 'x'],
+      minSpend: '20',
+      maxUses: '100',
+      schedule: { days: ['friday'], start: '17:00', end: '19:00' }
+    });
+
+    expect(errors).toEqual([]);
+    expect(promotion).toMatchObject({
+      name: 'Summer',
+      code: 'SUMMER10',
+      value: 0.1,
+      categoryIds: [2],
+      minSpend: 20,
+      maxUses: 100,
+      maxUsesPerCustomer: null,
+      schedule: { days: ['friday'], start: '17:00', end: '19:00' },
+      active: true
+    });
+  });
+
+  test('should report every invalid field', () => {
+    const { errors } = normalizePromotion({
+      name: '',
+      code: 'A B',
+      type: 'buy-x-get-y',
+      buyQuantity: 0,
+      minSpend: -1,
+      schedule: { days: ['someday'], start: '19:00', end: '17:00' },
+      validFrom: '2026-06-10',
+      validTo: '2026-06-01',
+      maxUses: 1.5
+    });
+
+    expect(errors).toEqual([
+      'Name is required',
+      'Code must be 3-30 letters, numbers or dashes',
+      'Buy quantity must be a positive whole number',
+      'Buy X get Y needs both quantities',
+      'Minimum spend must be zero or more',
+      'Happy hour days must be from monday, tuesday, wednesday, thursday, friday, saturday, sunday',
+      'Happy hour must end after it starts',
+      'Valid to must be after valid from',
+      'Usage limit must be a positive whole number'
+    ]);
+  });
+
+  test('should keep promo codes unique', () => {
+    const existing = [promotion({ id: 1, code: 'SAVE5' })];
+    expect(normalizePromotion({ name: 'Again', code: 'save5', type: 'fixed', value: 5 }, existing).errors)
+      .toEqual(['Code SAVE5 is already used by another promotion']);
+    expect(normalizePromotion({ name: 'Same', code: 'SAVE5', type: 'fixed', value: 5 }, existing, 1).errors).toEqual([]);
+  });
+});
+
+describe('getUnavailableReason', () => {
+  test('should check the validity dates and the active flag', () => {
+    expect(getUnavailableReason(promotion({ validFrom: new Date(2026, 5, 18) }), wednesdayEvening)).toBe('Promo has not started yet');
+    expect(getUnavailableReason(promotion({ validTo: new Date(2026, 5, 16) }), wednesdayEvening)).toBe('Promo has expired');
+    expect(getUnavailableReason(promotion({ active: false }), wednesdayEvening)).toBe('Promo is not active');
+    expect(getUnavailableReason(promotion(), wednesdayEvening)).toBeNull();
+  });
+
+  test('should only allow happy hours on their days and times', () => {
+    const happyHour = promotion({ name: 'Happy hour', schedule: { days: ['wednesday'], start: '17:00', end: '19:00' } });
+    expect(getUnavailableReason(happyHour, wednesdayEvening)).toBeNull();
+    expect(getUnavailableReason(happyHour, new Date(2026, 5, 17, 19, 0)))
+      .toBe('Happy hour is only available on wednesday from 17:00 to 19:00');
+    expect(getUnavailableReason(happyHour, new Date(2026, 5, 18, 18, 0))).not.toBeNull();
+  });
+});
+
+describe('calculatePromotionDiscount', () => {
+  test('should take a percentage off the lines in scope', () => {
+    expect(calculatePromotionDiscount(promotion(), lines)).toEqual({ amount: 3.7 });
+    expect(calculatePromotionDiscount(promotion({ value: 0.5, categoryIds: [3] }), lines)).toEqual({ amount: 4.5 });
+  });
+
+  test('should take a fixed amount off, never more than the order', () => {
+    expect(calculatePromotionDiscount(promotion({ type: 'fixed', value: 5 }), lines)).toEqual({ amount: 5 });
+    expect(calculatePromotionDiscount(promotion({ type: 'fixed', value: 50 }), lines)).toEqual({ amount: 37 });
+  });
+
+  test('should make one of the free item free when it is on the order', () => {
+    expect(calculatePromotionDiscount(promotion({ type: 'free-item', itemId: 3 }), lines)).toEqual({ amount: 4 });
+    expect(calculatePromotionDiscount(promotion({ type: 'free-item', itemId: 9 }), lines).error)
+      .toBe('Add the free item to your order to use Promo');
+  });
+
+  test('should make the cheapest items free on buy X get Y', () => {
+    const threeForTwo = promotion({ type: 'buy-x-get-y', buyQuantity: 2, getQuantity: 1 });
+    // 6 items, so the 2 cheapest (two colas) are free
+    expect(calculatePromotionDiscount(threeForTwo, lines)).toEqual({ amount: 6 });
+    expect(calculatePromotionDiscount({ ...threeForTwo, itemIds: [1] }, lines).error)
+      .toBe('Order 3 qualifying items to use Promo');
+  });
+
+  test('should require the minimum spend', () => {
+    expect(calculatePromotionDiscount(promotion({ minSpend: 40 }), lines).error).toBe('Spend at least 40.00 to use Promo');
+  });
+});
+
+describe('applyPromotions', () => {
+  const promotions = [
+    promotion({ id: 1, name: 'Ten off', code: 'TENOFF', type: 'fixed', value: 10, maxUsesPerCustomer: 1 }),
+    promotion({ id: 2, name: 'Drinks hour', schedule: { days: [], start: '17:00', end: '19:00' }, categoryIds: [3], value: 0.5 }),
+    promotion({ id: 3, name: 'Small treat', type: 'fixed', value: 1 })
+  ];
+
+  test('should add the best automatic promotion to the promo code', () => {
+    const result = applyPromotions(lines, promotions, { code: 'tenoff', now: wednesdayEvening });
+
+    expect(result.discount).toBe(14.5);
+    expect(result.promotions).toEqual([
+      { id: 1, name: 'Ten off', code: 'TENOFF', type: 'fixed', amount: 10 },
+      { id: 2, name: 'Drinks hour', code: null, type: 'percentage', amount: 4.5 }
+    ]);
+  });
+
+  test('should only apply automatic promotions that are available', () => {
+    const result = applyPromotions(lines, promotions, { now: new Date(2026, 5, 17, 12, 0) });
+    expect(result.promotions.map(applied => applied.name)).toEqual(['Small treat']);
+  });
+
+  test('should reject unknown and used up codes', () => {
+    expect(applyPromotions(lines, promotions, { code: 'nope', now: wednesdayEvening }).error).toBe('Promo code NOPE is not valid');
+
+    const orders = [{ id: 1, status: 'completed', customerEmail: 'Ana@example.com', promotions: [{ id: 1, amount: 10 }] }];
+    expect(applyPromotions(lines, promotions, { code: 'TENOFF', customerEmail: 'ana@example.com', orders, now: wednesdayEvening }).error)
+      .toBe('You have already used Ten off');
+    expect(applyPromotions(lines, promotions, { code: 'TENOFF', customerEmail: 'bo@example.com', orders, now: wednesdayEvening }).error)
+      .toBeUndefined();
+  });
+
+  test('should never discount more than the subtotal', () => {
+    const big = [promotion({ id: 4, name: 'Big', code: 'BIG', type: 'fixed', value: 30 }), promotion({ id: 5, name: 'Auto', type: 'fixed', value: 20 })];
+    const result = applyPromotions(lines, big, { code: 'BIG', now: wednesdayEvening });
+
+    expect(result.discount).toBe(37);
+    expect(result.promotions.map(applied => applied.amount)).toEqual([30, 7]);
+  });
+});
+
+describe('countPromotionUses', () => {
+  test('should count orders that used the promotion, leaving out cancelled ones', () => {
+    const orders = [
+      { status: 'completed', customerEmail: 'a@example.com', promotions: [{ id: 1, amount: 5 }] },
+      { status: 'cancelled', customerEmail: 'a@example.com', promotions: [{ id: 1, amount: 5 }] },
+      { status: 'pending', customerEmail: 'b@example.com', promotions: [{ id: 1, amount: 5 }] },
+      { status: 'pending', customerEmail: 'a@example.com' }
+    ];
+    expect(countPromotionUses({ id: 1 }, orders, 'A@example.com')).toEqual({ total: 2, customer: 1 });
+  });
+
+  test('should leave out card orders whose payment failed or was abandoned', () => {
+    const now = new Date('2026-06-17T19:00:00Z');
+    const cardOrder = (paymentStatus, minutesAgo) => ({
+      status: 'pending',
+      paymentMethod: 'card',
+      paymentStatus,
+      createdAt: new Date(now.getTime() - minutesAgo * 60000).toISOString(),
+      promotions: [{ id: 1, amount: 5 }]
+    });
+    const orders = [cardOrder('paid', 60), cardOrder('pending', 5), cardOrder('pending', 45), cardOrder('failed', 5)];
+    expect(countPromotionUses({ id: 1 }, orders, null, now).total).toBe(2);
+  });
+});
+
+describe('buildPromotionReport', () => {
+  test('should total uses and discount per promotion', () => {
+    const orders = [
+      { promotions: [{ id: 1, name: 'Ten off', code: 'TENOFF', amount: 10 }, { id: 2, name: 'Drinks hour', code: null, amount: 4.5 }] },
+      { promotions: [{ id: 2, name: 'Drinks hour', code: null, amount: 1.5 }] },
+      {}
+    ];
+    expect(buildPromotionReport(orders)).toEqual([
+      { id: 1, name: 'Ten off', code: 'TENOFF', uses: 1, discount: 10 },
+      { id: 2, name: 'Drinks hour', code: null, uses: 2, discount: 6 }
+    ]);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Rate Limit Tests
+ *
+ * Tests for the per-IP rate limiter used on public endpoints
+ * Run with: npm test
+ */
+
+const { createRateLimiter } = require('../src/rateLimit');
+
+function mockResponse() {
+  const res = { headers: {}, statusCode: 200, body: null };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.status = code => { res.statusCode = code; return res; };
+  res.json = body => { res.body = body; return res; };
+  return res;
+}
+
+function hit(limiter, ip) {
+  const res = mockResponse();
+  const next = jest.fn();
+  limiter({ ip }, res, next);
+  return { res, passed: next.mock.calls.length === 1 };
+}
+
+describe('createRateLimiter', () => {
+  test('should allow max requests per IP and refuse the rest until the window ends', () => {
+    let time = 0;
+    const limiter = createRateLimiter({ windowMs: 60000, max: 2, now: () => time });
+
+    expect(hit(limiter, '1.1.1.1').passed).toBe(true);
+    const second = hit(limiter, '1.1.1.1');
+    expect(second.passed).toBe(true);
+    expect(second.res.headers['RateLimit-Remaining']).toBe('0');
+
+    time = 15000;
+    const third = hit(limiter, '1.1.1.1');
+    expect(third.passed).toBe(false);
+    expect(third.res.statusCode).toBe(429);
+    expect(third.res.headers['Retry-After']).toBe('45');
+    expect(third.res.body).toEqual({ success: false, error: 'Too many requests, please try again later' });
+
+    expect(hit(limiter, '2.2.2.2').passed).toBe(true);
+
+    time = 60000;
+    expect(hit(limiter, '1.1.1.1').passed).toBe(true);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Receipts Tests
+ *
+ * Tests for receipt and kitchen ticket layout, ESC/POS and PDF output
+ * Run with: npm test
+ */
+
+const { buildReceipt, layoutReceipt, wrapText } = require('../src/receipts');
+const { COMMANDS, toPrinterText, encodeEscPos } = require('../src/escpos');
+const { toPdfString, renderReceiptPdf } = require('../src/pdf');
+
+const settings = { restaurantName: 'AROMA Restaurant', currency: 'EUR' };
+
+const order = {
+  id: 42,
+  createdAt: new Date(2026, 5, 1, 19, 30),
+  orderType: 'dine-in',
+  tableNumber: '7',
+  customerName: 'Maria',
+  paymentMethod: 'card',
+  notes: 'Nut allergy',
+  items: [
+    {
+      id: 1,
+      name: { en: 'Classic Burger' },
+      qty: 2,
+      price: 14.49,
+      lineTotal: 28.98,
+      seat: 1,
+      note: 'No pickles',
+      modifiers: [{ groupId: 'extras', optionId: 'cheese', name: 'Extra cheese', priceDelta: 1.5 }]
+    },
+    { id: 3, name: 'Crème brûlée', qty: 1, price: 6.5, lineTotal: 6.5 }
+  ],
+  subtotal: 35.48,
+  discount: 0,
+  taxRate: 0.18,
+  tax: 6.39,
+  serviceChargeRate: 0.1,
+  serviceCharge: 3.55,
+  deliveryFee: 0,
+  total: 45.42,
+  refunds: [{ amount: 6.5 }]
+};
+
+describe('Receipts', () => {
+  test('should build a receipt with items, modifiers, notes, table and totals', () => {
+    const receipt = buildReceipt(order, settings, 'receipt');
+
+    expect(receipt.title).toBe('AROMA Restaurant');
+    expect(receipt.tableNumber).toBe('7');
+    expect(receipt.lines[0]).toEqual({
+      qty: 2,
+      name: 'Classic Burger',
+      modifiers: ['Extra cheese'],
+      note: 'No pickles',
+      seat: 1,
+      total: '€28.98'
+    });
+    expect(receipt.totals.map(row => `${row.label} ${row.text}`)).toEqual([
+      'Subtotal €35.48',
+      'Tax (18%) €6.39',
+      'Service charge (10%) €3.55',
+      'TOTAL €45.42',
+      'Refunded -€6.50'
+    ]);
+  });
+
+  test('should show a tip under the total with the amount paid', () => {
+    const receipt = buildReceipt({ ...order, tip: 4.58, refunds: [] }, settings, 'receipt');
+
+    expect(receipt.totals.slice(-3).map(row => `${row.label} ${row.text}`)).toEqual([
+      'TOTAL €45.42',
+      'Tip €4.58',
+      'Paid €50.00'
+    ]);
+  });
+
+  test('should list promotions by name in place of the discount', () => {
+    const promotions = [
+      { id: 1, name: 'Ten off', code: 'TENOFF', type: 'fixed', amount: 10 },
+      { id: 2, name: 'Drinks hour', code: null, type: 'percentage', amount: 2 }
+    ];
+    const receipt = buildReceipt({ ...order, discount: 12, promotions, refunds: [] }, settings, 'receipt');
+    expect(receipt.totals.slice(1, 3).map(row => `${row.label} ${row.text}`)).toEqual([
+      'Ten off (TENOFF) -€10.00',
+      'Drinks hour -€2.00'
+    ]);
+
+    // A discount changed by staff afterwards is shown as a plain discount
+    const edited = buildReceipt({ ...order, discount: 5, promotions, refunds: [] }, settings, 'receipt');
+    expect(edited.totals[1].label).toBe('Discount');
+  });
+
+  test('should show what a gift card paid without its full code', () => {
+    const giftCard = { id: 1, code: 'ABCD-EFGH-JKLM', amount: 20 };
+    const receipt = buildReceipt({ ...order, giftCard, refunds: [] }, settings, 'receipt');
+    expect(receipt.totals[receipt.totals.length - 1]).toMatchObject({ label: 'Gift card ending JKLM', text: '-€20.00' });
+  });
+
+  test('should list redeemed loyalty points next to the promotions', () => {
+    const promotions = [{ id: 1, name: 'Ten off', code: 'TENOFF', type: 'fixed', amount: 10 }];
+    const loyalty = { pointsRedeemed: 100, discount: 5 };
+    const receipt = buildReceipt({ ...order, discount: 15, promotions, loyalty, refunds: [] }, settings, 'receipt');
+    expect(receipt.totals.slice(1, 3).map(row => `${row.label} ${row.text}`)).toEqual([
+      'Ten off (TENOFF) -€10.00',
+      'Points redeemed (100) -€5.00'
+    ]);
+  });
+
+  test('should show one tax row per rate, after the total when prices include tax', () => {
+    const taxBreakdown = [
+      { taxClass: 'standard', rate: 0.18, net: 20, tax: 3.6, gross: 23.6 },
+      { taxClass: 'reduced', rate: 0.07, net: 15.48, tax: 1.08, gross: 16.56 }
+    ];
+    const exclusive = buildReceipt({ ...order, tax: 4.68, total: 43.71, taxRate: null, taxBreakdown, refunds: [] }, settings, 'receipt');
+    expect(exclusive.totals.map(row => `${row.label} ${row.text}`).slice(1, 3)).toEqual([
+      'Tax (18%) €3.60',
+      'Tax (7%) €1.08'
+    ]);
+
+    const inclusive = buildReceipt({ ...order, pricesIncludeTax: true, taxBreakdown, refunds: [] }, settings, 'receipt');
+    expect(inclusive.totals.map(row => `${row.label} ${row.text}`)).toEqual([
+      'Subtotal €35.48',
+      'Service charge (10%) €3.55',
+      'TOTAL €45.42',
+      'Incl. tax (18%) €3.60',
+      'Incl. tax (7%) €1.08'
+    ]);
+  });
+
+  test('should leave prices and customer details off kitchen tickets', () => {
+    const ticket = buildReceipt(order, settings, 'kitchen');
+
+    expect(ticket.title).toBe('KITCHEN TICKET');
+    expect(ticket.customerName).toBeNull();
+    expect(ticket.lines[0].total).toBeNull();
+    expect(ticket.totals).toEqual([]);
+    expect(ticket.notes).toBe('Nut allergy');
+    expect(() => buildReceipt(order, settings, 'invoice')).toThrow('Unknown receipt kind');
+  });
+
+  test('should print the delivery address and phone on receipts and kitchen tickets', () => {
+    const deliveryOrder = {
+      ...order,
+      orderType: 'delivery',
+      tableNumber: null,
+      customerPhone: '+43 660 1234567',
+      deliveryAddress: { street: 'Ring 1', city: 'Vienna', postcode: '1010', notes: 'Ring twice' }
+    };
+    const ticket = buildReceipt(deliveryOrder, settings, 'kitchen');
+    expect(ticket.deliveryAddress).toEqual(['Ring 1', '1010 Vienna', 'Ring twice']);
+    expect(ticket.customerPhone).toBe('+43 660 1234567');
+
+    const text = layoutReceipt(ticket, 42).map(row => row.text);
+    expect(text).toContain('Deliver to:');
+    expect(text).toContain('  1010 Vienna');
+    expect(text).toContain('Phone: +43 660 1234567');
+    expect(buildReceipt(order, settings, 'receipt').deliveryAddress).toBeNull();
+  });
+
+  test('should lay out fixed-width lines with prices right-aligned', () => {
+    const rows = layoutReceipt(buildReceipt(order, settings, 'receipt'), 42);
+    const text = rows.map(row => row.text);
+
+    expect(text.every(line => line.length <= 42)).toBe(true);
+    expect(text).toContain(`${'2 x Classic Burger [Seat 1]'.padEnd(35)} €28.98`);
+    expect(text).toContain('  + Extra cheese');
+    expect(text).toContain('  Note: No pickles');
+    expect(rows.find(row => row.text.startsWith('TOTAL')).bold).toBe(true);
+    expect(wrapText('a very long special instruction', 10)).toEqual(['a very', 'long', 'special', 'instructio', 'n']);
+  });
+
+  test('should encode ESC/POS bytes with styling, ASCII text and a paper cut', () => {
+    const rows = layoutReceipt(buildReceipt(order, settings, 'kitchen'));
+    const bytes = encodeEscPos(rows);
+
+    expect([...bytes.slice(0, 2)]).toEqual(COMMANDS.initialize);
+    expect([...bytes.slice(-4)]).toEqual(COMMANDS.partialCut);
+    expect(bytes.toString('ascii')).toContain('1 x Creme brulee');
+    expect(bytes.includes(Buffer.from(COMMANDS.sizeLarge))).toBe(true);
+    expect(toPrinterText('€6.50')).toBe('EUR 6.50');
+  });
+
+  test('should render a PDF with escaped text and a valid cross-reference table', () => {
+    const pdf = renderReceiptPdf(layoutReceipt(buildReceipt(order, settings, 'receipt')), { title: 'Order #42' });
+    const text = pdf.toString('latin1');
+
+    expect(text.startsWith('%PDF-1.4')).toBe(true);
+    expect(text.trim().endsWith('%%EOF')).toBe(true);
+    expect(text).toContain('/BaseFont /Courier-Bold');
+
+    const xrefOffset = parseInt(text.match(/startxref\n(\d+)/)[1]);
+    expect(text.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+    const firstObjectOffset = parseInt(text.match(/xref\n0 \d+\n0000000000 65535 f \n(\d{10})/)[1]);
+    expect(text.slice(firstObjectOffset, firstObjectOffset + 7)).toBe('1 0 obj');
+
+    expect(toPdfString('€5 (net)')).toBe('(\\2005 \\(net\\))');
+  });
+});
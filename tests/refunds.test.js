@@ -0,0 +1,127 @@
+/**
+ * Refunds Tests
+ *
+ * Tests for full and per-line refund calculation and net revenue
+ * Run with: npm test
+ */
+
+const {
+  isOrderPaid,
+  getRefundedAmount,
+  getRefundableAmount,
+  getNetRevenue,
+  getRefundPaymentStatus,
+  calculateRefund
+} = require('../src/refunds');
+
+function buildOrder() {
+  return {
+    id: 7,
+    items: [
+      { id: 1, name: 'Classic Burger', price: 10, qty: 2, lineTotal: 20 },
+      { id: 3, name: 'French Fries', price: 5, qty: 1, lineTotal: 5 }
+    ],
+    subtotal: 25,
+    tax: 2.5,
+    serviceCharge: 0,
+    deliveryFee: 2,
+    total: 29.5,
+    refunds: []
+  };
+}
+
+describe('Refunds', () => {
+  test('full refund should cover the whole remaining total', () => {
+    const order = buildOrder();
+    const refund = calculateRefund(order, { type: 'full' });
+
+    expect(refund.errors).toHaveLength(0);
+    expect(refund.amount).toBe(29.5);
+  });
+
+  test('line refund should include the line share of tax but not delivery', () => {
+    const order = buildOrder();
+    const refund = calculateRefund(order, { type: 'lines', lines: [{ lineIndex: 0, qty: 1 }] });
+
+    expect(refund.errors).toHaveLength(0);
+    expect(refund.lines[0]).toMatchObject({ lineIndex: 0, id: 1, qty: 1 });
+    // 27.50 chargeable × (10 / 25)
+    expect(refund.amount).toBe(11);
+  });
+
+  test('line refund should not exceed the quantity left to refund', () => {
+    const order = buildOrder();
+    order.refunds.push({ amount: 11, lines: [{ lineIndex: 0, qty: 1 }] });
+
+    const tooMany = calculateRefund(order, { type: 'lines', lines: [{ lineIndex: 0, qty: 2 }] });
+    expect(tooMany.errors[0]).toContain('between 1 and 1');
+
+    const missing = calculateRefund(order, { type: 'lines', lines: [{ lineIndex: 5, qty: 1 }] });
+    expect(missing.errors[0]).toContain('does not exist');
+  });
+
+  test('line refund should not list the same line twice', () => {
+    const order = buildOrder();
+    order.refunds.push({ amount: 11, lines: [{ lineIndex: 0, qty: 1 }] });
+
+    const repeated = calculateRefund(order, { type: 'lines', lines: [{ lineIndex: 0, qty: 1 }, { lineIndex: '0', qty: 1 }] });
+    expect(repeated.errors).toEqual(['Line 0 is listed more than once']);
+  });
+
+  test('should refuse to refund a fully refunded order', () => {
+    const order = buildOrder();
+    order.refunds.push({ amount: 29.5, lines: [] });
+
+    expect(getRefundableAmount(order)).toBe(0);
+    expect(calculateRefund(order, { type: 'full' }).errors[0]).toContain('fully refunded');
+  });
+
+  test('net revenue should subtract all refunds', () => {
+    const order = buildOrder();
+    order.refunds.push({ amount: 11 }, { amount: 5.5 });
+
+    expect(getRefundedAmount(order)).toBe(16.5);
+    expect(getNetRevenue(order)).toBe(13);
+  });
+
+  test('full refund should give back the tip without counting it as revenue', () => {
+    const order = { ...buildOrder(), tip: 3 };
+    expect(calculateRefund(order, { type: 'full' }).amount).toBe(32.5);
+
+    order.refunds.push({ amount: 32.5 });
+    expect(getRefundableAmount(order)).toBe(0);
+    expect(getNetRevenue(order)).toBe(0);
+  });
+
+  test('payment status should follow what the card was charged', () => {
+    // 29.50 + 3.00 tip, 10.00 of it paid by gift card: the card was charged 22.50
+    const order = { ...buildOrder(), tip: 3, giftCard: { id: 1, amount: 10 } };
+
+    order.refunds.push({ amount: 20, giftCardAmount: 0 });
+    expect(getRefundPaymentStatus(order)).toBe('partially_refunded');
+
+    order.refunds.push({ amount: 2.5, giftCardAmount: 0 });
+    expect(getRefundPaymentStatus(order)).toBe('refunded');
+    expect(getRefundableAmount(order)).toBe(10);
+  });
+
+  test('payment status of orders paid by gift card should follow the whole amount', () => {
+    const order = { ...buildOrder(), giftCard: { id: 1, amount: 29.5 } };
+
+    order.refunds.push({ amount: 11, giftCardAmount: 11 });
+    expect(getRefundPaymentStatus(order)).toBe('partially_refunded');
+
+    order.refunds.push({ amount: 18.5, giftCardAmount: 18.5 });
+    expect(getRefundPaymentStatus(order)).toBe('refunded');
+  });
+
+  test('only orders that were paid should count as paid', () => {
+    expect(isOrderPaid({ status: 'pending', paymentStatus: 'paid' })).toBe(true);
+    expect(isOrderPaid({ status: 'completed', paymentStatus: 'partially_refunded' })).toBe(true);
+    expect(isOrderPaid({ status: 'completed', paymentStatus: 'unpaid' })).toBe(true);
+    expect(isOrderPaid({ status: 'ready', paymentStatus: 'unpaid' })).toBe(false);
+    expect(isOrderPaid({ status: 'completed', paymentStatus: 'pending' })).toBe(false);
+    expect(isOrderPaid({ status: 'pending', paymentStatus: 'failed' })).toBe(false);
+    expect(isOrderPaid({ status: 'completed', paymentStatus: 'refunded' })).toBe(false);
+  });
+});
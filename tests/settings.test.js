@@ -0,0 +1,229 @@
+/**
+ * Settings Tests
+ *
+ * Tests for the default settings, validating updates from the settings page and opening hours
+ * Run with: npm test
+ */
+
+const {
+  createDefaultSettings,
+  normalizeSettings,
+  getOpeningHours,
+  isOpenAt,
+  formatOpeningHours,
+  getPublicSettings
+} = require('../src/settings');
+
+const defaults = createDefaultSettings({});
+
+describe('createDefaultSettings', () => {
+  test('should use built-in defaults without environment overrides', () => {
+    expect(defaults.restaurantName).toBe('AROMA Restaurant');
+    expect(defaults.currency).toBe('EUR');
+    expect(defaults.taxClasses.find(taxClass => taxClass.id === defaults.defaultTaxClass).rate).toBe(0.18);
+    expect(defaults.pricesIncludeTax).toBe(false);
+    expect(defaults.serviceChargeRules).toEqual({ orderTypes: ['dine-in'], minPartySize: null });
+    expect(defaults.notifications).toEqual({ confirmed: true, ready: true, cancelled: true });
+    expect(defaults.openingHours.monday).toEqual({ open: '11:00', close: '22:00', closed: false });
+    expect(defaults.frontendUrl).toBe('https://aroma-frontend-delta.vercel.app');
+  });
+
+  test('should take deployment values from the environment', () => {
+    const settings = createDefaultSettings({
+      RESTAURANT_NAME: 'Bistro',
+      EMAIL_FROM: 'hello@bistro.test',
+      FRONTEND_URL: 'https://order.bistro.test/',
+      SERVICE_CHARGE_ORDER_TYPES: 'dine-in, takeaway',
+      SERVICE_CHARGE_MIN_PARTY_SIZE: '6'
+    });
+
+    expect(settings.restaurantName).toBe('Bistro');
+    expect(settings.emailFrom).toBe('hello@bistro.test');
+    expect(settings.emailFromName).toBe('Bistro');
+    expect(settings.frontendUrl).toBe('https://order.bistro.test');
+    expect(settings.serviceChargeRules).toEqual({ orderTypes: ['dine-in', 'takeaway'], minPartySize: 6 });
+  });
+});
+
+describe('normalizeSettings', () => {
+  test('should merge a partial update without touching the other settings', () => {
+    const { settings, errors } = normalizeSettings({ currency: 'gbp', pricesIncludeTax: true }, defaults);
+
+    expect(errors).toEqual([]);
+    expect(settings.currency).toBe('GBP');
+    expect(settings.pricesIncludeTax).toBe(true);
+    expect(settings.serviceCharge).toBe(defaults.serviceCharge);
+    expect(defaults.currency).toBe('EUR');
+  });
+
+  test('should set the default class rate from a single tax rate', () => {
+    const { settings, errors } = normalizeSettings({ taxRate: 0.2 }, defaults);
+
+    expect(errors).toEqual([]);
+    expect(settings.taxClasses.find(taxClass => taxClass.id === 'standard').rate).toBe(0.2);
+    expect(settings.taxClasses.find(taxClass => taxClass.id === 'reduced').rate).toBe(0.07);
+    expect(defaults.taxClasses[0].rate).toBe(0.18);
+  });
+
+  test('should replace the tax classes and check the default class', () => {
+    const { settings, errors } = normalizeSettings({
+      taxClasses: [{ id: 'food', name: 'Food', rate: '0.05' }, { id: 'drinks', name: 'Drinks', rate: 0.2 }],
+      defaultTaxClass: 'food'
+    }, defaults);
+
+    expect(errors).toEqual([]);
+    expect(settings.taxClasses).toEqual([{ id: 'food', name: 'Food', rate: 0.05 }, { id: 'drinks', name: 'Drinks', rate: 0.2 }]);
+    expect(settings.defaultTaxClass).toBe('food');
+
+    expect(normalizeSettings({ defaultTaxClass: 'missing' }, defaults).errors).toEqual([
+      'The default tax class must be one of the tax classes'
+    ]);
+  });
+
+  test('should update opening hours day by day', () => {
+    const { settings, errors } = normalizeSettings({
+      openingHours: { sunday: { closed: true }, friday: { open: '12:00', close: '24:00' } }
+    }, defaults);
+
+    expect(errors).toEqual([]);
+    expect(settings.openingHours.sunday).toEqual({ open: '11:00', close: '22:00', closed: true });
+    expect(settings.openingHours.friday).toEqual({ open: '12:00', close: '24:00', closed: false });
+    expect(settings.openingHours.monday).toEqual(defaults.openingHours.monday);
+  });
+
+  test('should update the service charge rules', () => {
+    const { settings, errors } = normalizeSettings({
+      serviceChargeRules: { orderTypes: [], minPartySize: '8' }
+    }, defaults);
+
+    expect(errors).toEqual([]);
+    expect(settings.serviceChargeRules).toEqual({ orderTypes: [], minPartySize: 8 });
+  });
+
+  test('should update the loyalty programme', () => {
+    const { settings, errors } = normalizeSettings({ loyalty: { enabled: false, pointsPerEuro: '2' } }, defaults);
+
+    expect(errors).toEqual([]);
+    expect(settings.loyalty).toMatchObject({ enabled: false, pointsPerEuro: 2, pointValue: 0.05 });
+    expect(settings.loyalty.tiers).toEqual(defaults.loyalty.tiers);
+    expect(normalizeSettings({ loyalty: { pointValue: 0 } }, defaults).errors).toEqual(['Point value must be more than zero']);
+  });
+
+  test('should update the pickup slot limits', () => {
+    const { settings, errors } = normalizeSettings({ pickup: { maxOrdersPerSlot: '', maxItemsPerSlot: '20', minLeadMinutes: '45' } }, defaults);
+
+    expect(errors).toEqual([]);
+    expect(settings.pickup).toEqual({ enabled: true, maxOrdersPerSlot: null, maxItemsPerSlot: 20, minLeadMinutes: 45, daysAhead: 7 });
+    expect(normalizeSettings({ pickup: { maxOrdersPerSlot: 0, daysAhead: null } }, defaults).errors).toEqual([
+      'Orders per pickup slot must be a positive whole number',
+      'Days ahead for pickup must be a whole number'
+    ]);
+  });
+
+  test('should update the kitchen capacity limits', () => {
+    const { settings, errors } = normalizeSettings({ kitchenCapacity: { maxOpenTickets: '12', maxItemsPerStation: '', whenFull: 'pause' } }, defaults);
+
+    expect(errors).toEqual([]);
+    expect(settings.kitchenCapacity).toEqual({ maxOpenTickets: 12, maxItemsPerStation: null, whenFull: 'pause', busyExtraMinutes: 20 });
+    expect(normalizeSettings({ kitchenCapacity: { maxItemsPerStation: 2.5, whenFull: 'wait', busyExtraMinutes: -5 } }, defaults).errors).toEqual([
+      'Most items per station must be a positive whole number',
+      'When the kitchen is full must be one of quote, pause',
+      'Extra wait when busy must be a whole number of minutes'
+    ]);
+  });
+
+  test('should pause and resume online ordering', () => {
+    const paused = normalizeSettings({ onlineOrdering: { paused: true, pausedAt: '2026-06-17T19:00:00.000Z', pausedBy: 'admin' } }, defaults).settings;
+    expect(paused.onlineOrdering).toEqual({ paused: true, pausedAt: '2026-06-17T19:00:00.000Z', pausedBy: 'admin' });
+
+    expect(normalizeSettings({ onlineOrdering: { paused: false, pausedBy: 'admin' } }, paused).settings.onlineOrdering)
+      .toEqual({ paused: false, pausedAt: null, pausedBy: null });
+  });
+
+  test('should update the delivery zones', () => {
+    const { settings, errors } = normalizeSettings({
+      deliveryZones: [{ name: 'Centre', postcodes: '1010, 1020', fee: '3', minOrder: '15' }]
+    }, defaults);
+
+    expect(errors).toEqual([]);
+    expect(settings.deliveryZones).toEqual([
+      { id: 1, name: 'Centre', postcodes: ['1010', '1020'], polygon: null, fee: 3, minOrder: 15, active: true }
+    ]);
+    expect(normalizeSettings({ deliveryZones: [{ name: 'Centre', fee: 3 }] }, defaults).errors)
+      .toEqual(['Centre: add postcodes or an area']);
+  });
+
+  test('should report every invalid setting', () => {
+    const { errors } = normalizeSettings({
+      restaurantName: ' ',
+      currency: 'XYZ',
+      taxRate: 1.5,
+      serviceCharge: -0.1,
+      deliveryFee: 'abc',
+      serviceChargeRules: { orderTypes: ['drive-through'], minPartySize: 0 },
+      openingHours: { monday: { open: '25:00' }, tuesday: { open: '22:00', close: '11:00' } },
+      emailFrom: 'not-an-email',
+      frontendUrl: 'ftp://example.com'
+    }, defaults);
+
+    expect(errors).toEqual([
+      'Restaurant name is required',
+      'Currency must be one of EUR, USD, GBP',
+      'Tax rate must be between 0% and 100%',
+      'Service charge must be between 0% and 100%',
+      'Delivery fee must be zero or more',
+      'Service charge order types must be from dine-in, takeaway, delivery',
+      'Service charge minimum party size must be a positive whole number',
+      'Monday opening hours must be times like 11:00',
+      'Tuesday must close after it opens (use 24:00 for midnight)',
+      'Email sender must be a valid email address',
+      'Frontend URL must be a full http(s) address'
+    ]);
+  });
+
+  test('should strip a trailing slash from the frontend URL', () => {
+    const { settings } = normalizeSettings({ frontendUrl: 'https://example.com/' }, defaults);
+    expect(settings.frontendUrl).toBe('https://example.com');
+  });
+});
+
+describe('Opening hours', () => {
+  const settings = normalizeSettings({
+    openingHours: { monday: { closed: true }, saturday: { open: '10:00', close: '24:00' }, sunday: { open: '10:00', close: '24:00' } }
+  }, defaults).settings;
+
+  test('should find the hours for a date', () => {
+    // 1 June 2026 is a Monday, 6 June a Saturday
+    expect(getOpeningHours(settings, new Date(2026, 5, 1)).closed).toBe(true);
+    expect(getOpeningHours(settings, new Date(2026, 5, 6)).open).toBe('10:00');
+  });
+
+  test('should tell whether the restaurant is open', () => {
+    expect(isOpenAt(settings, new Date(2026, 5, 1, 12, 0))).toBe(false);
+    expect(isOpenAt(settings, new Date(2026, 5, 2, 10, 59))).toBe(false);
+    expect(isOpenAt(settings, new Date(2026, 5, 2, 11, 0))).toBe(true);
+    expect(isOpenAt(settings, new Date(2026, 5, 2, 22, 0))).toBe(false);
+    expect(isOpenAt(settings, new Date(2026, 5, 6, 23, 30))).toBe(true);
+  });
+
+  test('should describe the week with equal days grouped', () => {
+    expect(formatOpeningHours(settings.openingHours)).toBe('Mon Closed, Tue-Fri 11:00-22:00, Sat-Sun 10:00-24:00');
+  });
+});
+
+describe('getPublicSettings', () => {
+  test('should leave out the email sender and who last saved the settings', () => {
+    const publicSettings = getPublicSettings({ ...defaults, updatedAt: new Date(), updatedBy: 'admin' });
+    expect(publicSettings.emailFrom).toBeUndefined();
+    expect(publicSettings.emailFromName).toBeUndefined();
+    expect(publicSettings.updatedAt).toBeUndefined();
+    expect(publicSettings.updatedBy).toBeUndefined();
+    expect(publicSettings.currency).toBe('EUR');
+    expect(publicSettings.taxRate).toBe(0.18);
+  });
+
+  test('should only say whether online ordering is paused, not who paused it', () => {
+    const paused = normalizeSettings({ onlineOrdering: { paused: true, pausedBy: 'admin' } }, defaults).settings;
+    expect(getPublicSettings(paused).onlineOrdering).toEqual({ paused: true });
+  });
+});
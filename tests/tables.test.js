@@ -0,0 +1,136 @@
+/**
+ * Tables Tests
+ *
+ * Tests for table validation, registered table checks and live table status
+ * Run with: npm test
+ */
+
+const {
+  normalizeTable,
+  findTableByNumber,
+  isRegisteredTable,
+  resolveTableNumber,
+  getTableStatus
+} = require('../src/tables');
+
+const now = new Date(2026, 5, 1, 20, 0);
+const minutesAgo = minutes => new Date(now.getTime() - minutes * 60000);
+
+const table = { id: 1, number: 4, area: 'Main', seats: 4, shape: 'square', active: true };
+
+function order(id, status, createdMinutesAgo, extra = {}) {
+  return { id, tableNumber: '4', status, createdAt: minutesAgo(createdMinutesAgo), ...extra };
+}
+
+describe('normalizeTable', () => {
+  test('fills in defaults', () => {
+    const { table: normalized, errors } = normalizeTable({ number: '7' });
+    expect(errors).toEqual([]);
+    expect(normalized).toEqual({
+      number: 7,
+      area: 'Main',
+      seats: 4,
+      shape: 'square',
+      x: null,
+      y: null,
+      active: true
+    });
+  });
+
+  test('rejects bad numbers, seats, shapes and positions', () => {
+    const { errors } = normalizeTable({ number: 0, seats: 80, shape: 'oval', x: -1 });
+    expect(errors).toEqual([
+      'Table number must be a positive whole number',
+      'Seats must be between 1 and 50',
+      'Shape must be one of square, round, rectangle, booth',
+      'Floor plan x must be zero or more'
+    ]);
+  });
+
+  test('rejects duplicate numbers except for the table being edited', () => {
+    expect(normalizeTable({ number: 4 }, [table]).errors).toEqual(['Table 4 already exists']);
+    expect(normalizeTable({ number: 4, seats: 6 }, [table], 1).errors).toEqual([]);
+  });
+});
+
+describe('registered tables', () => {
+  test('finds tables by string or numeric number', () => {
+    expect(findTableByNumber([table], '4')).toBe(table);
+    expect(findTableByNumber([table], 5)).toBeNull();
+    expect(findTableByNumber([table], ' 04 ')).toBe(table);
+    expect(findTableByNumber([table], '4abc')).toBeNull();
+  });
+
+  test('accepts any table while the registry is empty', () => {
+    expect(isRegisteredTable([], '12')).toBe(true);
+  });
+
+  test('only accepts active registered tables', () => {
+    const tables = [table, { id: 2, number: 5, active: false }];
+    expect(isRegisteredTable(tables, '4')).toBe(true);
+    expect(isRegisteredTable(tables, '5')).toBe(false);
+    expect(isRegisteredTable(tables, '6')).toBe(false);
+  });
+
+  test('resolves table numbers to the registered number orders are stored under', () => {
+    const tables = [table, { id: 2, number: 5, active: false }];
+    expect(resolveTableNumber(tables, '04')).toBe('4');
+    expect(resolveTableNumber(tables, 4)).toBe('4');
+    expect(resolveTableNumber(tables, '5')).toBeNull();
+    expect(resolveTableNumber(tables, '4abc')).toBeNull();
+    expect(resolveTableNumber([], '012')).toBe('12');
+    expect(resolveTableNumber([], 'Terrace')).toBe('Terrace');
+  });
+});
+
+describe('getTableStatus', () => {
+  test('is free with no activity', () => {
+    expect(getTableStatus(table, [], [], now).status).toBe('free');
+  });
+
+  test('is seated after a walk-in', () => {
+    expect(getTableStatus({ ...table, seatedAt: minutesAgo(5) }, [], [], now).status).toBe('seated');
+  });
+
+  test('is seated during a confirmed reservation', () => {
+    const reservation = {
+      id: 1,
+      tableNumber: '4',
+      status: 'confirmed',
+      reservationDate: new Date(2026, 5, 1),
+      reservationTime: '19:30'
+    };
+    const result = getTableStatus(table, [], [reservation], now);
+    expect(result.status).toBe('seated');
+    expect(result.reservation).toBe(reservation);
+
+    expect(getTableStatus(table, [], [{ ...reservation, reservationTime: '18:00' }], now).status).toBe('free');
+    expect(getTableStatus(table, [], [{ ...reservation, status: 'pending' }], now).status).toBe('free');
+  });
+
+  test('is ordered with an open order', () => {
+    const result = getTableStatus(table, [order(1, 'preparing', 10), order(2, 'pending', 30, { tableNumber: '5' })], [], now);
+    expect(result.status).toBe('ordered');
+    expect(result.orders.map(o => o.id)).toEqual([1]);
+  });
+
+  test('is awaiting the bill once an order is served', () => {
+    expect(getTableStatus(table, [order(1, 'served', 40)], [], now).status).toBe('awaiting-bill');
+  });
+
+  test('is dirty after the last order is completed until cleaned', () => {
+    const completed = order(1, 'completed', 60, {
+      statusHistory: [{ from: 'served', to: 'completed', at: minutesAgo(10) }]
+    });
+    expect(getTableStatus(table, [completed], [], now).status).toBe('dirty');
+    expect(getTableStatus({ ...table, cleanedAt: minutesAgo(5) }, [completed], [], now).status).toBe('free');
+
+    // Seating the table before it was cleaned doesn't count
+    expect(getTableStatus({ ...table, seatedAt: minutesAgo(30), cleanedAt: minutesAgo(5) }, [completed], [], now).status).toBe('free');
+  });
+
+  test('ignores orders from previous days', () => {
+    const yesterday = order(1, 'served', 24 * 60);
+    expect(getTableStatus(table, [yesterday], [], now).status).toBe('free');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tabs Tests
+ *
+ * Tests for grouping table orders into tabs, running totals and settling the bill
+ * Run with: npm test
+ */
+
+const {
+  createTab,
+  findOpenTab,
+  addOrderToTab,
+  summarizeTab,
+  recordTabPayment,
+  closeTab
+} = require('../src/tabs');
+
+const now = new Date(2026, 5, 1, 20, 0);
+
+function order(id, total, extra = {}) {
+  const subtotal = Math.round(total / 1.28 * 100) / 100;
+  return {
+    id,
+    status: 'served',
+    paymentStatus: 'unpaid',
+    subtotal,
+    discount: 0,
+    tax: Math.round(subtotal * 0.18 * 100) / 100,
+    serviceCharge: Math.round(subtotal * 0.1 * 100) / 100,
+    total,
+    ...extra
+  };
+}
+
+describe('opening tabs', () => {
+  test('creates an open tab for a table', () => {
+    expect(createTab(1, 5, now)).toEqual({
+      id: 1,
+      tableNumber: '5',
+      status: 'open',
+      orderIds: [],
+      payments: [],
+      split: null,
+      openedAt: now,
+      closedAt: null,
+      closedBy: null
+    });
+  });
+
+  test('finds only the open tab for a table', () => {
+    const closed = { ...createTab(1, '5'), status: 'closed' };
+    const open = createTab(2, '5');
+    expect(findOpenTab([closed, open, createTab(3, '6')], 5)).toBe(open);
+    expect(findOpenTab([closed], '5')).toBeNull();
+  });
+
+  test('adds each order once and links it back to the tab', () => {
+    const tab = createTab(4, '5');
+    const first = order(1, 10);
+    addOrderToTab(tab, first);
+    addOrderToTab(tab, first);
+    addOrderToTab(tab, order(2, 20));
+    expect(tab.orderIds).toEqual([1, 2]);
+    expect(first.tabId).toBe(4);
+  });
+});
+
+describe('summarizeTab', () => {
+  test('adds up every round and leaves out cancelled orders', () => {
+    const tab = createTab(1, '5');
+    const summary = summarizeTab(tab, [order(1, 12.8), order(2, 25.6), order(3, 50, { status: 'cancelled' })]);
+    expect(summary).toEqual({
+      orderCount: 2,
+      subtotal: 30,
+      discount: 0,
+      tax: 5.4,
+      includedTax: 0,
+      serviceCharge: 3,
+      total: 38.4,
+      prepaid: 0,
+      paid: 0,
+      tips: 0,
+      awaitingOnlinePayment: 0,
+      balance: 38.4
+    });
+  });
+
+  test('keeps apart the tax already in the prices of tax-inclusive orders', () => {
+    const tab = createTab(1, '5');
+    const inclusive = { ...order(2, 11.8), tax: 1.8, pricesIncludeTax: true };
+    const summary = summarizeTab(tab, [order(1, 12.8), inclusive]);
+    expect(summary.tax).toBe(3.6);
+    expect(summary.includedTax).toBe(1.8);
+    expect(summary.total).toBe(24.6);
+  });
+
+  test('counts online payments and payments taken at the table', () => {
+    const tab = { ...createTab(1, '5'), payments: [{ amount: 5, method: 'cash' }] };
+    const paidOnline = order(2, 25.6, { paymentIntentId: 'pi_1', paymentStatus: 'paid' });
+    const summary = summarizeTab(tab, [order(1, 12.8), paidOnline]);
+    expect(summary.prepaid).toBe(25.6);
+    expect(summary.paid).toBe(5);
+    expect(summary.balance).toBe(7.8);
+  });
+
+  test('leaves card orders still being paid online off the bill', () => {
+    const pending = order(2, 25.6, { paymentIntentId: 'pi_1', paymentStatus: 'pending' });
+    const failed = order(3, 10, { paymentIntentId: 'pi_2', paymentStatus: 'failed' });
+    const summary = summarizeTab(createTab(1, '5'), [order(1, 12.8), pending, failed]);
+    expect(summary.orderCount).toBe(1);
+    expect(summary.total).toBe(12.8);
+    expect(summary.balance).toBe(12.8);
+    expect(summary.awaitingOnlinePayment).toBe(25.6);
+  });
+
+  test('counts orders paid in full by gift card as prepaid', () => {
+    const paidByGiftCard = order(2, 25.6, { paymentMethod: 'gift-card', paymentStatus: 'paid' });
+    expect(summarizeTab(createTab(1, '5'), [order(1, 12.8), paidByGiftCard]).balance).toBe(12.8);
+  });
+
+  test('does not count orders marked paid when the tab was settled as prepaid', () => {
+    const tab = { ...createTab(1, '5'), payments: [{ amount: 12.8, method: 'card' }] };
+    expect(summarizeTab(tab, [order(1, 12.8, { paymentStatus: 'paid' })]).balance).toBe(0);
+    expect(summarizeTab(tab, [order(1, 12.8, { paymentStatus: 'paid' })]).prepaid).toBe(0);
+  });
+});
+
+describe('settling a tab', () => {
+  test('records partial payments until the balance is paid', () => {
+    const tab = createTab(1, '5');
+    const tabOrders = [order(1, 38.4)];
+
+    const first = recordTabPayment(tab, summarizeTab(tab, tabOrders), { amount: 20, method: 'card' }, 'waiter', now);
+    expect(first).toEqual({ payment: { amount: 20, tip: 0, method: 'card', actor: 'waiter', at: now }, settled: false });
+
+    const second = recordTabPayment(tab, summarizeTab(tab, tabOrders), { amount: '18.40' }, 'waiter', now);
+    expect(second.settled).toBe(true);
+    expect(second.payment.method).toBe('cash');
+    expect(summarizeTab(tab, tabOrders).balance).toBe(0);
+  });
+
+  test('rejects invalid payments', () => {
+    const tab = createTab(1, '5');
+    const summary = summarizeTab(tab, [order(1, 10)]);
+    expect(recordTabPayment(tab, summary, { amount: 0 }, 'waiter').error).toBe('Payment amount must be greater than zero');
+    expect(recordTabPayment(tab, summary, { amount: 11 }, 'waiter').error).toBe('Payment of 11.00 is more than the 10.00 still due');
+    expect(recordTabPayment(tab, summary, { amount: 5, method: 'voucher' }, 'waiter').error).toBe('Payment method must be cash or card');
+    expect(recordTabPayment(tab, summary, { amount: 5, tip: -1 }, 'waiter').error).toBe('Tip must be zero or more');
+    expect(tab.payments).toEqual([]);
+  });
+
+  test('only closes once nothing is left to pay', () => {
+    const tab = createTab(1, '5');
+    expect(closeTab(tab, { balance: 4.5 }, 'waiter', now)).toEqual({ error: 'Tab 1 still has 4.50 to pay' });
+    expect(tab.status).toBe('open');
+
+    expect(closeTab(tab, { balance: 0 }, 'waiter', now)).toEqual({ closed: true });
+    expect(tab).toMatchObject({ status: 'closed', closedAt: now, closedBy: 'waiter' });
+
+    expect(closeTab(tab, { balance: 0 }, 'waiter', now).error).toBe('Tab 1 is already closed');
+    expect(recordTabPayment(tab, { balance: 0 }, { amount: 1 }, 'waiter').error).toBe('Tab 1 is already closed');
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Tax Tests
+ *
+ * Tests for tax classes, stamping them onto order lines and the VAT report
+ * Run with: npm test
+ */
+
+const {
+  DEFAULT_TAX_CLASSES,
+  normalizeTaxClasses,
+  getTaxClassForItem,
+  assignTaxClasses,
+  getTaxClassUsage,
+  getReportPeriod,
+  buildVatReport,
+  vatReportToCsv
+} = require('../src/tax');
+
+const settings = { taxClasses: DEFAULT_TAX_CLASSES, defaultTaxClass: 'standard' };
+
+const categories = [
+  { id: 1, name: { en: 'Burgers' }, taxClass: null },
+  { id: 2, name: { en: 'Soft Drinks' }, taxClass: 'reduced' }
+];
+
+const menuItems = [
+  { id: 1, name: { en: 'Classic Burger' }, category_id: 1, taxClass: null },
+  { id: 2, name: { en: 'Cola' }, category_id: 2, taxClass: null },
+  { id: 3, name: { en: 'Water' }, category_id: 2, taxClass: 'zero' }
+];
+
+describe('normalizeTaxClasses', () => {
+  test('should clean up ids and round rates', () => {
+    const { taxClasses, errors } = normalizeTaxClasses([{ id: ' Food ', name: 'Food', rate: '0.055' }]);
+
+    expect(errors).toEqual([]);
+    expect(taxClasses).toEqual([{ id: 'food', name: 'Food', rate: 0.055 }]);
+  });
+
+  test('should report missing, duplicate and invalid classes', () => {
+    expect(normalizeTaxClasses([]).errors).toEqual(['At least one tax class is required']);
+    expect(normalizeTaxClasses([
+      { id: 'food', name: 'Food', rate: 0.05 },
+      { id: 'food', name: '', rate: 2 },
+      { id: 'no spaces', name: 'Bad', rate: 0.1 }
+    ]).errors).toEqual([
+      'Tax class "food" is listed more than once',
+      'Tax class 2: name is required',
+      'Tax class 2: rate must be between 0% and 100%',
+      'Bad: id must be lowercase letters, numbers and dashes'
+    ]);
+  });
+});
+
+describe('getTaxClassForItem', () => {
+  test('should prefer the item, then its category, then the default class', () => {
+    expect(getTaxClassForItem(settings, menuItems[2], categories).id).toBe('zero');
+    expect(getTaxClassForItem(settings, menuItems[1], categories).id).toBe('reduced');
+    expect(getTaxClassForItem(settings, menuItems[0], categories).id).toBe('standard');
+  });
+
+  test('should skip classes that no longer exist', () => {
+    const item = { id: 4, category_id: 2, taxClass: 'removed' };
+    expect(getTaxClassForItem(settings, item, categories).id).toBe('reduced');
+  });
+});
+
+describe('assignTaxClasses', () => {
+  test('should stamp each line with its class and rate', () => {
+    const lines = assignTaxClasses([{ id: 1 }, { id: 2 }, { id: 3 }], menuItems, categories, settings);
+
+    expect(lines.map(line => [line.taxClass, line.taxRate])).toEqual([
+      ['standard', 0.18],
+      ['reduced', 0.07],
+      ['zero', 0]
+    ]);
+  });
+});
+
+describe('getTaxClassUsage', () => {
+  test('should list the categories and items in a class', () => {
+    expect(getTaxClassUsage('reduced', { categories, items: menuItems })).toEqual(['category Soft Drinks']);
+    expect(getTaxClassUsage('zero', { categories, items: menuItems })).toEqual(['item Water']);
+    expect(getTaxClassUsage('super-reduced', { categories, items: menuItems })).toEqual([]);
+  });
+});
+
+describe('getReportPeriod', () => {
+  // 17 June 2026 is a Wednesday
+  const now = new Date(2026, 5, 17, 15, 30);
+
+  test('should cover the day, week, month and year containing now', () => {
+    expect(getReportPeriod('daily', now)).toEqual({ from: new Date(2026, 5, 17), to: new Date(2026, 5, 18) });
+    expect(getReportPeriod('weekly', now)).toEqual({ from: new Date(2026, 5, 14), to: new Date(2026, 5, 21) });
+    expect(getReportPeriod('monthly', now)).toEqual({ from: new Date(2026, 5, 1), to: new Date(2026, 6, 1) });
+    expect(getReportPeriod('yearly', now)).toEqual({ from: new Date(2026, 0, 1), to: new Date(2027, 0, 1) });
+    expect(getReportPeriod('hourly', now)).toBeNull();
+  });
+});
+
+describe('buildVatReport', () => {
+  const from = new Date(2026, 5, 1);
+  const to = new Date(2026, 6, 1);
+  const orders = [
+    {
+      id: 1,
+      status: 'completed',
+      timestamp: new Date(2026, 5, 2, 19, 0).toISOString(),
+      total: 48.1,
+      serviceCharge: 3.8,
+      deliveryFee: 0,
+      taxBreakdown: [
+        { taxClass: 'standard', rate: 0.18, net: 30, tax: 5.4, gross: 35.4 },
+        { taxClass: 'reduced', rate: 0.07, net: 8, tax: 0.56, gross: 8.56 }
+      ],
+      refunds: []
+    },
+    {
+      // Half refunded, so half of its sales count
+      id: 2,
+      status: 'completed',
+      timestamp: new Date(2026, 5, 3, 12, 0).toISOString(),
+      total: 23.6,
+      serviceCharge: 0,
+      deliveryFee: 0,
+      taxBreakdown: [{ taxClass: 'standard', rate: 0.18, net: 20, tax: 3.6, gross: 23.6 }],
+      refunds: [{ amount: 11.8 }]
+    },
+    {
+      // Placed before tax classes - one rate on the discounted subtotal
+      id: 3,
+      status: 'completed',
+      timestamp: new Date(2026, 5, 4, 12, 0).toISOString(),
+      subtotal: 12,
+      discount: 2,
+      taxRate: 0.18,
+      tax: 1.8,
+      total: 11.8
+    },
+    { id: 4, status: 'cancelled', timestamp: new Date(2026, 5, 5).toISOString(), total: 10, taxBreakdown: [] },
+    { id: 5, status: 'completed', timestamp: new Date(2026, 6, 1).toISOString(), total: 10, taxBreakdown: [] }
+  ];
+
+  test('should total net, tax and gross per rate over completed orders in the period', () => {
+    const report = buildVatReport(orders, from, to, settings);
+
+    expect(report.rates).toEqual([
+      { taxClass: 'standard', name: 'Standard', rate: 0.18, orders: 2, net: 40, tax: 7.2, gross: 47.2 },
+      { taxClass: null, name: 'Tax', rate: 0.18, orders: 1, net: 10, tax: 1.8, gross: 11.8 },
+      { taxClass: 'reduced', name: 'Reduced', rate: 0.07, orders: 1, net: 8, tax: 0.56, gross: 8.56 }
+    ]);
+    expect(report.totals).toEqual({
+      orders: 3,
+      net: 58,
+      tax: 9.56,
+      gross: 67.56,
+      serviceCharge: 3.8,
+      deliveryFee: 0,
+      refunded: 11.8
+    });
+  });
+
+  test('should export the report as CSV', () => {
+    const csv = vatReportToCsv(buildVatReport(orders, from, to, settings));
+    const lines = csv.trim().split('\n');
+
+    expect(lines[0]).toBe('Period,2026-06-01 to 2026-06-30');
+    expect(lines[2]).toBe('Tax class,Rate %,Orders,Net,Tax,Gross');
+    expect(lines[3]).toBe('Standard,18,2,40.00,7.20,47.20');
+    expect(lines[6]).toBe('Total,,3,58.00,9.56,67.56');
+    expect(lines[lines.length - 1]).toBe('Refunded (already deducted above),11.80');
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Ticket Times Tests
+ *
+ * Tests for prep time parsing, ticket SLA levels and ticket time reports
+ * Run with: npm test
+ */
+
+const {
+  DEFAULT_PREP_MINUTES,
+  parsePrepMinutes,
+  getExpectedPrepMinutes,
+  getTicketTiming,
+  summarizeDurations,
+  buildTicketStats
+} = require('../src/ticketTimes');
+
+const menuItems = [
+  { id: 1, prepTime: { en: '15 min', it: '15 min' } },
+  { id: 2, prepTime: '8-10 minutes' },
+  { id: 3, prepTime: '' }
+];
+
+const categories = [
+  { id: 1, station: 'grill' },
+  { id: 2, station: 'bar' }
+];
+
+// An order confirmed at 12:00 and ready after `readyAfter` minutes
+function finishedOrder(id, readyAfter, items) {
+  const confirmedAt = new Date(2026, 5, 1, 12, 0);
+  return {
+    id,
+    status: 'ready',
+    createdAt: new Date(2026, 5, 1, 11, 58),
+    items,
+    statusHistory: [
+      { from: 'pending', to: 'confirmed', at: confirmedAt },
+      { from: 'confirmed', to: 'preparing', at: confirmedAt },
+      { from: 'preparing', to: 'ready', at: new Date(confirmedAt.getTime() + readyAfter * 60000) }
+    ]
+  };
+}
+
+describe('Ticket Times', () => {
+  test('should parse prep times into minutes', () => {
+    expect(parsePrepMinutes({ en: '15 min' })).toBe(15);
+    expect(parsePrepMinutes('15-20 minutes')).toBe(20);
+    expect(parsePrepMinutes(12)).toBe(12);
+    expect(parsePrepMinutes('quick')).toBeNull();
+    expect(parsePrepMinutes(undefined)).toBeNull();
+  });
+
+  test('should expect a ticket to take as long as its slowest item', () => {
+    expect(getExpectedPrepMinutes({ items: [{ id: 1 }, { id: 2 }] }, menuItems)).toBe(15);
+    expect(getExpectedPrepMinutes({ items: [{ id: 2 }] }, menuItems)).toBe(10);
+    expect(getExpectedPrepMinutes({ items: [{ id: 3 }] }, menuItems)).toBe(DEFAULT_PREP_MINUTES);
+  });
+
+  test('should escalate the SLA level as a ticket runs late', () => {
+    const confirmedAt = new Date(2026, 5, 1, 12, 0);
+    const order = {
+      status: 'preparing',
+      createdAt: new Date(2026, 5, 1, 11, 55),
+      items: [{ id: 2 }],
+      statusHistory: [{ from: 'pending', to: 'confirmed', at: confirmedAt }]
+    };
+    const at = minutes => new Date(confirmedAt.getTime() + minutes * 60000);
+
+    expect(getTicketTiming(order, menuItems, at(5))).toMatchObject({ sla: 'on-track', expectedMinutes: 10, elapsedMinutes: 5 });
+    expect(getTicketTiming(order, menuItems, at(8)).sla).toBe('due-soon');
+    expect(getTicketTiming(order, menuItems, at(12)).sla).toBe('late');
+    expect(getTicketTiming({ ...order, status: 'ready' }, menuItems, at(12))).toBeNull();
+  });
+
+  test('should start the clock of an order ordered ahead when it is time to cook it', () => {
+    const order = {
+      status: 'confirmed',
+      createdAt: new Date(2026, 5, 1, 9, 0),
+      startCookingAt: new Date(2026, 5, 1, 11, 50).toISOString(),
+      items: [{ id: 2 }],
+      statusHistory: [{ from: 'pending', to: 'confirmed', at: new Date(2026, 5, 1, 9, 5) }]
+    };
+
+    expect(getTicketTiming(order, menuItems, new Date(2026, 5, 1, 11, 55))).toMatchObject({ sla: 'on-track', elapsedMinutes: 5 });
+  });
+
+  test('should summarize durations with average and nearest-rank p90', () => {
+    expect(summarizeDurations([])).toEqual({ count: 0, average: null, p90: null });
+    expect(summarizeDurations([10, 2, 4, 6, 8, 12, 14, 16, 18, 20])).toEqual({ count: 10, average: 11, p90: 18 });
+  });
+
+  test('should report ticket times per day, item and station', () => {
+    const bumpedAt = new Date(2026, 5, 1, 12, 4);
+    const stats = buildTicketStats([
+      finishedOrder(1, 10, [
+        { id: 1, name: { en: 'Burger' }, station: 'grill' },
+        { id: 5, name: 'Cola', category_id: 2, bumpedAt }
+      ]),
+      finishedOrder(2, 20, [{ id: 1, name: { en: 'Burger' }, station: 'grill' }]),
+      { id: 3, status: 'preparing', createdAt: new Date(), items: [{ id: 1 }] }
+    ], categories);
+
+    expect(stats.days).toEqual([{ day: '2026-06-01', count: 2, average: 15, p90: 20 }]);
+    expect(stats.items).toEqual(expect.arrayContaining([
+      { id: 1, name: 'Burger', count: 2, average: 15, p90: 20 },
+      { id: 5, name: 'Cola', count: 1, average: 4, p90: 4 }
+    ]));
+    expect(stats.stations).toEqual(expect.arrayContaining([
+      { station: 'grill', count: 2, average: 15, p90: 20 },
+      { station: 'bar', count: 1, average: 4, p90: 4 }
+    ]));
+  });
+});
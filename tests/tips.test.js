@@ -0,0 +1,138 @@
+/**
+ * Tips Tests
+ *
+ * Tests for validating tips, crediting them to staff and the tip report
+ * Run with: npm test
+ */
+
+const {
+  UNASSIGNED_STAFF,
+  normalizeTip,
+  getTipRecipient,
+  getCollectedTip,
+  collectTips,
+  buildTipReport
+} = require('../src/tips');
+
+const day1 = new Date(2026, 5, 1, 20, 0);
+const day2 = new Date(2026, 5, 2, 21, 0);
+
+describe('normalizeTip', () => {
+  test('should treat a missing tip as zero', () => {
+    expect(normalizeTip(undefined, 20)).toEqual({ tip: 0 });
+    expect(normalizeTip('', 20)).toEqual({ tip: 0 });
+  });
+
+  test('should round the tip to cents', () => {
+    expect(normalizeTip('2.499', 20)).toEqual({ tip: 2.5 });
+  });
+
+  test('should reject negative or non-numeric tips', () => {
+    expect(normalizeTip(-1, 20).error).toBe('Tip must be zero or more');
+    expect(normalizeTip('abc', 20).error).toBe('Tip must be zero or more');
+  });
+
+  test('should reject a tip larger than the bill', () => {
+    expect(normalizeTip(25, 20).error).toBe('Tip cannot be more than the bill');
+  });
+});
+
+describe('getTipRecipient', () => {
+  test('should credit whoever last served the order', () => {
+    const order = {
+      statusHistory: [
+        { from: 'ready', to: 'served', actor: 'anna', at: day1 },
+        { from: 'served', to: 'ready', actor: 'kitchen', at: day1 },
+        { from: 'ready', to: 'served', actor: 'ben', at: day1 }
+      ]
+    };
+    expect(getTipRecipient(order)).toBe('ben');
+  });
+
+  test('should leave unserved orders unassigned', () => {
+    expect(getTipRecipient({ statusHistory: [] })).toBe(UNASSIGNED_STAFF);
+    expect(getTipRecipient({})).toBe(UNASSIGNED_STAFF);
+  });
+});
+
+describe('getCollectedTip', () => {
+  test('should leave out tips on card payments never charged and on refunded orders', () => {
+    expect(getCollectedTip({ tip: 2, total: 20, status: 'pending', paymentMethod: 'card', paymentStatus: 'pending' })).toBe(0);
+    expect(getCollectedTip({ tip: 2, total: 20, status: 'completed', paymentMethod: 'card', paymentStatus: 'refunded' })).toBe(0);
+    expect(getCollectedTip({ tip: 2, total: 20, status: 'pending', paymentMethod: 'card', paymentStatus: 'paid' })).toBe(2);
+  });
+
+  test('should count tips on orders paid at the counter once completed', () => {
+    expect(getCollectedTip({ tip: 2, total: 20, status: 'ready', paymentMethod: 'cash', paymentStatus: 'unpaid' })).toBe(0);
+    expect(getCollectedTip({ tip: 2, total: 20, status: 'completed', paymentMethod: 'cash', paymentStatus: 'unpaid' })).toBe(2);
+  });
+
+  test('should take off the part of the tip refunds gave back', () => {
+    const order = { tip: 2, total: 20, status: 'completed', paymentMethod: 'cash', paymentStatus: 'unpaid' };
+    expect(getCollectedTip({ ...order, refunds: [{ amount: 5 }] })).toBe(2);
+    expect(getCollectedTip({ ...order, refunds: [{ amount: 15 }, { amount: 6.5 }] })).toBe(0.5);
+    expect(getCollectedTip({ ...order, refunds: [{ amount: 22 }] })).toBe(0);
+  });
+});
+
+describe('collectTips', () => {
+  const orders = [
+    { id: 1, tip: 3, createdAt: day1, status: 'completed', paymentStatus: 'paid', statusHistory: [{ to: 'served', actor: 'anna' }] },
+    { id: 2, tip: 0, createdAt: day1, status: 'completed', paymentStatus: 'paid' },
+    { id: 3, tip: 5, createdAt: day1, status: 'cancelled', paymentStatus: 'refunded' },
+    { id: 4, tip: 4, createdAt: day2, status: 'pending', paymentStatus: 'failed' },
+    { id: 5, tip: 1.5, createdAt: day2, status: 'pending', paymentStatus: 'paid', tabId: 7 }
+  ];
+  const tabs = [{
+    id: 7,
+    payments: [
+      { amount: 20, tip: 2, method: 'card', actor: 'ben', at: day2 },
+      { amount: 10, tip: 0, method: 'cash', actor: 'ben', at: day2 }
+    ]
+  }];
+
+  test('should collect checkout and table tips in time order', () => {
+    const tips = collectTips(orders, tabs);
+
+    expect(tips).toEqual([
+      { at: day1, amount: 3, staff: 'anna', source: 'checkout', orderId: 1, tabId: null },
+      { at: day2, amount: 1.5, staff: UNASSIGNED_STAFF, source: 'checkout', orderId: 5, tabId: 7 },
+      { at: day2, amount: 2, staff: 'ben', source: 'table', orderId: null, tabId: 7 }
+    ]);
+  });
+
+  test('should handle missing data', () => {
+    expect(collectTips(undefined, undefined)).toEqual([]);
+  });
+});
+
+describe('buildTipReport', () => {
+  const tips = [
+    { at: day1, amount: 3, staff: 'anna' },
+    { at: day2, amount: 1.1, staff: 'ben' },
+    { at: day2, amount: 2.2, staff: 'ben' },
+    { at: day2, amount: 1, staff: 'anna' }
+  ];
+
+  test('should total tips per day and per staff member', () => {
+    const report = buildTipReport(tips, new Date(2026, 5, 1));
+
+    expect(report.count).toBe(4);
+    expect(report.total).toBe(7.3);
+    expect(report.days).toEqual([
+      { date: '2026-06-01', count: 1, total: 3 },
+      { date: '2026-06-02', count: 3, total: 4.3 }
+    ]);
+    expect(report.staff).toEqual([
+      { staff: 'anna', count: 2, total: 4 },
+      { staff: 'ben', count: 2, total: 3.3 }
+    ]);
+  });
+
+  test('should leave out tips before the period', () => {
+    const report = buildTipReport(tips, new Date(2026, 5, 2));
+
+    expect(report.count).toBe(3);
+    expect(report.days.map(day => day.date)).toEqual(['2026-06-02']);
+  });
+});